@@ -8,7 +8,32 @@ import { Storage } from './storage.js';
 import { GitHubAPI } from './github-api.js';
 import { FileTree } from './file-tree.js';
 import { Editor } from './editor.js';
+import { EditorTabs } from './editor-tabs.js';
 import { GitOps } from './git-ops.js';
+import { MergeView } from './merge-view.js';
+import { DiffView } from './diff-view.js';
+import { Diff } from './diff.js';
+import { UnityMeta } from './unity-meta.js';
+import { ScriptTemplates } from './templates.js';
+import { PullRequestPanel } from './pr-panel.js';
+import { HistoryPanel } from './history-panel.js';
+import { SyncPanel } from './sync-panel.js';
+import { Preview } from './preview.js';
+import { Codec } from './codec.js';
+import { Zip } from './zip.js';
+import { Lfs } from './lfs.js';
+import { SearchPanel } from './search-panel.js';
+import { Palette } from './palette.js';
+import { Fuzzy } from './fuzzy.js';
+import { CSharpSymbols } from './csharp-symbols.js';
+import { CommandRegistry } from './commands.js';
+import { OutlinePanel } from './outline-panel.js';
+import { SymbolIndex } from './symbol-index.js';
+import { SuggestionStrip } from './suggestion-strip.js';
+import { KeyboardToolbar, KEY_ACTIONS, TOOLBAR_PROFILES } from './keyboard-toolbar.js';
+
+// Extra quick-open score for the most recently opened file, fading with age
+const RECENT_FILE_BOOST = 15;
 
 class App {
     constructor() {
@@ -17,14 +42,40 @@ class App {
         this.githubAPI = null;
         this.fileTree = null;
         this.editor = null;
+        this.editorTabs = null;
         this.gitOps = null;
+        this.mergeView = null;
+        this.diffView = null;
+        this.prPanel = null;
+        this.historyPanel = null;
+        this.syncPanel = null;
+        this.preview = null;
+        this.searchPanel = null;
+        this.palette = null;
+        this.outlinePanel = null;
+        this.symbolIndex = null;
+        this.suggestionStrip = null;
+        this.keyboardToolbar = null;
+        this.toolbarProfile = null;
+        this.commands = new CommandRegistry();
 
         // Application state
         this.currentRepo = null;
         this.currentBranch = null;
+        this.defaultBranch = null;
         this.currentFile = null;
         this.currentFileSha = null;
+        this.treeCommitSha = null;
+        // Which .gitattributes versions the tree's LFS rules were read from
+        this.lfsAttributesKey = null;
+        this.lfsAttributesLoading = null;
+        this.currentPullRequest = null;
+        this.reviewComments = [];
         this.pinnedFiles = [];
+        this.openFiles = [];
+        this.commitSelection = new Map();
+        // Pending or finished upstream check of the open commit modal
+        this.upstreamCheck = null;
 
         // UI Elements
         this.elements = {
@@ -48,10 +99,12 @@ class App {
             fileSearch: document.getElementById('file-search'),
             fileTreeContainer: document.getElementById('file-tree'),
             newFileBtn: document.getElementById('new-file-btn'),
+            uploadBtn: document.getElementById('upload-btn'),
             branchSelector: document.getElementById('branch-selector'),
             newBranchBtn: document.getElementById('new-branch-btn'),
             currentFileLabel: document.getElementById('current-file'),
             editorContainer: document.getElementById('editor-container'),
+            editorTabs: document.getElementById('editor-tabs'),
             pinnedTabs: document.getElementById('pinned-tabs'),
             pinBtn: document.getElementById('pin-btn'),
             saveBtn: document.getElementById('save-btn'),
@@ -59,11 +112,27 @@ class App {
             commitBtn: document.getElementById('commit-btn'),
             pushBtn: document.getElementById('push-btn'),
             pullBtn: document.getElementById('pull-btn'),
+            prBtn: document.getElementById('pr-btn'),
+            historyBtn: document.getElementById('history-btn'),
+            blameBtn: document.getElementById('blame-btn'),
+            searchBtn: document.getElementById('search-btn'),
+            quickOpenBtn: document.getElementById('quick-open-btn'),
+            commandPaletteBtn: document.getElementById('command-palette-btn'),
+            commentBtn: document.getElementById('comment-btn'),
+            outlineBtn: document.getElementById('outline-btn'),
+            definitionBtn: document.getElementById('definition-btn'),
+            outlineDrawer: document.getElementById('outline-drawer'),
+            breadcrumbs: document.getElementById('editor-breadcrumbs'),
+            suggestionStrip: document.getElementById('suggestion-strip'),
+            largeFileBar: document.getElementById('large-file-bar'),
+            editLargeFileBtn: document.getElementById('edit-large-file-btn'),
             ideLogoutBtn: document.getElementById('ide-logout-btn'),
 
             // Modals
             commitModal: document.getElementById('commit-modal'),
             changedFilesList: document.getElementById('changed-files-list'),
+            metaWarnings: document.getElementById('meta-warnings'),
+            lfsWarnings: document.getElementById('lfs-warnings'),
             commitMessage: document.getElementById('commit-message'),
             confirmCommitBtn: document.getElementById('confirm-commit-btn'),
             cancelCommitBtn: document.getElementById('cancel-commit-btn'),
@@ -74,20 +143,57 @@ class App {
             cancelBranchBtn: document.getElementById('cancel-branch-btn'),
             newFileModal: document.getElementById('new-file-modal'),
             newFilePath: document.getElementById('new-file-path'),
+            newFileTemplate: document.getElementById('new-file-template'),
+            newFileNamespace: document.getElementById('new-file-namespace'),
             createFileBtn: document.getElementById('create-file-btn'),
             cancelNewFileBtn: document.getElementById('cancel-new-file-btn'),
+            uploadModal: document.getElementById('upload-modal'),
+            uploadInput: document.getElementById('upload-input'),
+            uploadFolder: document.getElementById('upload-folder'),
+            uploadExpandZip: document.getElementById('upload-expand-zip'),
+            uploadList: document.getElementById('upload-list'),
+            confirmUploadBtn: document.getElementById('confirm-upload-btn'),
+            cancelUploadBtn: document.getElementById('cancel-upload-btn'),
+            mergeModal: document.getElementById('merge-modal'),
+            diffModal: document.getElementById('diff-modal'),
+            prModal: document.getElementById('pr-modal'),
+            historyModal: document.getElementById('history-modal'),
+            syncModal: document.getElementById('sync-modal'),
+            previewModal: document.getElementById('preview-modal'),
+            searchModal: document.getElementById('search-modal'),
+            palette: document.getElementById('palette'),
             contextMenu: document.getElementById('context-menu'),
+            contextRename: document.getElementById('context-rename'),
+            contextUpload: document.getElementById('context-upload'),
+            contextDelete: document.getElementById('context-delete'),
             contextHide: document.getElementById('context-hide'),
+            renameModal: document.getElementById('rename-modal'),
+            renamePath: document.getElementById('rename-path'),
+            confirmRenameBtn: document.getElementById('confirm-rename-btn'),
+            cancelRenameBtn: document.getElementById('cancel-rename-btn'),
             contextManageHidden: document.getElementById('context-manage-hidden'),
+            tabContextMenu: document.getElementById('tab-context-menu'),
+            tabClose: document.getElementById('tab-close'),
+            tabCloseOthers: document.getElementById('tab-close-others'),
             hiddenItemsModal: document.getElementById('hidden-items-modal'),
             hiddenItemsList: document.getElementById('hidden-items-list'),
             closeHiddenItemsBtn: document.getElementById('close-hidden-items-btn'),
+            keyboardToolbar: document.getElementById('keyboard-toolbar'),
+            toolbarProfile: document.getElementById('toolbar-profile'),
+            toolbarKeyList: document.getElementById('toolbar-key-list'),
+            toolbarKeyLabel: document.getElementById('toolbar-key-label'),
+            toolbarKeyText: document.getElementById('toolbar-key-text'),
+            toolbarKeyAction: document.getElementById('toolbar-key-action'),
+            addToolbarKeyBtn: document.getElementById('add-toolbar-key-btn'),
+            resetToolbarBtn: document.getElementById('reset-toolbar-btn'),
+            closeToolbarBtn: document.getElementById('close-toolbar-btn'),
 
             // Loading
             loadingOverlay: document.getElementById('loading-overlay'),
             loadingText: document.getElementById('loading-text'),
             toastContainer: document.getElementById('toast-container'),
             statusText: document.getElementById('status-text'),
+            syncStatus: document.getElementById('sync-status'),
             rateLimitStatus: document.getElementById('rate-limit-status')
         };
 
@@ -98,9 +204,14 @@ class App {
      * Initialize application
      */
     async init() {
+        this.registerCommands();
         this.setupEventListeners();
         this.setupKeyboardToolbar();
 
+        // Saving unsaved changes can fail, e.g. when storage is full
+        Storage.onError((error) => this.showToast(error.message, 'error'));
+        await Storage.init();
+
         // Check if already authenticated
         if (this.auth.isAuthenticated()) {
             await this.handleAuthenticatedUser();
@@ -109,6 +220,59 @@ class App {
         }
     }
 
+    /**
+     * Register the IDE's actions as commands
+     */
+    registerCommands() {
+        const inIde = () => !!this.currentRepo && !!this.fileTree;
+        const hasFile = () => inIde() && !!this.currentFile;
+
+        this.commands.registerAll([
+            { id: 'file.goToFile', category: 'File', title: 'Go to File...', keybinding: 'Ctrl+P', when: inIde, run: () => this.showQuickOpen() },
+            { id: 'file.new', category: 'File', title: 'New File...', when: inIde, run: () => this.showNewFileModal() },
+            { id: 'file.upload', category: 'File', title: 'Upload Files...', when: inIde, run: () => this.showUploadModal() },
+            { id: 'file.save', category: 'File', title: 'Save', keybinding: 'Ctrl+S', when: hasFile, run: () => this.saveCurrentFile() },
+            { id: 'file.discard', category: 'File', title: 'Discard Changes', when: hasFile, run: () => this.discardCurrentFile() },
+            { id: 'file.editLargeFile', category: 'File', title: 'Edit Large File', when: () => hasFile() && this.editor.isReadOnly(), run: () => this.editLargeFile() },
+            { id: 'file.togglePin', category: 'File', title: 'Pin / Unpin File', when: hasFile, run: () => this.togglePinCurrentFile() },
+            { id: 'file.closeTab', category: 'File', title: 'Close Tab', when: hasFile, run: () => this.closeTab(this.currentFile) },
+            { id: 'file.closeOtherTabs', category: 'File', title: 'Close Other Tabs', when: () => hasFile() && this.openFiles.length > 1, run: () => this.closeOtherTabs(this.currentFile) },
+            { id: 'file.goToSymbol', category: 'File', title: 'Go to Symbol in File...', keybinding: 'Ctrl+Shift+O', when: () => hasFile() && this.editor.hasSymbols(), run: () => this.showSymbolPicker() },
+            { id: 'file.goToWorkspaceSymbol', category: 'File', title: 'Go to Symbol in Workspace...', when: inIde, run: () => this.showWorkspaceSymbols() },
+            { id: 'file.goToDefinition', category: 'File', title: 'Go to Definition', keybinding: 'F12', when: () => hasFile() && this.editor.hasSymbols(), run: () => this.editor.runEditorAction('editor.action.revealDefinition') },
+            { id: 'file.findReferences', category: 'File', title: 'Find References', keybinding: 'Shift+F12', when: () => hasFile() && this.editor.hasSymbols(), run: () => this.editor.runEditorAction('editor.action.goToReferences') },
+            { id: 'file.hidePath', category: 'File', title: 'Hide Path...', when: hasFile, run: () => this.showHidePathPicker() },
+            { id: 'file.manageHidden', category: 'File', title: 'Manage Hidden Items...', when: inIde, run: () => this.showHiddenItemsModal() },
+            { id: 'search.inFiles', category: 'Search', title: 'Search in Files', keybinding: 'Ctrl+Shift+F', when: inIde, run: () => this.showSearch() },
+            { id: 'git.commit', category: 'Git', title: 'Commit...', when: inIde, run: () => this.showCommitModal() },
+            { id: 'git.pull', category: 'Git', title: 'Pull', when: inIde, run: () => this.handlePull() },
+            { id: 'git.push', category: 'Git', title: 'Push', when: inIde, run: () => this.handlePush() },
+            { id: 'git.switchBranch', category: 'Git', title: 'Switch Branch...', when: inIde, run: () => this.showBranchPicker() },
+            { id: 'git.newBranch', category: 'Git', title: 'New Branch...', when: inIde, run: () => this.showNewBranchModal() },
+            { id: 'git.pullRequests', category: 'Git', title: 'Pull Requests', when: inIde, run: () => this.showPullRequests() },
+            { id: 'git.history', category: 'Git', title: 'Show History', when: inIde, run: () => this.showHistory() },
+            { id: 'git.branchStatus', category: 'Git', title: 'Show Incoming and Outgoing Commits', when: inIde, run: () => this.showSyncStatus() },
+            { id: 'git.toggleBlame', category: 'Git', title: 'Toggle Blame', when: hasFile, run: () => this.toggleBlame() },
+            { id: 'git.commentOnLine', category: 'Git', title: 'Comment on Line', when: () => hasFile() && !!this.currentPullRequest, run: () => this.handleCommentOnLine() },
+            { id: 'view.commandPalette', category: 'View', title: 'Command Palette...', keybinding: 'Ctrl+Shift+P', when: inIde, run: () => this.showCommandPalette() },
+            { id: 'view.outline', category: 'View', title: 'Toggle Outline', when: () => hasFile() && this.editor.hasSymbols(), run: () => this.outlinePanel.toggle() },
+            { id: 'view.customizeToolbar', category: 'View', title: 'Customize Keyboard Toolbar...', run: () => this.showToolbarSettings(this.keyboardToolbar.profile) },
+            { id: 'view.toggleFileTree', category: 'View', title: 'Toggle File Tree', when: inIde, run: () => this.toggleFileTreeDrawer() },
+            { id: 'account.logout', category: 'Account', title: 'Log Out', run: () => this.handleLogout() }
+        ]);
+    }
+
+    /**
+     * Run a registered command, reporting failures
+     */
+    async runCommand(id) {
+        try {
+            await this.commands.execute(id);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
     /**
      * Setup event listeners
      */
@@ -125,19 +289,35 @@ class App {
         this.elements.repoSearch.addEventListener('input', (e) => this.filterRepos(e.target.value));
         this.elements.logoutBtn.addEventListener('click', () => this.handleLogout());
 
-        // IDE
-        this.elements.menuToggle.addEventListener('click', () => this.toggleFileTreeDrawer());
+        // IDE buttons run the same commands as the command palette
+        const buttonCommands = {
+            menuToggle: 'view.toggleFileTree',
+            newFileBtn: 'file.new',
+            uploadBtn: 'file.upload',
+            newBranchBtn: 'git.newBranch',
+            pinBtn: 'file.togglePin',
+            saveBtn: 'file.save',
+            discardBtn: 'file.discard',
+            commitBtn: 'git.commit',
+            pushBtn: 'git.push',
+            pullBtn: 'git.pull',
+            prBtn: 'git.pullRequests',
+            historyBtn: 'git.history',
+            blameBtn: 'git.toggleBlame',
+            searchBtn: 'search.inFiles',
+            quickOpenBtn: 'file.goToFile',
+            commandPaletteBtn: 'view.commandPalette',
+            commentBtn: 'git.commentOnLine',
+            outlineBtn: 'view.outline',
+            definitionBtn: 'file.goToDefinition',
+            editLargeFileBtn: 'file.editLargeFile',
+            ideLogoutBtn: 'account.logout'
+        };
+        Object.entries(buttonCommands).forEach(([element, command]) => {
+            this.elements[element].addEventListener('click', () => this.runCommand(command));
+        });
         this.elements.fileSearch.addEventListener('input', (e) => this.filterFiles(e.target.value));
-        this.elements.newFileBtn.addEventListener('click', () => this.showNewFileModal());
         this.elements.branchSelector.addEventListener('change', (e) => this.switchBranch(e.target.value));
-        this.elements.newBranchBtn.addEventListener('click', () => this.showNewBranchModal());
-        this.elements.pinBtn.addEventListener('click', () => this.togglePinCurrentFile());
-        this.elements.saveBtn.addEventListener('click', () => this.saveCurrentFile());
-        this.elements.discardBtn.addEventListener('click', () => this.discardCurrentFile());
-        this.elements.commitBtn.addEventListener('click', () => this.showCommitModal());
-        this.elements.pushBtn.addEventListener('click', () => this.handlePush());
-        this.elements.pullBtn.addEventListener('click', () => this.handlePull());
-        this.elements.ideLogoutBtn.addEventListener('click', () => this.handleLogout());
 
         // Commit modal
         this.elements.confirmCommitBtn.addEventListener('click', () => this.handleCommit());
@@ -150,17 +330,63 @@ class App {
         // New file modal
         this.elements.createFileBtn.addEventListener('click', () => this.handleCreateFile());
         this.elements.cancelNewFileBtn.addEventListener('click', () => this.hideModal('new-file-modal'));
+        this.elements.newFilePath.addEventListener('change', () => this.updateNewFileNamespace());
+        this.elements.newFileNamespace.addEventListener('input', () => {
+            this.newFileNamespaceEdited = true;
+        });
+
+        // Upload modal
+        this.elements.confirmUploadBtn.addEventListener('click', () => this.handleUpload());
+        this.elements.cancelUploadBtn.addEventListener('click', () => this.hideModal('upload-modal'));
+        this.elements.uploadInput.addEventListener('change', () => this.renderUploadList());
+        this.elements.uploadFolder.addEventListener('input', () => this.renderUploadList());
+        this.elements.uploadExpandZip.addEventListener('change', () => this.renderUploadList());
 
         // Context menu
+        this.elements.contextRename.addEventListener('click', () => this.showRenameModal());
+        this.elements.contextUpload.addEventListener('click', () => this.showContextUpload());
+        this.elements.contextDelete.addEventListener('click', () => this.handleDeleteItem());
         this.elements.contextHide.addEventListener('click', () => this.handleHideItem());
+
+        // Rename modal
+        this.elements.confirmRenameBtn.addEventListener('click', () => this.handleRenameItem());
+        this.elements.cancelRenameBtn.addEventListener('click', () => this.hideModal('rename-modal'));
         this.elements.contextManageHidden.addEventListener('click', () => this.showHiddenItemsModal());
 
+        // Tab context menu
+        this.elements.tabClose.addEventListener('click', () => this.closeTab(this.tabMenuPath));
+        this.elements.tabCloseOthers.addEventListener('click', () => this.closeOtherTabs(this.tabMenuPath));
+
         // Hidden items modal
         this.elements.closeHiddenItemsBtn.addEventListener('click', () => this.hideModal('hidden-items-modal'));
 
+        // Keyboard toolbar settings
+        this.elements.toolbarProfile.addEventListener('change', () => this.showToolbarSettings(this.elements.toolbarProfile.value));
+        this.elements.addToolbarKeyBtn.addEventListener('click', () => this.addToolbarKey());
+        this.elements.resetToolbarBtn.addEventListener('click', () => this.saveToolbarKeys(null));
+        this.elements.closeToolbarBtn.addEventListener('click', () => this.hideModal('toolbar-modal'));
+
+        // Send commits queued while offline once the connection is back
+        window.addEventListener('online', () => this.handleOnline());
+        window.addEventListener('offline', () => this.updateStatusBar());
+
+        // Look for new remote commits when coming back to the app
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.refreshDivergence();
+        });
+        this.elements.syncStatus.addEventListener('click', () => this.showSyncStatus());
+
         // Hide context menu when clicking outside
         document.addEventListener('click', () => this.hideContextMenu());
 
+        // Keyboard shortcuts of registered commands
+        document.addEventListener('keydown', (e) => {
+            const running = this.commands.handleKeyDown(e);
+            if (running) {
+                running.catch(error => this.showToast(error.message, 'error'));
+            }
+        });
+
         // Modal close buttons
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -183,19 +409,125 @@ class App {
      * Setup keyboard toolbar
      */
     setupKeyboardToolbar() {
-        const toolbar = document.getElementById('keyboard-toolbar');
-        toolbar.addEventListener('click', (e) => {
-            if (e.target.classList.contains('toolbar-key')) {
-                const key = e.target.dataset.key;
-                if (key === 'Tab') {
-                    this.editor.insertText('    '); // 4 spaces
+        this.keyboardToolbar = new KeyboardToolbar(
+            this.elements.keyboardToolbar,
+            (text, snippet) => {
+                if (!this.editor) return;
+                if (snippet) {
+                    this.editor.insertSnippet(text);
                 } else {
-                    this.editor.insertText(key);
+                    this.editor.insertText(text);
                 }
-            }
+            },
+            (action, select) => this.editor && this.editor.runKeyAction(action, select),
+            (profile) => this.showToolbarSettings(profile)
+        );
+
+        Object.entries(TOOLBAR_PROFILES).forEach(([profile, name]) => {
+            this.elements.toolbarProfile.add(new Option(name, profile));
+        });
+        this.elements.toolbarKeyAction.add(new Option('Insert text', ''));
+        Object.entries(KEY_ACTIONS).forEach(([action, { label, description }]) => {
+            this.elements.toolbarKeyAction.add(new Option(`${label}  ${description}`, action));
+        });
+    }
+
+    /**
+     * Show the keyboard toolbar settings for a profile
+     */
+    showToolbarSettings(profile) {
+        this.toolbarProfile = profile;
+        this.elements.toolbarProfile.value = profile;
+        this.renderToolbarKeyList();
+        this.showModal('toolbar-modal');
+    }
+
+    /**
+     * List the keys of the profile being edited, with buttons to move and
+     * remove them
+     */
+    renderToolbarKeyList() {
+        const keys = KeyboardToolbar.getKeys(this.toolbarProfile);
+        const list = this.elements.toolbarKeyList;
+        list.innerHTML = '';
+
+        keys.forEach((key, index) => {
+            const item = document.createElement('div');
+            item.className = 'changed-file-item toolbar-key-item';
+
+            const label = document.createElement('span');
+            label.className = 'toolbar-key-label';
+            label.textContent = key.label;
+
+            const detail = document.createElement('span');
+            detail.className = 'toolbar-key-detail';
+            detail.textContent = key.action ? KEY_ACTIONS[key.action].description : key.text.replace(/\n/g, '⏎').replace(/\t/g, '⇥');
+
+            const move = (offset) => {
+                const moved = [...keys];
+                [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+                this.saveToolbarKeys(moved);
+            };
+
+            const buttons = [
+                ['↑', 'Move up', index > 0 ? () => move(-1) : null],
+                ['↓', 'Move down', index < keys.length - 1 ? () => move(1) : null],
+                ['✕', 'Remove', () => this.saveToolbarKeys(keys.filter((_, i) => i !== index))]
+            ];
+
+            item.appendChild(label);
+            item.appendChild(detail);
+            buttons.forEach(([text, title, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn-icon';
+                button.textContent = text;
+                button.title = title;
+                button.disabled = !handler;
+                if (handler) button.addEventListener('click', handler);
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
         });
     }
 
+    /**
+     * Add a key to the profile being edited from the settings form. In the
+     * text, \n is a new line and \t a tab.
+     */
+    addToolbarKey() {
+        const action = this.elements.toolbarKeyAction.value;
+        const text = this.elements.toolbarKeyText.value.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+        const label = this.elements.toolbarKeyLabel.value.trim() ||
+            (action ? KEY_ACTIONS[action].label : text.split('\n')[0].trim());
+
+        if (!action && !text) {
+            this.showToast('Enter the text the key inserts', 'error');
+            return;
+        }
+
+        const key = action ? { label, action } : { label, text };
+        this.saveToolbarKeys([...KeyboardToolbar.getKeys(this.toolbarProfile), key]);
+
+        this.elements.toolbarKeyLabel.value = '';
+        this.elements.toolbarKeyText.value = '';
+        this.elements.toolbarKeyAction.value = '';
+    }
+
+    /**
+     * Save the keys of the profile being edited (null restores the
+     * defaults) and show them
+     */
+    saveToolbarKeys(keys) {
+        if (!Storage.setToolbarKeys(this.toolbarProfile, keys)) {
+            this.showToast('Failed to save toolbar keys', 'error');
+            return;
+        }
+
+        this.renderToolbarKeyList();
+        this.keyboardToolbar.render();
+    }
+
     /**
      * Handle login
      */
@@ -227,9 +559,13 @@ class App {
             const token = this.auth.getToken();
             this.githubAPI = new GitHubAPI(token);
 
-            // Get user info
-            const userInfo = await this.githubAPI.getAuthenticatedUser();
-            Storage.setUserInfo(userInfo);
+            // Get user info, offline the last known info will do
+            try {
+                const userInfo = await this.githubAPI.getAuthenticatedUser();
+                Storage.setUserInfo(userInfo);
+            } catch (error) {
+                if (!error.offline) throw error;
+            }
 
             // Check if we have a saved repo
             const savedRepo = Storage.getCurrentRepo();
@@ -316,6 +652,7 @@ class App {
             // Get branches
             const branches = await this.githubAPI.getBranches(owner, repo);
             const defaultBranch = await this.githubAPI.getDefaultBranch(owner, repo);
+            this.defaultBranch = defaultBranch;
 
             // Check for saved branch
             const savedBranch = Storage.getLastBranch(owner, repo) || defaultBranch;
@@ -337,7 +674,16 @@ class App {
             // Show IDE
             this.showScreen('ide');
 
+            // Reopen the tabs left open on this branch
+            await this.restoreOpenTabs();
+
+            await this.gitOps.loadQueue();
             this.updateStatusBar();
+            this.refreshPullRequest();
+
+            if (navigator.onLine) {
+                this.handleOnline();
+            }
         } catch (error) {
             this.showToast('Failed to load repository: ' + error.message, 'error');
             this.showScreen('repo');
@@ -382,13 +728,23 @@ class App {
                 this.fileTree = new FileTree(
                     this.elements.fileTreeContainer,
                     (filePath) => this.handleFileSelect(filePath),
-                    (x, y, path) => this.showContextMenu(x, y, path)
+                    (x, y, path, type) => this.showContextMenu(x, y, path, type)
                 );
             }
 
+            this.treeCommitSha = tree.commitSha || null;
+            this.upstreamCheck = null;
             this.fileTree.setRepo(this.currentRepo.owner, this.currentRepo.repo);
             this.fileTree.buildTree(tree);
             this.fileTree.render();
+            this.indexSymbols();
+            this.loadLfsAttributes().catch(error => {
+                console.error('Failed to load .gitattributes:', error);
+            });
+
+            if (!tree.offline) {
+                this.refreshDivergence();
+            }
         } catch (error) {
             this.showToast('Failed to load files: ' + error.message, 'error');
         } finally {
@@ -396,6 +752,40 @@ class App {
         }
     }
 
+    /**
+     * Read the branch's .gitattributes files so the tree can badge files
+     * stored in Git LFS. Skipped while they are unchanged.
+     */
+    async loadLfsAttributes() {
+        const paths = Lfs.getAttributesPaths(this.fileTree.getAllFilePaths());
+        const key = paths.map(path => {
+            const change = Storage.getUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo, path);
+            return `${path}@${this.fileTree.getRemoteSha(path)}@${change ? change.timestamp : ''}`;
+        }).join('\n');
+
+        if (key === this.lfsAttributesKey || key === this.lfsAttributesLoading) return;
+        this.lfsAttributesLoading = key;
+
+        try {
+            const rules = [];
+            for (const path of paths) {
+                const folder = path.substring(0, Math.max(0, path.lastIndexOf('/')));
+                rules.push(...Lfs.parseAttributes(await this.gitOps.getFileContent(path), folder));
+            }
+
+            // A newer tree may have started loading its own rules meanwhile
+            if (key === this.lfsAttributesLoading && this.fileTree) {
+                this.lfsAttributesKey = key;
+                this.fileTree.setLfsRules(rules);
+            }
+        } finally {
+            // Failed loads are retried with the next tree
+            if (key === this.lfsAttributesLoading) {
+                this.lfsAttributesLoading = null;
+            }
+        }
+    }
+
     /**
      * Initialize editor
      */
@@ -406,66 +796,124 @@ class App {
             this.editor = new Editor(this.elements.editorContainer);
             await this.editor.initialize();
 
+            if (!this.editorTabs) {
+                this.editorTabs = new EditorTabs(
+                    this.elements.editorTabs,
+                    (filePath) => this.handleFileSelect(filePath),
+                    (filePath) => this.closeTab(filePath),
+                    (x, y, filePath) => this.showTabContextMenu(x, y, filePath)
+                );
+            }
+
             // Set dirty state change callback
-            this.editor.setOnDirtyStateChange((isDirty) => {
-                if (isDirty) {
-                    this.elements.currentFileLabel.classList.add('dirty');
-                } else {
-                    this.elements.currentFileLabel.classList.remove('dirty');
+            this.editor.setOnDirtyStateChange((isDirty, filePath) => {
+                if (filePath === this.currentFile) {
+                    this.elements.currentFileLabel.classList.toggle('dirty', isDirty);
                 }
+                this.renderEditorTabs();
                 this.updateStatusBar();
             });
+
+            if (!this.outlinePanel) {
+                this.outlinePanel = new OutlinePanel(
+                    this.elements.outlineDrawer,
+                    this.elements.breadcrumbs,
+                    (symbol) => this.goToSymbol(symbol)
+                );
+            }
+
+            // Keep the outline and breadcrumbs in step with the cursor
+            this.editor.setOnSymbolsChange((symbols, path) => {
+                const hasSymbols = this.editor.hasSymbols();
+                this.elements.outlineBtn.classList.toggle('hidden', !hasSymbols);
+                this.elements.definitionBtn.classList.toggle('hidden', !hasSymbols);
+                this.outlinePanel.update(symbols, path, hasSymbols);
+            });
+
+            // Tapping a line's blame shows its commit
+            this.editor.setOnBlameSelect((range) => this.showHistory(range.sha));
+
+            // Completions above the keyboard toolbar on touch screens
+            if (!this.suggestionStrip) {
+                this.suggestionStrip = new SuggestionStrip(
+                    this.elements.suggestionStrip,
+                    (item) => this.editor.acceptCompletion(item)
+                );
+            }
+            this.editor.setOnSuggestionsChange((items) => this.suggestionStrip.render(items));
+
+            // Go to definition and find references across the repository
+            this.symbolIndex = new SymbolIndex(this.githubAPI);
+            this.editor.setSymbolIndex(this.symbolIndex, (path, range) => this.openLocation(path, range));
+            this.indexSymbols();
         } catch (error) {
             this.showToast('Failed to initialize editor: ' + error.message, 'error');
         }
     }
 
     /**
-     * Handle file selection
+     * Handle file selection. Files already open in a tab are switched to
+     * without reloading, unless reload is set or the branch has moved on
+     * since they were loaded.
      */
-    async handleFileSelect(filePath) {
+    async handleFileSelect(filePath, reload = false) {
+        if (!reload && this.editor.hasFile(filePath) &&
+            this.editor.getBaseCommit(filePath) === this.treeCommitSha) {
+            this.editor.switchTo(filePath);
+            this.showOpenFile(filePath);
+            return;
+        }
+
         this.showLoading('Loading file...');
 
         try {
-            // Check if binary
-            if (this.githubAPI.isBinaryFile(filePath)) {
-                this.showToast('Cannot open binary files', 'error');
+            // Binary files, uploaded or not, open in the preview instead
+            if (this.githubAPI.isBinaryFile(filePath) || this.isBinaryUpload(filePath)) {
+                await this.previewFile(filePath);
                 return;
             }
 
-            // Get file content
-            const fileData = await this.githubAPI.getFileContent(
-                this.currentRepo.owner,
-                this.currentRepo.repo,
-                filePath,
-                this.currentBranch
-            );
+            // Get file content. Moved and new files only exist locally until committed.
+            const fileData = this.fileTree.getRemoteSha(filePath)
+                ? await this.githubAPI.getFileContent(
+                    this.currentRepo.owner,
+                    this.currentRepo.repo,
+                    filePath,
+                    this.currentBranch
+                )
+                : await this.gitOps.getLocalFileData(filePath);
+
+            // Binary content in a file with a text extension
+            if (fileData.binary) {
+                this.getPreview().show(filePath, Codec.base64ToBytes(fileData.content));
+                return;
+            }
+
+            // LFS pointers show the object they stand for instead of their text
+            if (Lfs.parsePointerText(fileData.decodedContent || '')) {
+                this.getPreview().show(filePath, new TextEncoder().encode(fileData.decodedContent));
+                return;
+            }
 
             // Check if too large
-            if (this.githubAPI.isFileTooLarge(fileData.size)) {
-                this.showToast('File is too large (>1MB)', 'error');
+            if (this.githubAPI.exceedsBlobLimit(fileData.size)) {
+                this.showToast('File is too large (>100MB)', 'error');
                 return;
             }
 
             // Load into editor
-            this.currentFile = filePath;
-            this.currentFileSha = fileData.sha;
             this.editor.loadFile(
                 filePath,
                 fileData.decodedContent,
                 fileData.sha,
                 this.currentRepo.owner,
-                this.currentRepo.repo
+                this.currentRepo.repo,
+                this.treeCommitSha,
+                this.githubAPI.isFileTooLarge(fileData.size),
+                this.fileTree.getRemoteMode(filePath)
             );
 
-            // Update UI
-            this.elements.currentFileLabel.textContent = filePath;
-            this.updatePinButton();
-
-            // Close drawer on mobile
-            if (window.innerWidth < 768) {
-                this.closeFileTreeDrawer();
-            }
+            this.showOpenFile(filePath);
         } catch (error) {
             this.showToast('Failed to load file: ' + error.message, 'error');
         } finally {
@@ -473,6 +921,45 @@ class App {
         }
     }
 
+    /**
+     * Preview a binary file: its uploaded bytes, or its blob (the one it
+     * was moved with, or the remote one)
+     */
+    async previewFile(filePath) {
+        const change = Storage.getUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo, filePath);
+        if (change && change.base64 !== undefined) {
+            this.getPreview().show(filePath, Codec.base64ToBytes(change.base64));
+            return;
+        }
+
+        const sha = (change && change.blobSha) || this.fileTree.getRemoteSha(filePath);
+        if (!sha) {
+            this.showToast(`${filePath} has no content to preview yet`, 'error');
+            return;
+        }
+
+        const blob = await this.githubAPI.getBlob(this.currentRepo.owner, this.currentRepo.repo, sha);
+        this.getPreview().show(filePath, Codec.base64ToBytes(blob.content));
+    }
+
+    /**
+     * Check if a file's pending change is an uploaded binary file
+     */
+    isBinaryUpload(filePath) {
+        const change = Storage.getUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo, filePath);
+        return !!change && change.base64 !== undefined && Codec.decode(change.base64).binary;
+    }
+
+    /**
+     * Get the binary file preview, creating it on first use
+     */
+    getPreview() {
+        if (!this.preview) {
+            this.preview = new Preview(this.elements.previewModal, (bytes) => this.formatBytes(bytes));
+        }
+        return this.preview;
+    }
+
     /**
      * Switch branch
      */
@@ -493,8 +980,10 @@ class App {
 
         await this.loadFileTree();
         this.editor.clear();
-        this.currentFile = null;
-        this.elements.currentFileLabel.textContent = 'No file open';
+        this.openFiles = [];
+        this.showNoFile();
+        this.refreshPullRequest();
+        await this.restoreOpenTabs();
 
         this.showToast(`Switched to branch: ${branch}`, 'success');
     }
@@ -541,6 +1030,7 @@ class App {
             this.currentBranch = newBranch;
             this.gitOps.setCurrentBranch(newBranch);
             Storage.setLastBranch(this.currentRepo.owner, this.currentRepo.repo, newBranch);
+            this.refreshPullRequest();
 
             this.showToast(`Created and switched to branch: ${newBranch}`, 'success');
         } catch (error) {
@@ -586,127 +1076,1298 @@ class App {
      * Show commit modal
      */
     showCommitModal() {
-        const changedFiles = this.gitOps.getChangedFilesList();
+        this.commitSelection = new Map();
+        this.upstreamCheck = null;
 
-        if (changedFiles.length === 0) {
+        if (!this.renderChangedFilesList()) {
             this.showToast('No changes to commit', 'info');
             return;
         }
 
+        this.elements.commitMessage.value = '';
+        this.showModal('commit-modal');
+    }
+
+    /**
+     * Render the commit modal's changed files list.
+     * Returns false if there is nothing to commit.
+     */
+    renderChangedFilesList() {
+        const changedFiles = this.gitOps.getChangedFilesList();
+
+        if (changedFiles.length === 0) {
+            return false;
+        }
+
         // Populate changed files list
         this.elements.changedFilesList.innerHTML = '';
         changedFiles.forEach(file => {
+            if (!this.commitSelection.has(file.path)) {
+                // Files in queued commits are already on their way
+                this.commitSelection.set(file.path, { selected: !file.queued, staging: null });
+            }
+            const selection = this.commitSelection.get(file.path);
+
             const item = document.createElement('div');
             item.className = 'changed-file-item';
-            item.textContent = `📝 ${file.path}`;
+            item.dataset.path = file.path;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selection.selected;
+            checkbox.title = 'Include in commit';
+            checkbox.addEventListener('change', () => {
+                selection.selected = checkbox.checked;
+            });
+
+            const pathLabel = document.createElement('span');
+            pathLabel.className = 'file-path';
+            pathLabel.textContent = this.formatChangedFile(file);
+            pathLabel.title = 'Tap to view changes';
+            pathLabel.addEventListener('click', () => this.showFileDiff(file.path));
+
+            const stagingLabel = document.createElement('span');
+            stagingLabel.className = 'file-staging';
+            if (selection.staging) {
+                stagingLabel.textContent =
+                    `${selection.staging.stagedHunks.length} of ${selection.staging.hunks.length} changes`;
+            }
+
+            const row = document.createElement('div');
+            row.className = 'changed-file-row';
+            row.appendChild(checkbox);
+            row.appendChild(pathLabel);
+            row.appendChild(stagingLabel);
+            item.appendChild(row);
             this.elements.changedFilesList.appendChild(item);
         });
 
-        this.elements.commitMessage.value = '';
-        this.showModal('commit-modal');
+        this.flagUpstreamChanges(changedFiles.map(file => file.path));
+        this.renderMetaWarnings(changedFiles);
+        this.renderLfsWarnings();
+        return true;
     }
 
     /**
-     * Handle commit
+     * Get the commit files (from toCommitFile) that put real content at a
+     * path .gitattributes stores in Git LFS. The API can't upload LFS
+     * objects, so such content would be committed as a plain git blob.
      */
-    async handleCommit() {
-        const message = this.elements.commitMessage.value.trim();
+    getLfsViolations(files) {
+        return files.filter(file => {
+            if (file.deleted || !this.fileTree.isLfsTracked(file.path)) return false;
 
-        if (!message) {
-            this.showToast('Please enter a commit message', 'error');
-            return;
-        }
+            if (file.base64 !== undefined) {
+                return !Lfs.parsePointer(Codec.base64ToBytes(file.base64));
+            }
+            return file.content !== undefined && !Lfs.parsePointerText(file.content);
+        });
+    }
 
-        this.showLoading('Committing...');
-        this.hideModal('commit-modal');
+    /**
+     * Warn in the commit modal about changed files that belong in Git LFS
+     */
+    renderLfsWarnings() {
+        const container = this.elements.lfsWarnings;
+        const changes = this.gitOps.getUnsavedChanges();
+        const violations = this.getLfsViolations(
+            Object.entries(changes).map(([path, change]) => this.gitOps.toCommitFile(path, change))
+        );
 
-        try {
-            await this.gitOps.commitAllChanges(message);
+        container.innerHTML = '';
+        container.classList.toggle('hidden', violations.length === 0);
+        if (violations.length === 0) return;
 
-            // Mark current file as committed
-            if (this.currentFile) {
-                this.editor.markAsCommitted();
-            }
+        violations.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'meta-warning';
+            item.textContent = `⚠️ ${file.path} is tracked by Git LFS but will be committed as a regular file`;
+            container.appendChild(item);
+        });
 
-            this.showToast('Changes committed successfully', 'success');
-            this.updateStatusBar();
+        const help = document.createElement('p');
+        help.className = 'help-text';
+        help.textContent = 'This app can\'t upload to LFS. Commit these files from a Git client with LFS installed, or leave them out.';
+        container.appendChild(help);
+    }
 
-            // Reload tree to get updated SHAs
-            await this.loadFileTree();
-        } catch (error) {
-            this.showToast('Commit failed: ' + error.message, 'error');
-        } finally {
-            this.hideLoading();
+    /**
+     * Warn in the commit modal about changed Unity assets without a .meta
+     * file and .meta files left without their asset
+     */
+    renderMetaWarnings(changedFiles) {
+        const container = this.elements.metaWarnings;
+        const problems = UnityMeta.findProblems(
+            changedFiles.map(file => file.path),
+            this.fileTree.getAllFilePaths()
+        );
+
+        container.innerHTML = '';
+        container.classList.toggle('hidden', problems.length === 0);
+        if (problems.length === 0) return;
+
+        problems.forEach(problem => {
+            const item = document.createElement('div');
+            item.className = 'meta-warning';
+            item.textContent = problem.type === 'missing'
+                ? `⚠️ ${problem.assetPath} has no .meta file`
+                : `⚠️ ${problem.metaPath} has no matching asset`;
+            container.appendChild(item);
+        });
+
+        const missing = problems.filter(problem => problem.type === 'missing');
+        const orphaned = problems.filter(problem => problem.type === 'orphaned');
+
+        if (missing.length > 0) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary';
+            btn.textContent = 'Generate missing .meta';
+            btn.addEventListener('click', () => this.fixMetaProblems(missing));
+            container.appendChild(btn);
+        }
+
+        if (orphaned.length > 0) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary';
+            btn.textContent = 'Delete orphaned .meta';
+            btn.addEventListener('click', () => this.fixMetaProblems(orphaned));
+            container.appendChild(btn);
         }
     }
 
     /**
-     * Handle push
+     * Generate missing .meta files and delete orphaned ones as pending changes
      */
-    async handlePush() {
-        this.showLoading('Pushing...');
+    async fixMetaProblems(problems) {
+        const allPaths = this.fileTree.getAllFilePaths();
 
         try {
-            await this.gitOps.push();
-            this.showToast('All changes pushed', 'success');
+            problems.forEach(problem => {
+                if (problem.type === 'missing') {
+                    const isFolder = !allPaths.includes(problem.assetPath);
+                    // Generated .meta files are new files, like any created here
+                    Storage.setUnsavedChanges(
+                        this.currentRepo.owner,
+                        this.currentRepo.repo,
+                        problem.metaPath,
+                        UnityMeta.createMeta(problem.assetPath, isFolder),
+                        this.getRemoteBase(problem.metaPath) || { sha: null, commit: this.treeCommitSha }
+                    );
+                } else {
+                    this.gitOps.deletePath(problem.metaPath, this.getRemoteBase(problem.metaPath));
+                }
+            });
+
+            await this.loadFileTree();
+            this.updateStatusBar();
+            this.renderChangedFilesList();
         } catch (error) {
-            this.showToast(error.message, 'error');
-        } finally {
-            this.hideLoading();
+            this.showToast('Failed to update .meta files: ' + error.message, 'error');
         }
     }
 
     /**
-     * Handle pull
+     * Show the diff between a changed file's original blob and its local content
      */
-    async handlePull() {
-        this.showLoading('Pulling...');
+    async showFileDiff(filePath) {
+        const change = Storage.getUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo, filePath);
+        if (!change) return;
 
-        try {
-            const result = await this.gitOps.pull();
-            await this.loadFileTree();
+        // Binary uploads are shown as they will be committed
+        if (this.isBinaryUpload(filePath)) {
+            await this.previewFile(filePath);
+            return;
+        }
 
-            // Clear current file if open
-            if (this.currentFile) {
-                this.editor.clear();
-                this.currentFile = null;
-                this.elements.currentFileLabel.textContent = 'No file open';
-            }
+        const text = this.gitOps.getChangeText(change);
+        if (text === undefined) {
+            this.showToast(change.deleted ? 'File will be deleted' : 'File is moved without edits', 'info');
+            return;
+        }
 
-            this.showToast(result.message, 'success');
+        const selection = this.commitSelection.get(filePath) || { selected: true, staging: null };
+        const unstagedKeys = selection.staging && selection.staging.content === text
+            ? selection.staging.unstagedKeys
+            : [];
+
+        this.showLoading('Loading diff...');
+        let original;
+        try {
+            original = await this.gitOps.getOriginalContent(filePath);
         } catch (error) {
-            this.showToast(error.message, 'error');
+            this.showToast('Failed to load original file: ' + error.message, 'error');
+            return;
         } finally {
             this.hideLoading();
         }
+
+        if (!this.diffView) {
+            this.diffView = new DiffView(
+                this.elements.diffModal,
+                (path, content, originalContent) => this.gitOps.saveFileChanges(path, content, originalContent)
+            );
+        }
+
+        const language = this.editor ? this.editor.detectLanguage(filePath) : 'plaintext';
+        const result = await this.diffView.open(filePath, original, text, language, unstagedKeys);
+
+        // Remember which hunks go into the next commit
+        if (result.stagedHunks.length === 0) {
+            selection.selected = false;
+            selection.staging = null;
+        } else if (result.stagedHunks.length === result.hunks.length) {
+            selection.selected = true;
+            selection.staging = null;
+        } else {
+            selection.selected = true;
+            selection.staging = { original, ...result };
+        }
+        this.commitSelection.set(filePath, selection);
+
+        // Hunks may have been reverted
+        if (this.editor.hasFile(filePath)) {
+            this.editor.reloadSavedContent(filePath);
+        }
+        this.updateStatusBar();
+
+        if (!this.renderChangedFilesList()) {
+            this.hideModal('commit-modal');
+            this.showToast('No changes left to commit', 'info');
+        }
     }
 
     /**
-     * Load pinned files
+     * Format a changed file for the commit modal list
      */
-    loadPinnedFiles() {
-        this.pinnedFiles = Storage.getPinnedFiles(
-            this.currentRepo.owner,
-            this.currentRepo.repo
-        );
-        this.renderPinnedTabs();
+    formatChangedFile(file) {
+        const queued = file.queued ? ' ⏳ queued' : '';
+        switch (file.status) {
+            case 'deleted':
+                return `🗑️ ${file.path}${queued}`;
+            case 'renamed':
+                return `➡️ ${file.renamedFrom} → ${file.path}${queued}`;
+            case 'added':
+                return `➕ ${file.path}${queued}`;
+            default:
+                return `📝 ${file.path}${queued}`;
+        }
     }
 
     /**
-     * Render pinned tabs
+     * Flag files in the commit modal that changed on the remote since they
+     * were edited. The remote is checked once per opening of the modal (or
+     * tree load); the list's re-renders reuse the result.
      */
-    renderPinnedTabs() {
-        this.elements.pinnedTabs.innerHTML = '';
+    async flagUpstreamChanges(filePaths) {
+        const isNew = !this.upstreamCheck;
+        if (isNew) {
+            this.upstreamCheck = this.gitOps.checkUpstreamChanges(filePaths);
+        }
+        const check = this.upstreamCheck;
 
-        this.pinnedFiles.forEach(filePath => {
-            const tab = document.createElement('div');
-            tab.className = 'pinned-tab';
-            if (filePath === this.currentFile) {
-                tab.classList.add('active');
-            }
+        try {
+            const { conflicts } = await check;
+            if (check !== this.upstreamCheck) return;
 
-            const fileName = filePath.split('/').pop();
-            tab.innerHTML = `
+            conflicts.forEach(conflict => {
+                const item = this.elements.changedFilesList.querySelector(
+                    `[data-path="${CSS.escape(conflict.path)}"]`
+                );
+                if (!item) return;
+
+                item.classList.add('upstream-changed');
+                item.querySelector('.file-path').textContent = `⚠️ ${conflict.path}`;
+                item.title = conflict.remoteSha
+                    ? 'Changed on the remote since you edited it'
+                    : 'Deleted on the remote since you edited it';
+            });
+
+            if (isNew && conflicts.length > 0) {
+                this.showToast(`${conflicts.length} file(s) changed on the remote since you edited them`, 'error');
+            }
+        } catch (error) {
+            // Offline or rate limited: the commit itself will check again
+            if (isNew) {
+                console.error('Failed to check for upstream changes:', error);
+            }
+        }
+    }
+
+    /**
+     * Get the files selected in the commit modal, with only the staged hunks
+     * applied for partially staged files
+     */
+    getStagedFiles() {
+        const unsavedChanges = this.gitOps.getUnsavedChanges();
+
+        return Object.keys(unsavedChanges)
+            .filter(path => {
+                const selection = this.commitSelection.get(path);
+                return !selection || selection.selected;
+            })
+            .map(path => {
+                const change = unsavedChanges[path];
+                const selection = this.commitSelection.get(path);
+                const staging = selection && selection.staging;
+
+                // Ignore hunk staging if the file changed since it was staged
+                if (staging && staging.content === this.gitOps.getChangeText(change)) {
+                    // Part of an upload is committed as text in the upload's format
+                    const { base64, ...file } = this.gitOps.toCommitFile(path, change);
+                    return {
+                        ...file,
+                        ...(base64 !== undefined ? { format: Codec.decode(base64).format } : {}),
+                        content: Diff.applyHunks(staging.original, staging.content, staging.stagedHunks)
+                    };
+                }
+                return this.gitOps.toCommitFile(path, change);
+            });
+    }
+
+    /**
+     * Handle commit
+     */
+    async handleCommit() {
+        const message = this.elements.commitMessage.value.trim();
+
+        if (!message) {
+            this.showToast('Please enter a commit message', 'error');
+            return;
+        }
+
+        const files = this.getStagedFiles();
+        if (files.length === 0) {
+            this.showToast('Please select at least one file to commit', 'error');
+            return;
+        }
+
+        const lfsViolations = this.getLfsViolations(files);
+        if (lfsViolations.length > 0 &&
+            !confirm(`${lfsViolations.length} file(s) should be stored in Git LFS but will be committed as regular files. Commit anyway?`)) {
+            return;
+        }
+
+        this.showLoading('Committing...');
+        this.hideModal('commit-modal');
+
+        try {
+            const commit = await this.gitOps.commitMultipleFiles(files, message);
+
+            if (commit.queued) {
+                this.showToast('Offline: commit queued, it will be sent when you are back online', 'info');
+                this.updateStatusBar();
+                return;
+            }
+
+            const remaining = this.gitOps.getChangedFilesList().length;
+            this.showToast(
+                remaining > 0
+                    ? `Committed ${files.length} file(s), ${remaining} still pending`
+                    : 'Changes committed successfully',
+                'success'
+            );
+            this.updateStatusBar();
+
+            // Reload tree to get updated SHAs
+            await this.loadFileTree();
+
+            // Move open files' bases to their newly committed blobs
+            files
+                .filter(file => !file.deleted && this.editor.hasFile(file.path))
+                .forEach(file => {
+                    const sha = commit.blobShas[file.path];
+                    const stillChanged = Storage.getUnsavedChanges(
+                        this.currentRepo.owner,
+                        this.currentRepo.repo,
+                        file.path
+                    );
+
+                    if (stillChanged && file.content !== undefined) {
+                        this.editor.setBase(file.content, sha, commit.sha, file.path);
+                    } else {
+                        this.editor.markAsCommitted(sha, commit.sha, file.path);
+                    }
+
+                    if (file.path === this.currentFile) {
+                        this.currentFileSha = sha;
+                    }
+                });
+        } catch (error) {
+            this.showToast('Commit failed: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Replay commits queued while offline
+     */
+    async handleOnline() {
+        if (!this.gitOps || this.gitOps.queuedCommits.length === 0) {
+            this.refreshDivergence();
+            return;
+        }
+
+        const { replayed, error } = await this.gitOps.replayQueue();
+
+        if (replayed > 0) {
+            this.showToast(`Sent ${replayed} queued commit(s)`, 'success');
+            await this.reloadAfterReplay();
+        }
+        if (error && !error.offline) {
+            this.showToast('Failed to send queued commit: ' + error.message, 'error');
+        }
+
+        this.updateStatusBar();
+    }
+
+    /**
+     * Handle push
+     */
+    async handlePush() {
+        this.showLoading('Pushing...');
+
+        const queued = this.gitOps.queuedCommits.length;
+
+        try {
+            const result = await this.gitOps.push();
+            this.showToast(result.message, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            if (this.gitOps.queuedCommits.length < queued) {
+                await this.reloadAfterReplay();
+            }
+            this.updateStatusBar();
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Refresh the tree and the open file after queued commits were sent
+     */
+    async reloadAfterReplay() {
+        await this.loadFileTree();
+
+        // Keep edits that haven't been saved yet
+        if (this.currentFile && !this.editor.isDirtyState()) {
+            await this.handleFileSelect(this.currentFile, true);
+        }
+    }
+
+    /**
+     * Handle pull
+     */
+    async handlePull() {
+        this.showLoading('Pulling...');
+
+        try {
+            const result = await this.gitOps.pull();
+            await this.loadFileTree();
+
+            let message = result.message;
+            let remaining = 0;
+            if (result.conflicts.length > 0) {
+                this.hideLoading();
+                remaining = await this.resolvePullConflicts(result.conflicts);
+
+                // Conflicts resolved in the merge view count as merged
+                message = this.gitOps.getPullMessage(
+                    result.merged.length + result.conflicts.length - remaining,
+                    remaining,
+                    result.unresolved.length
+                );
+                if (remaining > 0) message += '. Pull again to resolve them.';
+            }
+
+            // Close tabs of files the pull removed; other tabs reload when next shown
+            const allPaths = new Set(this.fileTree.getAllFilePaths());
+            this.removeTabs(this.openFiles.filter(path => !allPaths.has(path)));
+
+            // Reload current file so it shows the merged content
+            if (this.currentFile) {
+                await this.handleFileSelect(this.currentFile, true);
+            }
+
+            this.showToast(message, remaining > 0 ? 'error' : 'success');
+            this.updateStatusBar();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Open the merge view for each file with pull conflicts.
+     * Returns how many were left unresolved.
+     */
+    async resolvePullConflicts(conflicts) {
+        if (!this.mergeView) {
+            this.mergeView = new MergeView(this.elements.mergeModal);
+        }
+
+        let skipped = 0;
+        for (const conflict of conflicts) {
+            const language = this.editor ? this.editor.detectLanguage(conflict.path) : 'plaintext';
+            const content = await this.mergeView.open(conflict.path, conflict.chunks, language);
+
+            if (content === null) {
+                skipped++;
+            } else {
+                this.gitOps.resolveConflict(conflict, content);
+            }
+        }
+
+        return skipped;
+    }
+
+    /**
+     * Open the pull request panel
+     */
+    showPullRequests() {
+        if (!this.prPanel) {
+            this.prPanel = new PullRequestPanel(
+                this.elements.prModal,
+                this.githubAPI,
+                (pr) => this.checkoutPullRequest(pr),
+                () => this.refreshPullRequest()
+            );
+        }
+
+        this.prPanel.setRepo(this.currentRepo.owner, this.currentRepo.repo, this.defaultBranch);
+        this.prPanel.open(this.currentBranch);
+    }
+
+    /**
+     * Open the history panel on the current branch's commits (filtered to
+     * the open file), or on a commit
+     */
+    showHistory(sha = null) {
+        if (!this.historyPanel) {
+            this.historyPanel = new HistoryPanel(this.elements.historyModal, this.githubAPI);
+        }
+
+        this.historyPanel.setRepo(this.currentRepo.owner, this.currentRepo.repo);
+        this.historyPanel.open(this.currentBranch, this.currentFile, sha);
+    }
+
+    /**
+     * Compare the branch with the default branch and its remote head, then
+     * update the status bar. Failures keep the last result.
+     */
+    async refreshDivergence() {
+        if (!this.gitOps || !this.defaultBranch || !navigator.onLine) {
+            this.updateStatusBar();
+            return;
+        }
+
+        try {
+            await this.gitOps.refreshDivergence(this.defaultBranch, this.treeCommitSha);
+        } catch (error) {
+            // Already logged; the status bar keeps the last comparison
+        }
+        this.updateStatusBar();
+    }
+
+    /**
+     * Open the list of incoming and outgoing commits, comparing afresh
+     */
+    async showSyncStatus() {
+        if (!this.syncPanel) {
+            this.syncPanel = new SyncPanel(
+                this.elements.syncModal,
+                (sha) => {
+                    this.hideModal('sync-modal');
+                    this.showHistory(sha);
+                },
+                () => {
+                    this.hideModal('sync-modal');
+                    this.handlePull();
+                }
+            );
+        }
+
+        this.syncPanel.open();
+
+        try {
+            const divergence = await this.gitOps.refreshDivergence(this.defaultBranch, this.treeCommitSha);
+            if (divergence) {
+                const queued = this.gitOps.queuedCommits.filter(commit => commit.branch === this.currentBranch);
+                this.syncPanel.render(divergence, queued);
+            } else {
+                this.syncPanel.showMessage(this.currentBranch && this.defaultBranch
+                    ? 'The branch was switched while comparing. Try again.'
+                    : 'No branch to compare');
+            }
+        } catch (error) {
+            this.syncPanel.showMessage(error.offline
+                ? 'Comparing branches needs a connection'
+                : `Failed to compare branches: ${error.message}`);
+        }
+        this.updateStatusBar();
+    }
+
+    /**
+     * Turn the editor's blame gutter on or off
+     */
+    toggleBlame() {
+        const shown = !this.editor.isBlameShown();
+        this.editor.showBlame(shown);
+        this.elements.blameBtn.classList.toggle('active', shown);
+
+        if (shown && !this.editor.hasBlame(this.currentFile)) {
+            this.loadBlame(this.currentFile);
+        }
+    }
+
+    /**
+     * Load who last changed each line of an open file, at the commit it was
+     * loaded from. Files that only exist locally have no commits yet.
+     */
+    async loadBlame(filePath) {
+        if (!this.fileTree.getRemoteSha(filePath)) {
+            this.editor.setBlame(filePath, []);
+            return;
+        }
+
+        try {
+            const ref = this.editor.getBaseCommit(filePath) || this.treeCommitSha;
+            const ranges = await this.githubAPI.getBlame(this.currentRepo.owner, this.currentRepo.repo, ref, filePath);
+            if (this.editor) {
+                this.editor.setBlame(filePath, ranges);
+            }
+        } catch (error) {
+            this.showToast('Failed to load blame: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Show the "Go to file" palette
+     */
+    showQuickOpen(initialQuery = '') {
+        if (!this.fileTree) return;
+
+        const recent = Storage.getRecentFiles(this.currentRepo.owner, this.currentRepo.repo);
+        const recentRank = new Map(recent.map((path, index) => [path, index]));
+
+        // As in desktop editors, a leading ">" lists commands instead
+        this.getPalette().open({
+            placeholder: 'Go to file... (type > for commands)',
+            getItems: (query) => query.startsWith('>')
+                ? this.getCommandItems(query.substring(1))
+                : this.getQuickOpenItems(query, recentRank),
+            onSelect: (item) => (item.run ? item.run() : this.handleFileSelect(item.path))
+        }, initialQuery);
+    }
+
+    /**
+     * Show the command palette
+     */
+    showCommandPalette() {
+        this.showQuickOpen('>');
+    }
+
+    /**
+     * Get the palette, creating it on first use
+     */
+    getPalette() {
+        if (!this.palette) {
+            this.palette = new Palette(this.elements.palette);
+        }
+        return this.palette;
+    }
+
+    /**
+     * Get the command palette items for a query: the registered commands
+     * that can run now, then Monaco's editor actions
+     */
+    getCommandItems(query) {
+        const entries = [
+            ...this.commands.getAvailable().map(command => ({
+                text: `${command.category}: ${command.title}`,
+                hint: command.keybinding || '',
+                run: () => this.runCommand(command.id)
+            })),
+            ...(this.editor ? this.editor.getEditorActions() : []).map(action => ({
+                text: `Editor: ${action.label}`,
+                hint: action.keybinding,
+                run: () => this.editor.runEditorAction(action.id)
+                    .catch(error => this.showToast(error.message, 'error'))
+            }))
+        ];
+
+        return Fuzzy.filter(query, entries, entry => entry.text).map(({ item, positions }) => ({
+            label: item.text,
+            labelPositions: positions,
+            hint: item.hint,
+            run: item.run
+        }));
+    }
+
+    /**
+     * Pick a symbol of the current file to go to
+     */
+    showSymbolPicker() {
+        const entries = CSharpSymbols.flatten(this.editor.getSymbols());
+
+        this.getPalette().open({
+            placeholder: 'Go to symbol...',
+            getItems: (query) => Fuzzy.filter(query, entries, entry => entry.symbol.name).map(({ item, positions }) => ({
+                symbol: item.symbol,
+                label: item.symbol.name,
+                labelPositions: positions,
+                description: item.parent ? item.parent.name : '',
+                hint: item.symbol.kind
+            })),
+            onSelect: (item) => this.goToSymbol(item.symbol)
+        });
+    }
+
+    /**
+     * Move the cursor to a symbol of the current file
+     */
+    goToSymbol(symbol) {
+        this.editor.revealSymbol(symbol);
+
+        // The outline covers the editor on mobile
+        if (window.innerWidth < 768 && this.outlinePanel) {
+            this.outlinePanel.close();
+        }
+    }
+
+    /**
+     * Pick a branch to switch to
+     */
+    showBranchPicker() {
+        const branches = [...this.elements.branchSelector.options].map(option => option.value);
+
+        this.getPalette().open({
+            placeholder: 'Switch to branch...',
+            getItems: (query) => Fuzzy.filter(query, branches, branch => branch).map(({ item, positions }) => ({
+                branch: item,
+                label: item,
+                labelPositions: positions,
+                hint: item === this.currentBranch ? 'current' : ''
+            })),
+            onSelect: (item) => {
+                this.elements.branchSelector.value = item.branch;
+                this.switchBranch(item.branch);
+            }
+        });
+    }
+
+    /**
+     * Pick the current file or one of its folders to hide from the tree
+     */
+    showHidePathPicker() {
+        const parts = this.currentFile.split('/');
+        const paths = parts.map((_, index) => parts.slice(0, parts.length - index).join('/'));
+
+        this.getPalette().open({
+            placeholder: 'Hide path...',
+            getItems: (query) => Fuzzy.filter(query, paths, path => path).map(({ item, positions }) => ({
+                path: item,
+                label: item,
+                labelPositions: positions,
+                hint: item === this.currentFile ? 'file' : 'folder'
+            })),
+            onSelect: (item) => this.hidePath(item.path)
+        });
+    }
+
+    /**
+     * Get the quick-open items for a query, fuzzy-matched against the
+     * file tree and boosted by how recently each file was opened
+     */
+    getQuickOpenItems(query, recentRank) {
+        const files = this.fileTree.flatFileList;
+        const boost = file => recentRank.has(file.path)
+            ? RECENT_FILE_BOOST * (1 - recentRank.get(file.path) / recentRank.size)
+            : 0;
+
+        // Without a query, list recent files first
+        const results = query.trim()
+            ? Fuzzy.filter(query, files, file => file.path, boost)
+            : files
+                .map(file => ({ item: file, score: boost(file), positions: [] }))
+                .sort((a, b) => b.score - a.score);
+
+        return results.map(({ item, positions }) => {
+            const slash = item.path.lastIndexOf('/');
+            return {
+                path: item.path,
+                label: item.name,
+                description: slash > 0 ? item.path.substring(0, slash) : '',
+                labelPositions: positions.filter(pos => pos > slash).map(pos => pos - slash - 1),
+                descriptionPositions: positions.filter(pos => pos < slash),
+                hint: recentRank.has(item.path) ? 'recent' : ''
+            };
+        });
+    }
+
+    /**
+     * Show the search panel
+     */
+    showSearch() {
+        if (!this.searchPanel) {
+            this.searchPanel = new SearchPanel(
+                this.elements.searchModal,
+                this.githubAPI,
+                (path, line, column, length) => this.openSearchMatch(path, line, column, length),
+                (changes) => this.applyReplacements(changes)
+            );
+        }
+
+        this.searchPanel.setRepo(this.currentRepo.owner, this.currentRepo.repo);
+        this.searchPanel.open(this.getSearchFiles());
+    }
+
+    /**
+     * Get the branch's files for searching, with the content of files
+     * changed locally or open in a tab
+     */
+    getSearchFiles() {
+        const changes = Storage.getAllUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo);
+
+        return this.fileTree.getAllFilePaths().map(path => {
+            const change = changes[path];
+            const file = {
+                path,
+                sha: this.fileTree.getRemoteSha(path) || (change && change.blobSha) || null
+            };
+
+            if (this.editor.hasFile(path)) {
+                file.content = this.editor.getFileContent(path);
+            } else if (change && change.content !== undefined) {
+                file.content = change.content;
+            } else if (change && change.base64 !== undefined) {
+                file.content = Codec.decode(change.base64).text;
+            }
+
+            return file;
+        });
+    }
+
+    /**
+     * Index the branch's C# symbols in the background
+     */
+    indexSymbols() {
+        if (!this.symbolIndex || !this.fileTree) return;
+
+        this.symbolIndex.setRepo(this.currentRepo.owner, this.currentRepo.repo);
+        this.symbolIndex.build(this.getSearchFiles()).catch(() => {
+            // Logged by the index; navigation falls back to the open files
+        });
+    }
+
+    /**
+     * Open a file at a range
+     */
+    async openLocation(path, range) {
+        await this.handleFileSelect(path);
+        if (this.currentFile === path) {
+            this.editor.revealRange(range);
+        }
+    }
+
+    /**
+     * Pick a declaration anywhere in the repository to go to
+     */
+    showWorkspaceSymbols() {
+        const openSymbols = this.editor.getOpenSymbolRecords();
+
+        this.getPalette().open({
+            placeholder: 'Go to symbol in workspace...',
+            getItems: (query) => this.symbolIndex.search(query, openSymbols).map(({ path, symbol, positions }) => ({
+                path,
+                symbol,
+                label: symbol.name,
+                labelPositions: positions,
+                description: symbol.container ? `${symbol.container} — ${path}` : path,
+                hint: symbol.kind
+            })),
+            onSelect: (item) => this.openLocation(item.path, item.symbol.selectionRange)
+        });
+    }
+
+    /**
+     * Open a search match in the editor
+     */
+    async openSearchMatch(path, line, column, length) {
+        await this.handleFileSelect(path);
+        if (this.currentFile === path) {
+            this.editor.revealMatch(line, column, length);
+        }
+    }
+
+    /**
+     * Save replaced file contents as local changes ([{ path, content }])
+     */
+    applyReplacements(changes) {
+        changes.forEach(({ path, content }) => {
+            Storage.setUnsavedChanges(
+                this.currentRepo.owner,
+                this.currentRepo.repo,
+                path,
+                content,
+                this.getRemoteBase(path)
+            );
+
+            if (this.editor.hasFile(path)) {
+                this.editor.reloadSavedContent(path);
+            }
+        });
+
+        this.renderEditorTabs();
+        this.updateStatusBar();
+        this.showToast(`Replaced in ${changes.length} file(s) (saved locally)`, 'success');
+    }
+
+    /**
+     * Switch to a pull request's head branch
+     */
+    async checkoutPullRequest(pr) {
+        const fullName = `${this.currentRepo.owner}/${this.currentRepo.repo}`;
+        if (!pr.head.repo || pr.head.repo.full_name !== fullName) {
+            this.showToast('Pull requests from forks cannot be checked out here', 'error');
+            return;
+        }
+
+        const branch = pr.head.ref;
+        const options = [...this.elements.branchSelector.options];
+        if (!options.some(option => option.value === branch)) {
+            const option = document.createElement('option');
+            option.value = branch;
+            option.textContent = branch;
+            this.elements.branchSelector.appendChild(option);
+        }
+
+        this.elements.branchSelector.value = branch;
+        await this.switchBranch(branch);
+
+        if (this.currentBranch === branch) {
+            this.prPanel.close();
+        }
+    }
+
+    /**
+     * Find the open pull request for the current branch and load its review comments
+     */
+    async refreshPullRequest() {
+        const branch = this.currentBranch;
+        this.currentPullRequest = null;
+        this.reviewComments = [];
+        this.elements.commentBtn.classList.add('hidden');
+        this.showReviewComments();
+
+        try {
+            const { owner, repo } = this.currentRepo;
+            const pullRequests = await this.githubAPI.listPullRequests(owner, repo, 'open', `${owner}:${branch}`);
+
+            // The branch may have changed while loading
+            if (pullRequests.length === 0 || branch !== this.currentBranch) return;
+
+            this.currentPullRequest = pullRequests[0];
+            this.reviewComments = await this.githubAPI.getReviewComments(owner, repo, this.currentPullRequest.number);
+            this.elements.commentBtn.classList.remove('hidden');
+            this.elements.commentBtn.title = `Comment on line (#${this.currentPullRequest.number})`;
+            this.showReviewComments();
+        } catch (error) {
+            console.error('Failed to load pull request:', error);
+        }
+    }
+
+    /**
+     * Show review comments on the open file's lines
+     */
+    showReviewComments() {
+        if (!this.editor) return;
+
+        this.editor.setLineComments(
+            this.reviewComments
+                .filter(comment => comment.path === this.currentFile && comment.line)
+                .map(comment => ({ line: comment.line, author: comment.user.login, body: comment.body }))
+        );
+    }
+
+    /**
+     * Post a review comment on the cursor's line of the open file
+     */
+    async handleCommentOnLine() {
+        const pr = this.currentPullRequest;
+        const line = this.editor ? this.editor.getCursorLine() : null;
+
+        if (!pr || !this.currentFile || !line) {
+            this.showToast('Open a file and place the cursor on a line', 'error');
+            return;
+        }
+
+        // Comments are anchored to the pushed version of the file
+        const unsaved = Storage.getUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo, this.currentFile);
+        if ((unsaved || this.editor.isDirtyState()) &&
+            !confirm('This file has local changes, so line numbers may not match the pull request. Comment anyway?')) {
+            return;
+        }
+
+        const body = prompt(`Comment on ${this.currentFile}:${line}`);
+        if (!body || !body.trim()) return;
+
+        this.showLoading('Posting comment...');
+
+        try {
+            // Anchor to the latest head, commits may have been pushed since
+            const latest = await this.githubAPI.getPullRequest(this.currentRepo.owner, this.currentRepo.repo, pr.number);
+            const comment = await this.githubAPI.createReviewComment(
+                this.currentRepo.owner,
+                this.currentRepo.repo,
+                pr.number,
+                latest.head.sha,
+                this.currentFile,
+                line,
+                body.trim()
+            );
+
+            this.reviewComments.push(comment);
+            this.showReviewComments();
+            this.showToast(`Commented on #${pr.number}`, 'success');
+        } catch (error) {
+            this.showToast('Failed to post comment: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Show an open file's path and state once it is the active tab
+     */
+    showOpenFile(filePath) {
+        this.currentFile = filePath;
+        this.currentFileSha = this.editor.getCurrentFile().sha;
+        if (!this.openFiles.includes(filePath)) {
+            this.openFiles.push(filePath);
+        }
+        Storage.addRecentFile(this.currentRepo.owner, this.currentRepo.repo, filePath);
+
+        // Update UI
+        this.elements.currentFileLabel.textContent = filePath;
+        this.elements.currentFileLabel.classList.toggle('dirty', this.editor.isDirtyState());
+        this.updatePinButton();
+        this.renderPinnedTabs();
+        this.renderEditorTabs();
+        this.showReviewComments();
+        this.saveOpenTabs();
+        this.keyboardToolbar.setFile(filePath);
+        this.updateLargeFileBar();
+
+        if (this.editor.isBlameShown() && !this.editor.hasBlame(filePath)) {
+            this.loadBlame(filePath);
+        }
+
+        // Close drawer on mobile
+        if (window.innerWidth < 768) {
+            this.closeFileTreeDrawer();
+        }
+    }
+
+    /**
+     * Show that no file is open
+     */
+    showNoFile() {
+        this.currentFile = null;
+        this.currentFileSha = null;
+        this.elements.currentFileLabel.textContent = 'No file open';
+        this.elements.currentFileLabel.classList.remove('dirty');
+        this.renderPinnedTabs();
+        this.renderEditorTabs();
+        this.keyboardToolbar.setFile(null);
+        this.updateLargeFileBar();
+    }
+
+    /**
+     * Show the read-only notice while a large file is open without editing
+     */
+    updateLargeFileBar() {
+        const readOnly = !!this.currentFile && this.editor.isReadOnly();
+        this.elements.largeFileBar.classList.toggle('hidden', !readOnly);
+    }
+
+    /**
+     * Turn on editing for the open large file
+     */
+    editLargeFile() {
+        if (!this.currentFile || !this.editor.isReadOnly()) return;
+
+        this.editor.enableEditing();
+        this.updateLargeFileBar();
+        this.editor.focus();
+    }
+
+    /**
+     * Render the open editor tabs
+     */
+    renderEditorTabs() {
+        if (!this.editorTabs) return;
+
+        // Tabs restored but not opened yet have no model, so check local changes
+        const dirtyFiles = new Set(this.openFiles.filter(path => {
+            if (this.editor.hasFile(path)) {
+                return this.editor.isDirtyState(path);
+            }
+            const unsaved = Storage.getUnsavedChanges(this.currentRepo.owner, this.currentRepo.repo, path);
+            return !!unsaved && unsaved.content !== undefined;
+        }));
+
+        this.editorTabs.render(this.openFiles, this.currentFile, dirtyFiles);
+    }
+
+    /**
+     * Remember the open tabs of the current branch
+     */
+    saveOpenTabs() {
+        Storage.setOpenTabs(
+            this.currentRepo.owner,
+            this.currentRepo.repo,
+            this.currentBranch,
+            this.openFiles,
+            this.currentFile
+        );
+    }
+
+    /**
+     * Reopen the tabs saved for the current branch. Only the active one is
+     * loaded; the others load when they are selected.
+     */
+    async restoreOpenTabs() {
+        const { files, active } = Storage.getOpenTabs(
+            this.currentRepo.owner,
+            this.currentRepo.repo,
+            this.currentBranch
+        );
+
+        const allPaths = new Set(this.fileTree.getAllFilePaths());
+        this.openFiles = files.filter(path => allPaths.has(path));
+        this.renderEditorTabs();
+
+        const activeFile = this.openFiles.includes(active)
+            ? active
+            : this.openFiles[this.openFiles.length - 1];
+        if (activeFile) {
+            await this.handleFileSelect(activeFile);
+        }
+    }
+
+    /**
+     * Close a tab, showing its neighbour if it was the active one
+     */
+    async closeTab(filePath) {
+        this.hideContextMenu();
+        if (!filePath || !this.openFiles.includes(filePath)) return;
+
+        if (this.editor.hasUnsavedEdits(filePath) &&
+            !confirm(`${filePath.split('/').pop()} has edits that are not saved. Close anyway?`)) {
+            return;
+        }
+
+        const index = this.openFiles.indexOf(filePath);
+        this.openFiles.splice(index, 1);
+        this.editor.closeFile(filePath);
+
+        if (filePath === this.currentFile) {
+            const next = this.openFiles[Math.min(index, this.openFiles.length - 1)];
+            if (next) {
+                await this.handleFileSelect(next);
+                return;
+            }
+            this.showNoFile();
+        } else {
+            this.renderEditorTabs();
+        }
+
+        this.saveOpenTabs();
+    }
+
+    /**
+     * Close every tab except one, and show it
+     */
+    async closeOtherTabs(filePath) {
+        this.hideContextMenu();
+        if (!filePath || !this.openFiles.includes(filePath)) return;
+
+        const others = this.openFiles.filter(path => path !== filePath);
+        const edited = others.filter(path => this.editor.hasUnsavedEdits(path));
+        if (edited.length > 0 &&
+            !confirm(`${edited.length} file(s) have edits that are not saved. Close anyway?`)) {
+            return;
+        }
+
+        others.forEach(path => this.editor.closeFile(path));
+        this.openFiles = [filePath];
+
+        if (filePath === this.currentFile) {
+            this.renderEditorTabs();
+            this.saveOpenTabs();
+        } else {
+            await this.handleFileSelect(filePath);
+        }
+    }
+
+    /**
+     * Close the tabs of files that no longer exist
+     */
+    removeTabs(paths) {
+        const removed = paths.filter(path => this.openFiles.includes(path));
+        if (removed.length === 0) return;
+
+        removed.forEach(path => this.editor.closeFile(path));
+        this.openFiles = this.openFiles.filter(path => !removed.includes(path));
+
+        if (removed.includes(this.currentFile)) {
+            this.showNoFile();
+        } else {
+            this.renderEditorTabs();
+        }
+
+        this.saveOpenTabs();
+    }
+
+    /**
+     * Show context menu for an editor tab
+     */
+    showTabContextMenu(x, y, filePath) {
+        this.hideContextMenu();
+        this.tabMenuPath = filePath;
+        this.elements.tabContextMenu.style.left = `${x}px`;
+        this.elements.tabContextMenu.style.top = `${y}px`;
+        this.elements.tabContextMenu.classList.remove('hidden');
+    }
+
+    /**
+     * Load pinned files
+     */
+    loadPinnedFiles() {
+        this.pinnedFiles = Storage.getPinnedFiles(
+            this.currentRepo.owner,
+            this.currentRepo.repo
+        );
+        this.renderPinnedTabs();
+    }
+
+    /**
+     * Render pinned tabs
+     */
+    renderPinnedTabs() {
+        this.elements.pinnedTabs.innerHTML = '';
+
+        this.pinnedFiles.forEach(filePath => {
+            const tab = document.createElement('div');
+            tab.className = 'pinned-tab';
+            if (filePath === this.currentFile) {
+                tab.classList.add('active');
+            }
+
+            const fileName = filePath.split('/').pop();
+            tab.innerHTML = `
                 <span>${fileName}</span>
                 <button class="pinned-tab-close" data-path="${filePath}">&times;</button>
             `;
@@ -824,10 +2485,26 @@ class App {
         const status = await this.gitOps.getCommitStatus();
         if (status) {
             const parts = [];
+            if (this.githubAPI.offline || !navigator.onLine) {
+                parts.push('Offline');
+            }
             if (status.uncommitted > 0) {
                 parts.push(`${status.uncommitted} uncommitted`);
             }
+            if (status.queued > 0) {
+                parts.push(`${status.queued} queued`);
+            }
+
+            const usage = await Storage.getStorageUsage();
+            const repoBytes = usage.repos[`${this.currentRepo.owner}/${this.currentRepo.repo}`] || 0;
+            if (usage.quota && usage.usage / usage.quota > 0.9) {
+                parts.push('Storage almost full');
+            }
+
             this.elements.statusText.textContent = parts.join(' • ') || 'Up to date';
+            this.renderSyncStatus(status);
+            this.elements.statusText.title = `Unsaved changes: ${this.formatBytes(repoBytes)}` +
+                (usage.quota ? ` • Storage used: ${this.formatBytes(usage.usage)} of ${this.formatBytes(usage.quota)}` : '');
         }
 
         // Update rate limit
@@ -838,36 +2515,162 @@ class App {
         }
     }
 
+    /**
+     * Show how far the branch is from the default branch, and whether the
+     * remote moved on since the tree was loaded
+     */
+    renderSyncStatus(status) {
+        const parts = [];
+        const titles = [];
+
+        if (status.remoteChanged) {
+            parts.push(status.remoteAhead > 0 ? `⇣${status.remoteAhead} new` : '⇣ rewritten');
+            titles.push(status.remoteAhead > 0
+                ? `${status.remoteAhead} new commit(s) on the remote, pull to get them`
+                : 'The remote branch was rewritten, pull to get it');
+        }
+        if (status.defaultBranch && status.defaultBranch !== this.currentBranch) {
+            parts.push(`↑${status.ahead} ↓${status.behind}`);
+            titles.push(`${status.ahead} ahead of, ${status.behind} behind ${status.defaultBranch}`);
+        }
+
+        const syncStatus = this.elements.syncStatus;
+        syncStatus.textContent = parts.join(' ');
+        syncStatus.title = titles.join('\n');
+        syncStatus.classList.toggle('hidden', parts.length === 0);
+        syncStatus.classList.toggle('remote-changed', status.remoteChanged);
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
     /**
      * Show new file modal
      */
     showNewFileModal() {
         this.elements.newFilePath.value = '';
+        this.elements.newFileNamespace.value = '';
+        this.newFileNamespaceEdited = false;
+        this.renderTemplateOptions();
         this.showModal('new-file-modal');
     }
 
+    /**
+     * Fill the template picker with the built-in and the repo's own templates
+     */
+    renderTemplateOptions() {
+        const select = this.elements.newFileTemplate;
+        const repoTemplates = ScriptTemplates.getRepoTemplates(this.fileTree.getAllFilePaths());
+        this.newFileTemplates = new Map(
+            [...ScriptTemplates.getBuiltinTemplates(), ...repoTemplates].map(template => [template.id, template])
+        );
+
+        select.innerHTML = '<option value="">Empty file</option>';
+
+        const addGroup = (label, templates) => {
+            if (templates.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
+
+        addGroup('Unity', ScriptTemplates.getBuiltinTemplates());
+        addGroup(this.currentRepo.repo, repoTemplates);
+    }
+
+    /**
+     * Suggest a namespace for the new file's path, unless one was typed in
+     */
+    async updateNewFileNamespace() {
+        const filePath = this.elements.newFilePath.value.trim();
+        if (!filePath || this.newFileNamespaceEdited) return;
+
+        const allPaths = this.fileTree.getAllFilePaths();
+        const asmdefPath = ScriptTemplates.findAsmdef(filePath, allPaths);
+        let asmdefContent = null;
+
+        if (asmdefPath) {
+            try {
+                asmdefContent = await this.gitOps.getFileContent(asmdefPath);
+            } catch (error) {
+                console.error('Failed to load asmdef:', error);
+            }
+        }
+
+        // The path may have changed while the asmdef was loading
+        if (filePath === this.elements.newFilePath.value.trim() && !this.newFileNamespaceEdited) {
+            this.elements.newFileNamespace.value = ScriptTemplates.inferNamespace(filePath, asmdefPath, asmdefContent);
+        }
+    }
+
+    /**
+     * Build the content of a new file from the selected template
+     */
+    async renderNewFileContent(filePath, template) {
+        if (!template) return '';
+
+        const body = template.path
+            ? await this.gitOps.getFileContent(template.path)
+            : template.body;
+
+        return ScriptTemplates.render(
+            body,
+            ScriptTemplates.getClassName(filePath),
+            this.elements.newFileNamespace.value.trim()
+        );
+    }
+
     /**
      * Handle create file
      */
     async handleCreateFile() {
-        const filePath = this.elements.newFilePath.value.trim();
+        let filePath = this.elements.newFilePath.value.trim();
+        const template = this.newFileTemplates.get(this.elements.newFileTemplate.value) || null;
 
         if (!filePath) {
             this.showToast('Please enter a file path', 'error');
             return;
         }
 
+        // Templates know their extension, so "Player" becomes "Player.cs"
+        const fileName = filePath.split('/').pop();
+        if (template && template.extension && !fileName.includes('.')) {
+            filePath += template.extension;
+        }
+
         this.showLoading('Creating file...');
         this.hideModal('new-file-modal');
 
         try {
-            await this.githubAPI.createNewFile(
+            if (this.fileTree.pathExists(filePath)) {
+                throw new Error(`${filePath} already exists`);
+            }
+
+            // Typing the path and tapping Create may not leave time for the suggestion
+            await this.updateNewFileNamespace();
+            const content = await this.renderNewFileContent(filePath, template);
+
+            // Unity assets are created with their .meta so the GUID is shared
+            const metaFiles = UnityMeta.getMetaFilesForNewFile(filePath, this.fileTree.getAllFilePaths());
+            await this.githubAPI.commitMultipleFiles(
                 this.currentRepo.owner,
                 this.currentRepo.repo,
-                filePath,
-                '',
-                `Create ${filePath}`,
-                this.currentBranch
+                this.currentBranch,
+                [{ path: filePath, content }, ...metaFiles],
+                `Create ${filePath}`
             );
 
             // Reload tree
@@ -884,11 +2687,195 @@ class App {
         }
     }
 
+    /**
+     * Show the upload modal. Files are staged in folder, or replace
+     * replacePath when given.
+     */
+    showUploadModal(folder = '', replacePath = null) {
+        this.uploadReplacePath = replacePath;
+        this.elements.uploadInput.value = '';
+        this.elements.uploadInput.multiple = !replacePath;
+        this.elements.uploadFolder.value = replacePath || folder;
+        this.elements.uploadFolder.placeholder = replacePath ? 'path/to/file.png' : 'Folder (empty for the repository root)';
+        this.elements.uploadExpandZip.checked = false;
+        this.renderUploadList();
+        this.showModal('upload-modal');
+    }
+
+    /**
+     * Open the upload modal for the context menu item: into a folder, or
+     * replacing a file
+     */
+    showContextUpload() {
+        this.hideContextMenu();
+        if (!this.contextMenuPath) return;
+
+        if (this.contextMenuType === 'tree') {
+            this.showUploadModal(this.contextMenuPath);
+        } else {
+            this.showUploadModal('', this.contextMenuPath);
+        }
+    }
+
+    /**
+     * Get the path each chosen file is staged at. Zips that are expanded
+     * go into a folder named after them.
+     */
+    getUploadTargets() {
+        const target = this.elements.uploadFolder.value.trim().replace(/^\/+|\/+$/g, '');
+        const files = Array.from(this.elements.uploadInput.files);
+
+        if (this.uploadReplacePath) {
+            return files.slice(0, 1).map(file => ({ file, path: target, expand: false }));
+        }
+
+        const expandZips = this.elements.uploadExpandZip.checked;
+        return files.map(file => {
+            const expand = expandZips && /\.zip$/i.test(file.name);
+            const name = expand ? file.name.replace(/\.zip$/i, '') : file.name;
+            return { file, path: target ? `${target}/${name}` : name, expand };
+        });
+    }
+
+    /**
+     * List the chosen files with the paths they will be staged at
+     */
+    renderUploadList() {
+        const list = this.elements.uploadList;
+        list.innerHTML = '';
+
+        this.getUploadTargets().forEach(({ file, path, expand }) => {
+            const item = document.createElement('div');
+            item.className = 'upload-item';
+
+            const name = document.createElement('span');
+            name.className = 'upload-path';
+            name.textContent = expand ? `${path}/…` : path;
+
+            const details = document.createElement('span');
+            details.className = 'upload-details';
+            const notes = [this.formatBytes(file.size)];
+            if (expand) notes.push('expanded');
+            else if (path && this.fileTree.pathExists(path)) notes.push('replaces');
+            if (!expand && path && this.fileTree.isLfsTracked(path)) notes.push('LFS path');
+            details.textContent = notes.join(' • ');
+
+            item.appendChild(name);
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Read the chosen files, expanding zips if asked to, and stage them
+     */
+    async handleUpload() {
+        const targets = this.getUploadTargets();
+
+        if (targets.length === 0) {
+            this.showToast('Please choose a file to upload', 'error');
+            return;
+        }
+
+        if (targets.some(({ path }) => !path)) {
+            this.showToast('Please enter a path', 'error');
+            return;
+        }
+
+        const tooLarge = targets.find(({ file, expand }) => !expand && this.githubAPI.exceedsBlobLimit(file.size));
+        if (tooLarge) {
+            this.showToast(`${tooLarge.file.name} is too large (>100MB)`, 'error');
+            return;
+        }
+
+        this.showLoading('Reading files...');
+        this.hideModal('upload-modal');
+
+        try {
+            const staged = [];
+            for (const { file, path, expand } of targets) {
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (!expand) {
+                    staged.push({ path, bytes });
+                    continue;
+                }
+
+                if (!Zip.isZip(bytes)) {
+                    throw new Error(`${file.name} is not a zip archive`);
+                }
+                const entries = await Zip.extract(bytes);
+                entries.forEach(entry => staged.push({ path: `${path}/${entry.path}`, bytes: entry.bytes }));
+            }
+
+            const tooLargeEntry = staged.find(({ bytes }) => this.githubAPI.exceedsBlobLimit(bytes.length));
+            if (tooLargeEntry) {
+                throw new Error(`${tooLargeEntry.path} is too large (>100MB)`);
+            }
+
+            await this.stageUploads(staged);
+        } catch (error) {
+            this.showToast('Failed to upload: ' + error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Stage uploaded files as pending changes, with .meta files for new
+     * Unity assets
+     */
+    async stageUploads(staged) {
+        const uploadPaths = new Set(staged.map(({ path }) => path));
+        const knownPaths = this.fileTree.getAllFilePaths();
+        const writes = [];
+
+        staged.forEach(({ path, bytes }) => {
+            const isNew = !this.fileTree.pathExists(path);
+            writes.push(this.gitOps.stageUpload(
+                path,
+                bytes,
+                this.getRemoteBase(path) || { sha: null, commit: this.treeCommitSha }
+            ));
+
+            if (!isNew) return;
+
+            // New Unity assets get their .meta, unless it is uploaded too
+            UnityMeta.getMetaFilesForNewFile(path, knownPaths)
+                .filter(meta => !uploadPaths.has(meta.path) && !knownPaths.includes(meta.path))
+                .forEach(meta => {
+                    writes.push(Storage.setUnsavedChanges(
+                        this.currentRepo.owner,
+                        this.currentRepo.repo,
+                        meta.path,
+                        meta.content,
+                        { sha: null, commit: this.treeCommitSha }
+                    ));
+                    knownPaths.push(meta.path);
+                });
+            knownPaths.push(path);
+        });
+
+        const saved = await Promise.all(writes);
+
+        // Open tabs of replaced files would show the old content
+        this.removeTabs([...uploadPaths]);
+
+        await this.loadFileTree();
+        this.updateStatusBar();
+
+        // Failed writes were already reported by Storage
+        if (saved.every(Boolean)) {
+            this.showToast(`Staged ${staged.length} file(s) (pending commit)`, 'success');
+        }
+    }
+
     /**
      * Show context menu for file tree item
      */
-    showContextMenu(x, y, path) {
+    showContextMenu(x, y, path, type) {
         this.contextMenuPath = path;
+        this.contextMenuType = type;
+        this.elements.contextUpload.textContent = type === 'tree' ? 'Upload Files Here...' : 'Replace with Upload...';
         this.elements.contextMenu.style.left = `${x}px`;
         this.elements.contextMenu.style.top = `${y}px`;
         this.elements.contextMenu.classList.remove('hidden');
@@ -899,6 +2886,7 @@ class App {
      */
     hideContextMenu() {
         this.elements.contextMenu.classList.add('hidden');
+        this.elements.tabContextMenu.classList.add('hidden');
     }
 
     /**
@@ -907,17 +2895,177 @@ class App {
     handleHideItem() {
         if (!this.contextMenuPath) return;
 
+        this.hideContextMenu();
+        this.hidePath(this.contextMenuPath);
+    }
+
+    /**
+     * Hide a file or folder from the tree
+     */
+    hidePath(path) {
         Storage.addHiddenPath(
             this.currentRepo.owner,
             this.currentRepo.repo,
-            this.contextMenuPath
+            path
         );
 
-        this.hideContextMenu();
         this.fileTree.render();
         this.showToast('Item hidden', 'info');
     }
 
+    /**
+     * Get the remote base ({ sha, commit }) of a path, or null if it only exists locally
+     */
+    getRemoteBase(path) {
+        const sha = this.fileTree.getRemoteSha(path);
+        return sha ? { sha, commit: this.treeCommitSha, mode: this.fileTree.getRemoteMode(path) } : null;
+    }
+
+    /**
+     * Get the files affected by an operation on a file or folder,
+     * including Unity .meta companions
+     */
+    getAffectedPaths(path, type) {
+        const paths = type === 'tree' ? this.fileTree.getFilesInFolder(path) : [path];
+
+        // A file's or folder's .meta companion goes along with it
+        const meta = UnityMeta.getMetaPath(path);
+        if (!paths.includes(meta) && this.fileTree.pathExists(meta)) {
+            paths.push(meta);
+        }
+
+        return paths;
+    }
+
+    /**
+     * Show rename / move modal for the context menu item
+     */
+    showRenameModal() {
+        this.hideContextMenu();
+        if (!this.contextMenuPath) return;
+
+        this.renameSource = { path: this.contextMenuPath, type: this.contextMenuType };
+        this.elements.renamePath.value = this.contextMenuPath;
+        this.showModal('rename-modal');
+    }
+
+    /**
+     * Handle rename / move of a file or folder
+     */
+    async handleRenameItem() {
+        const { path: fromPath, type } = this.renameSource || {};
+        const toPath = this.elements.renamePath.value.trim().replace(/^\/+|\/+$/g, '');
+
+        if (!fromPath) return;
+
+        if (!toPath) {
+            this.showToast('Please enter a path', 'error');
+            return;
+        }
+
+        if (toPath === fromPath) {
+            this.hideModal('rename-modal');
+            return;
+        }
+
+        if (toPath.startsWith(fromPath + '/')) {
+            this.showToast('Cannot move a folder into itself', 'error');
+            return;
+        }
+
+        if (this.fileTree.pathExists(toPath)) {
+            this.showToast(`${toPath} already exists`, 'error');
+            return;
+        }
+
+        const moves = this.getAffectedPaths(fromPath, type).map(path => {
+            const target = path === UnityMeta.getMetaPath(fromPath)
+                ? UnityMeta.getMetaPath(toPath)
+                : toPath + path.substring(fromPath.length);
+            return [path, target];
+        });
+
+        // The .meta companion must not land on an existing file either
+        const movedFrom = new Set(moves.map(([from]) => from));
+        const taken = moves.find(([, to]) => this.fileTree.pathExists(to) && !movedFrom.has(to));
+        if (taken) {
+            this.showToast(`${taken[1]} already exists`, 'error');
+            return;
+        }
+
+        this.hideModal('rename-modal');
+
+        try {
+            moves.forEach(([from, to]) => {
+                this.gitOps.renamePath(from, to, this.getRemoteBase(from), this.getRemoteBase(to));
+            });
+
+            // Keep pins and open tabs pointing at the moved files
+            const movedTo = new Map(moves);
+            const pinned = Storage.getPinnedFiles(this.currentRepo.owner, this.currentRepo.repo);
+            Storage.setPinnedFiles(
+                this.currentRepo.owner,
+                this.currentRepo.repo,
+                pinned.map(pin => movedTo.get(pin) || pin)
+            );
+            this.loadPinnedFiles();
+
+            await this.loadFileTree();
+            this.updateStatusBar();
+
+            const current = this.currentFile;
+            this.openFiles = this.openFiles.map(path => movedTo.get(path) || path);
+            movedTo.forEach((to, from) => this.editor.closeFile(from));
+
+            if (movedTo.has(current)) {
+                await this.handleFileSelect(movedTo.get(current));
+            } else {
+                this.renderEditorTabs();
+                this.saveOpenTabs();
+            }
+
+            this.showToast(`Moved to ${toPath} (pending commit)`, 'success');
+        } catch (error) {
+            this.showToast('Failed to move: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle deletion of a file or folder
+     */
+    async handleDeleteItem() {
+        this.hideContextMenu();
+        const path = this.contextMenuPath;
+        if (!path) return;
+
+        const paths = this.getAffectedPaths(path, this.contextMenuType);
+        const what = this.contextMenuType === 'tree' ? `folder ${path} (${paths.length} files)` : path;
+        if (!confirm(`Delete ${what}? The deletion is committed with your other changes.`)) {
+            return;
+        }
+
+        try {
+            paths.forEach(filePath => {
+                this.gitOps.deletePath(filePath, this.getRemoteBase(filePath));
+            });
+
+            paths.forEach(filePath => {
+                if (Storage.isFilePinned(this.currentRepo.owner, this.currentRepo.repo, filePath)) {
+                    Storage.removePinnedFile(this.currentRepo.owner, this.currentRepo.repo, filePath);
+                }
+            });
+            this.loadPinnedFiles();
+
+            this.removeTabs(paths);
+
+            await this.loadFileTree();
+            this.updateStatusBar();
+            this.showToast(`Deleted ${path} (pending commit)`, 'info');
+        } catch (error) {
+            this.showToast('Failed to delete: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Show hidden items modal
      */
@@ -964,14 +3112,46 @@ class App {
         this.githubAPI = null;
         this.fileTree = null;
         this.gitOps = null;
+        this.prPanel = null;
+        this.historyPanel = null;
+        this.syncPanel = null;
+        this.preview = null;
+        this.searchPanel = null;
         this.currentRepo = null;
+        this.lfsAttributesKey = null;
+        this.lfsAttributesLoading = null;
+
+        if (this.palette) {
+            this.palette.close();
+        }
         this.currentBranch = null;
         this.currentFile = null;
+        this.currentPullRequest = null;
+        this.reviewComments = [];
+        this.openFiles = [];
 
         if (this.editor) {
             this.editor.dispose();
             this.editor = null;
         }
+        this.elements.blameBtn.classList.remove('active');
+
+        if (this.editorTabs) {
+            this.editorTabs.clear();
+        }
+
+        if (this.outlinePanel) {
+            this.outlinePanel.clear();
+        }
+
+        if (this.suggestionStrip) {
+            this.suggestionStrip.clear();
+        }
+
+        if (this.symbolIndex) {
+            this.symbolIndex.dispose();
+            this.symbolIndex = null;
+        }
 
         this.showScreen('login');
         this.showToast('Logged out successfully', 'info');
@@ -0,0 +1,177 @@
+/**
+ * Codec Module
+ * Converts between GitHub's base64 file contents and editor text without
+ * losing bytes. Each file's format (encoding and BOM) is detected when it
+ * is decoded and reused when it is encoded again; line endings stay in the
+ * text as they were.
+ */
+
+// Format of files created in the app
+export const DEFAULT_FORMAT = { encoding: 'utf-8', bom: false };
+
+const BOMS = {
+    'utf-8': [0xEF, 0xBB, 0xBF],
+    'utf-16le': [0xFF, 0xFE],
+    'utf-16be': [0xFE, 0xFF]
+};
+
+// How much of a file is sampled to tell binary and UTF-16 content apart
+const SAMPLE_SIZE = 8000;
+
+export class Codec {
+    /**
+     * Decode base64 content into { text, format, binary }. Text is empty
+     * for binary content.
+     */
+    static decode(base64) {
+        return this.decodeBytes(this.base64ToBytes(base64 || ''));
+    }
+
+    /**
+     * Decode bytes into { text, format, binary }. Files with a BOM keep it
+     * in their format rather than in the text; UTF-8 that doesn't decode
+     * cleanly is read as Latin-1 so it round-trips byte for byte.
+     */
+    static decodeBytes(bytes) {
+        const bomEncoding = Object.keys(BOMS).find(encoding => this.startsWith(bytes, BOMS[encoding]));
+        const encoding = bomEncoding || this.sniffUtf16(bytes);
+        const format = { encoding: encoding || 'utf-8', bom: !!bomEncoding };
+
+        if (!encoding && this.isBinary(bytes)) {
+            return { text: '', format, binary: true };
+        }
+
+        const body = bomEncoding ? bytes.subarray(BOMS[bomEncoding].length) : bytes;
+
+        if (format.encoding !== 'utf-8') {
+            return { text: new TextDecoder(format.encoding, { ignoreBOM: true }).decode(body), format, binary: false };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(body), format, binary: false };
+        } catch (e) {
+            return { text: this.decodeLatin1(body), format: { encoding: 'latin1', bom: false }, binary: false };
+        }
+    }
+
+    /**
+     * Encode text as base64 in a file's format
+     */
+    static encode(text, format = DEFAULT_FORMAT) {
+        return this.bytesToBase64(this.encodeBytes(text, format));
+    }
+
+    /**
+     * Encode text as bytes in a file's format
+     */
+    static encodeBytes(text, format = DEFAULT_FORMAT) {
+        const encoding = (format && format.encoding) || DEFAULT_FORMAT.encoding;
+        const bom = format && format.bom && BOMS[encoding] ? BOMS[encoding] : [];
+
+        let body;
+        if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+            body = this.encodeUtf16(text, encoding === 'utf-16le');
+        } else if (encoding === 'latin1') {
+            // Characters Latin-1 can't hold become '?'
+            body = Uint8Array.from(text, char => char.charCodeAt(0) <= 0xFF ? char.charCodeAt(0) : 0x3F);
+        } else {
+            body = new TextEncoder().encode(text);
+        }
+
+        if (bom.length === 0) return body;
+
+        const bytes = new Uint8Array(bom.length + body.length);
+        bytes.set(bom);
+        bytes.set(body, bom.length);
+        return bytes;
+    }
+
+    /**
+     * Encode text as UTF-16 code units
+     */
+    static encodeUtf16(text, littleEndian) {
+        const bytes = new Uint8Array(text.length * 2);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < text.length; i++) {
+            view.setUint16(i * 2, text.charCodeAt(i), littleEndian);
+        }
+        return bytes;
+    }
+
+    /**
+     * Decode bytes as Latin-1, one character per byte
+     */
+    static decodeLatin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    /**
+     * Convert base64 (GitHub wraps it in newlines) to bytes
+     */
+    static base64ToBytes(base64) {
+        const binary = atob(base64.replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Convert bytes to base64
+     */
+    static bytesToBase64(bytes) {
+        return btoa(this.decodeLatin1(bytes));
+    }
+
+    /**
+     * Check if bytes start with a prefix
+     */
+    static startsWith(bytes, prefix) {
+        return bytes.length >= prefix.length && prefix.every((byte, i) => bytes[i] === byte);
+    }
+
+    /**
+     * Detect UTF-16 without a BOM: mostly ASCII text has a zero byte in
+     * nearly every other position
+     */
+    static sniffUtf16(bytes) {
+        const length = Math.min(bytes.length, SAMPLE_SIZE) & ~1;
+        if (length < 4) return null;
+
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < length; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+
+        const units = length / 2;
+        if (oddZeros > units * 0.7 && evenZeros < units * 0.1) return 'utf-16le';
+        if (evenZeros > units * 0.7 && oddZeros < units * 0.1) return 'utf-16be';
+        return null;
+    }
+
+    /**
+     * Check if bytes look binary (a NUL byte near the start, as git does)
+     */
+    static isBinary(bytes) {
+        return bytes.subarray(0, SAMPLE_SIZE).includes(0);
+    }
+
+    /**
+     * Get the line ending a text uses most, or null if it has no line breaks
+     */
+    static detectEol(text) {
+        const crlf = (text.match(/\r\n/g) || []).length;
+        const lf = (text.match(/\n/g) || []).length - crlf;
+        if (crlf === 0 && lf === 0) return null;
+        return crlf > lf ? '\r\n' : '\n';
+    }
+}
+
+export default Codec;
@@ -0,0 +1,120 @@
+/**
+ * Commands Module
+ * Registry of IDE actions, so buttons, keyboard shortcuts and the
+ * command palette all run the same code
+ */
+
+export class CommandRegistry {
+    constructor() {
+        // id -> { id, title, category, keybinding, when, run }
+        this.commands = new Map();
+    }
+
+    /**
+     * Register a command. keybinding is optional, e.g. 'Ctrl+Shift+P'
+     * (Ctrl also matches Cmd); when is an optional check that the command
+     * can run right now.
+     */
+    register(command) {
+        if (!command.id || typeof command.run !== 'function') {
+            throw new Error('A command needs an id and a run function');
+        }
+        this.commands.set(command.id, command);
+        return command;
+    }
+
+    /**
+     * Register several commands
+     */
+    registerAll(commands) {
+        commands.forEach(command => this.register(command));
+    }
+
+    /**
+     * Remove a command
+     */
+    unregister(id) {
+        return this.commands.delete(id);
+    }
+
+    /**
+     * Get a command by id
+     */
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    /**
+     * Check if a command can run right now
+     */
+    isEnabled(command) {
+        return !command.when || !!command.when();
+    }
+
+    /**
+     * Get the commands that can run right now, sorted by category and title
+     */
+    getAvailable() {
+        return [...this.commands.values()]
+            .filter(command => this.isEnabled(command))
+            .sort((a, b) =>
+                (a.category || '').localeCompare(b.category || '') || a.title.localeCompare(b.title)
+            );
+    }
+
+    /**
+     * Run a command. Resolves false if it can't run right now.
+     */
+    async execute(id) {
+        const command = this.get(id);
+        if (!command) {
+            throw new Error(`Unknown command: ${id}`);
+        }
+        if (!this.isEnabled(command)) {
+            return false;
+        }
+
+        try {
+            await command.run();
+            return true;
+        } catch (error) {
+            console.error(`Failed to run command ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run the command bound to a key event, if any. Returns the command's
+     * execution promise, or null if no command is bound to the keys.
+     * Keys the editor already handled (defaultPrevented) are left alone.
+     */
+    handleKeyDown(e) {
+        if (e.defaultPrevented) return null;
+
+        for (const command of this.commands.values()) {
+            if (command.keybinding && CommandRegistry.matchesKeybinding(e, command.keybinding) &&
+                this.isEnabled(command)) {
+                e.preventDefault();
+                return this.execute(command.id);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a key event against a keybinding such as 'Ctrl+Shift+F'
+     */
+    static matchesKeybinding(e, keybinding) {
+        const parts = keybinding.split('+');
+        const key = parts.pop().toLowerCase();
+        const modifiers = new Set(parts.map(part => part.toLowerCase()));
+
+        return (e.ctrlKey || e.metaKey) === modifiers.has('ctrl') &&
+            e.shiftKey === modifiers.has('shift') &&
+            e.altKey === modifiers.has('alt') &&
+            e.key.toLowerCase() === key;
+    }
+}
+
+export default CommandRegistry;
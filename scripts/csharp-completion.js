@@ -0,0 +1,867 @@
+/**
+ * C# Completion Module
+ * Offline completions and signature help for C#: keywords, Unity messages
+ * and UnityEngine types (unity-api.js), and the types declared in the
+ * repository. Like CSharpSymbols it works on tokens rather than a full
+ * parse, so it copes with the half-typed code completion runs on.
+ */
+
+import { CSharpSymbols } from './csharp-symbols.js';
+import { UnityApi } from './unity-api.js';
+
+const TOP_LEVEL_KEYWORDS = [
+    'using', 'namespace', 'public', 'internal', 'static', 'abstract', 'sealed', 'partial',
+    'class', 'struct', 'interface', 'enum', 'record', 'delegate'
+];
+
+const MEMBER_KEYWORDS = [
+    'public', 'private', 'protected', 'internal', 'static', 'readonly', 'const', 'virtual',
+    'override', 'abstract', 'sealed', 'async', 'event', 'new', 'partial', 'void',
+    'class', 'struct', 'interface', 'enum'
+];
+
+const STATEMENT_KEYWORDS = [
+    'if', 'else', 'for', 'foreach', 'while', 'do', 'switch', 'case', 'default', 'break',
+    'continue', 'return', 'yield', 'new', 'var', 'this', 'base', 'null', 'true', 'false',
+    'try', 'catch', 'finally', 'throw', 'using', 'in', 'is', 'as', 'out', 'ref', 'typeof',
+    'nameof', 'await', 'lock', 'const'
+];
+
+const ACCESSOR_KEYWORDS = ['get', 'set', 'init', 'add', 'remove', 'private', 'protected', 'internal'];
+
+const BUILTIN_TYPES = [
+    'bool', 'byte', 'char', 'decimal', 'double', 'float', 'int', 'long', 'object',
+    'sbyte', 'short', 'string', 'uint', 'ulong', 'ushort'
+];
+
+// Words that can come before a name without being its type
+const NOT_TYPES = new Set([
+    ...STATEMENT_KEYWORDS, ...MEMBER_KEYWORDS.filter(word => word !== 'void'),
+    'params', 'when', 'where', 'select', 'from', 'goto', 'checked', 'unchecked'
+]);
+
+const TYPE_KINDS = new Set(['class', 'struct', 'interface', 'enum', 'record']);
+
+// Type parameters of the bundled generic types, to substitute their arguments
+const GENERIC_PARAMETERS = {
+    List: ['T'],
+    Dictionary: ['TKey', 'TValue']
+};
+
+const MAX_BASE_DEPTH = 10;
+
+export class CSharpCompletion {
+    /**
+     * Get the completions at an offset. symbols is the file's
+     * CSharpSymbols.parse tree; repo ({ getTypes(), getMembers(typeName) },
+     * optional) supplies symbol records of the repository's types.
+     * Returns { items, prefix, memberAccess }, items being
+     * { label, kind, detail, documentation, insertText, snippet, sortText }
+     * for the word being typed (prefix) - unfiltered, as editors filter them.
+     */
+    static getCompletions(source, offset, symbols = [], repo = null) {
+        const context = this.analyze(source, offset, symbols, repo);
+        const result = { items: [], prefix: context.prefix, memberAccess: false };
+        if (!context.inCode) return result;
+
+        const { tokens } = context;
+        const previous = tokens[tokens.length - 1];
+
+        if (previous && previous.value === '.') {
+            result.memberAccess = true;
+            const type = this.resolveExpression(tokens, tokens.length - 2, context);
+            if (type) {
+                result.items = this.getMemberItems(type, context);
+            }
+            return result;
+        }
+
+        const items = new Map();
+        const add = (item) => {
+            if (!items.has(item.label)) items.set(item.label, item);
+        };
+
+        if (previous && ['new', ':', 'is', 'as'].includes(previous.value)) {
+            this.getTypeItems(context).forEach(add);
+        } else if (context.scope === 'type' && previous && previous.value === '[') {
+            UnityApi.getAttributes().forEach(name => add(this.createItem(name, 'class', 'UnityEngine attribute', '3')));
+        } else if (context.scope === 'type') {
+            this.getMessageItems(context).forEach(add);
+            MEMBER_KEYWORDS.forEach(word => add(this.createItem(word, 'keyword', '', '4')));
+            this.getTypeItems(context).forEach(add);
+        } else if (context.scope === 'accessors') {
+            ACCESSOR_KEYWORDS.forEach(word => add(this.createItem(word, 'keyword', '', '4')));
+        } else if (context.scope === 'block') {
+            this.getLocalItems(context).forEach(add);
+            this.getEnclosingMemberItems(context).forEach(add);
+            STATEMENT_KEYWORDS.forEach(word => add(this.createItem(word, 'keyword', '', '4')));
+            this.getTypeItems(context).forEach(add);
+        } else {
+            TOP_LEVEL_KEYWORDS.forEach(word => add(this.createItem(word, 'keyword', '', '4')));
+            this.getTypeItems(context).forEach(add);
+        }
+
+        result.items = [...items.values()];
+        return result;
+    }
+
+    /**
+     * Get the signatures of the call the offset is in, as
+     * { signatures: [{ label, parameters, documentation }], activeParameter },
+     * or null outside a call to a known method
+     */
+    static getSignatureHelp(source, offset, symbols = [], repo = null) {
+        const context = this.analyze(source, offset, symbols, repo);
+        if (!context.inCode) return null;
+
+        const { tokens } = context;
+        let depth = 0;
+        let commas = 0;
+        let open = -1;
+
+        for (let i = tokens.length - 1; i >= 0; i--) {
+            const value = tokens[i].value;
+            if (value === ')' || value === ']' || value === '}') {
+                depth++;
+            } else if (value === '(' || value === '[' || value === '{') {
+                if (depth === 0) {
+                    if (value === '(') open = i;
+                    break;
+                }
+                depth--;
+            } else if (value === ';' && depth === 0) {
+                break;
+            } else if (value === ',' && depth === 0) {
+                commas++;
+            }
+        }
+
+        const nameIndex = open > 0 && tokens[open - 1].value === '>' ? this.skipBackward(tokens, open - 1, '<', '>') - 1 : open - 1;
+        const nameToken = tokens[nameIndex];
+        if (open < 0 || !nameToken || nameToken.type !== 'identifier') return null;
+        if (tokens[nameIndex - 1] && tokens[nameIndex - 1].value === 'new') return null;
+
+        let members;
+        if (tokens[nameIndex - 1] && tokens[nameIndex - 1].value === '.') {
+            const type = this.resolveExpression(tokens, nameIndex - 2, context);
+            members = type ? this.getMembers(type, context) : [];
+        } else {
+            members = this.getScopeMembers(context);
+        }
+
+        const overloads = members.filter(member => member.name === nameToken.value && member.kind === 'method');
+        if (overloads.length === 0) return null;
+
+        return {
+            signatures: overloads.map(member => ({
+                label: member.signature,
+                parameters: this.splitParameters(member.parameters),
+                documentation: member.doc || ''
+            })),
+            activeParameter: commas
+        };
+    }
+
+    /**
+     * Work out what is around an offset: the tokens before it (without the
+     * word being typed), that word, whether it's in code rather than a
+     * comment or string, the scope (namespace, type or block) and the
+     * enclosing type
+     */
+    static analyze(source, offset, symbols, repo) {
+        const before = source.substring(0, offset);
+        const prefix = before.match(/[\p{L}\p{N}_]*$/u)[0];
+        const wordStart = offset - prefix.length;
+
+        const allTokens = CSharpSymbols.tokenize(before);
+        const last = allTokens[allTokens.length - 1];
+        const codeEnd = before.trimEnd().length;
+        const inString = last && last.type === 'string' && last.end === offset && !this.isClosedLiteral(before.substring(last.start));
+        // Comments and directives are dropped, so text after the last token is one
+        const inComment = codeEnd > 0 && (!last || last.end < codeEnd);
+
+        const tokens = allTokens.filter(token => token.end <= wordStart);
+        const context = {
+            source,
+            offset,
+            prefix,
+            tokens,
+            symbols,
+            repo,
+            inCode: !inString && !inComment,
+            scope: 'namespace',
+            typeName: null,
+            baseName: null,
+            blockStart: -1,
+            typeCache: new Map()
+        };
+
+        // Follow the braces to find the scope
+        const stack = [];
+        let statementStart = 0;
+        tokens.forEach((token, index) => {
+            if (token.value === '{') {
+                stack.push(this.getBlock(tokens, statementStart, index, stack[stack.length - 1]));
+                statementStart = index + 1;
+            } else if (token.value === '}') {
+                stack.pop();
+                statementStart = index + 1;
+            } else if (token.value === ';') {
+                statementStart = index + 1;
+            }
+        });
+
+        const top = stack[stack.length - 1];
+        context.scope = top ? top.kind : 'namespace';
+
+        const type = [...stack].reverse().find(block => block.kind === 'type');
+        if (type) {
+            context.typeName = type.name;
+            context.baseName = type.base;
+        }
+
+        const method = stack.find(block => block.kind === 'block');
+        if (method) {
+            context.blockStart = method.header;
+        }
+
+        // An initializer or expression body at member level is an expression
+        if (context.scope === 'type' &&
+            tokens.slice(statementStart).some(token => token.value === '=' || token.value === '=>')) {
+            context.scope = 'block';
+            context.blockStart = statementStart;
+        }
+        if (context.scope === 'enum') {
+            context.inCode = false;
+        }
+
+        return context;
+    }
+
+    /**
+     * Describe the block a brace opens, from the tokens of its header:
+     * { kind: 'namespace' | 'type' | 'enum' | 'accessors' | 'block', name, base, header }
+     */
+    static getBlock(tokens, start, end, parent) {
+        const header = tokens.slice(start, end);
+        if (parent && parent.kind === 'block') {
+            return { kind: 'block', header: parent.header };
+        }
+        if (parent && parent.kind === 'accessors') {
+            return { kind: 'block', header: start };
+        }
+
+        const keywordIndex = header.findIndex(token => TYPE_KINDS.has(token.value));
+        if (keywordIndex !== -1 && header[keywordIndex + 1] && header[keywordIndex + 1].type === 'identifier') {
+            if (header[keywordIndex].value === 'enum') {
+                return { kind: 'enum' };
+            }
+
+            const colon = header.findIndex(token => token.value === ':');
+            const base = colon !== -1 && header[colon + 1] ? header[colon + 1].value : null;
+            return { kind: 'type', name: header[keywordIndex + 1].value, base };
+        }
+
+        if (header.some(token => token.value === 'namespace')) {
+            return { kind: 'namespace' };
+        }
+
+        // A property's accessors rather than a method body
+        if (parent && parent.kind === 'type' && header.length > 0 &&
+            !header.some(token => token.value === '(' || token.value === '=' || token.value === '=>')) {
+            return { kind: 'accessors' };
+        }
+
+        return { kind: 'block', header: start };
+    }
+
+    /**
+     * Check if a string or char literal is closed
+     */
+    static isClosedLiteral(text) {
+        const body = text.replace(/^[$@]+/, '');
+        const quote = body[0];
+        return body.length >= 2 && body[body.length - 1] === quote && body[body.length - 2] !== '\\';
+    }
+
+    /**
+     * Get the index of the token opening a bracket pair, searching back
+     * from the index of the token closing it
+     */
+    static skipBackward(tokens, index, open, close) {
+        let depth = 0;
+        for (let i = index; i >= 0; i--) {
+            if (tokens[i].value === close) depth++;
+            if (tokens[i].value === open && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Get the type of the expression ending at a token index, such as
+     * transform.position or GetComponent<Rigidbody>(), as
+     * { name, args, isStatic } or null if it can't be worked out
+     */
+    static resolveExpression(tokens, end, context) {
+        const segments = [];
+        let i = end;
+
+        while (i >= 0) {
+            const segment = { name: null, call: false, generic: [], index: false };
+
+            if (tokens[i].value === ']') {
+                i = this.skipBackward(tokens, i, '[', ']') - 1;
+                segment.index = true;
+            }
+            if (i >= 0 && tokens[i].value === ')') {
+                i = this.skipBackward(tokens, i, '(', ')') - 1;
+                segment.call = true;
+            }
+            if (i >= 0 && tokens[i].value === '>') {
+                const open = this.skipBackward(tokens, i, '<', '>');
+                segment.generic = this.splitTypeArguments(tokens.slice(open + 1, i));
+                i = open - 1;
+            }
+            if (i < 0 || !tokens[i] || tokens[i].type !== 'identifier') return null;
+
+            segment.name = tokens[i].value.replace(/^@/, '');
+            segment.constructed = !!tokens[i - 1] && tokens[i - 1].value === 'new';
+            segments.unshift(segment);
+
+            if (i > 0 && tokens[i - 1].value === '.') {
+                i -= 2;
+            } else {
+                break;
+            }
+        }
+
+        if (segments.length === 0) return null;
+
+        let type = this.resolveFirstSegment(segments[0], context);
+        for (let s = 1; s < segments.length && type; s++) {
+            type = this.resolveSegment(type, segments[s], context);
+        }
+        return type;
+    }
+
+    /**
+     * Resolve the first name of an expression: this, a local, a member of
+     * the enclosing type, or a type for static access
+     */
+    static resolveFirstSegment(segment, context) {
+        const { name } = segment;
+        let type = null;
+
+        if (segment.constructed) {
+            type = this.parseTypeName(segment.generic.length > 0 ? `${name}<${segment.generic.join(', ')}>` : name);
+        } else if (name === 'this' && context.typeName) {
+            type = { name: context.typeName, args: [], isStatic: false };
+        } else if (name === 'base' && context.baseName) {
+            type = { name: context.baseName, args: [], isStatic: false };
+        } else if (!segment.call && this.findLocalType(name, context)) {
+            type = this.parseTypeName(this.findLocalType(name, context));
+        } else {
+            const member = this.getScopeMembers(context).find(item => item.name === name &&
+                (segment.call ? item.kind === 'method' : item.kind !== 'method'));
+            if (member) {
+                type = this.getMemberType(member, segment, { args: [] });
+            } else if (!segment.call && this.getTypeInfo(name, context)) {
+                type = { name, args: [], isStatic: true };
+            }
+        }
+
+        return type && segment.index ? this.getElementType(type) : type;
+    }
+
+    /**
+     * Resolve a member of a type
+     */
+    static resolveSegment(type, segment, context) {
+        const member = this.getMembers(type, context).find(item => item.name === segment.name &&
+            (segment.call ? item.kind === 'method' : item.kind !== 'method'));
+
+        let result = null;
+        if (member) {
+            result = this.getMemberType(member, segment, type);
+        } else if (type.isStatic && !segment.call && this.getTypeInfo(segment.name, context)) {
+            // A nested type or a namespace-qualified name
+            result = { name: segment.name, args: [], isStatic: true };
+        }
+
+        return result && segment.index ? this.getElementType(result) : result;
+    }
+
+    /**
+     * Get the type of a member's value, substituting generic arguments
+     */
+    static getMemberType(member, segment, owner) {
+        if (member.kind === 'enumMember') {
+            return { name: member.type, args: [], isStatic: false };
+        }
+
+        let typeName = member.type || '';
+        const typeParameters = member.generic ? member.generic.replace(/[<>\s]/g, '').split(',') : [];
+        typeParameters.forEach((parameter, index) => {
+            if (segment.generic[index]) {
+                typeName = this.substitute(typeName, parameter, segment.generic[index]);
+            }
+        });
+        (GENERIC_PARAMETERS[owner.name] || []).forEach((parameter, index) => {
+            if (owner.args && owner.args[index]) {
+                typeName = this.substitute(typeName, parameter, owner.args[index]);
+            }
+        });
+
+        return typeName && typeName !== 'void' ? this.parseTypeName(typeName) : null;
+    }
+
+    /**
+     * Replace a type parameter in a type name
+     */
+    static substitute(typeName, parameter, argument) {
+        return typeName.replace(new RegExp(`\\b${parameter}\\b`, 'g'), argument);
+    }
+
+    /**
+     * Get the type of an element of an array or list
+     */
+    static getElementType(type) {
+        if (type.array) {
+            return { name: type.name, args: type.args, isStatic: false };
+        }
+        if (type.name === 'List' && type.args[0]) {
+            return this.parseTypeName(type.args[0]);
+        }
+        if (type.name === 'Dictionary' && type.args[1]) {
+            return this.parseTypeName(type.args[1]);
+        }
+        return null;
+    }
+
+    /**
+     * Parse a type name such as List<Enemy> or Transform[] into
+     * { name, args, isStatic: false, array }
+     */
+    static parseTypeName(typeName) {
+        const text = typeName.trim().replace(/\?$/, '');
+        const array = text.endsWith('[]');
+        const base = array ? text.substring(0, text.lastIndexOf('[')) : text;
+        const angle = base.indexOf('<');
+        const qualified = angle === -1 ? base : base.substring(0, angle);
+        const args = angle === -1 ? [] : this.splitTopLevel(base.substring(angle + 1, base.lastIndexOf('>')));
+
+        return {
+            name: qualified.substring(qualified.lastIndexOf('.') + 1).trim(),
+            args,
+            isStatic: false,
+            array
+        };
+    }
+
+    /**
+     * Split type arguments from their tokens
+     */
+    static splitTypeArguments(tokens) {
+        return this.splitTopLevel(tokens.map(token => token.value).join(''));
+    }
+
+    /**
+     * Split text on the commas that aren't inside brackets
+     */
+    static splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        for (const char of text) {
+            if ('<([{'.includes(char)) depth++;
+            if ('>)]}'.includes(char)) depth--;
+            if (char === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) parts.push(current.trim());
+
+        return parts;
+    }
+
+    /**
+     * Split a parameter list ("(int a, float b)" or "int a, float b") into
+     * its parameters
+     */
+    static splitParameters(parameters) {
+        if (!parameters) return [];
+        return this.splitTopLevel(parameters.replace(/^\(|\)$/g, ''));
+    }
+
+    /**
+     * Find the declared type of a local variable or parameter in the
+     * current method, the closest declaration before the cursor winning
+     */
+    static findLocalType(name, context) {
+        return this.getLocals(context).get(name) || null;
+    }
+
+    /**
+     * Get the locals and parameters declared before the cursor in the
+     * current method, as a Map of name to type name
+     */
+    static getLocals(context) {
+        if (context.locals) return context.locals;
+
+        const locals = new Map();
+        const { tokens } = context;
+        context.locals = locals;
+        if (context.blockStart < 0) return locals;
+
+        for (let i = context.blockStart; i < tokens.length; i++) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            if (token.type !== 'identifier' || NOT_TYPES.has(token.value)) continue;
+            if (next && !['=', ';', ',', ')', 'in'].includes(next.value)) continue;
+
+            const typeStart = this.getTypeStart(tokens, i - 1);
+            if (typeStart === -1) continue;
+
+            const typeTokens = tokens.slice(typeStart, i);
+            let typeName = typeTokens.map(item => item.value).join('').replace(/,/g, ', ');
+
+            if (typeName === 'var' && next) {
+                typeName = this.inferVarType(tokens, i + 1, next.value, context);
+            }
+            if (typeName) {
+                locals.set(token.value.replace(/^@/, ''), typeName);
+            }
+        }
+
+        return locals;
+    }
+
+    /**
+     * Get the index of the first token of a type name ending at an index
+     * (Transform, List<int>, int[], float?, UnityEngine.Object), or -1 if
+     * the tokens there aren't a type
+     */
+    static getTypeStart(tokens, end) {
+        let i = end;
+        if (i >= 0 && tokens[i].value === '?') i--;
+        while (i >= 1 && tokens[i].value === ']' && tokens[i - 1].value === '[') i -= 2;
+        if (i >= 0 && tokens[i].value === '>') {
+            const open = this.skipBackward(tokens, i, '<', '>');
+            // a < b && c > d isn't a generic type
+            if (open === -1 || tokens.slice(open + 1, i).some(token => token.type !== 'identifier' && !',.<>[]?'.includes(token.value))) {
+                return -1;
+            }
+            i = open - 1;
+        }
+
+        if (i < 0 || tokens[i].type !== 'identifier' || NOT_TYPES.has(tokens[i].value) && tokens[i].value !== 'var') return -1;
+        while (i >= 2 && tokens[i - 1].value === '.' && tokens[i - 2].type === 'identifier') i -= 2;
+
+        // A name after another name or a closing paren isn't a declaration
+        const before = tokens[i - 1];
+        if (before && (before.value === '.' || before.value === '=')) return -1;
+        return i;
+    }
+
+    /**
+     * Work out the type of var from its initializer or foreach collection
+     */
+    static inferVarType(tokens, start, operator, context) {
+        let end = start + 1;
+        let depth = 0;
+        for (; end < tokens.length; end++) {
+            const value = tokens[end].value;
+            if ('([{'.includes(value)) depth++;
+            if (')]}'.includes(value)) {
+                if (depth === 0) break;
+                depth--;
+            }
+            if ((value === ';' || value === ',') && depth === 0) break;
+        }
+        if (end - 1 < start + 1) return null;
+
+        const type = this.resolveExpression(tokens, end - 1, context);
+        if (!type || type.isStatic) return null;
+        if (operator === 'in') {
+            const element = this.getElementType(type);
+            return element ? this.formatType(element) : null;
+        }
+        return this.formatType(type);
+    }
+
+    /**
+     * Format a resolved type as a type name
+     */
+    static formatType(type) {
+        const args = type.args.length > 0 ? `<${type.args.join(', ')}>` : '';
+        return `${type.name}${args}${type.array ? '[]' : ''}`;
+    }
+
+    /**
+     * Get a type by name, from this file, the repository or the Unity API,
+     * as { name, kind, base, members, source }
+     */
+    static getTypeInfo(name, context) {
+        if (context.typeCache.has(name)) return context.typeCache.get(name);
+
+        let info = null;
+        const local = CSharpSymbols.flatten(context.symbols)
+            .find(({ symbol }) => symbol.name === name && TYPE_KINDS.has(symbol.kind));
+
+        if (local) {
+            info = {
+                name,
+                kind: local.symbol.kind,
+                base: this.getBaseName(local.symbol.detail),
+                members: local.symbol.children.map(child => this.fromSymbol(child)),
+                source: 'file'
+            };
+        } else if (context.repo) {
+            const record = context.repo.getTypes().find(type => type.name === name);
+            if (record) {
+                info = {
+                    name,
+                    kind: record.kind,
+                    base: this.getBaseName(record.detail),
+                    members: context.repo.getMembers(name).map(member => this.fromSymbol(member)),
+                    source: 'repo'
+                };
+            }
+        }
+
+        if (!info) {
+            const unity = UnityApi.getType(name);
+            if (unity) {
+                info = { ...unity, source: 'unity' };
+            }
+        }
+
+        context.typeCache.set(name, info);
+        return info;
+    }
+
+    /**
+     * Get the first name of a base list ("MonoBehaviour, IDamageable")
+     */
+    static getBaseName(detail) {
+        if (!detail) return null;
+        const first = this.splitTopLevel(detail)[0] || '';
+        return this.parseTypeName(first).name || null;
+    }
+
+    /**
+     * Convert a symbol or symbol record to a member
+     */
+    static fromSymbol(symbol) {
+        const modifiers = symbol.modifiers || [];
+        const method = symbol.kind === 'method';
+        const type = symbol.kind === 'enumMember' ? symbol.container || '' : symbol.type || '';
+
+        return {
+            name: symbol.name,
+            kind: symbol.kind,
+            type,
+            generic: '',
+            parameters: method ? symbol.detail.replace(/^\(|\)$/g, '') : undefined,
+            isStatic: modifiers.includes('static') || symbol.kind === 'constant' || symbol.kind === 'enumMember',
+            signature: method ? `${type} ${symbol.name}${symbol.detail}` : `${type} ${symbol.name}`.trim()
+        };
+    }
+
+    /**
+     * Get the members of a type and its base types, static or instance as
+     * the type is used
+     */
+    static getMembers(type, context) {
+        const members = [];
+        const seen = new Set();
+        let name = type.name;
+
+        for (let depth = 0; name && depth < MAX_BASE_DEPTH; depth++) {
+            const info = this.getTypeInfo(name, context);
+            if (!info) break;
+
+            if (info.source === 'unity') {
+                UnityApi.getMembers(name, type.isStatic).forEach(member => {
+                    if (!seen.has(member.name)) members.push(member);
+                });
+                break;
+            }
+
+            info.members
+                .filter(member => !['constructor', 'operator', 'indexer', 'delegate', ...TYPE_KINDS].includes(member.kind) &&
+                    member.isStatic === type.isStatic)
+                .forEach(member => {
+                    if (!seen.has(member.name)) {
+                        seen.add(member.name);
+                        members.push(member);
+                    }
+                });
+            name = info.base;
+        }
+
+        return members;
+    }
+
+    /**
+     * Get the members usable by name at the cursor: the enclosing type's,
+     * static and instance, and those it inherits
+     */
+    static getScopeMembers(context) {
+        if (!context.typeName) return [];
+        const type = { name: context.typeName, args: [], isStatic: false };
+        return [
+            ...this.getMembers(type, context),
+            ...this.getMembers({ ...type, isStatic: true }, context)
+        ];
+    }
+
+    /**
+     * Get the completion items for the members of a type
+     */
+    static getMemberItems(type, context) {
+        const items = new Map();
+        this.getMembers(type, context).forEach(member => {
+            if (!items.has(member.name)) {
+                items.set(member.name, this.fromMember(member, '1'));
+            }
+        });
+        return [...items.values()];
+    }
+
+    /**
+     * Get the completion items for the enclosing type's members
+     */
+    static getEnclosingMemberItems(context) {
+        return this.getScopeMembers(context).map(member => this.fromMember(member, '1'));
+    }
+
+    /**
+     * Get the completion items for the method's locals and parameters
+     */
+    static getLocalItems(context) {
+        const items = [];
+        this.getLocals(context).forEach((typeName, name) => {
+            items.push(this.createItem(name, 'variable', typeName, '0'));
+        });
+        return items;
+    }
+
+    /**
+     * Get the completion items for types: built-in, the repository's and
+     * the Unity API's
+     */
+    static getTypeItems(context) {
+        const items = BUILTIN_TYPES.map(name => this.createItem(name, 'keyword', '', '4'));
+
+        const seen = new Set();
+        CSharpSymbols.flatten(context.symbols).forEach(({ symbol }) => {
+            if (TYPE_KINDS.has(symbol.kind) && !seen.has(symbol.name)) {
+                seen.add(symbol.name);
+                items.push(this.createItem(symbol.name, symbol.kind, symbol.detail ? `: ${symbol.detail}` : symbol.kind, '2'));
+            }
+        });
+        if (context.repo) {
+            context.repo.getTypes().forEach(record => {
+                if (!seen.has(record.name)) {
+                    seen.add(record.name);
+                    items.push(this.createItem(record.name, record.kind, record.container || record.kind, '2'));
+                }
+            });
+        }
+
+        UnityApi.getTypes().forEach((type, name) => {
+            if (!seen.has(name)) {
+                items.push(this.createItem(name, type.kind, `UnityEngine ${type.kind}`, '3'));
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * Get snippets for the Unity messages the enclosing type doesn't
+     * declare yet, if it is a MonoBehaviour (directly or through the
+     * repository's types)
+     */
+    static getMessageItems(context) {
+        if (!this.receivesMessages(context)) return [];
+
+        const declared = new Set(this.getScopeMembers(context)
+            .filter(member => member.kind === 'method')
+            .map(member => member.name));
+
+        // Keep what was typed on the line: "private void Upd" -> "Update()"
+        const lineTokens = context.tokens.filter(token => token.start >= context.source.lastIndexOf('\n', context.offset - 1) + 1);
+        const typedVoid = lineTokens.length > 0 && lineTokens[lineTokens.length - 1].value === 'void';
+        if (lineTokens.some(token => !['public', 'private', 'protected', 'internal', 'void', 'override', 'virtual', 'new'].includes(token.value))) {
+            return [];
+        }
+
+        return UnityApi.getMessages()
+            .filter(message => !declared.has(message.name))
+            .map(message => ({
+                label: message.name,
+                kind: 'snippet',
+                detail: message.signature,
+                documentation: message.doc,
+                insertText: `${typedVoid ? '' : 'void '}${message.name}(${message.parameters})\n{\n\t$0\n}`,
+                snippet: true,
+                sortText: `1${message.name}`
+            }));
+    }
+
+    /**
+     * Check if the enclosing type gets Unity messages
+     */
+    static receivesMessages(context) {
+        let name = context.baseName;
+        for (let depth = 0; name && depth < MAX_BASE_DEPTH; depth++) {
+            if (UnityApi.receivesMessages(name)) return true;
+            const info = this.getTypeInfo(name, context);
+            name = info && info.source !== 'unity' ? info.base : null;
+        }
+        return false;
+    }
+
+    /**
+     * Create a completion item for a member, methods inserted with their
+     * parentheses
+     */
+    static fromMember(member, group) {
+        const item = this.createItem(member.name, member.kind, member.signature, group);
+        if (member.doc) {
+            item.documentation = member.doc;
+        }
+
+        if (member.kind === 'method') {
+            const generic = member.generic ? '<$1>' : '';
+            const parameters = this.splitParameters(member.parameters).length > 0 ? '$0' : '';
+            item.insertText = `${member.name}${generic}(${parameters})${parameters ? '' : '$0'}`;
+            item.snippet = true;
+        }
+
+        return item;
+    }
+
+    /**
+     * Create a plain completion item
+     */
+    static createItem(label, kind, detail, group) {
+        return {
+            label,
+            kind,
+            detail,
+            documentation: '',
+            insertText: label,
+            snippet: false,
+            sortText: `${group}${label}`
+        };
+    }
+}
+
+export default CSharpCompletion;
@@ -0,0 +1,830 @@
+/**
+ * C# Symbols Module
+ * A lightweight parser that finds the declarations in a C# file:
+ * namespaces, types, methods, properties, fields and Unity message
+ * methods. It only reads declarations (method bodies are skipped), so it
+ * is fast enough to run as you type and copes with code that doesn't compile.
+ */
+
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'interface', 'enum', 'record']);
+
+const MODIFIERS = new Set([
+    'public', 'private', 'protected', 'internal', 'static', 'readonly', 'const',
+    'volatile', 'virtual', 'override', 'abstract', 'sealed', 'extern', 'unsafe',
+    'new', 'partial', 'async', 'required', 'file', 'fixed', 'event', 'implicit', 'explicit'
+]);
+
+// Methods Unity calls by name on MonoBehaviours and ScriptableObjects
+const UNITY_MESSAGES = new Set([
+    'Awake', 'Start', 'Update', 'FixedUpdate', 'LateUpdate', 'OnEnable', 'OnDisable',
+    'OnDestroy', 'OnValidate', 'Reset', 'OnApplicationFocus', 'OnApplicationPause',
+    'OnApplicationQuit', 'OnBecameVisible', 'OnBecameInvisible',
+    'OnCollisionEnter', 'OnCollisionStay', 'OnCollisionExit',
+    'OnCollisionEnter2D', 'OnCollisionStay2D', 'OnCollisionExit2D',
+    'OnTriggerEnter', 'OnTriggerStay', 'OnTriggerExit',
+    'OnTriggerEnter2D', 'OnTriggerStay2D', 'OnTriggerExit2D',
+    'OnControllerColliderHit', 'OnJointBreak', 'OnJointBreak2D', 'OnParticleCollision',
+    'OnMouseDown', 'OnMouseUp', 'OnMouseUpAsButton', 'OnMouseEnter', 'OnMouseExit',
+    'OnMouseOver', 'OnMouseDrag', 'OnGUI', 'OnDrawGizmos', 'OnDrawGizmosSelected',
+    'OnAnimatorMove', 'OnAnimatorIK', 'OnRenderObject', 'OnPreRender', 'OnPostRender',
+    'OnRenderImage', 'OnWillRenderObject', 'OnTransformChildrenChanged',
+    'OnTransformParentChanged', 'OnRectTransformDimensionsChange', 'OnSceneGUI',
+    'OnInspectorGUI'
+]);
+
+const OPERATOR_PATTERN = /=>|\?\?=?|[=!<>]=|[+\-*/%&|^]=|&&|\|\||<<=?|\+\+|--|->|::/y;
+const IDENTIFIER_PATTERN = /@?[\p{L}_][\p{L}\p{N}_]*/uy;
+const NUMBER_PATTERN = /\d[\w.]*/y;
+
+export class CSharpSymbols {
+    /**
+     * Parse a C# file. Returns the top-level symbols, each
+     * { name, kind, detail, type, modifiers, range, selectionRange, children },
+     * with Monaco-style 1-based ranges. Kinds are namespace, class, struct,
+     * interface, enum, record, delegate, method, constructor, operator,
+     * property, indexer, field, constant, event and enumMember; methods Unity
+     * calls by name have unityMessage set.
+     */
+    static parse(source) {
+        const parser = new DeclarationParser(source, this.tokenize(source), this.getLineStarts(source));
+        return parser.parseMembers(null, false);
+    }
+
+    /**
+     * Find where an identifier is used in C# source, skipping comments and
+     * strings. Returns Monaco-style ranges.
+     */
+    static findIdentifiers(source, name) {
+        const lineStarts = this.getLineStarts(source);
+
+        return this.tokenize(source)
+            .filter(token => token.type === 'identifier' && token.value === name)
+            .map(token => {
+                const start = this.getPosition(lineStarts, token.start);
+                const end = this.getPosition(lineStarts, token.end);
+                return {
+                    startLineNumber: start.lineNumber,
+                    startColumn: start.column,
+                    endLineNumber: end.lineNumber,
+                    endColumn: end.column
+                };
+            });
+    }
+
+    /**
+     * Get the offsets at which lines start
+     */
+    static getLineStarts(source) {
+        const lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') lineStarts.push(i + 1);
+        }
+        return lineStarts;
+    }
+
+    /**
+     * Get the 1-based line and column of an offset
+     */
+    static getPosition(lineStarts, offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return { lineNumber: low + 1, column: offset - lineStarts[low] + 1 };
+    }
+
+    /**
+     * Split C# source into tokens ({ type, value, start, end }), dropping
+     * whitespace, comments and preprocessor directives. Strings and char
+     * literals become single 'string' tokens.
+     */
+    static tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+            const next = source[i + 1];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '/' && next === '/') {
+                i = this.skipLine(source, i);
+            } else if (char === '/' && next === '*') {
+                const end = source.indexOf('*/', i + 2);
+                i = end === -1 ? source.length : end + 2;
+            } else if (char === '#' && source.substring(source.lastIndexOf('\n', i - 1) + 1, i).trim() === '') {
+                i = this.skipLine(source, i);
+            } else if (this.isStringStart(source, i)) {
+                const end = this.skipString(source, i);
+                tokens.push({ type: 'string', value: '', start: i, end });
+                i = end;
+            } else if (char === '\'') {
+                const end = this.skipChar(source, i);
+                tokens.push({ type: 'string', value: '', start: i, end });
+                i = end;
+            } else {
+                const token = this.matchAt(IDENTIFIER_PATTERN, 'identifier', source, i) ||
+                    this.matchAt(NUMBER_PATTERN, 'number', source, i) ||
+                    this.matchAt(OPERATOR_PATTERN, 'punctuation', source, i) ||
+                    { type: 'punctuation', value: char, start: i, end: i + 1 };
+                tokens.push(token);
+                i = token.end;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Match a sticky pattern at an index, as a token
+     */
+    static matchAt(pattern, type, source, index) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(source);
+        if (!match) return null;
+
+        const value = type === 'identifier' ? match[0].replace(/^@/, '') : match[0];
+        return { type, value, start: index, end: index + match[0].length };
+    }
+
+    /**
+     * Get the index of the end of the line
+     */
+    static skipLine(source, index) {
+        const end = source.indexOf('\n', index);
+        return end === -1 ? source.length : end;
+    }
+
+    /**
+     * Check for a string literal ("", @"", $"", $@"", raw """) at an index
+     */
+    static isStringStart(source, index) {
+        let i = index;
+        while (source[i] === '$' || source[i] === '@') i++;
+        return source[i] === '"';
+    }
+
+    /**
+     * Get the index after a string literal, including interpolated,
+     * verbatim and raw strings
+     */
+    static skipString(source, index) {
+        let i = index;
+        let interpolated = false;
+        let verbatim = false;
+        while (source[i] === '$' || source[i] === '@') {
+            if (source[i] === '$') interpolated = true;
+            else verbatim = true;
+            i++;
+        }
+
+        // Raw string: ends at the same number of quotes it started with
+        let quotes = 0;
+        while (source[i + quotes] === '"') quotes++;
+        if (quotes >= 3) {
+            const end = source.indexOf('"'.repeat(quotes), i + quotes);
+            return end === -1 ? source.length : end + quotes;
+        }
+
+        i++;
+        while (i < source.length) {
+            const char = source[i];
+            if (!verbatim && char === '\\') {
+                i += 2;
+            } else if (!verbatim && char === '\n') {
+                return i;
+            } else if (char === '"') {
+                if (verbatim && source[i + 1] === '"') {
+                    i += 2;
+                } else {
+                    return i + 1;
+                }
+            } else if (interpolated && char === '{') {
+                i = source[i + 1] === '{' ? i + 2 : this.skipInterpolation(source, i + 1);
+            } else {
+                i++;
+            }
+        }
+
+        return i;
+    }
+
+    /**
+     * Get the index after an interpolation hole, which can hold strings itself
+     */
+    static skipInterpolation(source, index) {
+        let depth = 1;
+        let i = index;
+
+        while (i < source.length) {
+            const char = source[i];
+            if (char === '{') {
+                depth++;
+                i++;
+            } else if (char === '}') {
+                depth--;
+                i++;
+                if (depth === 0) return i;
+            } else if (this.isStringStart(source, i)) {
+                i = this.skipString(source, i);
+            } else if (char === '\'') {
+                i = this.skipChar(source, i);
+            } else {
+                i++;
+            }
+        }
+
+        return i;
+    }
+
+    /**
+     * Get the index after a char literal
+     */
+    static skipChar(source, index) {
+        const end = source.indexOf('\'', source[index + 1] === '\\' ? index + 3 : index + 2);
+        const lineEnd = this.skipLine(source, index);
+        return end === -1 || end > lineEnd ? lineEnd : end + 1;
+    }
+
+    /**
+     * Check if Unity calls a method by name (Update, OnTriggerEnter, ...)
+     */
+    static isUnityMessage(name) {
+        return UNITY_MESSAGES.has(name);
+    }
+
+    /**
+     * List symbols depth-first in document order, as [{ symbol, depth, parent }]
+     */
+    static flatten(symbols, depth = 0, parent = null, list = []) {
+        symbols.forEach(symbol => {
+            list.push({ symbol, depth, parent });
+            this.flatten(symbol.children, depth + 1, symbol, list);
+        });
+        return list;
+    }
+
+    /**
+     * Flatten symbols into the records the symbol index keeps:
+     * { name, kind, container, detail, type, modifiers, range, selectionRange }, where
+     * container is the dotted path of the enclosing symbols
+     */
+    static toRecords(symbols, container = '', records = []) {
+        symbols.forEach(symbol => {
+            records.push({
+                name: symbol.name,
+                kind: symbol.kind,
+                container,
+                detail: symbol.detail,
+                type: symbol.type,
+                modifiers: symbol.modifiers,
+                range: symbol.range,
+                selectionRange: symbol.selectionRange
+            });
+            this.toRecords(symbol.children, container ? `${container}.${symbol.name}` : symbol.name, records);
+        });
+        return records;
+    }
+
+    /**
+     * Get the symbols that contain a position, outermost first
+     */
+    static findPath(symbols, lineNumber, column) {
+        const path = [];
+        let level = symbols;
+
+        while (level.length > 0) {
+            const symbol = level.find(item => this.containsPosition(item.range, lineNumber, column));
+            if (!symbol) break;
+            path.push(symbol);
+            level = symbol.children;
+        }
+
+        return path;
+    }
+
+    /**
+     * Check if a range contains a position
+     */
+    static containsPosition(range, lineNumber, column) {
+        if (lineNumber < range.startLineNumber || lineNumber > range.endLineNumber) return false;
+        if (lineNumber === range.startLineNumber && column < range.startColumn) return false;
+        if (lineNumber === range.endLineNumber && column > range.endColumn) return false;
+        return true;
+    }
+}
+
+/**
+ * Walks the tokens of a file declaration by declaration
+ */
+class DeclarationParser {
+    constructor(source, tokens, lineStarts) {
+        this.source = source;
+        this.tokens = tokens;
+        this.lineStarts = lineStarts;
+        this.pos = 0;
+    }
+
+    /**
+     * Get the value of the token at an offset from the current one
+     */
+    peek(offset = 0) {
+        const token = this.tokens[this.pos + offset];
+        return token ? token.value : null;
+    }
+
+    /**
+     * Parse declarations until the closing brace of the container (or the
+     * end of the file). container is the enclosing type or namespace symbol.
+     */
+    parseMembers(container, untilBrace) {
+        const symbols = [];
+
+        while (this.pos < this.tokens.length) {
+            const value = this.peek();
+            if (value === '}') {
+                if (untilBrace) return symbols;
+                this.pos++;
+            } else if (value === ';') {
+                this.pos++;
+            } else {
+                const before = this.pos;
+                symbols.push(...this.parseDeclaration(container));
+                if (this.pos === before) this.pos++;
+            }
+        }
+
+        return symbols;
+    }
+
+    /**
+     * Parse one declaration, returning its symbols (a field declaration
+     * can declare several)
+     */
+    parseDeclaration(container) {
+        // Attributes
+        while (this.peek() === '[') {
+            this.skipBalanced('[', ']');
+        }
+
+        const start = this.pos;
+        const header = [];
+        let depth = 0;
+        let terminator = null;
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos];
+            if (depth === 0 && ['{', ';', '=>', '=', '}'].includes(token.value)) {
+                terminator = token;
+                break;
+            }
+            if (token.value === '(' || token.value === '[') depth++;
+            if (token.value === ')' || token.value === ']') depth = Math.max(0, depth - 1);
+            header.push({ token, depth: token.value === '(' || token.value === '[' ? depth - 1 : depth });
+            this.pos++;
+        }
+
+        if (header.length === 0) return [];
+
+        const first = header[0].token.value;
+        if (first === 'using' || first === 'extern' || first === 'global') {
+            this.skipStatement();
+            return [];
+        }
+
+        if (first === 'namespace') {
+            return [this.parseNamespace(header, terminator)];
+        }
+
+        const openParen = header.findIndex(item => item.depth === 0 && item.token.value === '(');
+        const typeKeyword = header.findIndex((item, index) =>
+            item.depth === 0 && TYPE_KEYWORDS.has(item.token.value) &&
+            (openParen === -1 || index < openParen) &&
+            header[index + 1] && header[index + 1].token.type === 'identifier'
+        );
+
+        if (typeKeyword !== -1) {
+            return [this.parseType(header, typeKeyword, terminator, start)];
+        }
+
+        if (!container || !terminator) {
+            // Top-level statements and the like aren't declarations
+            this.skipStatement();
+            return [];
+        }
+
+        if (openParen !== -1) {
+            return [this.parseMethod(header, openParen, terminator, container)];
+        }
+
+        if (terminator.value === '{' || terminator.value === '=>') {
+            return [this.parseProperty(header, terminator)];
+        }
+
+        return this.parseFields(header, terminator);
+    }
+
+    /**
+     * Parse a namespace, block or file-scoped
+     */
+    parseNamespace(header, terminator) {
+        const nameTokens = header.slice(1).map(item => item.token);
+        const symbol = this.createSymbol('namespace', nameTokens.map(token => token.value).join(''),
+            nameTokens[0] || header[0].token, header[0].token);
+        symbol.detail = '';
+
+        if (terminator && terminator.value === '{') {
+            this.pos++;
+            symbol.children = this.parseMembers(symbol, true);
+            this.finish(symbol, this.consume('}'));
+        } else {
+            this.pos++;
+            symbol.children = this.parseMembers(symbol, false);
+            this.finish(symbol, this.tokens[this.tokens.length - 1]);
+        }
+
+        return symbol;
+    }
+
+    /**
+     * Parse a class, struct, interface, enum, record or their body
+     */
+    parseType(header, keywordIndex, terminator, start) {
+        let kind = header[keywordIndex].token.value;
+        let nameIndex = keywordIndex + 1;
+
+        // record struct / record class
+        if (kind === 'record' && ['struct', 'class'].includes(header[nameIndex].token.value) &&
+            header[nameIndex + 1] && header[nameIndex + 1].token.type === 'identifier') {
+            nameIndex++;
+        }
+
+        const nameToken = header[nameIndex].token;
+        const symbol = this.createSymbol(kind, nameToken.value, nameToken, this.tokens[start]);
+        symbol.modifiers = this.getModifiers(header.slice(0, keywordIndex));
+
+        // Base types: everything after ':' up to any constraints
+        const colon = header.findIndex((item, index) => index > nameIndex && item.depth === 0 && item.token.value === ':');
+        if (colon !== -1) {
+            const where = header.findIndex((item, index) => index > colon && item.token.value === 'where');
+            symbol.detail = this.joinTokens(header.slice(colon + 1, where === -1 ? header.length : where));
+        }
+
+        if (terminator && terminator.value === '{') {
+            this.pos++;
+            symbol.children = kind === 'enum'
+                ? this.parseEnumMembers()
+                : this.parseMembers(symbol, true);
+            this.finish(symbol, this.consume('}'));
+        } else {
+            this.finish(symbol, this.skipStatement());
+        }
+
+        return symbol;
+    }
+
+    /**
+     * Parse the members of an enum, up to its closing brace
+     */
+    parseEnumMembers() {
+        const members = [];
+
+        while (this.pos < this.tokens.length && this.peek() !== '}') {
+            while (this.peek() === '[') {
+                this.skipBalanced('[', ']');
+            }
+
+            const token = this.tokens[this.pos];
+            if (token && token.type === 'identifier') {
+                const member = this.createSymbol('enumMember', token.value, token, token);
+                this.pos++;
+                if (this.peek() === '=') {
+                    this.skipExpression([',']);
+                }
+                this.finish(member, this.tokens[this.pos - 1]);
+                members.push(member);
+            }
+
+            if (this.peek() === ',' || (token && token.type !== 'identifier')) {
+                this.pos++;
+            }
+        }
+
+        return members;
+    }
+
+    /**
+     * Parse a method, constructor, operator or delegate
+     */
+    parseMethod(header, openParen, terminator, container) {
+        const closeParen = this.findClosingParen(header, openParen);
+        const operator = header.findIndex((item, index) => index < openParen && item.token.value === 'operator');
+        let kind = header.some(item => item.token.value === 'delegate') ? 'delegate' : 'method';
+        let nameIndex = openParen - 1;
+        let name;
+
+        if (operator !== -1) {
+            kind = 'operator';
+            nameIndex = operator;
+            name = this.joinTokens(header.slice(operator, openParen)).replace(/^operator/, 'operator ');
+        } else {
+            // Generic method: Name<T>(...)
+            if (header[nameIndex] && header[nameIndex].token.value === '>') {
+                let angles = 0;
+                for (; nameIndex >= 0; nameIndex--) {
+                    const value = header[nameIndex].token.value;
+                    if (value === '>') angles++;
+                    if (value === '<' && --angles === 0) break;
+                }
+                nameIndex--;
+            }
+            nameIndex = Math.max(0, nameIndex);
+            name = header[nameIndex].token.value;
+
+            const destructor = nameIndex > 0 && header[nameIndex - 1].token.value === '~';
+            if (destructor) {
+                name = '~' + name;
+            } else if (kind === 'method' && container && name === container.name &&
+                header.slice(0, nameIndex).every(item => MODIFIERS.has(item.token.value))) {
+                kind = 'constructor';
+            }
+        }
+
+        const startToken = header[0].token;
+        const symbol = this.createSymbol(kind, name, header[nameIndex].token, startToken);
+        symbol.modifiers = this.getModifiers(header.slice(0, nameIndex));
+        symbol.type = this.getType(header.slice(0, operator !== -1 ? operator : nameIndex));
+        symbol.detail = this.source
+            .substring(header[openParen].token.start, header[closeParen].token.end)
+            .replace(/\s+/g, ' ');
+
+        if (kind === 'method' && CSharpSymbols.isUnityMessage(name) &&
+            container && ['class', 'struct', 'record'].includes(container.kind)) {
+            symbol.unityMessage = true;
+        }
+
+        this.finish(symbol, this.skipBody(terminator));
+        return symbol;
+    }
+
+    /**
+     * Parse a property, indexer or event with accessors, or an
+     * expression-bodied property
+     */
+    parseProperty(header, terminator) {
+        const topLevel = header.filter(item => item.depth === 0);
+        const nameItem = [...topLevel].reverse().find(item => item.token.type === 'identifier') || topLevel[topLevel.length - 1];
+        const nameIndex = header.indexOf(nameItem);
+        const indexer = nameItem.token.value === 'this';
+        const isEvent = header.some(item => item.token.value === 'event');
+
+        const symbol = this.createSymbol(
+            indexer ? 'indexer' : isEvent ? 'event' : 'property',
+            indexer ? 'this[]' : nameItem.token.value,
+            nameItem.token,
+            header[0].token
+        );
+        symbol.modifiers = this.getModifiers(header.slice(0, nameIndex));
+        symbol.type = this.getType(header.slice(0, nameIndex));
+        symbol.detail = symbol.type;
+
+        let end = this.skipBody(terminator);
+        // Property initializer: int X { get; set; } = 5;
+        if (terminator.value === '{' && this.peek() === '=') {
+            end = this.skipStatement();
+        }
+
+        this.finish(symbol, end);
+        return symbol;
+    }
+
+    /**
+     * Parse a field, constant or event field declaration, which may
+     * declare several names (int a, b = 2;)
+     */
+    parseFields(header, terminator) {
+        // Names are followed by a comma at the top level (outside generics)
+        const names = [];
+        let angles = 0;
+        header.forEach((item, index) => {
+            const value = item.token.value;
+            if (value === '<') angles++;
+            if (value === '>') angles = Math.max(0, angles - 1);
+            if (value === ',' && angles === 0 && item.depth === 0 && index > 0 &&
+                header[index - 1].token.type === 'identifier') {
+                names.push(index - 1);
+            }
+        });
+
+        const lastIndex = header.length - 1;
+        if (header[lastIndex].token.type !== 'identifier') {
+            this.skipStatement();
+            return [];
+        }
+        names.push(lastIndex);
+
+        const firstName = names[0];
+        const modifiers = this.getModifiers(header.slice(0, firstName));
+        const type = this.getType(header.slice(0, firstName));
+        const kind = modifiers.includes('const') ? 'constant'
+            : modifiers.includes('event') ? 'event' : 'field';
+
+        const nameTokens = names.map(index => header[index].token);
+
+        // Further declarators after an initializer: int a = 1, b = 2;
+        // (a comma inside a generic, as in new Dictionary<int, string>(), isn't one)
+        if (terminator.value === '=') {
+            while (this.pos < this.tokens.length) {
+                this.skipExpression([',', ';']);
+                if (this.peek() !== ',') break;
+                this.pos++;
+                const token = this.tokens[this.pos];
+                if (token && token.type === 'identifier' && ['=', ',', ';'].includes(this.peek(1))) {
+                    nameTokens.push(token);
+                    this.pos++;
+                }
+            }
+        }
+        const end = this.skipStatement();
+
+        return nameTokens.map(token => {
+            const symbol = this.createSymbol(kind, token.value, token, header[0].token);
+            symbol.modifiers = modifiers;
+            symbol.type = type;
+            symbol.detail = type;
+            this.finish(symbol, end);
+            return symbol;
+        });
+    }
+
+    /**
+     * Skip a member's body after its header: a block, an expression body
+     * or a plain ';'. Returns the last token of the member.
+     */
+    skipBody(terminator) {
+        if (terminator.value === '{') {
+            return this.skipBalanced('{', '}');
+        }
+        if (terminator.value === '=>' || terminator.value === '=') {
+            return this.skipStatement();
+        }
+        if (terminator.value === ';') {
+            this.pos++;
+            return terminator;
+        }
+        return this.tokens[this.pos - 1];
+    }
+
+    /**
+     * Skip a balanced pair starting at the current token; returns the closing token
+     */
+    skipBalanced(open, close) {
+        let depth = 0;
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos++];
+            if (token.value === open) depth++;
+            if (token.value === close && --depth === 0) return token;
+        }
+
+        return this.tokens[this.tokens.length - 1];
+    }
+
+    /**
+     * Skip to a top-level token in stops without consuming it. Stops early at
+     * an unmatched closing brace.
+     */
+    skipExpression(stops) {
+        let depth = 0;
+
+        while (this.pos < this.tokens.length) {
+            const value = this.peek();
+            if (depth === 0 && stops.includes(value)) return;
+            if (value === '(' || value === '[' || value === '{') depth++;
+            if (value === ')' || value === ']' || value === '}') {
+                if (depth === 0) return;
+                depth--;
+            }
+            this.pos++;
+        }
+    }
+
+    /**
+     * Skip past the next top-level ';'; returns the last token skipped
+     */
+    skipStatement() {
+        this.skipExpression([';']);
+        if (this.peek() === ';') {
+            return this.tokens[this.pos++];
+        }
+        return this.tokens[Math.max(0, this.pos - 1)];
+    }
+
+    /**
+     * Consume a token if it has the given value; returns the last consumed token
+     */
+    consume(value) {
+        if (this.peek() === value) {
+            return this.tokens[this.pos++];
+        }
+        return this.tokens[Math.max(0, this.pos - 1)];
+    }
+
+    /**
+     * Find the index of the ')' matching the '(' at openIndex in a header
+     */
+    findClosingParen(header, openIndex) {
+        for (let i = openIndex + 1; i < header.length; i++) {
+            if (header[i].token.value === ')' && header[i].depth === 0) return i;
+        }
+        return header.length - 1;
+    }
+
+    /**
+     * Get the modifiers among a declaration's leading tokens
+     */
+    getModifiers(items) {
+        return items.map(item => item.token.value).filter(value => MODIFIERS.has(value));
+    }
+
+    /**
+     * Get the type in a declaration's leading tokens (after the modifiers)
+     */
+    getType(items) {
+        const rest = items.filter(item => !MODIFIERS.has(item.token.value) && item.token.value !== 'delegate');
+        return this.joinTokens(rest);
+    }
+
+    /**
+     * Join tokens back into source-like text: Dictionary<int, string>
+     */
+    joinTokens(items) {
+        return items
+            .map(item => (item.token || item).value)
+            .join('')
+            .replace(/,/g, ', ');
+    }
+
+    /**
+     * Create a symbol starting at a token, named by another
+     */
+    createSymbol(kind, name, nameToken, startToken) {
+        const selection = this.getRange(nameToken, nameToken);
+        return {
+            name,
+            kind,
+            detail: '',
+            type: '',
+            modifiers: [],
+            range: this.getRange(startToken, nameToken),
+            selectionRange: selection,
+            children: []
+        };
+    }
+
+    /**
+     * Set where a symbol ends
+     */
+    finish(symbol, endToken) {
+        if (!endToken) return;
+
+        const end = this.getPosition(endToken.end);
+        if (end.lineNumber > symbol.range.endLineNumber ||
+            (end.lineNumber === symbol.range.endLineNumber && end.column > symbol.range.endColumn)) {
+            symbol.range.endLineNumber = end.lineNumber;
+            symbol.range.endColumn = end.column;
+        }
+    }
+
+    /**
+     * Get the range from the start of one token to the end of another
+     */
+    getRange(startToken, endToken) {
+        const start = this.getPosition(startToken.start);
+        const end = this.getPosition(endToken.end);
+        return {
+            startLineNumber: start.lineNumber,
+            startColumn: start.column,
+            endLineNumber: end.lineNumber,
+            endColumn: end.column
+        };
+    }
+
+    /**
+     * Get the 1-based line and column of an offset
+     */
+    getPosition(offset) {
+        return CSharpSymbols.getPosition(this.lineStarts, offset);
+    }
+}
+
+export default CSharpSymbols;
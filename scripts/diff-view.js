@@ -0,0 +1,258 @@
+/**
+ * Diff View Module
+ * Monaco diff editor comparing the original blob with local changes,
+ * with per-hunk revert and staging
+ */
+
+import { Diff } from './diff.js';
+
+export class DiffView {
+    constructor(modalElement, onRevert) {
+        this.modal = modalElement;
+        this.onRevert = onRevert;
+        this.editorContainer = modalElement.querySelector('.diff-editor-container');
+        this.fileLabel = modalElement.querySelector('.diff-file');
+        this.counterLabel = modalElement.querySelector('.diff-counter');
+        this.prevBtn = modalElement.querySelector('.diff-prev');
+        this.nextBtn = modalElement.querySelector('.diff-next');
+        this.modeBtn = modalElement.querySelector('.diff-mode');
+        this.revertBtn = modalElement.querySelector('.diff-revert');
+        this.stageBtn = modalElement.querySelector('.diff-stage');
+        this.closeBtn = modalElement.querySelector('.diff-close');
+
+        this.diffEditor = null;
+        this.decorations = [];
+        this.sideBySide = window.innerWidth >= 768;
+        this.filePath = null;
+        this.original = '';
+        this.modified = '';
+        this.hunks = [];
+        this.unstagedKeys = new Set();
+        this.currentHunk = 0;
+        this.resolvePromise = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.prevBtn.addEventListener('click', () => this.goToHunk(this.currentHunk - 1));
+        this.nextBtn.addEventListener('click', () => this.goToHunk(this.currentHunk + 1));
+        this.modeBtn.addEventListener('click', () => this.toggleMode());
+        this.revertBtn.addEventListener('click', () => this.revertCurrentHunk());
+        this.stageBtn.addEventListener('click', () => this.toggleStageCurrentHunk());
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Open the diff for a file. unstagedKeys lists hunks (by hunkKey) left out
+     * of the next commit. Resolves with { content, hunks, stagedHunks } for the
+     * (possibly reverted) local content when the view is closed.
+     */
+    open(filePath, original, modified, language = 'plaintext', unstagedKeys = []) {
+        this.filePath = filePath;
+        this.original = original;
+        this.modified = modified;
+        this.unstagedKeys = new Set(unstagedKeys);
+        this.currentHunk = 0;
+        this.fileLabel.textContent = filePath;
+
+        if (!this.diffEditor) {
+            this.diffEditor = monaco.editor.createDiffEditor(this.editorContainer, {
+                theme: 'vs-dark',
+                automaticLayout: true,
+                readOnly: true,
+                originalEditable: false,
+                renderSideBySide: this.sideBySide,
+                fontSize: 14,
+                minimap: {
+                    enabled: false
+                },
+                scrollBeyondLastLine: false,
+                wordWrap: 'on',
+                glyphMargin: false
+            });
+        }
+
+        const oldModels = this.diffEditor.getModel();
+        this.diffEditor.setModel({
+            original: monaco.editor.createModel(original, language),
+            modified: monaco.editor.createModel(modified, language)
+        });
+        if (oldModels) {
+            oldModels.original.dispose();
+            oldModels.modified.dispose();
+        }
+
+        this.modal.classList.remove('hidden');
+        this.updateMode();
+        this.refresh();
+        this.goToHunk(0);
+
+        return new Promise(resolve => {
+            this.resolvePromise = resolve;
+        });
+    }
+
+    /**
+     * Close the view and settle the pending promise
+     */
+    close() {
+        this.modal.classList.add('hidden');
+
+        if (this.resolvePromise) {
+            const resolve = this.resolvePromise;
+            this.resolvePromise = null;
+            resolve({
+                content: this.modified,
+                hunks: this.hunks,
+                stagedHunks: this.hunks.filter(hunk => this.isStaged(hunk)),
+                unstagedKeys: [...this.unstagedKeys]
+            });
+        }
+    }
+
+    /**
+     * Hunks are identified by their range in the original, which doesn't
+     * move when other hunks are reverted
+     */
+    static hunkKey(hunk) {
+        return `${hunk.aStart}:${hunk.aEnd}`;
+    }
+
+    /**
+     * Check if a hunk will be part of the next commit
+     */
+    isStaged(hunk) {
+        return !this.unstagedKeys.has(DiffView.hunkKey(hunk));
+    }
+
+    /**
+     * Include or leave out the current hunk from the next commit
+     */
+    toggleStageCurrentHunk() {
+        const hunk = this.hunks[this.currentHunk];
+        if (!hunk) return;
+
+        const key = DiffView.hunkKey(hunk);
+        if (this.unstagedKeys.has(key)) {
+            this.unstagedKeys.delete(key);
+        } else {
+            this.unstagedKeys.add(key);
+        }
+
+        this.highlightHunk(hunk);
+        this.updateControls();
+    }
+
+    /**
+     * Switch between inline and side-by-side rendering
+     */
+    toggleMode() {
+        this.sideBySide = !this.sideBySide;
+        this.updateMode();
+    }
+
+    /**
+     * Apply the current render mode
+     */
+    updateMode() {
+        this.diffEditor.updateOptions({ renderSideBySide: this.sideBySide });
+        this.modeBtn.textContent = this.sideBySide ? 'Inline' : 'Side by side';
+    }
+
+    /**
+     * Recompute hunks after the modified content changed
+     */
+    refresh() {
+        this.hunks = Diff.diffLines(this.original, this.modified);
+
+        // Forget staging state of hunks that no longer exist
+        const keys = new Set(this.hunks.map(hunk => DiffView.hunkKey(hunk)));
+        this.unstagedKeys = new Set([...this.unstagedKeys].filter(key => keys.has(key)));
+
+        this.currentHunk = Math.min(this.currentHunk, Math.max(0, this.hunks.length - 1));
+        this.updateControls();
+    }
+
+    /**
+     * Reveal and highlight a hunk in the modified editor
+     */
+    goToHunk(index) {
+        if (this.hunks.length === 0) {
+            this.highlightHunk(null);
+            this.updateControls();
+            return;
+        }
+
+        this.currentHunk = Math.max(0, Math.min(index, this.hunks.length - 1));
+        const hunk = this.hunks[this.currentHunk];
+        this.diffEditor.getModifiedEditor().revealLineInCenter(Math.max(1, hunk.bStart + 1));
+        this.highlightHunk(hunk);
+        this.updateControls();
+    }
+
+    /**
+     * Mark the lines of the current hunk in the gutter
+     */
+    highlightHunk(hunk) {
+        const editor = this.diffEditor.getModifiedEditor();
+        const decorations = [];
+
+        if (hunk) {
+            // Pure deletions have no modified lines, mark the line they were removed at
+            const startLine = Math.max(1, hunk.bStart + 1);
+            const endLine = Math.max(startLine, hunk.bEnd);
+            decorations.push({
+                range: new monaco.Range(startLine, 1, endLine, 1),
+                options: {
+                    isWholeLine: true,
+                    linesDecorationsClassName: this.isStaged(hunk) ? 'diff-current-hunk' : 'diff-current-hunk unstaged'
+                }
+            });
+        }
+
+        this.decorations = editor.deltaDecorations(this.decorations, decorations);
+    }
+
+    /**
+     * Put the original lines of the current hunk back into the local content
+     */
+    revertCurrentHunk() {
+        const hunk = this.hunks[this.currentHunk];
+        if (!hunk) return;
+
+        this.modified = Diff.revertHunk(this.original, this.modified, hunk);
+        this.diffEditor.getModel().modified.setValue(this.modified);
+
+        if (this.onRevert) {
+            this.onRevert(this.filePath, this.modified, this.original);
+        }
+
+        this.refresh();
+        this.goToHunk(this.currentHunk);
+    }
+
+    /**
+     * Update counter and button state
+     */
+    updateControls() {
+        const total = this.hunks.length;
+
+        const hunk = this.hunks[this.currentHunk];
+        const staged = hunk ? this.isStaged(hunk) : false;
+
+        this.counterLabel.textContent = total === 0
+            ? 'No changes'
+            : `Change ${this.currentHunk + 1} of ${total}${staged ? '' : ' (not staged)'}`;
+        this.prevBtn.disabled = this.currentHunk <= 0;
+        this.nextBtn.disabled = this.currentHunk >= total - 1;
+        this.revertBtn.disabled = total === 0;
+        this.stageBtn.disabled = total === 0;
+        this.stageBtn.textContent = staged ? 'Unstage' : 'Stage';
+    }
+}
+
+export default DiffView;
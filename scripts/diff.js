@@ -0,0 +1,370 @@
+/**
+ * Diff Module
+ * Line-based diff and three-way merge for text files
+ */
+
+export class Diff {
+    /**
+     * Split text into lines (line endings other than \n stay on the line)
+     */
+    static splitLines(text) {
+        return text === '' ? [] : text.split('\n');
+    }
+
+    /**
+     * Check if text mixes CRLF and LF line endings
+     */
+    static hasMixedLineEndings(text) {
+        return text.includes('\r\n') && /(^|[^\r])\n/.test(text);
+    }
+
+    /**
+     * Give the lines of `edited`, which uses one line ending throughout (as
+     * the editor normalizes text to), the line endings they had in
+     * `original`. Changed and added lines get `eol`. Only text that mixes
+     * CRLF and LF needs this; anything else comes back as it is.
+     */
+    static restoreLineEndings(original, edited, eol) {
+        if (!this.hasMixedLineEndings(original)) return edited;
+
+        const originalLines = this.splitLines(original);
+        const last = originalLines.length - 1;
+        const endings = originalLines.map((line, i) => {
+            if (i === last) return '';
+            return line.endsWith('\r') ? '\r\n' : '\n';
+        });
+        const a = originalLines.map((line, i) => endings[i] === '\r\n' ? line.slice(0, -1) : line);
+        const b = edited === '' ? [] : edited.split(/\r?\n/);
+
+        // Unchanged lines keep their own ending
+        const bEndings = b.map(() => eol);
+        let ai = 0;
+        let bi = 0;
+        const keep = (aEnd) => {
+            for (; ai < aEnd; ai++, bi++) {
+                if (endings[ai]) bEndings[bi] = endings[ai];
+            }
+        };
+        this.diffLines(a, b).forEach(hunk => {
+            keep(hunk.aStart);
+            ai = hunk.aEnd;
+            bi = hunk.bEnd;
+        });
+        keep(a.length);
+
+        return b.map((line, i) => i < b.length - 1 ? line + bEndings[i] : line).join('');
+    }
+
+    /**
+     * Compute line hunks that turn `a` into `b` (Myers algorithm).
+     * Each hunk is { aStart, aEnd, bStart, bEnd } with exclusive ends.
+     */
+    static diffLines(a, b) {
+        const aLines = Array.isArray(a) ? a : this.splitLines(a);
+        const bLines = Array.isArray(b) ? b : this.splitLines(b);
+
+        // Trim the common prefix and suffix, the diff only needs the middle
+        let prefix = 0;
+        while (prefix < aLines.length && prefix < bLines.length && aLines[prefix] === bLines[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (
+            suffix < aLines.length - prefix &&
+            suffix < bLines.length - prefix &&
+            aLines[aLines.length - 1 - suffix] === bLines[bLines.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        const aMid = aLines.slice(prefix, aLines.length - suffix);
+        const bMid = bLines.slice(prefix, bLines.length - suffix);
+
+        return this._myers(aMid, bMid).map(hunk => ({
+            aStart: hunk.aStart + prefix,
+            aEnd: hunk.aEnd + prefix,
+            bStart: hunk.bStart + prefix,
+            bEnd: hunk.bEnd + prefix
+        }));
+    }
+
+    /**
+     * Myers shortest edit script, collapsed into hunks
+     */
+    static _myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+
+        if (n === 0 && m === 0) return [];
+        if (n === 0 || m === 0) {
+            return [{ aStart: 0, aEnd: n, bStart: 0, bEnd: m }];
+        }
+
+        const max = n + m;
+        const offset = max;
+        const v = new Int32Array(2 * max + 2);
+        const trace = [];
+
+        let found = false;
+        for (let d = 0; d <= max && !found; d++) {
+            // Step d only reads diagonals -d..d, so that window is all the
+            // walk back needs; copying all of V would take O(D·(N+M)) memory
+            trace.push(v.slice(offset - d, offset + d + 1));
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];
+                } else {
+                    x = v[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        // Walk the trace backwards to recover the edit path
+        const edits = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d > 0; d--) {
+            const vd = trace[d];
+            const k = x - y;
+            let prevK;
+            if (k === -d || (k !== d && vd[d + k - 1] < vd[d + k + 1])) {
+                prevK = k + 1;
+            } else {
+                prevK = k - 1;
+            }
+            const prevX = vd[d + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+            }
+
+            if (x === prevX) {
+                edits.push({ type: 'insert', aIndex: x, bIndex: prevY });
+            } else {
+                edits.push({ type: 'delete', aIndex: prevX, bIndex: y });
+            }
+            x = prevX;
+            y = prevY;
+        }
+        edits.reverse();
+
+        // Collapse consecutive edits into hunks
+        const hunks = [];
+        let current = null;
+        edits.forEach(edit => {
+            const aPos = edit.aIndex;
+            const bPos = edit.bIndex;
+            if (current && current.aEnd === aPos && current.bEnd === bPos) {
+                if (edit.type === 'delete') current.aEnd++;
+                else current.bEnd++;
+                return;
+            }
+            current = {
+                aStart: aPos,
+                aEnd: aPos + (edit.type === 'delete' ? 1 : 0),
+                bStart: bPos,
+                bEnd: bPos + (edit.type === 'insert' ? 1 : 0)
+            };
+            hunks.push(current);
+        });
+
+        return hunks;
+    }
+
+    /**
+     * Undo one hunk of diffLines(original, modified), returning the new modified text
+     */
+    static revertHunk(original, modified, hunk) {
+        const originalLines = this.splitLines(original);
+        const modifiedLines = this.splitLines(modified);
+
+        modifiedLines.splice(
+            hunk.bStart,
+            hunk.bEnd - hunk.bStart,
+            ...originalLines.slice(hunk.aStart, hunk.aEnd)
+        );
+
+        return modifiedLines.join('\n');
+    }
+
+    /**
+     * Apply only the given hunks of diffLines(original, modified) to the original text
+     */
+    static applyHunks(original, modified, hunks) {
+        const originalLines = this.splitLines(original);
+        const modifiedLines = this.splitLines(modified);
+
+        // Apply from the bottom up so earlier indices stay valid
+        [...hunks]
+            .sort((x, y) => y.aStart - x.aStart)
+            .forEach(hunk => {
+                originalLines.splice(
+                    hunk.aStart,
+                    hunk.aEnd - hunk.aStart,
+                    ...modifiedLines.slice(hunk.bStart, hunk.bEnd)
+                );
+            });
+
+        return originalLines.join('\n');
+    }
+
+    /**
+     * Three-way merge of line-based text.
+     * Returns { chunks, conflicts } where each chunk is either
+     * { type: 'stable', lines } or { type: 'conflict', base, ours, theirs }.
+     */
+    static merge3(base, ours, theirs) {
+        const baseLines = this.splitLines(base);
+        const oursLines = this.splitLines(ours);
+        const theirsLines = this.splitLines(theirs);
+
+        const hunks = [
+            ...this.diffLines(baseLines, oursLines).map(hunk => ({ ...hunk, side: 'ours' })),
+            ...this.diffLines(baseLines, theirsLines).map(hunk => ({ ...hunk, side: 'theirs' }))
+        ].sort((x, y) => x.aStart - y.aStart || x.aEnd - y.aEnd);
+
+        const chunks = [];
+        let conflicts = 0;
+        let basePos = 0;
+
+        const pushStable = (lines) => {
+            if (lines.length === 0) return;
+            const last = chunks[chunks.length - 1];
+            if (last && last.type === 'stable') {
+                last.lines.push(...lines);
+            } else {
+                chunks.push({ type: 'stable', lines: [...lines] });
+            }
+        };
+
+        // Lines of one side covering base[lo, hi), given that side's hunks in the range
+        const sideRange = (sideHunks, sideLines, lo, hi) => {
+            if (sideHunks.length === 0) return baseLines.slice(lo, hi);
+            const first = sideHunks[0];
+            const last = sideHunks[sideHunks.length - 1];
+            const start = first.bStart - (first.aStart - lo);
+            const end = last.bEnd + (hi - last.aEnd);
+            return sideLines.slice(start, end);
+        };
+
+        let i = 0;
+        while (i < hunks.length) {
+            // Group hunks whose base ranges overlap or touch
+            const group = [hunks[i]];
+            let lo = hunks[i].aStart;
+            let hi = hunks[i].aEnd;
+            i++;
+            while (i < hunks.length && hunks[i].aStart <= hi) {
+                hi = Math.max(hi, hunks[i].aEnd);
+                group.push(hunks[i]);
+                i++;
+            }
+
+            pushStable(baseLines.slice(basePos, lo));
+            basePos = hi;
+
+            const oursHunks = group.filter(hunk => hunk.side === 'ours');
+            const theirsHunks = group.filter(hunk => hunk.side === 'theirs');
+            const oursRange = sideRange(oursHunks, oursLines, lo, hi);
+            const theirsRange = sideRange(theirsHunks, theirsLines, lo, hi);
+
+            if (theirsHunks.length === 0) {
+                pushStable(oursRange);
+            } else if (oursHunks.length === 0) {
+                pushStable(theirsRange);
+            } else if (oursRange.join('\n') === theirsRange.join('\n')) {
+                // Both sides made the same change
+                pushStable(oursRange);
+            } else {
+                chunks.push({
+                    type: 'conflict',
+                    base: baseLines.slice(lo, hi),
+                    ours: oursRange,
+                    theirs: theirsRange
+                });
+                conflicts++;
+            }
+        }
+
+        pushStable(baseLines.slice(basePos));
+
+        return { chunks, conflicts };
+    }
+
+    /**
+     * Two-way merge for text without a common base: lines both sides have
+     * are stable and every difference is a conflict. Returns { chunks,
+     * conflicts } like merge3.
+     */
+    static merge2(ours, theirs) {
+        const oursLines = this.splitLines(ours);
+        const theirsLines = this.splitLines(theirs);
+        const chunks = [];
+        let pos = 0;
+
+        const pushStable = (lines) => {
+            if (lines.length > 0) chunks.push({ type: 'stable', lines });
+        };
+
+        const hunks = this.diffLines(theirsLines, oursLines);
+        hunks.forEach(hunk => {
+            pushStable(theirsLines.slice(pos, hunk.aStart));
+            chunks.push({
+                type: 'conflict',
+                base: [],
+                ours: oursLines.slice(hunk.bStart, hunk.bEnd),
+                theirs: theirsLines.slice(hunk.aStart, hunk.aEnd)
+            });
+            pos = hunk.aEnd;
+        });
+        pushStable(theirsLines.slice(pos));
+
+        return { chunks, conflicts: hunks.length };
+    }
+
+    /**
+     * Build text from merge chunks.
+     * choices[i] picks 'ours', 'theirs' or 'both' for the i-th conflict;
+     * unresolved conflicts are written with conflict markers.
+     */
+    static resolveMerge(chunks, choices = []) {
+        const lines = [];
+        let conflictIndex = 0;
+
+        chunks.forEach(chunk => {
+            if (chunk.type === 'stable') {
+                lines.push(...chunk.lines);
+                return;
+            }
+
+            const choice = choices[conflictIndex++];
+            if (choice === 'ours') {
+                lines.push(...chunk.ours);
+            } else if (choice === 'theirs') {
+                lines.push(...chunk.theirs);
+            } else if (choice === 'both') {
+                lines.push(...chunk.ours, ...chunk.theirs);
+            } else {
+                lines.push('<<<<<<< local', ...chunk.ours, '=======', ...chunk.theirs, '>>>>>>> remote');
+            }
+        });
+
+        return lines.join('\n');
+    }
+}
+
+export default Diff;
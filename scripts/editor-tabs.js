@@ -0,0 +1,106 @@
+/**
+ * Editor Tabs Module
+ * Renders the strip of open files above the editor
+ */
+
+export class EditorTabs {
+    constructor(containerElement, onSelect, onClose, onContextMenu) {
+        this.container = containerElement;
+        this.onSelect = onSelect;
+        this.onClose = onClose;
+        this.onContextMenu = onContextMenu;
+    }
+
+    /**
+     * Render tabs for the open files. dirtyFiles is a Set of paths that
+     * differ from their last commit.
+     */
+    render(files, activeFile, dirtyFiles = new Set()) {
+        this.container.innerHTML = '';
+        this.container.classList.toggle('hidden', files.length === 0);
+
+        // Tell apart files with the same name by their folder
+        const nameCounts = new Map();
+        files.forEach(path => {
+            const name = path.split('/').pop();
+            nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+        });
+
+        files.forEach(path => {
+            const parts = path.split('/');
+            const name = parts.pop();
+
+            const tab = document.createElement('div');
+            tab.className = 'editor-tab';
+            tab.title = path;
+            if (path === activeFile) {
+                tab.classList.add('active');
+            }
+
+            const label = document.createElement('span');
+            label.className = 'editor-tab-name';
+            label.textContent = name;
+            tab.appendChild(label);
+
+            if (nameCounts.get(name) > 1 && parts.length > 0) {
+                const folder = document.createElement('span');
+                folder.className = 'editor-tab-folder';
+                folder.textContent = parts[parts.length - 1];
+                tab.appendChild(folder);
+            }
+
+            if (dirtyFiles.has(path)) {
+                const dirty = document.createElement('span');
+                dirty.className = 'editor-tab-dirty';
+                dirty.textContent = '•';
+                tab.appendChild(dirty);
+            }
+
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'editor-tab-close';
+            closeBtn.title = 'Close';
+            closeBtn.innerHTML = '&times;';
+            tab.appendChild(closeBtn);
+
+            tab.addEventListener('click', (e) => {
+                if (e.target === closeBtn) {
+                    e.stopPropagation();
+                    this.onClose(path);
+                } else if (path !== activeFile) {
+                    this.onSelect(path);
+                }
+            });
+
+            // Middle click closes, as in desktop editors
+            tab.addEventListener('auxclick', (e) => {
+                if (e.button === 1) {
+                    e.preventDefault();
+                    this.onClose(path);
+                }
+            });
+
+            tab.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (this.onContextMenu) {
+                    this.onContextMenu(e.clientX, e.clientY, path);
+                }
+            });
+
+            this.container.appendChild(tab);
+
+            if (path === activeFile) {
+                tab.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Remove all tabs
+     */
+    clear() {
+        this.render([], null);
+    }
+}
+
+export default EditorTabs;
@@ -4,18 +4,152 @@
  */
 
 import { Storage } from './storage.js';
+import { CSharpSymbols } from './csharp-symbols.js';
+import { CSharpCompletion } from './csharp-completion.js';
+import { Fuzzy } from './fuzzy.js';
+import { Diff } from './diff.js';
+import { Codec } from './codec.js';
+
+// How long the cursor or content must settle before symbols are refreshed
+const SYMBOLS_DELAY = 200;
+
+// How long the cursor must settle before the suggestion strip is refreshed
+const SUGGESTIONS_DELAY = 100;
+const MAX_SUGGESTIONS = 20;
+
+// Width of the line number gutter in blame mode, in characters
+const BLAME_WIDTH = 20;
+
+// Below this width the keyboard toolbar and suggestion strip replace
+// Monaco's suggestion popup (matches the stylesheet's breakpoint)
+const TOUCH_LAYOUT_QUERY = '(max-width: 767px)';
+
+// CSharpSymbols kinds to monaco.languages.SymbolKind names
+const SYMBOL_KINDS = {
+    namespace: 'Namespace',
+    class: 'Class',
+    struct: 'Struct',
+    interface: 'Interface',
+    enum: 'Enum',
+    record: 'Class',
+    delegate: 'Function',
+    method: 'Method',
+    constructor: 'Constructor',
+    operator: 'Operator',
+    property: 'Property',
+    indexer: 'Property',
+    field: 'Field',
+    constant: 'Constant',
+    event: 'Event',
+    enumMember: 'EnumMember'
+};
+
+// Keyboard toolbar actions to Monaco commands, as [command, command while selecting]
+const KEY_COMMANDS = {
+    cursorLeft: ['cursorLeft', 'cursorLeftSelect'],
+    cursorRight: ['cursorRight', 'cursorRightSelect'],
+    cursorUp: ['cursorUp', 'cursorUpSelect'],
+    cursorDown: ['cursorDown', 'cursorDownSelect'],
+    cursorHome: ['cursorHome', 'cursorHomeSelect'],
+    cursorEnd: ['cursorEnd', 'cursorEndSelect'],
+    selectLine: ['expandLineSelection'],
+    undo: ['undo'],
+    redo: ['redo'],
+    tab: ['tab'],
+    indent: ['editor.action.indentLines'],
+    outdent: ['editor.action.outdentLines']
+};
+
+// Default shortcuts of common Monaco actions, shown in the command palette.
+// Monaco has no public API to look them up.
+const EDITOR_KEYBINDINGS = {
+    'actions.find': 'Ctrl+F',
+    'editor.action.startFindReplaceAction': 'Ctrl+H',
+    'editor.action.gotoLine': 'Ctrl+G',
+    'editor.action.commentLine': 'Ctrl+/',
+    'editor.action.blockComment': 'Shift+Alt+A',
+    'editor.action.formatDocument': 'Shift+Alt+F',
+    'editor.action.rename': 'F2',
+    'editor.action.revealDefinition': 'F12',
+    'editor.action.referenceSearch.trigger': 'Shift+F12',
+    'editor.action.quickFix': 'Ctrl+.',
+    'editor.action.triggerSuggest': 'Ctrl+Space',
+    'editor.action.triggerParameterHints': 'Ctrl+Shift+Space',
+    'editor.action.addSelectionToNextFindMatch': 'Ctrl+D',
+    'editor.action.selectHighlights': 'Ctrl+Shift+L',
+    'editor.action.deleteLines': 'Ctrl+Shift+K',
+    'editor.action.moveLinesUpAction': 'Alt+Up',
+    'editor.action.moveLinesDownAction': 'Alt+Down',
+    'editor.action.copyLinesUpAction': 'Shift+Alt+Up',
+    'editor.action.copyLinesDownAction': 'Shift+Alt+Down',
+    'editor.action.insertCursorAbove': 'Ctrl+Alt+Up',
+    'editor.action.insertCursorBelow': 'Ctrl+Alt+Down',
+    'editor.action.jumpToBracket': 'Ctrl+Shift+\\',
+    'editor.fold': 'Ctrl+Shift+[',
+    'editor.unfold': 'Ctrl+Shift+]',
+    'editor.foldAll': 'Ctrl+K Ctrl+0',
+    'editor.unfoldAll': 'Ctrl+K Ctrl+J'
+};
+
+// CSharpCompletion item kinds to monaco.languages.CompletionItemKind names
+const COMPLETION_KINDS = {
+    keyword: 'Keyword',
+    class: 'Class',
+    struct: 'Struct',
+    interface: 'Interface',
+    enum: 'Enum',
+    record: 'Class',
+    delegate: 'Function',
+    method: 'Method',
+    property: 'Property',
+    field: 'Field',
+    constant: 'Constant',
+    event: 'Event',
+    enumMember: 'EnumMember',
+    variable: 'Variable',
+    snippet: 'Snippet'
+};
 
 export class Editor {
     constructor(containerElement) {
         this.container = containerElement;
         this.editor = null;
+        this.placeholderModel = null;
+        // Open files by path: { model, viewState, originalContent, currentContent,
+        // sha, baseCommit, mode, isDirty, commentDecorations, symbols, blame, large, editable,
+        // normalized } where normalized caches differsFrom's last comparison text
+        this.documents = new Map();
         this.currentFile = null;
-        this.currentContent = null;
-        this.originalContent = null;
-        this.isDirty = false;
         this.owner = null;
         this.repo = null;
         this.onDirtyStateChange = null;
+        this.onSymbolsChange = null;
+        this.symbolProvider = null;
+        this.symbolsTimer = null;
+
+        // Cross-file navigation: the symbol index, its Monaco providers, and
+        // models of files that aren't open, for Monaco's peek views
+        this.symbolIndex = null;
+        this.onOpenLocation = null;
+        this.navigationProviders = [];
+        this.peekModels = new Map();
+
+        // Blame mode: the line number gutter shows who last changed each line
+        this.blameShown = false;
+        this.onBlameSelect = null;
+
+        // C# completion: Monaco's popup on desktop, the suggestion strip
+        // (onSuggestionsChange) in the touch layout
+        this.completionProviders = [];
+        this.onSuggestionsChange = null;
+        this.suggestionsTimer = null;
+        this.touchLayout = window.matchMedia(TOUCH_LAYOUT_QUERY);
+        this.handleLayoutChange = () => {
+            if (this.editor) {
+                this.editor.updateOptions(this.getSuggestOptions());
+            }
+            this.scheduleSuggestionsChange();
+        };
     }
 
     /**
@@ -44,25 +178,51 @@ export class Editor {
                     wrappingIndent: 'same',
                     folding: true,
                     glyphMargin: false,
-                    // Mobile optimizations
-                    quickSuggestions: false,
-                    parameterHints: { enabled: false },
-                    suggestOnTriggerCharacters: false,
-                    acceptSuggestionOnEnter: 'off',
+                    ...this.getSuggestOptions(),
                     tabCompletion: 'off',
                     wordBasedSuggestions: false
                 });
 
-                // Listen for content changes
-                this.editor.onDidChangeModelContent(() => {
-                    this.checkDirtyState();
-                });
+                // Shown while no file is open
+                this.placeholderModel = this.editor.getModel();
 
                 // Add keyboard shortcuts
                 this.editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
                     this.save();
                 });
 
+                // Outline, breadcrumbs and "Go to Symbol" for C#
+                this.symbolProvider = monaco.languages.registerDocumentSymbolProvider('csharp', {
+                    provideDocumentSymbols: (model) => this.getModelSymbols(model).map(symbol => this.toDocumentSymbol(symbol))
+                });
+                this.editor.onDidChangeCursorPosition(() => {
+                    this.scheduleSymbolsChange();
+                    this.scheduleSuggestionsChange();
+                });
+                this.editor.onDidChangeModelContent(() => this.scheduleSymbolsChange());
+
+                // Tapping a line's blame shows its commit
+                this.editor.onMouseDown((e) => {
+                    if (!this.blameShown || !this.onBlameSelect ||
+                        e.target.type !== monaco.editor.MouseTargetType.GUTTER_LINE_NUMBERS) return;
+
+                    const range = this.getBlameAt(e.target.position.lineNumber);
+                    if (range) this.onBlameSelect(range);
+                });
+
+                // Completion and parameter hints for C#
+                this.completionProviders.push(
+                    monaco.languages.registerCompletionItemProvider('csharp', {
+                        triggerCharacters: ['.'],
+                        provideCompletionItems: (model, position) => this.provideCompletionItems(model, position)
+                    }),
+                    monaco.languages.registerSignatureHelpProvider('csharp', {
+                        signatureHelpTriggerCharacters: ['(', ','],
+                        provideSignatureHelp: (model, position) => this.provideSignatureHelp(model, position)
+                    })
+                );
+                this.touchLayout.addEventListener('change', this.handleLayoutChange);
+
                 resolve(this.editor);
             } catch (error) {
                 reject(error);
@@ -71,31 +231,279 @@ export class Editor {
     }
 
     /**
-     * Load file content into editor
+     * Load file content into its tab and make it the active file.
+     * sha and baseCommit identify the blob and commit the content came from;
+     * mode is the file's git mode there, kept when the edit is committed.
+     * Reloading an open file keeps its undo history and any edits that
+     * haven't been saved yet.
      */
-    loadFile(filePath, content, sha, owner, repo) {
-        this.currentFile = filePath;
-        this.originalContent = content;
-        this.currentContent = content;
+    loadFile(filePath, content, sha, owner, repo, baseCommit = null, large = false, mode = null) {
+        if (!this.editor) return false;
+
         this.owner = owner;
         this.repo = repo;
 
         // Check for unsaved changes
         const unsaved = Storage.getUnsavedChanges(owner, repo, filePath);
-        if (unsaved && unsaved.content) {
-            this.currentContent = unsaved.content;
+        const savedContent = this.getSavedText(unsaved, content);
+
+        let doc = this.documents.get(filePath);
+        if (doc) {
+            const hasEdits = this.differsFrom(doc, doc.currentContent);
+            if (doc.sha !== sha) {
+                doc.blame = null;
+            }
+            doc.originalContent = content;
+            doc.sha = sha;
+            doc.baseCommit = baseCommit;
+            doc.mode = mode;
+            doc.large = large;
+
+            if (!hasEdits) {
+                doc.currentContent = savedContent;
+                this.setModelValue(doc.model, savedContent);
+            }
+        } else {
+            doc = {
+                model: this.createModel(filePath, savedContent),
+                viewState: null,
+                originalContent: content,
+                currentContent: savedContent,
+                sha,
+                baseCommit,
+                mode,
+                isDirty: false,
+                commentDecorations: [],
+                symbols: null,
+                blame: null,
+                large,
+                normalized: null,
+                // Large files open read-only until editing is turned on,
+                // unless they already have local changes
+                editable: !large || savedContent !== content
+            };
+            doc.model.onDidChangeContent(() => this.checkDirtyState(filePath));
+            this.documents.set(filePath, doc);
         }
 
-        // Detect language
-        const language = this.detectLanguage(filePath);
+        this.switchTo(filePath);
+        this.checkDirtyState(filePath);
+        return true;
+    }
 
-        // Set editor content
-        if (this.editor) {
-            const model = monaco.editor.createModel(this.currentContent, language);
-            this.editor.setModel(model);
+    /**
+     * Get the text of a file's local change (edited content or an uploaded
+     * text file), or fallback when it has none
+     */
+    getSavedText(unsaved, fallback) {
+        if (unsaved && unsaved.content !== undefined) return unsaved.content;
+        if (unsaved && unsaved.base64 !== undefined) return Codec.decode(unsaved.base64).text;
+        return fallback;
+    }
+
+    /**
+     * Create the model of a file, taking over its peek model if there is one
+     */
+    createModel(filePath, content) {
+        const peekModel = this.peekModels.get(filePath);
+        if (peekModel) {
+            this.peekModels.delete(filePath);
+            this.setModelValue(peekModel, content);
+            return peekModel;
         }
 
-        this.checkDirtyState();
+        const model = monaco.editor.createModel(content, this.detectLanguage(filePath), this.getUri(filePath));
+        this.setModelValue(model, content);
+        return model;
+    }
+
+    /**
+     * Set a model's text, unless it only differs in the line endings Monaco
+     * normalized (see getText). Lines added to text without line breaks get
+     * LF rather than the platform's line ending.
+     */
+    setModelValue(model, content) {
+        if (Diff.restoreLineEndings(content, model.getValue(), model.getEOL()) !== content) {
+            model.setValue(content);
+        }
+        if (!Codec.detectEol(content)) {
+            model.setEOL(monaco.editor.EndOfLineSequence.LF);
+        }
+    }
+
+    /**
+     * Get a file's text as it will be saved. Monaco turns mixed CRLF and LF
+     * into one line ending, so lines keep the ending they had in the
+     * original and only edited lines get the model's.
+     */
+    getText(doc) {
+        return Diff.restoreLineEndings(doc.originalContent, doc.model.getValue(), doc.model.getEOL());
+    }
+
+    /**
+     * Check if a file's text differs from text it was saved as. Text that
+     * mixes line endings is compared with the model's line ending
+     * throughout, which is cheap enough to run on every change; getText
+     * diffs the whole file.
+     */
+    differsFrom(doc, text) {
+        const value = doc.model.getValue();
+        const eol = doc.model.getEOL();
+
+        if (!doc.normalized || doc.normalized.source !== text || doc.normalized.eol !== eol) {
+            doc.normalized = {
+                source: text,
+                eol,
+                text: Diff.hasMixedLineEndings(text) ? text.replace(/\r?\n/g, eol) : text
+            };
+        }
+        return value !== doc.normalized.text;
+    }
+
+    /**
+     * Get the model URI of a file
+     */
+    getUri(filePath) {
+        return monaco.Uri.from({ scheme: 'file', path: '/' + filePath });
+    }
+
+    /**
+     * Make an open file the active one, restoring its cursor and scroll position
+     */
+    switchTo(filePath) {
+        const doc = this.documents.get(filePath);
+        if (!doc || !this.editor) return false;
+        if (this.editor.getModel() === doc.model) return true;
+
+        const current = this.documents.get(this.currentFile);
+        if (current) {
+            current.viewState = this.editor.saveViewState();
+        }
+
+        this.currentFile = filePath;
+        this.editor.setModel(doc.model);
+        this.applyFileOptions(doc);
+        if (doc.viewState) {
+            this.editor.restoreViewState(doc.viewState);
+        }
+        this.scheduleSymbolsChange();
+
+        return true;
+    }
+
+    /**
+     * Set the editor options for the active file. Large files turn off
+     * features that work on the whole text or every line.
+     */
+    applyFileOptions(doc) {
+        const large = !!doc && doc.large;
+        this.editor.updateOptions({
+            readOnly: large && !doc.editable,
+            wordWrap: large ? 'off' : 'on',
+            folding: !large,
+            occurrencesHighlight: !large,
+            selectionHighlight: !large,
+            links: !large
+        });
+    }
+
+    /**
+     * Check if an open file is too large for the contents API, so it is
+     * shown with fewer features
+     */
+    isLargeFile(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        return !!doc && doc.large;
+    }
+
+    /**
+     * Check if an open file is read-only (large, and editing not turned on)
+     */
+    isReadOnly(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        return !!doc && doc.large && !doc.editable;
+    }
+
+    /**
+     * Allow editing a large file
+     */
+    enableEditing(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        if (!doc) return false;
+
+        doc.editable = true;
+        if (filePath === this.currentFile) {
+            this.applyFileOptions(doc);
+        }
+        return true;
+    }
+
+    /**
+     * Close an open file and dispose its model
+     */
+    closeFile(filePath) {
+        const doc = this.documents.get(filePath);
+        if (!doc) return false;
+
+        if (filePath === this.currentFile) {
+            this.showPlaceholder();
+        }
+
+        this.documents.delete(filePath);
+        doc.model.dispose();
+        return true;
+    }
+
+    /**
+     * Check if a file is open
+     */
+    hasFile(filePath) {
+        return this.documents.has(filePath);
+    }
+
+    /**
+     * Get the paths of the open files
+     */
+    getOpenFiles() {
+        return [...this.documents.keys()];
+    }
+
+    /**
+     * Get the commit an open file's content was loaded from
+     */
+    getBaseCommit(filePath) {
+        const doc = this.documents.get(filePath);
+        return doc ? doc.baseCommit : null;
+    }
+
+    /**
+     * Get an open file's content as shown in its tab (null if not open)
+     */
+    getFileContent(filePath) {
+        const doc = this.documents.get(filePath);
+        return doc ? this.getText(doc) : null;
+    }
+
+    /**
+     * Check if an open file has edits that haven't been saved locally
+     */
+    hasUnsavedEdits(filePath) {
+        const doc = this.documents.get(filePath);
+        return !!doc && this.differsFrom(doc, doc.currentContent);
+    }
+
+    /**
+     * Show the placeholder text with no file active
+     */
+    showPlaceholder() {
+        this.currentFile = null;
+
+        if (this.editor) {
+            this.editor.setModel(this.placeholderModel);
+            this.placeholderModel.setValue('// Select a file to start editing');
+            this.applyFileOptions(null);
+        }
+        this.scheduleSymbolsChange();
     }
 
     /**
@@ -132,36 +540,43 @@ export class Editor {
      * Get current editor content
      */
     getContent() {
-        if (!this.editor) return null;
-        return this.editor.getValue();
+        const doc = this.documents.get(this.currentFile);
+        return doc ? this.getText(doc) : null;
     }
 
     /**
-     * Check if content has changed (dirty state)
+     * Check if a file's content has changed (dirty state)
      */
-    checkDirtyState() {
-        const currentContent = this.getContent();
-        const wasDirty = this.isDirty;
-        this.isDirty = currentContent !== this.originalContent;
+    checkDirtyState(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        if (!doc) return;
 
-        if (wasDirty !== this.isDirty) {
+        const wasDirty = doc.isDirty;
+        doc.isDirty = this.differsFrom(doc, doc.originalContent);
+
+        if (wasDirty !== doc.isDirty) {
             if (this.onDirtyStateChange) {
-                this.onDirtyStateChange(this.isDirty);
+                this.onDirtyStateChange(doc.isDirty, filePath);
             }
         }
     }
 
     /**
-     * Save current file to localStorage
+     * Save current file to local storage
      */
     save() {
-        if (!this.currentFile || !this.owner || !this.repo) {
+        const doc = this.documents.get(this.currentFile);
+        if (!doc || !this.owner || !this.repo) {
             return false;
         }
 
-        const content = this.getContent();
-        Storage.setUnsavedChanges(this.owner, this.repo, this.currentFile, content);
-        this.currentContent = content;
+        const content = this.getText(doc);
+        Storage.setUnsavedChanges(this.owner, this.repo, this.currentFile, content, {
+            sha: doc.sha,
+            commit: doc.baseCommit,
+            mode: doc.mode
+        });
+        doc.currentContent = content;
 
         return true;
     }
@@ -170,66 +585,693 @@ export class Editor {
      * Discard changes and revert to original content
      */
     discard() {
-        if (!this.currentFile || !this.owner || !this.repo) {
+        const doc = this.documents.get(this.currentFile);
+        if (!doc || !this.owner || !this.repo) {
             return false;
         }
 
         // Clear unsaved changes
-        Storage.clearUnsavedChanges(this.owner, this.repo, this.currentFile);
+        Storage.clearUnsavedContent(this.owner, this.repo, this.currentFile);
 
         // Revert editor content
-        if (this.editor) {
-            this.editor.setValue(this.originalContent);
+        doc.model.setValue(doc.originalContent);
+        doc.currentContent = doc.originalContent;
+        this.checkDirtyState();
+
+        return true;
+    }
+
+    /**
+     * Reload an open file from its saved local changes (after they were
+     * changed outside the editor)
+     */
+    reloadSavedContent(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        if (!doc || !this.owner || !this.repo) {
+            return false;
         }
 
-        this.currentContent = this.originalContent;
-        this.checkDirtyState();
+        const unsaved = Storage.getUnsavedChanges(this.owner, this.repo, filePath);
+        doc.currentContent = this.getSavedText(unsaved, doc.originalContent);
+        doc.model.setValue(doc.currentContent);
 
+        this.checkDirtyState(filePath);
         return true;
     }
 
     /**
-     * Mark file as committed (update original content)
+     * Mark an open file as committed (update original content)
+     * sha and commit are the new blob and commit, when known
      */
-    markAsCommitted() {
-        if (!this.currentFile || !this.owner || !this.repo) {
+    markAsCommitted(sha = null, commit = null, filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        if (!doc || !this.owner || !this.repo) {
             return false;
         }
 
-        const content = this.getContent();
-        this.originalContent = content;
-        this.currentContent = content;
+        const content = this.getText(doc);
+        doc.originalContent = content;
+        doc.currentContent = content;
+        if (sha) doc.sha = sha;
+        if (commit) doc.baseCommit = commit;
 
         // Clear unsaved changes
-        Storage.clearUnsavedChanges(this.owner, this.repo, this.currentFile);
+        Storage.clearUnsavedChanges(this.owner, this.repo, filePath);
 
-        this.checkDirtyState();
+        this.checkDirtyState(filePath);
         return true;
     }
 
+    /**
+     * Move an open file's original content forward without touching local
+     * changes (after only part of the file was committed)
+     */
+    setBase(content, sha, commit, filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        if (!doc) return;
+
+        doc.originalContent = content;
+        doc.sha = sha;
+        doc.baseCommit = commit;
+        this.checkDirtyState(filePath);
+    }
+
     /**
      * Get current file info
      */
     getCurrentFile() {
+        const doc = this.documents.get(this.currentFile);
         return {
             path: this.currentFile,
-            isDirty: this.isDirty,
-            content: this.getContent()
+            isDirty: doc ? doc.isDirty : false,
+            content: this.getContent(),
+            sha: doc ? doc.sha : null
         };
     }
 
     /**
-     * Clear editor
+     * Clear editor, closing all open files
      */
     clear() {
-        this.currentFile = null;
-        this.originalContent = null;
-        this.currentContent = null;
-        this.isDirty = false;
+        this.showPlaceholder();
 
-        if (this.editor) {
-            this.editor.setValue('// Select a file to start editing');
+        this.documents.forEach(doc => doc.model.dispose());
+        this.documents.clear();
+
+        this.peekModels.forEach(model => model.dispose());
+        this.peekModels.clear();
+    }
+
+    /**
+     * Get the line number of the cursor
+     */
+    getCursorLine() {
+        if (!this.editor || !this.currentFile || !this.editor.getPosition()) return null;
+        return this.editor.getPosition().lineNumber;
+    }
+
+    /**
+     * Select a range of the current file and scroll it into view
+     * (1-based line and column)
+     */
+    revealMatch(line, column, length) {
+        if (!this.editor || !this.currentFile) return;
+
+        const range = new monaco.Range(line, column, line, column + length);
+        this.editor.setSelection(range);
+        this.editor.revealRangeInCenter(range);
+        this.editor.focus();
+    }
+
+    /**
+     * Mark lines of the current file with review comments;
+     * comments are { line, author, body }
+     */
+    setLineComments(comments) {
+        const doc = this.documents.get(this.currentFile);
+        if (!doc) return;
+
+        const byLine = new Map();
+        comments.forEach(comment => {
+            if (!byLine.has(comment.line)) byLine.set(comment.line, []);
+            byLine.get(comment.line).push(comment);
+        });
+
+        const decorations = [...byLine.entries()].map(([line, lineComments]) => ({
+            range: new monaco.Range(line, 1, line, 1),
+            options: {
+                isWholeLine: true,
+                linesDecorationsClassName: 'review-comment-line',
+                hoverMessage: lineComments.map(comment => ({
+                    value: `**${comment.author}**: ${comment.body}`
+                }))
+            }
+        }));
+
+        doc.commentDecorations = doc.model.deltaDecorations(doc.commentDecorations, decorations);
+    }
+
+    /**
+     * Check if symbols (outline, breadcrumbs) are available for a file
+     */
+    hasSymbols(filePath = this.currentFile) {
+        return !!filePath && this.detectLanguage(filePath) === 'csharp' && !this.isLargeFile(filePath);
+    }
+
+    /**
+     * Get the C# symbols of an open file (see CSharpSymbols.parse)
+     */
+    getSymbols(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        if (!doc || !this.hasSymbols(filePath)) return [];
+        return this.getModelSymbols(doc.model);
+    }
+
+    /**
+     * Get the symbols of a model, parsed again only after it changed
+     */
+    getModelSymbols(model) {
+        const doc = [...this.documents.values()].find(item => item.model === model);
+        const versionId = model.getVersionId();
+
+        if (doc && doc.symbols && doc.symbols.versionId === versionId) {
+            return doc.symbols.list;
+        }
+        if (doc && doc.large) return [];
+
+        const list = CSharpSymbols.parse(model.getValue());
+        if (doc) {
+            doc.symbols = { versionId, list };
         }
+        return list;
+    }
+
+    /**
+     * Convert a symbol to a Monaco DocumentSymbol
+     */
+    toDocumentSymbol(symbol) {
+        return {
+            name: symbol.name,
+            detail: symbol.detail,
+            kind: monaco.languages.SymbolKind[SYMBOL_KINDS[symbol.kind]],
+            tags: [],
+            range: symbol.range,
+            selectionRange: symbol.selectionRange,
+            children: symbol.children.map(child => this.toDocumentSymbol(child))
+        };
+    }
+
+    /**
+     * Get the symbols around the cursor, outermost first
+     */
+    getSymbolPath() {
+        const position = this.editor && this.currentFile ? this.editor.getPosition() : null;
+        if (!position) return [];
+        return CSharpSymbols.findPath(this.getSymbols(), position.lineNumber, position.column);
+    }
+
+    /**
+     * Tell the symbols listener once the cursor or content settles
+     */
+    scheduleSymbolsChange() {
+        if (!this.onSymbolsChange) return;
+
+        clearTimeout(this.symbolsTimer);
+        this.symbolsTimer = setTimeout(() => {
+            this.onSymbolsChange(this.getSymbols(), this.getSymbolPath());
+        }, SYMBOLS_DELAY);
+    }
+
+    /**
+     * Move the cursor to a symbol of the current file
+     */
+    revealSymbol(symbol) {
+        this.revealRange(symbol.selectionRange);
+    }
+
+    /**
+     * Move the cursor to the start of a range of the current file
+     */
+    revealRange(range) {
+        if (!this.editor || !this.currentFile) return;
+
+        this.editor.setPosition({ lineNumber: range.startLineNumber, column: range.startColumn });
+        this.editor.revealRangeInCenterIfOutsideViewport(range);
+        this.editor.focus();
+    }
+
+    /**
+     * Use a symbol index for go to definition and find references across
+     * files. onOpenLocation(path, range) opens another file at a range.
+     */
+    setSymbolIndex(symbolIndex, onOpenLocation) {
+        this.symbolIndex = symbolIndex;
+        this.onOpenLocation = onOpenLocation;
+        if (!this.editor || this.navigationProviders.length > 0) return;
+
+        this.navigationProviders.push(
+            monaco.languages.registerDefinitionProvider('csharp', {
+                provideDefinition: (model, position) => this.provideDefinition(model, position)
+            }),
+            monaco.languages.registerReferenceProvider('csharp', {
+                provideReferences: (model, position) => this.provideReferences(model, position)
+            })
+        );
+
+        // Open other files in a tab rather than Monaco's missing editor service
+        if (monaco.editor.registerEditorOpener) {
+            this.navigationProviders.push(monaco.editor.registerEditorOpener({
+                openCodeEditor: (source, resource, selectionOrPosition) =>
+                    this.openLocation(resource, selectionOrPosition)
+            }));
+        }
+    }
+
+    /**
+     * Get the declarations of the name at a position, for Monaco
+     */
+    async provideDefinition(model, position) {
+        const word = model.getWordAtPosition(position);
+        if (!word || !this.symbolIndex) return null;
+
+        let declarations = this.symbolIndex.findDeclarations(word.word, this.getOpenSymbolRecords());
+
+        // A member declared in this file is most likely the one meant
+        const path = model.uri.path.substring(1);
+        const local = declarations.filter(declaration => declaration.path === path);
+        if (local.length > 0) {
+            declarations = local;
+        }
+
+        return this.toLocations(declarations.map(declaration => ({
+            path: declaration.path,
+            range: declaration.symbol.selectionRange
+        })));
+    }
+
+    /**
+     * Get the uses of the name at a position across the repository, for Monaco
+     */
+    async provideReferences(model, position) {
+        const word = model.getWordAtPosition(position);
+        if (!word || !this.symbolIndex) return null;
+
+        const contents = new Map();
+        this.documents.forEach((doc, path) => {
+            if (this.hasSymbols(path)) {
+                contents.set(path, doc.model.getValue());
+            }
+        });
+
+        const { locations } = await this.symbolIndex.findReferences(word.word, contents);
+        return this.toLocations(locations);
+    }
+
+    /**
+     * Turn [{ path, range }] into Monaco locations, loading a peek model
+     * for each file that isn't open (files with no cached content are left out)
+     */
+    async toLocations(locations) {
+        const paths = [...new Set(locations.map(location => location.path))];
+        const models = new Map();
+        await Promise.all(paths.map(async path => {
+            const model = await this.getPeekModel(path);
+            if (model) models.set(path, model);
+        }));
+
+        return locations
+            .filter(location => models.has(location.path))
+            .map(location => ({ uri: models.get(location.path).uri, range: location.range }));
+    }
+
+    /**
+     * Get a model for a file: its tab's, or a read-only copy for peeking
+     */
+    async getPeekModel(filePath) {
+        const doc = this.documents.get(filePath);
+        if (doc) return doc.model;
+
+        const existing = monaco.editor.getModel(this.getUri(filePath));
+        if (existing) return existing;
+
+        const content = await this.symbolIndex.getContent(filePath);
+        if (content === null) return null;
+
+        // Another lookup may have created it meanwhile
+        const model = monaco.editor.getModel(this.getUri(filePath)) ||
+            monaco.editor.createModel(content, this.detectLanguage(filePath), this.getUri(filePath));
+        if (!this.documents.has(filePath)) {
+            this.peekModels.set(filePath, model);
+        }
+        return model;
+    }
+
+    /**
+     * Open another file at a location Monaco navigated to
+     */
+    openLocation(resource, selectionOrPosition) {
+        if (!this.onOpenLocation || resource.scheme !== 'file') return false;
+
+        // Monaco moves within the current file itself
+        const current = this.editor.getModel();
+        if (current && current.uri.toString() === resource.toString()) return false;
+
+        const position = selectionOrPosition || { lineNumber: 1, column: 1 };
+        const range = position.startLineNumber ? position : {
+            startLineNumber: position.lineNumber,
+            startColumn: position.column,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column
+        };
+
+        this.onOpenLocation(resource.path.substring(1), range);
+        return true;
+    }
+
+    /**
+     * Get the symbols of the open C# files as index records, by path
+     */
+    getOpenSymbolRecords() {
+        const records = new Map();
+        this.documents.forEach((doc, path) => {
+            if (this.hasSymbols(path)) {
+                records.set(path, CSharpSymbols.toRecords(this.getModelSymbols(doc.model)));
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Set who last changed each line of an open file: ranges from
+     * GitHubAPI.getBlame for the content it was loaded with. Lines edited
+     * since are shown as not committed.
+     */
+    setBlame(filePath, ranges) {
+        const doc = this.documents.get(filePath);
+        if (!doc) return;
+
+        // The commit of each line of the blamed content
+        const byLine = [];
+        ranges.forEach(range => {
+            for (let line = range.startLine; line <= range.endLine; line++) {
+                byLine[line - 1] = range;
+            }
+        });
+
+        doc.blame = { byLine, content: doc.originalContent, versionId: null, lines: null };
+        if (filePath === this.currentFile) {
+            this.refreshBlame();
+        }
+    }
+
+    /**
+     * Check if an open file's blame has been loaded
+     */
+    hasBlame(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        return !!doc && !!doc.blame;
+    }
+
+    /**
+     * Turn blame mode on or off
+     */
+    showBlame(shown) {
+        this.blameShown = shown;
+        this.refreshBlame();
+    }
+
+    /**
+     * Check if blame mode is on
+     */
+    isBlameShown() {
+        return this.blameShown;
+    }
+
+    /**
+     * Redraw the line number gutter, with blame in blame mode
+     */
+    refreshBlame() {
+        if (!this.editor) return;
+
+        this.container.classList.toggle('blame-mode', this.blameShown);
+        // A new function makes Monaco render the gutter again
+        this.editor.updateOptions(this.blameShown
+            ? { lineNumbers: (lineNumber) => this.getBlameLabel(lineNumber), lineNumbersMinChars: BLAME_WIDTH }
+            : { lineNumbers: 'on', lineNumbersMinChars: 5 });
+    }
+
+    /**
+     * Get the blame range of a line of the current file, or null if the
+     * line isn't committed (or blame isn't loaded)
+     */
+    getBlameAt(lineNumber) {
+        const doc = this.documents.get(this.currentFile);
+        if (!doc || !doc.blame) return null;
+        return this.getBlameLines(doc)[lineNumber - 1] || null;
+    }
+
+    /**
+     * Get the blame range of each line of a document's current content,
+     * following its lines through the edits made since it was blamed
+     */
+    getBlameLines(doc) {
+        const blame = doc.blame;
+        const versionId = doc.model.getVersionId();
+        if (blame.lines && blame.versionId === versionId) return blame.lines;
+
+        const blamed = Diff.splitLines(blame.content).map(line => line.replace(/\r$/, ''));
+        const current = doc.model.getLinesContent();
+        const lines = new Array(current.length).fill(null);
+
+        let a = 0;
+        let b = 0;
+        const copyUntil = (end) => {
+            while (b < end) lines[b++] = blame.byLine[a++] || null;
+        };
+        Diff.diffLines(blamed, current).forEach(hunk => {
+            copyUntil(hunk.bStart);
+            a = hunk.aEnd;
+            b = hunk.bEnd;
+        });
+        copyUntil(current.length);
+
+        blame.lines = lines;
+        blame.versionId = versionId;
+        return lines;
+    }
+
+    /**
+     * Get the gutter text of a line in blame mode: the commit and author,
+     * on the first of the lines a commit changed together
+     */
+    getBlameLabel(lineNumber) {
+        const doc = this.documents.get(this.currentFile);
+        if (!doc) return String(lineNumber);
+        if (!doc.blame) return '…';
+
+        const lines = this.getBlameLines(doc);
+        const range = lines[lineNumber - 1];
+        if (!range) return 'Not committed';
+        if (lineNumber > 1 && lines[lineNumber - 2] === range) return '';
+
+        return `${range.sha.substring(0, 7)} ${range.author}`.substring(0, BLAME_WIDTH - 1);
+    }
+
+    /**
+     * Check if the touch layout (keyboard toolbar, suggestion strip) is showing
+     */
+    isTouchLayout() {
+        return this.touchLayout.matches;
+    }
+
+    /**
+     * Get the editor options for suggestions: Monaco's popup and parameter
+     * hints on desktop, none in the touch layout where they cover the code
+     */
+    getSuggestOptions() {
+        const popup = !this.isTouchLayout();
+        return {
+            quickSuggestions: popup,
+            parameterHints: { enabled: popup },
+            suggestOnTriggerCharacters: popup,
+            acceptSuggestionOnEnter: popup ? 'on' : 'off'
+        };
+    }
+
+    /**
+     * Get the C# completions at a position of a model
+     * (see CSharpCompletion.getCompletions)
+     */
+    getCompletions(model, position) {
+        return CSharpCompletion.getCompletions(
+            model.getValue(),
+            model.getOffsetAt(position),
+            this.getModelSymbols(model),
+            this.getCompletionRepo()
+        );
+    }
+
+    /**
+     * Get the repository's types for completion from the symbol index,
+     * with the open files' own symbols
+     */
+    getCompletionRepo() {
+        if (!this.symbolIndex) return null;
+
+        const overrides = this.getOpenSymbolRecords();
+        let types = null;
+        return {
+            getTypes: () => types || (types = this.symbolIndex.getTypes(overrides)),
+            getMembers: (typeName) => this.symbolIndex.getMembers(typeName, overrides)
+        };
+    }
+
+    /**
+     * Check if a model belongs to a large file, where completion would
+     * have to analyze too much text on every keystroke
+     */
+    isLargeModel(model) {
+        return [...this.documents.values()].some(doc => doc.model === model && doc.large);
+    }
+
+    /**
+     * Get the completions at a position, for Monaco
+     */
+    provideCompletionItems(model, position) {
+        if (this.isLargeModel(model)) return { suggestions: [] };
+
+        const word = model.getWordUntilPosition(position);
+        const range = {
+            startLineNumber: position.lineNumber,
+            startColumn: word.startColumn,
+            endLineNumber: position.lineNumber,
+            endColumn: word.endColumn
+        };
+
+        const { items } = this.getCompletions(model, position);
+        return {
+            suggestions: items.map(item => ({
+                label: item.label,
+                kind: monaco.languages.CompletionItemKind[COMPLETION_KINDS[item.kind] || 'Text'],
+                detail: item.detail,
+                documentation: item.documentation,
+                insertText: item.insertText,
+                insertTextRules: item.snippet ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet : undefined,
+                sortText: item.sortText,
+                range
+            }))
+        };
+    }
+
+    /**
+     * Get the signatures of the call at a position, for Monaco
+     */
+    provideSignatureHelp(model, position) {
+        if (this.isLargeModel(model)) return null;
+
+        const help = CSharpCompletion.getSignatureHelp(
+            model.getValue(),
+            model.getOffsetAt(position),
+            this.getModelSymbols(model),
+            this.getCompletionRepo()
+        );
+        if (!help) return null;
+
+        // The first overload with enough parameters for the arguments so far
+        const active = help.signatures.findIndex(signature => signature.parameters.length > help.activeParameter);
+
+        return {
+            value: {
+                signatures: help.signatures.map(signature => ({
+                    label: signature.label,
+                    documentation: signature.documentation,
+                    parameters: signature.parameters.map(parameter => ({ label: parameter }))
+                })),
+                activeSignature: Math.max(0, active),
+                activeParameter: help.activeParameter
+            },
+            dispose: () => {}
+        };
+    }
+
+    /**
+     * Get the completions for the word at the cursor, best first, for the
+     * suggestion strip. Empty outside the touch layout and C# files, and
+     * until a word or member access is typed.
+     */
+    getSuggestions() {
+        if (!this.editor || !this.isTouchLayout() || !this.hasSymbols()) return [];
+
+        const selection = this.editor.getSelection();
+        if (!selection || !selection.isEmpty()) return [];
+
+        const { items, prefix, memberAccess } = this.getCompletions(this.editor.getModel(), selection.getPosition());
+        if (!prefix && !memberAccess) return [];
+
+        const sorted = items
+            .filter(item => item.label !== prefix)
+            .sort((a, b) => a.sortText.localeCompare(b.sortText));
+        return Fuzzy.filter(prefix, sorted, item => item.label)
+            .slice(0, MAX_SUGGESTIONS)
+            .map(({ item }) => item);
+    }
+
+    /**
+     * Tell the suggestions listener once the cursor settles
+     */
+    scheduleSuggestionsChange() {
+        if (!this.onSuggestionsChange) return;
+
+        clearTimeout(this.suggestionsTimer);
+        this.suggestionsTimer = setTimeout(() => {
+            this.onSuggestionsChange(this.getSuggestions());
+        }, SUGGESTIONS_DELAY);
+    }
+
+    /**
+     * Replace the word at the cursor with a completion from getSuggestions
+     */
+    acceptCompletion(item) {
+        if (!this.editor || !this.currentFile) return;
+
+        const position = this.editor.getPosition();
+        const word = this.editor.getModel().getWordUntilPosition(position);
+        const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, position.column);
+        const snippets = item.snippet ? this.editor.getContribution('snippetController2') : null;
+
+        this.editor.focus();
+        if (snippets) {
+            this.editor.setSelection(range);
+            snippets.insert(item.insertText);
+        } else {
+            // Without snippet support, drop the placeholders
+            const text = item.snippet ? item.insertText.replace(/\$\d+/g, '') : item.insertText;
+            this.editor.executeEdits('suggestion', [{ range, text, forceMoveMarkers: true }]);
+        }
+    }
+
+    /**
+     * Get Monaco's own actions (find, go to line, fold, ...) as
+     * [{ id, label, keybinding }], with the default shortcut where known
+     */
+    getEditorActions() {
+        if (!this.editor || !this.currentFile) return [];
+
+        return this.editor.getSupportedActions().map(action => ({
+            id: action.id,
+            label: action.label,
+            keybinding: EDITOR_KEYBINDINGS[action.id] || ''
+        }));
+    }
+
+    /**
+     * Run one of Monaco's actions on the current file
+     */
+    async runEditorAction(id) {
+        if (!this.editor || !this.currentFile) return;
+
+        this.editor.focus();
+        await this.editor.getAction(id).run();
     }
 
     /**
@@ -258,14 +1300,81 @@ export class Editor {
         this.editor.focus();
     }
 
+    /**
+     * Insert a snippet at the cursor: $1, $2... are tab stops and $0 is
+     * where the cursor ends up. Lines are indented like the cursor's.
+     */
+    insertSnippet(text) {
+        if (!this.editor) return;
+
+        const snippets = this.editor.getContribution('snippetController2');
+        this.editor.focus();
+        if (snippets) {
+            snippets.insert(text);
+        } else {
+            this.insertText(text.replace(/\$\{\d+:([^}]*)\}|\$\d+/g, '$1'));
+        }
+    }
+
+    /**
+     * Run a keyboard toolbar action (see KEY_ACTIONS in keyboard-toolbar.js).
+     * select extends the selection for cursor movements.
+     */
+    runKeyAction(action, select = false) {
+        if (!this.editor) return;
+
+        this.editor.focus();
+        if (action === 'selectWord') {
+            const position = this.editor.getPosition();
+            const word = this.editor.getModel().getWordAtPosition(position);
+            if (word) {
+                this.editor.setSelection(new monaco.Selection(
+                    position.lineNumber, word.startColumn, position.lineNumber, word.endColumn
+                ));
+            }
+            return;
+        }
+
+        const commands = KEY_COMMANDS[action];
+        if (!commands) return;
+
+        const command = select && commands[1] ? commands[1] : commands[0];
+        if (command.startsWith('editor.action.')) {
+            this.editor.getAction(command).run();
+        } else {
+            this.editor.trigger('keyboard', command, null);
+        }
+    }
+
     /**
      * Dispose editor
      */
     dispose() {
+        this.clear();
+        clearTimeout(this.symbolsTimer);
+
+        if (this.symbolProvider) {
+            this.symbolProvider.dispose();
+            this.symbolProvider = null;
+        }
+
+        this.navigationProviders.forEach(provider => provider.dispose());
+        this.navigationProviders = [];
+
+        clearTimeout(this.suggestionsTimer);
+        this.completionProviders.forEach(provider => provider.dispose());
+        this.completionProviders = [];
+        this.touchLayout.removeEventListener('change', this.handleLayoutChange);
+
         if (this.editor) {
             this.editor.dispose();
             this.editor = null;
         }
+
+        if (this.placeholderModel) {
+            this.placeholderModel.dispose();
+            this.placeholderModel = null;
+        }
     }
 
     /**
@@ -276,10 +1385,35 @@ export class Editor {
     }
 
     /**
-     * Check if editor has unsaved changes
+     * Set symbols change callback, called with (symbols, path) for the
+     * current file as the cursor moves and the file is edited
+     */
+    setOnSymbolsChange(callback) {
+        this.onSymbolsChange = callback;
+    }
+
+    /**
+     * Set suggestions change callback, called with the suggestion strip's
+     * completions (see getSuggestions) as the cursor moves
+     */
+    setOnSuggestionsChange(callback) {
+        this.onSuggestionsChange = callback;
+    }
+
+    /**
+     * Set blame select callback, called with a blame range when its line
+     * number is tapped in blame mode
+     */
+    setOnBlameSelect(callback) {
+        this.onBlameSelect = callback;
+    }
+
+    /**
+     * Check if an open file differs from its original content
      */
-    isDirtyState() {
-        return this.isDirty;
+    isDirtyState(filePath = this.currentFile) {
+        const doc = this.documents.get(filePath);
+        return doc ? doc.isDirty : false;
     }
 
     /**
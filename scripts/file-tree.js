@@ -4,6 +4,7 @@
  */
 
 import { Storage } from './storage.js';
+import { Lfs } from './lfs.js';
 
 export class FileTree {
     constructor(containerElement, onFileSelect, onContextMenu) {
@@ -12,6 +13,10 @@ export class FileTree {
         this.onContextMenu = onContextMenu;
         this.treeData = [];
         this.flatFileList = [];
+        this.allFilePaths = [];
+        this.remoteShas = new Map();
+        this.remoteModes = new Map();
+        this.lfsRules = [];
         this.filterQuery = '';
         this.selectedPath = null;
         this.expandedFolders = new Set();
@@ -27,12 +32,35 @@ export class FileTree {
         this.repo = repo;
     }
 
+    /**
+     * Set the .gitattributes rules (from Lfs.parseAttributes) used to
+     * badge files stored in Git LFS
+     */
+    setLfsRules(rules) {
+        this.lfsRules = rules;
+        this.render();
+    }
+
+    /**
+     * Check if a file is stored in Git LFS
+     */
+    isLfsTracked(path) {
+        return Lfs.isTracked(path, this.lfsRules);
+    }
+
     /**
      * Build tree structure from GitHub tree data
      */
     buildTree(githubTree) {
+        const remoteBlobs = githubTree.tree.filter(item => item.type === 'blob');
+        this.remoteShas = new Map(remoteBlobs.map(item => [item.path, item.sha]));
+        this.remoteModes = new Map(remoteBlobs.map(item => [item.path, item.mode]));
+
+        const items = this.applyPendingChanges(githubTree.tree);
+        this.allFilePaths = items.filter(item => item.type === 'blob').map(item => item.path);
+
         // Filter out Library folder and hidden paths
-        const filteredTree = githubTree.tree.filter(item => {
+        const filteredTree = items.filter(item => {
             const path = item.path;
 
             // Filter out Library folder
@@ -65,6 +93,7 @@ export class FileTree {
                         path: item.path,
                         sha: item.sha,
                         size: item.size,
+                        pending: item.pending,
                         name: part
                     };
                 } else {
@@ -94,12 +123,88 @@ export class FileTree {
                 path: item.path,
                 name: item.path.split('/').pop(),
                 sha: item.sha,
-                size: item.size
+                size: item.size,
+                pending: item.pending
             }));
 
         return this.treeData;
     }
 
+    /**
+     * Overlay pending deletions, moves and new files on the remote tree items
+     */
+    applyPendingChanges(items) {
+        if (!this.owner || !this.repo) return items;
+
+        const changes = Storage.getAllUnsavedChanges(this.owner, this.repo);
+        const blobs = items.filter(item =>
+            item.type === 'blob' && !(changes[item.path] && changes[item.path].deleted)
+        );
+
+        const existing = new Set(blobs.map(item => item.path));
+        Object.entries(changes).forEach(([path, change]) => {
+            if (change.deleted || existing.has(path)) return;
+            blobs.push({
+                path,
+                type: 'blob',
+                sha: change.blobSha || null,
+                size: change.content !== undefined ? change.content.length : change.size,
+                pending: true
+            });
+        });
+
+        // Drop folders left empty by deletions and moves
+        const folders = new Set();
+        blobs.forEach(item => {
+            const parts = item.path.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                folders.add(parts.slice(0, i).join('/'));
+            }
+        });
+
+        return [
+            ...items.filter(item => item.type === 'tree' && folders.has(item.path)),
+            ...blobs
+        ];
+    }
+
+    /**
+     * Get the SHA of a file in the remote tree (null if it only exists locally)
+     */
+    getRemoteSha(path) {
+        return this.remoteShas.get(path) || null;
+    }
+
+    /**
+     * Get the git mode (100644, 100755, 120000...) of a file in the remote
+     * tree (null if it only exists locally)
+     */
+    getRemoteMode(path) {
+        return this.remoteModes.get(path) || null;
+    }
+
+    /**
+     * Get the paths of all files with pending changes applied, including hidden ones
+     */
+    getAllFilePaths() {
+        return this.allFilePaths;
+    }
+
+    /**
+     * Get the paths of all files in a folder, including hidden ones
+     */
+    getFilesInFolder(folderPath) {
+        const prefix = folderPath + '/';
+        return this.allFilePaths.filter(path => path.startsWith(prefix));
+    }
+
+    /**
+     * Check if a file or folder exists in the tree, including hidden ones
+     */
+    pathExists(path) {
+        return this.allFilePaths.some(filePath => filePath === path || filePath.startsWith(path + '/'));
+    }
+
     /**
      * Render the tree
      */
@@ -129,7 +234,7 @@ export class FileTree {
         }
 
         matches.forEach(file => {
-            const item = this.createTreeItem(file.name, file.path, 'blob', 0);
+            const item = this.createTreeItem(file.name, file.path, 'blob', 0, file.pending);
             this.container.appendChild(item);
         });
     }
@@ -149,7 +254,7 @@ export class FileTree {
         });
 
         entries.forEach(([name, data]) => {
-            const item = this.createTreeItem(name, data.path, data.type, level);
+            const item = this.createTreeItem(name, data.path, data.type, level, data.pending);
             container.appendChild(item);
 
             if (data.type === 'tree' && data.children) {
@@ -169,12 +274,15 @@ export class FileTree {
     /**
      * Create a tree item element
      */
-    createTreeItem(name, path, type, level) {
+    createTreeItem(name, path, type, level, pending = false) {
         const item = document.createElement('div');
         item.className = 'tree-item';
         if (type === 'tree') {
             item.classList.add('folder');
         }
+        if (pending) {
+            item.classList.add('pending');
+        }
         if (path === this.selectedPath) {
             item.classList.add('selected');
         }
@@ -202,6 +310,14 @@ export class FileTree {
         item.appendChild(icon);
         item.appendChild(nameSpan);
 
+        if (type === 'blob' && this.isLfsTracked(path)) {
+            const badge = document.createElement('span');
+            badge.className = 'lfs-badge';
+            badge.textContent = 'LFS';
+            badge.title = 'Stored in Git LFS';
+            item.appendChild(badge);
+        }
+
         // Event listeners
         item.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -212,7 +328,7 @@ export class FileTree {
             e.preventDefault();
             e.stopPropagation();
             if (this.onContextMenu) {
-                this.onContextMenu(e.clientX, e.clientY, path);
+                this.onContextMenu(e.clientX, e.clientY, path, type);
             }
         });
 
@@ -303,6 +419,8 @@ export class FileTree {
     clear() {
         this.treeData = [];
         this.flatFileList = [];
+        this.allFilePaths = [];
+        this.remoteShas.clear();
         this.selectedPath = null;
         this.expandedFolders.clear();
         this.container.innerHTML = '';
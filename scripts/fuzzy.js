@@ -0,0 +1,165 @@
+/**
+ * Fuzzy Matching Module
+ * Scores how well a query matches a path or name, the way editors'
+ * "Go to file" does: query characters must appear in order, and matches
+ * that run together or start a path segment, word or camelCase hump
+ * score higher.
+ */
+
+const SCORE_MATCH = 1;
+const BONUS_CONSECUTIVE = 6;
+const BONUS_SEGMENT_START = 10;
+const BONUS_WORD_START = 8;
+const BONUS_CAMEL_CASE = 8;
+const BONUS_EXTENSION = 4;
+const BONUS_FILE_NAME = 2;
+const BONUS_EXACT_CASE = 1;
+const PENALTY_LENGTH = 0.05;
+
+export class Fuzzy {
+    /**
+     * Match a query against a target string.
+     * Returns { score, positions } with the matched character indexes,
+     * or null if the query's characters don't all appear in order.
+     * Spaces in the query are ignored.
+     */
+    static match(query, target) {
+        const q = query.replace(/\s+/g, '');
+        if (!q) return { score: 0, positions: [] };
+        if (q.length > target.length) return null;
+
+        const lowerQuery = q.toLowerCase();
+        const lowerTarget = target.toLowerCase();
+
+        // Quick check that the characters appear in order at all
+        let k = 0;
+        for (let j = 0; j < lowerTarget.length && k < lowerQuery.length; j++) {
+            if (lowerTarget[j] === lowerQuery[k]) k++;
+        }
+        if (k < lowerQuery.length) return null;
+
+        const n = q.length;
+        const m = target.length;
+        const fileNameStart = target.lastIndexOf('/') + 1;
+        const bonuses = this.getBonuses(target, fileNameStart);
+
+        // scores[i][j]: best score with query[i] matched at target[j];
+        // from[i][j]: where query[i - 1] was matched for that score
+        const scores = [];
+        const from = [];
+
+        for (let i = 0; i < n; i++) {
+            const row = new Array(m).fill(-Infinity);
+            const rowFrom = new Array(m).fill(-1);
+            const prev = scores[i - 1];
+
+            // Best earlier match of the previous query character, not adjacent
+            let bestGap = -Infinity;
+            let bestGapIndex = -1;
+
+            for (let j = i; j < m; j++) {
+                if (i > 0 && j >= 2 && prev[j - 2] > bestGap) {
+                    bestGap = prev[j - 2];
+                    bestGapIndex = j - 2;
+                }
+
+                if (lowerTarget[j] !== lowerQuery[i]) continue;
+
+                const charScore = SCORE_MATCH + bonuses[j] + (target[j] === q[i] ? BONUS_EXACT_CASE : 0);
+
+                if (i === 0) {
+                    row[j] = charScore;
+                    continue;
+                }
+
+                const consecutive = j > 0 ? prev[j - 1] + BONUS_CONSECUTIVE : -Infinity;
+                if (consecutive >= bestGap && consecutive > -Infinity) {
+                    row[j] = consecutive + charScore;
+                    rowFrom[j] = j - 1;
+                } else if (bestGap > -Infinity) {
+                    row[j] = bestGap + charScore;
+                    rowFrom[j] = bestGapIndex;
+                }
+            }
+
+            scores.push(row);
+            from.push(rowFrom);
+        }
+
+        // Pick the best end and walk back to collect the positions
+        const last = scores[n - 1];
+        let end = -1;
+        for (let j = 0; j < m; j++) {
+            if (last[j] > -Infinity && (end === -1 || last[j] > last[end])) {
+                end = j;
+            }
+        }
+        if (end === -1) return null;
+
+        const positions = new Array(n);
+        for (let i = n - 1, j = end; i >= 0; i--) {
+            positions[i] = j;
+            j = from[i][j];
+        }
+
+        return {
+            score: last[end] - m * PENALTY_LENGTH,
+            positions
+        };
+    }
+
+    /**
+     * Bonus for a match at each index of the target
+     */
+    static getBonuses(target, fileNameStart) {
+        const bonuses = new Array(target.length);
+
+        for (let j = 0; j < target.length; j++) {
+            const char = target[j];
+            const before = j > 0 ? target[j - 1] : '/';
+            let bonus = 0;
+
+            if (before === '/') {
+                bonus = BONUS_SEGMENT_START;
+            } else if (/[\s_-]/.test(before)) {
+                bonus = BONUS_WORD_START;
+            } else if (before === '.') {
+                bonus = BONUS_EXTENSION;
+            } else if ((/[A-Z]/.test(char) && /[a-z]/.test(before)) || (/\d/.test(char) && /\D/.test(before))) {
+                bonus = BONUS_CAMEL_CASE;
+            }
+
+            if (j >= fileNameStart) {
+                bonus += BONUS_FILE_NAME;
+            }
+
+            bonuses[j] = bonus;
+        }
+
+        return bonuses;
+    }
+
+    /**
+     * Filter and sort items by how well they match a query.
+     * getText returns the string to match for an item; boost (optional)
+     * returns extra score for it. Returns [{ item, score, positions }], best first.
+     */
+    static filter(query, items, getText, boost = null) {
+        const results = [];
+
+        items.forEach(item => {
+            const match = this.match(query, getText(item));
+            if (match) {
+                results.push({
+                    item,
+                    score: match.score + (boost ? boost(item) : 0),
+                    positions: match.positions
+                });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+export default Fuzzy;
@@ -4,6 +4,9 @@
  */
 
 import { Storage } from './storage.js';
+import { Diff } from './diff.js';
+import { RepoCache } from './repo-cache.js';
+import { Codec } from './codec.js';
 
 export class GitOps {
     constructor(githubAPI, owner, repo) {
@@ -11,6 +14,24 @@ export class GitOps {
         this.owner = owner;
         this.repo = repo;
         this.currentBranch = null;
+        this.queuedCommits = [];
+        // Last result of refreshDivergence
+        this.divergence = null;
+    }
+
+    /**
+     * Load commits queued while offline
+     */
+    async loadQueue() {
+        this.queuedCommits = await RepoCache.getQueuedCommits(this.owner, this.repo);
+        return this.queuedCommits;
+    }
+
+    /**
+     * Get the paths of files in queued commits
+     */
+    getQueuedPaths() {
+        return new Set(this.queuedCommits.flatMap(commit => commit.files.map(file => file.path)));
     }
 
     /**
@@ -57,7 +78,9 @@ export class GitOps {
     }
 
     /**
-     * Commit multiple files at once
+     * Commit multiple files at once.
+     * While offline the commit is queued instead, resolving with { queued: true };
+     * its files keep their local changes until the queue is replayed.
      */
     async commitMultipleFiles(files, message) {
         try {
@@ -69,22 +92,265 @@ export class GitOps {
                 throw new Error('No files to commit');
             }
 
+            try {
+                return await this.createCommit(files, message);
+            } catch (error) {
+                if (!error.offline) throw error;
+
+                await RepoCache.enqueueCommit({
+                    owner: this.owner,
+                    repo: this.repo,
+                    branch: this.currentBranch,
+                    files,
+                    message
+                });
+                await this.loadQueue();
+                return { queued: true };
+            }
+        } catch (error) {
+            console.error('Failed to commit multiple files:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replay commits queued while offline on the current branch, oldest first.
+     * Stops at the first failure, leaving it and later commits queued.
+     */
+    async replayQueue() {
+        await this.loadQueue();
+        const pending = this.queuedCommits.filter(commit => commit.branch === this.currentBranch);
+        let replayed = 0;
+
+        try {
+            for (const commit of pending) {
+                await this.createCommit(commit.files, commit.message);
+                await RepoCache.removeQueuedCommit(commit.id);
+                replayed++;
+            }
+
+            return { replayed, error: null };
+        } catch (error) {
+            console.error('Failed to replay queued commits:', error);
+            return { replayed, error };
+        } finally {
+            await this.loadQueue();
+        }
+    }
+
+    /**
+     * Create a commit on the remote and clear the committed local changes
+     */
+    async createCommit(files, message) {
+        try {
+            // Refuse to commit over changes pushed since the files were edited
+            const { headSha, conflicts } = await this.checkUpstreamChanges(files.map(file => file.path));
+            if (conflicts.length > 0) {
+                const error = new Error(
+                    `${conflicts.length} file(s) changed on the remote since you edited them: ` +
+                    conflicts.map(conflict => conflict.path).join(', ') +
+                    '. Pull to merge their changes first.'
+                );
+                error.conflicts = conflicts;
+                throw error;
+            }
+
             const result = await this.api.commitMultipleFiles(
                 this.owner,
                 this.repo,
                 this.currentBranch,
-                files,
-                message
+                await Promise.all(files.map(file => this.withFormat(file))),
+                message,
+                headSha
             );
 
-            // Clear unsaved changes for all committed files
+            // Clear unsaved changes for committed files. Files committed only
+            // in part keep the rest as local changes on top of the new blob.
             files.forEach(file => {
-                Storage.clearUnsavedChanges(this.owner, this.repo, file.path);
+                const change = Storage.getUnsavedChanges(this.owner, this.repo, file.path);
+                if (change && (change.content !== file.content || change.base64 !== file.base64)) {
+                    Storage.rebaseUnsavedChanges(this.owner, this.repo, file.path, {
+                        sha: result.blobShas[file.path],
+                        commit: result.sha
+                    });
+                } else {
+                    Storage.clearUnsavedChanges(this.owner, this.repo, file.path);
+                }
             });
 
             return result;
         } catch (error) {
-            console.error('Failed to commit multiple files:', error);
+            console.error('Failed to create commit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add the format (encoding and BOM) of the blob a changed file was
+     * edited or moved from to its commit entry, so committing keeps it
+     */
+    async withFormat(file) {
+        if (file.content === undefined || file.format) return file;
+
+        const change = Storage.getUnsavedChanges(this.owner, this.repo, file.path);
+        const sha = change && (change.blobSha || change.baseSha);
+        if (!sha) return file; // New file
+
+        const blob = await this.api.getBlob(this.owner, this.repo, sha);
+        return { ...file, format: blob.format };
+    }
+
+    /**
+     * Turn a stored change into a file entry for GitHubAPI.commitMultipleFiles
+     */
+    toCommitFile(path, change) {
+        if (change.deleted) {
+            return { path, deleted: true };
+        }
+        const mode = change.mode ? { mode: change.mode } : {};
+        if (change.base64 !== undefined) {
+            return { path, base64: change.base64, ...mode };
+        }
+        if (change.content === undefined) {
+            return { path, sha: change.blobSha, ...mode };
+        }
+        const format = change.format ? { format: change.format } : {};
+        return { path, content: change.content, ...mode, ...format };
+    }
+
+    /**
+     * Get the text of a change: its edited content, or the text of an
+     * upload. Undefined for deletions, unedited moves and binary uploads.
+     */
+    getChangeText(change) {
+        if (change.content !== undefined) return change.content;
+        if (change.base64 !== undefined) {
+            const decoded = Codec.decode(change.base64);
+            if (!decoded.binary) return decoded.text;
+        }
+        return undefined;
+    }
+
+    /**
+     * Stage uploaded bytes as a file's new content, replacing any edits.
+     * base is { sha, commit } of the remote file, or { sha: null, commit }
+     * for a new file. Resolves to whether the upload was stored.
+     */
+    stageUpload(filePath, bytes, base) {
+        const change = Storage.getUnsavedChanges(this.owner, this.repo, filePath);
+
+        // Keep the base of earlier edits so upstream changes are still detected
+        const hasBase = change && change.baseCommit !== undefined;
+        const record = {
+            base64: Codec.bytesToBase64(bytes),
+            size: bytes.length,
+            baseSha: hasBase ? change.baseSha : base.sha,
+            baseCommit: hasBase ? change.baseCommit : base.commit
+        };
+        const mode = (change && change.mode) || base.mode;
+        if (mode) record.mode = mode;
+
+        return Storage.setPendingChange(this.owner, this.repo, filePath, record);
+    }
+
+    /**
+     * Record a deletion as a pending change.
+     * base is { sha, commit } of the remote file, or null if it only exists locally.
+     */
+    deletePath(filePath, base) {
+        const change = Storage.getUnsavedChanges(this.owner, this.repo, filePath);
+
+        if (!base) {
+            return Storage.clearUnsavedChanges(this.owner, this.repo, filePath);
+        }
+
+        // Keep the base of earlier edits so upstream changes are still detected
+        const hasBase = change && change.baseCommit !== undefined;
+        return Storage.setPendingChange(this.owner, this.repo, filePath, {
+            deleted: true,
+            baseSha: hasBase ? change.baseSha : base.sha,
+            baseCommit: hasBase ? change.baseCommit : base.commit
+        });
+    }
+
+    /**
+     * Record a rename/move as a pending change: the old path is deleted and
+     * the new path reuses the old blob (or carries its local edits).
+     * fromBase and toBase are { sha, commit } of the remote files at each
+     * path, or null where the path doesn't exist remotely.
+     */
+    renamePath(fromPath, toPath, fromBase, toBase) {
+        const change = Storage.getUnsavedChanges(this.owner, this.repo, fromPath);
+        const record = {
+            renamedFrom: (change && change.renamedFrom) || (fromBase ? fromPath : undefined),
+            blobSha: (change && change.blobSha) || (fromBase ? fromBase.sha : null),
+            baseSha: toBase ? toBase.sha : null,
+            baseCommit: toBase ? toBase.commit : (fromBase ? fromBase.commit : null)
+        };
+
+        // Executables and symlinks stay what they are at the new path
+        const mode = (change && change.mode) || (fromBase && fromBase.mode);
+        if (mode) record.mode = mode;
+
+        if (change && change.content !== undefined) {
+            record.content = change.content;
+        } else if (change && change.base64 !== undefined) {
+            record.base64 = change.base64;
+            record.size = change.size;
+        } else if (!record.blobSha) {
+            throw new Error(`Cannot move ${fromPath}: file content is not available`);
+        }
+
+        Storage.setPendingChange(this.owner, this.repo, toPath, record);
+        return this.deletePath(fromPath, fromBase);
+    }
+
+    /**
+     * Compare the base blob each changed file was edited from with the
+     * current remote tree. Returns the remote head SHA and the files whose
+     * remote blob no longer matches their base.
+     */
+    async checkUpstreamChanges(filePaths) {
+        try {
+            if (!this.currentBranch) {
+                throw new Error('No branch selected');
+            }
+
+            const headSha = await this.api.getBranchHead(this.owner, this.repo, this.currentBranch);
+            const unsavedChanges = this.getUnsavedChanges();
+
+            // Changes saved before base tracking existed can't be checked
+            const tracked = filePaths.filter(path =>
+                unsavedChanges[path] && unsavedChanges[path].baseCommit !== undefined
+            );
+
+            // Nothing to compare if every file was edited against the current head
+            if (tracked.every(path => unsavedChanges[path].baseCommit === headSha)) {
+                return { headSha, conflicts: [] };
+            }
+
+            const remoteTree = await this.api.getTreeAtCommit(this.owner, this.repo, headSha);
+            const remoteShas = new Map(
+                remoteTree.tree
+                    .filter(item => item.type === 'blob')
+                    .map(item => [item.path, item.sha])
+            );
+
+            const conflicts = [];
+            tracked.forEach(path => {
+                const change = unsavedChanges[path];
+                if (change.baseCommit === headSha) return;
+
+                const baseSha = change.baseSha || null;
+                const remoteSha = remoteShas.get(path) || null;
+                if (baseSha !== remoteSha) {
+                    conflicts.push({ path, baseSha, remoteSha });
+                }
+            });
+
+            return { headSha, conflicts };
+        } catch (error) {
+            console.error('Failed to check upstream changes:', error);
             throw error;
         }
     }
@@ -102,10 +368,7 @@ export class GitOps {
             }
 
             // Prepare files array for commit
-            const files = filePaths.map(path => ({
-                path: path,
-                content: unsavedChanges[path].content
-            }));
+            const files = filePaths.map(path => this.toCommitFile(path, unsavedChanges[path]));
 
             return await this.commitMultipleFiles(files, message);
         } catch (error) {
@@ -116,8 +379,9 @@ export class GitOps {
 
     /**
      * Pull latest changes from remote
-     * Note: For a real implementation, we'd need to handle merge conflicts
-     * This is a simplified version that just reloads the tree
+     * Upstream changes are three-way merged into locally edited files using
+     * the base blob each file was edited from. Files that merge cleanly are
+     * updated in Storage; conflicting files are returned for resolution.
      */
     async pull() {
         try {
@@ -125,24 +389,76 @@ export class GitOps {
                 throw new Error('No branch selected');
             }
 
-            // Check for local unsaved changes
-            const unsavedChanges = this.getUnsavedChanges();
-            const hasUnsavedChanges = Object.keys(unsavedChanges).length > 0;
-
-            if (hasUnsavedChanges) {
-                throw new Error('Cannot pull: You have unsaved changes. Please commit or discard them first.');
-            }
-
             // Clear cache to force fresh data
             this.api.clearCache();
 
             // Fetch latest tree
             const tree = await this.api.getTree(this.owner, this.repo, this.currentBranch);
+            const remoteItems = new Map(
+                tree.tree
+                    .filter(item => item.type === 'blob')
+                    .map(item => [item.path, item])
+            );
+
+            const unsavedChanges = this.getUnsavedChanges();
+            const merged = [];
+            const conflicts = [];
+            const unresolved = [];
+
+            for (const [path, change] of Object.entries(unsavedChanges)) {
+                const baseSha = change.baseSha || null;
+                const remote = remoteItems.get(path);
+                const remoteSha = remote ? remote.sha : null;
+                const base = { sha: remoteSha, commit: tree.commitSha, mode: remote ? remote.mode : null };
+
+                // Unchanged upstream: just move the base forward
+                if (change.baseCommit !== undefined && baseSha === remoteSha) {
+                    Storage.rebaseUnsavedChanges(this.owner, this.repo, path, base);
+                    continue;
+                }
+
+                // Deletions, unedited moves and uploads have no text to merge
+                if (change.deleted || change.content === undefined) {
+                    if (change.deleted && this.followRename(path, remoteSha, unsavedChanges)) {
+                        Storage.rebaseUnsavedChanges(this.owner, this.repo, path, base);
+                        merged.push(path);
+                    } else {
+                        unresolved.push(path);
+                    }
+                    continue;
+                }
+
+                const baseText = baseSha ? (await this.api.getBlob(this.owner, this.repo, baseSha)).decodedContent : '';
+                const theirsText = remoteSha ? (await this.api.getBlob(this.owner, this.repo, remoteSha)).decodedContent : '';
+
+                // Without a base (changes saved before bases were tracked, or a
+                // file added here and upstream) only the differences conflict
+                const result = !baseSha && remoteSha
+                    ? Diff.merge2(change.content, theirsText)
+                    : Diff.merge3(baseText, change.content, theirsText);
+
+                if (result.conflicts > 0) {
+                    conflicts.push({ path, chunks: result.chunks, conflicts: result.conflicts, base });
+                    continue;
+                }
+
+                const content = Diff.resolveMerge(result.chunks);
+                if (remoteSha && content === theirsText) {
+                    // Local edits are already upstream
+                    Storage.clearUnsavedChanges(this.owner, this.repo, path);
+                } else {
+                    Storage.rebaseUnsavedChanges(this.owner, this.repo, path, base, content);
+                }
+                merged.push(path);
+            }
 
             return {
                 success: true,
-                message: 'Pulled latest changes successfully',
-                tree: tree
+                message: this.getPullMessage(merged.length, conflicts.length, unresolved.length),
+                tree: tree,
+                merged,
+                conflicts,
+                unresolved
             };
         } catch (error) {
             console.error('Failed to pull:', error);
@@ -150,6 +466,42 @@ export class GitOps {
         }
     }
 
+    /**
+     * Summarize a pull: how many files were merged, still conflict, or
+     * couldn't be merged because they were deleted, moved or uploaded
+     */
+    getPullMessage(merged, conflicts, unresolved) {
+        const parts = ['Pulled latest changes'];
+        if (merged > 0) parts.push(`merged ${merged} file(s)`);
+        if (conflicts > 0) parts.push(`${conflicts} file(s) with conflicts`);
+        if (unresolved > 0) parts.push(`${unresolved} deleted, moved or uploaded file(s) changed upstream`);
+        return parts.join(', ');
+    }
+
+    /**
+     * When a file moved locally was changed upstream, point the move at the
+     * new upstream blob so their changes travel with it. Only possible while
+     * the moved file has no local edits.
+     */
+    followRename(fromPath, remoteSha, unsavedChanges) {
+        if (!remoteSha) return false;
+
+        const target = Object.entries(unsavedChanges).find(([, change]) => change.renamedFrom === fromPath);
+        if (!target || target[1].content !== undefined) return false;
+
+        const [toPath, change] = target;
+        Storage.setPendingChange(this.owner, this.repo, toPath, { ...change, blobSha: remoteSha });
+        return true;
+    }
+
+    /**
+     * Store the resolution of a pull conflict as the file's local content,
+     * now based on the pulled remote blob
+     */
+    resolveConflict(conflict, content) {
+        return Storage.rebaseUnsavedChanges(this.owner, this.repo, conflict.path, conflict.base, content);
+    }
+
     /**
      * Push changes (for GitHub API, commits are automatically pushed)
      * This is more of a status check
@@ -160,6 +512,12 @@ export class GitOps {
                 throw new Error('No branch selected');
             }
 
+            // Commits made offline are sent now
+            const { replayed, error } = await this.replayQueue();
+            if (error) {
+                throw new Error(`Pushed ${replayed} queued commit(s), then failed: ${error.message}`);
+            }
+
             // Check if there are uncommitted changes
             const unsavedChanges = this.getUnsavedChanges();
             const hasUnsavedChanges = Object.keys(unsavedChanges).length > 0;
@@ -172,7 +530,9 @@ export class GitOps {
             // we just return success
             return {
                 success: true,
-                message: 'All changes are already pushed to remote'
+                message: replayed > 0
+                    ? `Pushed ${replayed} queued commit(s)`
+                    : 'All changes are already pushed to remote'
             };
         } catch (error) {
             console.error('Push failed:', error);
@@ -181,8 +541,58 @@ export class GitOps {
     }
 
     /**
-     * Get commit status (ahead/behind remote)
-     * Note: For GitHub API, we're always in sync since commits are immediate
+     * Compare the current branch with the default branch, and its remote
+     * head with the commit its tree was loaded from. Needs a connection;
+     * the result is kept for getCommitStatus. Null without a current or
+     * default branch, or if the branch was switched meanwhile.
+     */
+    async refreshDivergence(defaultBranch, loadedSha) {
+        try {
+            const branch = this.currentBranch;
+            if (!branch || !defaultBranch) return null;
+
+            const headSha = await this.api.getBranchHead(this.owner, this.repo, branch);
+            const isDefault = branch === defaultBranch;
+            const remoteChanged = !!loadedSha && loadedSha !== headSha;
+
+            const [base, upstream] = await Promise.all([
+                isDefault ? null : this.api.compareCommits(this.owner, this.repo, defaultBranch, headSha),
+                remoteChanged ? this.api.compareCommits(this.owner, this.repo, loadedSha, headSha) : null
+            ]);
+
+            // Commits on the default branch that this branch doesn't have
+            const behind = base && base.behind > 0
+                ? await this.api.compareCommits(this.owner, this.repo, headSha, defaultBranch)
+                : null;
+
+            // The branch was switched meanwhile
+            if (branch !== this.currentBranch) return null;
+
+            this.divergence = {
+                branch,
+                defaultBranch,
+                headSha,
+                ahead: base ? base.ahead : 0,
+                behind: base ? base.behind : 0,
+                outgoing: base ? base.commits.slice().reverse() : [],
+                incoming: behind ? behind.commits.slice().reverse() : [],
+                remoteChanged,
+                // Force-pushed: the loaded commit is no longer on the branch
+                remoteRewritten: !!upstream && upstream.behind > 0,
+                remoteAhead: upstream ? upstream.ahead : 0,
+                remoteCommits: upstream ? upstream.commits.slice().reverse() : []
+            };
+            return this.divergence;
+        } catch (error) {
+            console.error('Failed to compare branches:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get commit status: uncommitted and queued changes, how far the branch
+     * is ahead of/behind the default branch, and new commits on the remote
+     * since the tree was loaded (as of the last refreshDivergence)
      */
     async getCommitStatus() {
         try {
@@ -193,11 +603,18 @@ export class GitOps {
             // Check for unsaved/uncommitted changes
             const unsavedChanges = this.getUnsavedChanges();
             const uncommittedCount = Object.keys(unsavedChanges).length;
+            const divergence = this.divergence && this.divergence.branch === this.currentBranch
+                ? this.divergence
+                : null;
 
             return {
                 uncommitted: uncommittedCount,
-                ahead: 0, // GitHub API commits are immediate
-                behind: 0
+                queued: this.queuedCommits.filter(commit => commit.branch === this.currentBranch).length,
+                ahead: divergence ? divergence.ahead : 0,
+                behind: divergence ? divergence.behind : 0,
+                defaultBranch: divergence ? divergence.defaultBranch : null,
+                remoteChanged: divergence ? divergence.remoteChanged : false,
+                remoteAhead: divergence ? divergence.remoteAhead : 0
             };
         } catch (error) {
             console.error('Failed to get commit status:', error);
@@ -205,11 +622,128 @@ export class GitOps {
         }
     }
 
+    /**
+     * Get the content a locally changed file was edited from
+     */
+    async getOriginalContent(filePath) {
+        try {
+            const change = Storage.getUnsavedChanges(this.owner, this.repo, filePath);
+
+            // Moved files compare against the blob they were moved with
+            if (change && change.renamedFrom && change.blobSha) {
+                const blob = await this.api.getBlob(this.owner, this.repo, change.blobSha);
+                return blob.decodedContent;
+            }
+
+            if (change && change.baseCommit !== undefined) {
+                if (!change.baseSha) return ''; // New file
+                const blob = await this.api.getBlob(this.owner, this.repo, change.baseSha);
+                return blob.decodedContent;
+            }
+
+            // Changes saved before base tracking existed: compare with the branch
+            const fileData = await this.api.getFileContent(this.owner, this.repo, filePath, this.currentBranch);
+            return fileData.decodedContent || '';
+        } catch (error) {
+            console.error('Failed to get original content:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current content of a file, including unsaved local changes
+     */
+    async getFileContent(filePath) {
+        try {
+            const change = Storage.getUnsavedChanges(this.owner, this.repo, filePath);
+            const text = change ? this.getChangeText(change) : undefined;
+            if (text !== undefined) {
+                return text;
+            }
+
+            const fileData = change
+                ? await this.getLocalFileData(filePath)
+                : await this.api.getFileContent(this.owner, this.repo, filePath, this.currentBranch);
+            return fileData.decodedContent || '';
+        } catch (error) {
+            console.error('Failed to get file content:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get file data for a file that only exists locally (moved, new or
+     * uploaded), shaped like GitHubAPI.getFileContent
+     */
+    async getLocalFileData(filePath) {
+        try {
+            const change = Storage.getUnsavedChanges(this.owner, this.repo, filePath);
+            if (!change || change.deleted) {
+                throw new Error(`${filePath} not found`);
+            }
+
+            if (change.blobSha) {
+                const blob = await this.api.getBlob(this.owner, this.repo, change.blobSha);
+                return {
+                    sha: change.blobSha,
+                    size: blob.size,
+                    content: blob.content,
+                    decodedContent: blob.decodedContent,
+                    format: blob.format,
+                    binary: blob.binary
+                };
+            }
+
+            // Like new files, uploads have no original text; their own text
+            // is the local change
+            if (change.base64 !== undefined) {
+                const decoded = Codec.decode(change.base64);
+                return {
+                    sha: null,
+                    size: change.size,
+                    content: change.base64,
+                    decodedContent: '',
+                    format: decoded.format,
+                    binary: decoded.binary
+                };
+            }
+
+            return { sha: null, size: (change.content || '').length, decodedContent: '' };
+        } catch (error) {
+            console.error('Failed to get local file data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store new local content for a changed file, dropping the change
+     * entirely once it matches the original again
+     */
+    saveFileChanges(filePath, content, originalContent) {
+        if (content === originalContent) {
+            return Storage.clearUnsavedContent(this.owner, this.repo, filePath);
+        }
+        return Storage.setUnsavedChanges(this.owner, this.repo, filePath, content);
+    }
+
     /**
      * Discard changes for a specific file
      */
     async discardFileChanges(filePath) {
         try {
+            const unsavedChanges = this.getUnsavedChanges();
+            const change = unsavedChanges[filePath];
+
+            // Undo both halves of a move
+            if (change && change.renamedFrom && unsavedChanges[change.renamedFrom]) {
+                Storage.clearUnsavedChanges(this.owner, this.repo, change.renamedFrom);
+            }
+            if (change && change.deleted) {
+                Object.entries(unsavedChanges)
+                    .filter(([, other]) => other.renamedFrom === filePath)
+                    .forEach(([path]) => Storage.clearUnsavedChanges(this.owner, this.repo, path));
+            }
+
             Storage.clearUnsavedChanges(this.owner, this.repo, filePath);
             return true;
         } catch (error) {
@@ -268,12 +802,26 @@ export class GitOps {
      */
     getChangedFilesList() {
         const unsavedChanges = this.getUnsavedChanges();
+        const queuedPaths = this.getQueuedPaths();
         return Object.keys(unsavedChanges).map(path => ({
             path: path,
+            status: this.getChangeStatus(unsavedChanges[path]),
+            renamedFrom: unsavedChanges[path].renamedFrom || null,
+            queued: queuedPaths.has(path),
             timestamp: unsavedChanges[path].timestamp,
             timestampFormatted: new Date(unsavedChanges[path].timestamp).toLocaleString()
         }));
     }
+
+    /**
+     * Get the kind of a stored change: 'deleted', 'renamed', 'added' or 'modified'
+     */
+    getChangeStatus(change) {
+        if (change.deleted) return 'deleted';
+        if (change.renamedFrom) return 'renamed';
+        if (change.baseCommit && !change.baseSha) return 'added';
+        return 'modified';
+    }
 }
 
 export default GitOps;
@@ -4,6 +4,8 @@
  */
 
 import { Storage } from './storage.js';
+import { RepoCache } from './repo-cache.js';
+import { Codec } from './codec.js';
 
 export class GitHubAPI {
     constructor(token) {
@@ -11,6 +13,7 @@ export class GitHubAPI {
         this.baseUrl = 'https://api.github.com';
         this.cache = new Map();
         this.cacheDuration = 5 * 60 * 1000; // 5 minutes
+        this.offline = false;
     }
 
     /**
@@ -19,15 +22,30 @@ export class GitHubAPI {
     async request(endpoint, options = {}) {
         const url = endpoint.startsWith('http') ? endpoint : `${this.baseUrl}${endpoint}`;
 
-        const response = await fetch(url, {
-            ...options,
-            headers: {
-                'Authorization': `token ${this.token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                ...options.headers
+        let response;
+        try {
+            if (navigator.onLine === false) {
+                throw new TypeError('Browser is offline');
             }
-        });
+
+            response = await fetch(url, {
+                ...options,
+                headers: {
+                    'Authorization': `token ${this.token}`,
+                    'Accept': 'application/vnd.github.v3+json',
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                }
+            });
+        } catch (e) {
+            // fetch only rejects when the request couldn't be made at all
+            this.offline = true;
+            const error = new Error('You are offline');
+            error.offline = true;
+            throw error;
+        }
+
+        this.offline = false;
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({ message: response.statusText }));
@@ -98,8 +116,13 @@ export class GitHubAPI {
             const data = await this.request(`/repos/${owner}/${repo}/branches`);
 
             this._setCache(cacheKey, data);
+            RepoCache.putRepoInfo(owner, repo, { branches: data.map(branch => ({ name: branch.name })) });
             return data;
         } catch (error) {
+            if (error.offline) {
+                const info = await RepoCache.getRepoInfo(owner, repo);
+                if (info && info.branches) return info.branches;
+            }
             console.error('Failed to get branches:', error);
             throw error;
         }
@@ -111,8 +134,13 @@ export class GitHubAPI {
     async getDefaultBranch(owner, repo) {
         try {
             const data = await this.request(`/repos/${owner}/${repo}`);
+            RepoCache.putRepoInfo(owner, repo, { defaultBranch: data.default_branch });
             return data.default_branch;
         } catch (error) {
+            if (error.offline) {
+                const info = await RepoCache.getRepoInfo(owner, repo);
+                if (info && info.defaultBranch) return info.defaultBranch;
+            }
             console.error('Failed to get default branch:', error);
             throw error;
         }
@@ -161,16 +189,63 @@ export class GitHubAPI {
             // Get tree
             const data = await this.request(`/repos/${owner}/${repo}/git/trees/${refData.object.sha}?recursive=${recursive ? 1 : 0}`);
 
+            // Remember which commit this tree was loaded from
+            data.commitSha = refData.object.sha;
+
             this._setCache(cacheKey, data);
+
+            // Keep the snapshot for offline use
+            RepoCache.putTree(data);
+            RepoCache.putRef(owner, repo, branch, data.commitSha, data.sha);
+
             return data;
         } catch (error) {
+            // Fall back to the last-synced snapshot
+            if (error.offline) {
+                const cachedTree = await RepoCache.getBranchTree(owner, repo, branch);
+                if (cachedTree) return { ...cachedTree, offline: true };
+            }
             console.error('Failed to get tree:', error);
             throw error;
         }
     }
 
     /**
-     * Get file content
+     * Get tree for a specific commit (commits are immutable, so this is cached by SHA)
+     */
+    async getTreeAtCommit(owner, repo, commitSha) {
+        try {
+            const cacheKey = `tree_commit_${owner}_${repo}_${commitSha}`;
+            const cached = this._getFromCache(cacheKey);
+            if (cached) return cached;
+
+            const data = await this.request(`/repos/${owner}/${repo}/git/trees/${commitSha}?recursive=1`);
+            data.commitSha = commitSha;
+
+            this._setCache(cacheKey, data);
+            return data;
+        } catch (error) {
+            console.error('Failed to get tree at commit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current head commit SHA of a branch (never cached)
+     */
+    async getBranchHead(owner, repo, branch) {
+        try {
+            const refData = await this.request(`/repos/${owner}/${repo}/git/ref/heads/${branch}`);
+            return refData.object.sha;
+        } catch (error) {
+            console.error('Failed to get branch head:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get file content. decodedContent is the text; format is its encoding
+     * and BOM (see Codec), and binary is set for non-text files.
      */
     async getFileContent(owner, repo, path, branch = 'main') {
         try {
@@ -178,26 +253,98 @@ export class GitHubAPI {
 
             // Decode base64 content
             if (data.content) {
-                data.decodedContent = atob(data.content.replace(/\n/g, ''));
+                data.content = data.content.replace(/\n/g, '');
+                this.decodeContent(data);
+                RepoCache.putBlob(data.sha, data.content, data.size);
+            } else if (data.encoding === 'none') {
+                // Over 1MB the contents API leaves the content out; the blob has it
+                const blob = await this.getBlob(owner, repo, data.sha);
+                data.content = blob.content;
+                this.decodeContent(data);
             }
 
             return data;
         } catch (error) {
+            if (error.offline) {
+                return this.getCachedFileContent(owner, repo, path, branch);
+            }
             console.error('Failed to get file content:', error);
             throw error;
         }
     }
 
     /**
-     * Update file content (commit)
+     * Get file content from the last-synced snapshot of a branch
+     */
+    async getCachedFileContent(owner, repo, path, branch) {
+        const tree = await RepoCache.getBranchTree(owner, repo, branch);
+        const entry = tree && tree.tree.find(item => item.path === path && item.type === 'blob');
+        const blob = entry && await RepoCache.getBlob(entry.sha);
+
+        if (!blob) {
+            const error = new Error(`${path} is not available offline`);
+            error.offline = true;
+            throw error;
+        }
+
+        return this.decodeContent({
+            path,
+            sha: blob.sha,
+            size: blob.size !== undefined ? blob.size : entry.size,
+            content: blob.content,
+            offline: true
+        });
+    }
+
+    /**
+     * Decode a file's base64 content into decodedContent, format and binary
+     */
+    decodeContent(data) {
+        const { text, format, binary } = Codec.decode(data.content || '');
+        data.decodedContent = text;
+        data.format = format;
+        data.binary = binary;
+        return data;
+    }
+
+    /**
+     * Get a blob by SHA (blobs are immutable, so this is cached by SHA,
+     * in memory and in IndexedDB)
      */
-    async updateFile(owner, repo, path, content, message, branch, sha) {
+    async getBlob(owner, repo, sha) {
+        try {
+            const cacheKey = `blob_${owner}_${repo}_${sha}`;
+            const cached = this._getFromCache(cacheKey);
+            if (cached) return cached;
+
+            let data = await RepoCache.getBlob(sha);
+            if (!data) {
+                data = await this.request(`/repos/${owner}/${repo}/git/blobs/${sha}`);
+                data.content = (data.content || '').replace(/\n/g, '');
+                RepoCache.putBlob(sha, data.content, data.size);
+            }
+
+            // Decode base64 content
+            this.decodeContent(data);
+
+            this._setCache(cacheKey, data);
+            return data;
+        } catch (error) {
+            console.error('Failed to get blob:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update file content (commit), encoded in the file's format
+     */
+    async updateFile(owner, repo, path, content, message, branch, sha, format = undefined) {
         try {
             const data = await this.request(`/repos/${owner}/${repo}/contents/${path}`, {
                 method: 'PUT',
                 body: JSON.stringify({
                     message,
-                    content: btoa(unescape(encodeURIComponent(content))),
+                    content: Codec.encode(content, format),
                     branch,
                     sha
                 })
@@ -223,7 +370,7 @@ export class GitHubAPI {
                 method: 'PUT',
                 body: JSON.stringify({
                     message,
-                    content: btoa(unescape(encodeURIComponent(content))),
+                    content: Codec.encode(content),
                     branch
                 })
             });
@@ -240,14 +387,25 @@ export class GitHubAPI {
     }
 
     /**
-     * Create or update multiple files in a single commit
+     * Create, update, delete or move multiple files in a single commit
+     * Each file is { path, content, format } for new content (format as
+     * from Codec, UTF-8 if left out), { path, base64 } for uploaded bytes,
+     * { path, sha } to reuse an existing blob (moves), or
+     * { path, deleted: true } for deletions. Files may carry the git mode
+     * to keep (executable, symlink); new files are 100644.
+     * If expectedHeadSha is given, the commit is refused when the branch has
+     * moved past it on the remote.
      */
-    async commitMultipleFiles(owner, repo, branch, files, message) {
+    async commitMultipleFiles(owner, repo, branch, files, message, expectedHeadSha = null) {
         try {
             // Get current commit SHA
             const refData = await this.request(`/repos/${owner}/${repo}/git/ref/heads/${branch}`);
             const currentCommitSha = refData.object.sha;
 
+            if (expectedHeadSha && currentCommitSha !== expectedHeadSha) {
+                throw new Error(`Branch ${branch} moved on the remote while committing. Please try again.`);
+            }
+
             // Get current commit tree
             const commitData = await this.request(`/repos/${owner}/${repo}/git/commits/${currentCommitSha}`);
             const currentTreeSha = commitData.tree.sha;
@@ -255,16 +413,26 @@ export class GitHubAPI {
             // Create blobs for each file
             const blobs = await Promise.all(
                 files.map(async (file) => {
+                    // A null SHA removes the path from the tree
+                    if (file.deleted) {
+                        return { path: file.path, mode: '100644', type: 'blob', sha: null };
+                    }
+
+                    const mode = file.mode || '100644';
+                    if (file.content === undefined && file.base64 === undefined && file.sha) {
+                        return { path: file.path, mode, type: 'blob', sha: file.sha };
+                    }
+
                     const blob = await this.request(`/repos/${owner}/${repo}/git/blobs`, {
                         method: 'POST',
                         body: JSON.stringify({
-                            content: btoa(unescape(encodeURIComponent(file.content))),
+                            content: file.base64 !== undefined ? file.base64 : Codec.encode(file.content, file.format),
                             encoding: 'base64'
                         })
                     });
                     return {
                         path: file.path,
-                        mode: '100644',
+                        mode,
                         type: 'blob',
                         sha: blob.sha
                     };
@@ -294,7 +462,8 @@ export class GitHubAPI {
             await this.request(`/repos/${owner}/${repo}/git/refs/heads/${branch}`, {
                 method: 'PATCH',
                 body: JSON.stringify({
-                    sha: newCommit.sha
+                    sha: newCommit.sha,
+                    force: false
                 })
             });
 
@@ -302,6 +471,9 @@ export class GitHubAPI {
             const cacheKey = `tree_${owner}_${repo}_${branch}`;
             this.cache.delete(cacheKey);
 
+            // Blob SHA of each committed file
+            newCommit.blobShas = Object.fromEntries(blobs.map(blob => [blob.path, blob.sha]));
+
             return newCommit;
         } catch (error) {
             console.error('Failed to commit multiple files:', error);
@@ -310,7 +482,8 @@ export class GitHubAPI {
     }
 
     /**
-     * Get commits ahead/behind count
+     * Get commits ahead/behind count, and the commits head has that base
+     * doesn't (oldest first, at most 250)
      */
     async compareCommits(owner, repo, base, head) {
         try {
@@ -318,7 +491,8 @@ export class GitHubAPI {
             return {
                 ahead: data.ahead_by,
                 behind: data.behind_by,
-                status: data.status
+                status: data.status,
+                commits: data.commits || []
             };
         } catch (error) {
             console.error('Failed to compare commits:', error);
@@ -326,6 +500,204 @@ export class GitHubAPI {
         }
     }
 
+    /**
+     * List the commits reachable from a branch or commit, newest first,
+     * optionally only those that changed a path
+     */
+    async listCommits(owner, repo, sha, path = null, page = 1, perPage = 30) {
+        try {
+            const pathQuery = path ? `&path=${encodeURIComponent(path)}` : '';
+            return await this.request(
+                `/repos/${owner}/${repo}/commits?sha=${encodeURIComponent(sha)}${pathQuery}&per_page=${perPage}&page=${page}`
+            );
+        } catch (error) {
+            console.error('Failed to list commits:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a commit with its changed files and their patches
+     */
+    async getCommit(owner, repo, sha) {
+        const cacheKey = `commit:${owner}/${repo}/${sha}`;
+        const cached = this._getFromCache(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const commit = await this.request(`/repos/${owner}/${repo}/commits/${sha}`);
+            this._setCache(cacheKey, commit);
+            return commit;
+        } catch (error) {
+            console.error('Failed to get commit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get who last changed each line of a file at a commit, through the
+     * GraphQL API (REST has no blame). Returns ranges of lines
+     * { startLine, endLine, sha, message, author, date }, 1-based and inclusive.
+     */
+    async getBlame(owner, repo, ref, path) {
+        const cacheKey = `blame:${owner}/${repo}/${ref}/${path}`;
+        const cached = this._getFromCache(cacheKey);
+        if (cached) return cached;
+
+        const query = `query($owner: String!, $repo: String!, $ref: String!, $path: String!) {
+            repository(owner: $owner, name: $repo) {
+                object(expression: $ref) {
+                    ... on Commit {
+                        blame(path: $path) {
+                            ranges {
+                                startingLine
+                                endingLine
+                                commit {
+                                    oid
+                                    message
+                                    committedDate
+                                    author { name user { login } }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }`;
+
+        try {
+            const result = await this.request(`${this.baseUrl}/graphql`, {
+                method: 'POST',
+                body: JSON.stringify({ query, variables: { owner, repo, ref, path } })
+            });
+            if (result.errors && result.errors.length > 0) {
+                throw new Error(result.errors[0].message);
+            }
+
+            const object = result.data.repository && result.data.repository.object;
+            if (!object || !object.blame) {
+                throw new Error(`No blame for ${path} at ${ref}`);
+            }
+
+            const ranges = object.blame.ranges.map(range => ({
+                startLine: range.startingLine,
+                endLine: range.endingLine,
+                sha: range.commit.oid,
+                message: range.commit.message,
+                author: range.commit.author.user ? range.commit.author.user.login : range.commit.author.name,
+                date: range.commit.committedDate
+            }));
+            this._setCache(cacheKey, ranges);
+            return ranges;
+        } catch (error) {
+            console.error('Failed to get blame:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List pull requests, optionally only those from a head ("owner:branch")
+     */
+    async listPullRequests(owner, repo, state = 'open', head = null) {
+        try {
+            const headQuery = head ? `&head=${encodeURIComponent(head)}` : '';
+            return await this.request(`/repos/${owner}/${repo}/pulls?state=${state}&per_page=50${headQuery}`);
+        } catch (error) {
+            console.error('Failed to list pull requests:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a pull request
+     */
+    async getPullRequest(owner, repo, number) {
+        try {
+            return await this.request(`/repos/${owner}/${repo}/pulls/${number}`);
+        } catch (error) {
+            console.error('Failed to get pull request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a pull request from head into base
+     */
+    async createPullRequest(owner, repo, head, base, title, body = '') {
+        try {
+            return await this.request(`/repos/${owner}/${repo}/pulls`, {
+                method: 'POST',
+                body: JSON.stringify({ title, body, head, base })
+            });
+        } catch (error) {
+            console.error('Failed to create pull request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the files changed in a pull request, with their patches
+     */
+    async getPullRequestFiles(owner, repo, number) {
+        try {
+            return await this.request(`/repos/${owner}/${repo}/pulls/${number}/files?per_page=100`);
+        } catch (error) {
+            console.error('Failed to get pull request files:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the review comments on a pull request
+     */
+    async getReviewComments(owner, repo, number) {
+        try {
+            return await this.request(`/repos/${owner}/${repo}/pulls/${number}/comments?per_page=100`);
+        } catch (error) {
+            console.error('Failed to get review comments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Post a review comment on a line of a file in the pull request's head commit
+     */
+    async createReviewComment(owner, repo, number, commitId, path, line, body) {
+        try {
+            return await this.request(`/repos/${owner}/${repo}/pulls/${number}/comments`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    body,
+                    commit_id: commitId,
+                    path,
+                    line,
+                    side: 'RIGHT'
+                })
+            });
+        } catch (error) {
+            console.error('Failed to create review comment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Search file contents with GitHub code search. Only the default
+     * branch is indexed and regular expressions aren't supported.
+     * Returns the matching files ({ path, sha, text_matches }).
+     */
+    async searchCode(owner, repo, query, perPage = 100) {
+        try {
+            const q = encodeURIComponent(`${query} repo:${owner}/${repo}`);
+            const data = await this.request(`/search/code?q=${q}&per_page=${perPage}`, {
+                headers: { 'Accept': 'application/vnd.github.text-match+json' }
+            });
+            return data.items || [];
+        } catch (error) {
+            console.error('Failed to search code:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get rate limit status
      */
@@ -348,12 +720,13 @@ export class GitHubAPI {
      */
     isBinaryFile(path) {
         const binaryExtensions = [
-            '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp',
-            '.mp3', '.mp4', '.avi', '.mov', '.wav',
-            '.zip', '.tar', '.gz', '.rar', '.7z',
-            '.exe', '.dll', '.so', '.dylib',
+            '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.tga', '.tif', '.tiff', '.exr', '.hdr',
+            '.mp3', '.mp4', '.avi', '.mov', '.wav', '.ogg', '.m4a', '.aac', '.flac', '.aif', '.aiff', '.m4v', '.webm',
+            '.zip', '.tar', '.gz', '.rar', '.7z', '.unitypackage',
+            '.exe', '.dll', '.so', '.dylib', '.a', '.aar', '.jar',
             '.pdf', '.doc', '.docx', '.xls', '.xlsx',
-            '.psd', '.ai', '.sketch'
+            '.psd', '.ai', '.sketch',
+            '.fbx', '.blend', '.ttf', '.otf'
         ];
 
         const ext = path.substring(path.lastIndexOf('.')).toLowerCase();
@@ -361,12 +734,21 @@ export class GitHubAPI {
     }
 
     /**
-     * Check if file is too large (>1MB)
+     * Check if file is too large (>1MB) for the contents API. Such files
+     * are fetched as blobs, open read-only and aren't searched or indexed.
      */
     isFileTooLarge(size) {
         return size > 1024 * 1024; // 1MB
     }
 
+    /**
+     * Check if file is over the blob API's limit (100MB), so it can't be
+     * fetched at all
+     */
+    exceedsBlobLimit(size) {
+        return size > 100 * 1024 * 1024;
+    }
+
     /**
      * Clear all caches
      */
@@ -0,0 +1,300 @@
+/**
+ * History Panel Module
+ * Browse the commits of the current branch, optionally only those that
+ * changed the open file, and each commit's changed files and diffs
+ */
+
+import { PullRequestPanel } from './pr-panel.js';
+
+const COMMITS_PER_PAGE = 30;
+
+export class HistoryPanel {
+    constructor(modalElement, githubAPI) {
+        this.modal = modalElement;
+        this.api = githubAPI;
+
+        this.listView = modalElement.querySelector('.history-list-view');
+        this.fileFilter = modalElement.querySelector('.history-file-filter');
+        this.fileOnly = modalElement.querySelector('.history-file-only');
+        this.fileLabel = modalElement.querySelector('.history-file');
+        this.list = modalElement.querySelector('.history-list');
+        this.moreBtn = modalElement.querySelector('.history-more');
+
+        this.detailView = modalElement.querySelector('.history-detail-view');
+        this.backBtn = modalElement.querySelector('.history-back');
+        this.detailTitle = modalElement.querySelector('.history-detail-title');
+        this.detailMeta = modalElement.querySelector('.history-detail-meta');
+        this.detailMessage = modalElement.querySelector('.history-detail-message');
+        this.filesContainer = modalElement.querySelector('.history-files');
+
+        this.owner = null;
+        this.repo = null;
+        this.branch = null;
+        this.filePath = null;
+        this.page = 1;
+        // Bumped for each new listing, so slow pages of an old one are dropped
+        this.listId = 0;
+        // Whether the list was loaded since the panel was opened on a commit
+        this.listLoaded = false;
+        // Bumped for each commit shown, so a slow earlier one can't replace it
+        this.commitId = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.fileOnly.addEventListener('change', () => this.showList());
+        this.moreBtn.addEventListener('click', () => this.loadPage(this.page + 1));
+        this.backBtn.addEventListener('click', () => {
+            if (!this.listLoaded) {
+                this.showList();
+                return;
+            }
+            this.detailView.classList.add('hidden');
+            this.listView.classList.remove('hidden');
+        });
+    }
+
+    /**
+     * Set repository info
+     */
+    setRepo(owner, repo) {
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    /**
+     * Open the panel on a branch's commits. With a file open they are
+     * filtered to it at first. sha opens a commit straight away.
+     */
+    async open(branch, filePath = null, sha = null) {
+        this.branch = branch;
+        this.filePath = filePath;
+        this.fileFilter.classList.toggle('hidden', !filePath);
+        this.fileLabel.textContent = filePath || '';
+        this.fileOnly.checked = !!filePath;
+        this.modal.classList.remove('hidden');
+
+        if (sha) {
+            // The list is loaded once the user goes back to it
+            this.list.innerHTML = '';
+            this.listId++;
+            this.listLoaded = false;
+            await this.showCommit(sha);
+        } else {
+            await this.showList();
+        }
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    /**
+     * Show the first page of commits
+     */
+    async showList() {
+        this.detailView.classList.add('hidden');
+        this.listView.classList.remove('hidden');
+        this.list.innerHTML = '';
+        this.listId++;
+        this.listLoaded = true;
+        await this.loadPage(1);
+    }
+
+    /**
+     * Load a page of commits and add it to the list
+     */
+    async loadPage(page) {
+        const listId = this.listId;
+        const path = this.filePath && this.fileOnly.checked ? this.filePath : null;
+
+        this.moreBtn.classList.add('hidden');
+        const loading = this.createMessage('Loading...');
+        this.list.appendChild(loading);
+
+        try {
+            const commits = await this.api.listCommits(this.owner, this.repo, this.branch, path, page, COMMITS_PER_PAGE);
+            if (listId !== this.listId) return;
+
+            loading.remove();
+            this.page = page;
+            if (page === 1 && commits.length === 0) {
+                this.list.appendChild(this.createMessage(path ? 'No commits changed this file' : 'No commits'));
+            }
+            commits.forEach(commit => this.list.appendChild(this.createCommitItem(commit)));
+            this.moreBtn.classList.toggle('hidden', commits.length < COMMITS_PER_PAGE);
+        } catch (error) {
+            if (listId !== this.listId) return;
+            loading.remove();
+            this.list.appendChild(this.createMessage(`Failed to load commits: ${error.message}`));
+        }
+    }
+
+    /**
+     * Create a list item for a commit: first line of the message, author,
+     * date and short SHA
+     */
+    createCommitItem(commit) {
+        const item = document.createElement('div');
+        item.className = 'pr-item';
+
+        const title = document.createElement('div');
+        title.className = 'pr-item-title';
+        title.textContent = commit.commit.message.split('\n')[0];
+
+        const meta = document.createElement('div');
+        meta.className = 'pr-item-meta';
+        meta.textContent = `${HistoryPanel.getAuthor(commit)} • ${HistoryPanel.formatDate(commit.commit.author.date)} • ${commit.sha.substring(0, 7)}`;
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.addEventListener('click', () => this.showCommit(commit.sha));
+        return item;
+    }
+
+    /**
+     * Show a commit's message and changed files
+     */
+    async showCommit(sha) {
+        const commitId = ++this.commitId;
+        this.listView.classList.add('hidden');
+        this.detailView.classList.remove('hidden');
+        this.detailTitle.textContent = sha.substring(0, 7);
+        this.detailMeta.textContent = '';
+        this.detailMessage.textContent = '';
+        this.filesContainer.innerHTML = '<div class="pr-empty">Loading...</div>';
+
+        try {
+            const commit = await this.api.getCommit(this.owner, this.repo, sha);
+            if (commitId !== this.commitId) return;
+
+            const [headline, ...body] = commit.commit.message.split('\n');
+            const additions = commit.stats ? commit.stats.additions : 0;
+            const deletions = commit.stats ? commit.stats.deletions : 0;
+
+            this.detailTitle.textContent = headline;
+            this.detailMeta.textContent =
+                `${HistoryPanel.getAuthor(commit)} • ${HistoryPanel.formatDate(commit.commit.author.date)} • ` +
+                `${commit.sha.substring(0, 7)} • ${commit.files.length} file(s), +${additions} −${deletions}`;
+            this.detailMessage.textContent = body.join('\n').trim();
+
+            this.renderFiles(commit.files);
+        } catch (error) {
+            if (commitId !== this.commitId) return;
+            this.filesContainer.innerHTML = '';
+            this.filesContainer.appendChild(this.createMessage(`Failed to load commit: ${error.message}`));
+        }
+    }
+
+    /**
+     * Render changed files; tapping one shows its diff. The open file's is
+     * shown from the start.
+     */
+    renderFiles(files) {
+        this.filesContainer.innerHTML = '';
+
+        files.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'pr-file';
+
+            const header = document.createElement('div');
+            header.className = 'pr-file-header';
+            header.textContent = `${PullRequestPanel.statusIcon(file.status)} ${file.filename}` +
+                ` +${file.additions} −${file.deletions}`;
+
+            const body = document.createElement('div');
+            body.className = 'pr-file-body hidden';
+
+            const toggle = () => {
+                if (!body.hasChildNodes()) {
+                    this.renderPatch(body, file);
+                }
+                body.classList.toggle('hidden');
+            };
+            header.addEventListener('click', toggle);
+
+            item.appendChild(header);
+            item.appendChild(body);
+            this.filesContainer.appendChild(item);
+
+            if (file.filename === this.filePath) {
+                toggle();
+            }
+        });
+    }
+
+    /**
+     * Render a file's unified diff
+     */
+    renderPatch(container, file) {
+        if (!file.patch) {
+            container.appendChild(this.createMessage('No text diff (binary or too large)'));
+            return;
+        }
+
+        const pre = document.createElement('pre');
+        pre.className = 'pr-patch';
+
+        file.patch.split('\n').forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (text.startsWith('@@')) {
+                line.className = 'pr-patch-hunk';
+            } else if (text.startsWith('+')) {
+                line.className = 'pr-patch-add';
+            } else if (text.startsWith('-')) {
+                line.className = 'pr-patch-del';
+            }
+            pre.appendChild(line);
+        });
+
+        container.appendChild(pre);
+    }
+
+    /**
+     * Create a placeholder message element
+     */
+    createMessage(text) {
+        const el = document.createElement('div');
+        el.className = 'pr-empty';
+        el.textContent = text;
+        return el;
+    }
+
+    /**
+     * Get a commit's author: their GitHub login, or the name in the commit
+     */
+    static getAuthor(commit) {
+        return commit.author ? commit.author.login : commit.commit.author.name;
+    }
+
+    /**
+     * Format a date as how long ago it was ("5 min ago", "3 days ago"), or
+     * the date itself after a month
+     */
+    static formatDate(date) {
+        const seconds = (Date.now() - new Date(date).getTime()) / 1000;
+        const units = [[60, 'sec'], [60, 'min'], [24, 'hour'], [30, 'day']];
+
+        let value = seconds;
+        for (let i = 0; i < units.length; i++) {
+            const [size, name] = units[i];
+            if (value < size) {
+                const count = Math.max(1, Math.floor(value));
+                return `${count} ${name}${count === 1 || name === 'sec' || name === 'min' ? '' : 's'} ago`;
+            }
+            value /= size;
+        }
+
+        return new Date(date).toLocaleDateString();
+    }
+}
+
+export default HistoryPanel;
@@ -0,0 +1,178 @@
+/**
+ * IndexedDB Module
+ * Promise wrapper around the app's IndexedDB database
+ */
+
+const DB_NAME = 'github_ide';
+const DB_VERSION = 4;
+
+export const STORES = {
+    BLOBS: 'blobs',
+    TREES: 'trees',
+    REFS: 'refs',
+    REPOS: 'repos',
+    COMMIT_QUEUE: 'commit_queue',
+    CHANGES: 'changes',
+    SYMBOLS: 'symbols',
+    CACHE_ENTRIES: 'cache_entries'
+};
+
+let dbPromise = null;
+
+export class IDB {
+    /**
+     * Open (and create or upgrade) the database once per page (or worker)
+     */
+    static open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                // globalThis, as the symbol worker uses the database too
+                if (!globalThis.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore(STORES.BLOBS);
+                        db.createObjectStore(STORES.TREES);
+                        db.createObjectStore(STORES.REFS);
+                        db.createObjectStore(STORES.REPOS);
+                        db.createObjectStore(STORES.COMMIT_QUEUE, { keyPath: 'id', autoIncrement: true });
+                    }
+
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore(STORES.CHANGES);
+                    }
+
+                    if (event.oldVersion < 3) {
+                        db.createObjectStore(STORES.SYMBOLS);
+                    }
+
+                    if (event.oldVersion < 4) {
+                        db.createObjectStore(STORES.CACHE_ENTRIES);
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+            });
+
+            // Let a later call try again
+            dbPromise.catch(() => {
+                dbPromise = null;
+            });
+        }
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a request against a store in its own transaction.
+     * Resolves with the request's result once the transaction has completed,
+     * so writes are durable when the promise settles.
+     */
+    static async run(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get a value by key (undefined if missing)
+     */
+    static get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get several values by key in a single transaction
+     * (undefined for missing keys, in the order of keys)
+     */
+    static async getMany(storeName, keys) {
+        const requests = [];
+        await this.run(storeName, 'readonly', store => {
+            keys.forEach(key => requests.push(store.get(key)));
+            return requests[0] || store.count();
+        });
+        return requests.map(request => request.result);
+    }
+
+    /**
+     * Get all values in a store, optionally within a key range
+     */
+    static getAll(storeName, query = undefined) {
+        return this.run(storeName, 'readonly', store => store.getAll(query));
+    }
+
+    /**
+     * Get all keys in a store, optionally within a key range
+     */
+    static getAllKeys(storeName, query = undefined) {
+        return this.run(storeName, 'readonly', store => store.getAllKeys(query));
+    }
+
+    /**
+     * Store a value. key is omitted for stores with a keyPath.
+     * Resolves with the value's key.
+     */
+    static put(storeName, value, key = undefined) {
+        return this.run(storeName, 'readwrite', store =>
+            key === undefined ? store.put(value) : store.put(value, key)
+        );
+    }
+
+    /**
+     * Store several [key, value] entries in a single transaction
+     */
+    static putMany(storeName, entries) {
+        return this.run(storeName, 'readwrite', store => {
+            let request = null;
+            entries.forEach(([key, value]) => {
+                request = store.put(value, key);
+            });
+            return request || store.count();
+        });
+    }
+
+    /**
+     * Delete a value (or a key range)
+     */
+    static delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete several keys in a single transaction
+     */
+    static deleteMany(storeName, keys) {
+        return this.run(storeName, 'readwrite', store => {
+            let request = null;
+            keys.forEach(key => {
+                request = store.delete(key);
+            });
+            return request || store.count();
+        });
+    }
+
+    /**
+     * Delete everything in a store
+     */
+    static clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+export default IDB;
@@ -0,0 +1,229 @@
+/**
+ * Keyboard Toolbar Module
+ * The row of keys above the on-screen keyboard. Each kind of file gets
+ * its own keys (profiles), which users can edit and reorder. A key inserts
+ * text, or a snippet with $1/$0 cursor placeholders, or runs an editor
+ * action such as moving the cursor or undo.
+ */
+
+import { Storage } from './storage.js';
+
+// Editor actions keys can run. Movement keys select while Select is on.
+export const KEY_ACTIONS = {
+    toggleSelect: { label: 'Select', description: 'Select while moving' },
+    cursorLeft: { label: '←', description: 'Cursor left', moves: true },
+    cursorRight: { label: '→', description: 'Cursor right', moves: true },
+    cursorUp: { label: '↑', description: 'Cursor up', moves: true },
+    cursorDown: { label: '↓', description: 'Cursor down', moves: true },
+    cursorHome: { label: 'Home', description: 'Start of line', moves: true },
+    cursorEnd: { label: 'End', description: 'End of line', moves: true },
+    selectWord: { label: 'Word', description: 'Select word' },
+    selectLine: { label: 'Line', description: 'Select line' },
+    undo: { label: '↶', description: 'Undo' },
+    redo: { label: '↷', description: 'Redo' },
+    tab: { label: '⇥', description: 'Tab' },
+    indent: { label: '⇥|', description: 'Indent lines' },
+    outdent: { label: '|⇤', description: 'Outdent lines' }
+};
+
+// Kinds of file with their own keys
+export const TOOLBAR_PROFILES = {
+    csharp: 'C#',
+    shader: 'Shaders',
+    json: 'JSON',
+    yaml: 'YAML',
+    markdown: 'Markdown',
+    default: 'Other files'
+};
+
+const PROFILE_EXTENSIONS = {
+    '.cs': 'csharp',
+    '.shader': 'shader',
+    '.hlsl': 'shader',
+    '.cginc': 'shader',
+    '.compute': 'shader',
+    '.json': 'json',
+    '.asmdef': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.md': 'markdown'
+};
+
+const text = (label, insert = label) => ({ label, text: insert });
+const action = (name) => ({ label: KEY_ACTIONS[name].label, action: name });
+
+const EDITING_KEYS = [
+    action('tab'), action('undo'), action('redo'), action('toggleSelect'),
+    action('cursorLeft'), action('cursorRight'), action('cursorUp'), action('cursorDown'),
+    action('cursorHome'), action('cursorEnd'), action('selectWord'), action('selectLine'),
+    action('indent'), action('outdent')
+];
+
+const DEFAULT_KEYS = {
+    csharp: [
+        text('{'), text('}'), text('('), text(')'), text(';'), text('='), text('"'), text('\''),
+        text('<'), text('>'), text('['), text(']'), text('.'), text(','), text('!'), text('&'), text('|'), text('/'),
+        text('if', 'if ($1)\n{\n\t$0\n}'),
+        text('for', 'for (int i = 0; i < $1; i++)\n{\n\t$0\n}'),
+        text('foreach', 'foreach (var $1 in $2)\n{\n\t$0\n}'),
+        text('Log', 'Debug.Log($0);'),
+        ...EDITING_KEYS
+    ],
+    shader: [
+        text('{'), text('}'), text('('), text(')'), text(';'), text('='), text('.'), text(','),
+        text('"'), text('['), text(']'), text('_'), text('#'), text('/'),
+        text('float4', 'float4($0)'), text('half3', 'half3($0)'),
+        text('Pass', 'Pass\n{\n\t$0\n}'),
+        ...EDITING_KEYS
+    ],
+    json: [
+        text('{'), text('}'), text('['), text(']'), text('"'), text(':'), text(','),
+        text('""', '"$1": $0'), text('true'), text('false'), text('null'),
+        ...EDITING_KEYS
+    ],
+    yaml: [
+        text(':'), text('-'), text('"'), text('\''), text('#'), text('|'), text('>'),
+        text('['), text(']'), text('{'), text('}'), text('~'),
+        ...EDITING_KEYS
+    ],
+    markdown: [
+        text('#'), text('*'), text('_'), text('`'), text('-'), text('>'), text('['), text(']'),
+        text('('), text(')'), text('Link', '[$1]($0)'), text('Code', '```$1\n$0\n```'),
+        ...EDITING_KEYS
+    ],
+    default: [
+        text('{'), text('}'), text('('), text(')'), text('['), text(']'), text(';'), text('='),
+        text('"'), text('\''), text('<'), text('>'), text('/'),
+        ...EDITING_KEYS
+    ]
+};
+
+export class KeyboardToolbar {
+    /**
+     * onInsert(text, snippet) inserts a key's text, onAction(action, select)
+     * runs an editor action, and onCustomize(profile) opens the key editor
+     */
+    constructor(element, onInsert, onAction, onCustomize) {
+        this.element = element;
+        this.onInsert = onInsert;
+        this.onAction = onAction;
+        this.onCustomize = onCustomize;
+        this.profile = 'default';
+        this.keys = [];
+        this.selecting = false;
+
+        // Keep the editor focused (and the on-screen keyboard up) while tapping
+        this.element.addEventListener('mousedown', (e) => e.preventDefault());
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('.toolbar-key');
+            if (button) this.press(button);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Get the profile for a file path
+     */
+    static getProfile(filePath) {
+        if (!filePath) return 'default';
+        const ext = filePath.substring(filePath.lastIndexOf('.')).toLowerCase();
+        return PROFILE_EXTENSIONS[ext] || 'default';
+    }
+
+    /**
+     * Get a profile's keys: the user's, or the defaults
+     */
+    static getKeys(profile) {
+        return Storage.getToolbarKeys(profile) || this.getDefaultKeys(profile);
+    }
+
+    /**
+     * Get a profile's default keys
+     */
+    static getDefaultKeys(profile) {
+        return (DEFAULT_KEYS[profile] || DEFAULT_KEYS.default).map(key => ({ ...key }));
+    }
+
+    /**
+     * Check if a key's text is a snippet (has $1, ${1:name} or $0)
+     */
+    static isSnippet(key) {
+        return /\$(\d|\{\d)/.test(key.text || '');
+    }
+
+    /**
+     * Show the keys for a file
+     */
+    setFile(filePath) {
+        const profile = KeyboardToolbar.getProfile(filePath);
+        if (profile !== this.profile) {
+            this.profile = profile;
+            this.render();
+        }
+    }
+
+    /**
+     * Render the current profile's keys, followed by the customize key
+     */
+    render() {
+        this.keys = KeyboardToolbar.getKeys(this.profile);
+        this.selecting = false;
+        this.element.innerHTML = '';
+
+        this.keys.forEach((key, index) => {
+            const button = document.createElement('button');
+            button.className = 'toolbar-key';
+            button.dataset.index = index;
+            button.textContent = key.label;
+            button.title = key.action ? KEY_ACTIONS[key.action].description : key.text;
+            if (key.action) {
+                button.classList.add('toolbar-action');
+            }
+            this.element.appendChild(button);
+        });
+
+        const customize = document.createElement('button');
+        customize.className = 'toolbar-key toolbar-customize';
+        customize.dataset.customize = 'true';
+        customize.textContent = '⚙';
+        customize.title = 'Customize keys';
+        this.element.appendChild(customize);
+    }
+
+    /**
+     * Handle a key press
+     */
+    press(button) {
+        if (button.dataset.customize) {
+            this.onCustomize(this.profile);
+            return;
+        }
+
+        const key = this.keys[Number(button.dataset.index)];
+        if (!key) return;
+
+        if (key.action === 'toggleSelect') {
+            this.setSelecting(!this.selecting);
+        } else if (key.action && KEY_ACTIONS[key.action]) {
+            this.onAction(key.action, this.selecting);
+            if (!KEY_ACTIONS[key.action].moves) this.setSelecting(false);
+        } else {
+            this.onInsert(key.text, KeyboardToolbar.isSnippet(key));
+            this.setSelecting(false);
+        }
+    }
+
+    /**
+     * Turn selecting while moving on or off
+     */
+    setSelecting(selecting) {
+        this.selecting = selecting;
+        this.element.querySelectorAll('.toolbar-key').forEach(button => {
+            const key = this.keys[Number(button.dataset.index)];
+            button.classList.toggle('active', selecting && !!key && key.action === 'toggleSelect');
+        });
+    }
+}
+
+export default KeyboardToolbar;
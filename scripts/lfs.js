@@ -0,0 +1,174 @@
+/**
+ * LFS Module
+ * Works out which paths .gitattributes stores in Git LFS and recognizes
+ * LFS pointer files. Commits go through the API as plain blobs, so content
+ * for LFS paths is never turned into pointers here; callers warn instead.
+ */
+
+const POINTER_SPEC = 'version https://git-lfs.github.com/spec/v1';
+
+// Pointers are small text files; anything bigger isn't one
+const MAX_POINTER_SIZE = 1024;
+
+export class Lfs {
+    /**
+     * Get the .gitattributes files among paths, root first, so rules from
+     * deeper folders come later and override
+     */
+    static getAttributesPaths(paths) {
+        return paths
+            .filter(path => path === '.gitattributes' || path.endsWith('/.gitattributes'))
+            .sort((a, b) => a.split('/').length - b.split('/').length);
+    }
+
+    /**
+     * Parse a .gitattributes file in folder ('' for the root) into rules
+     * { regex, folder, lfs }. Only lines that set or unset the filter
+     * attribute become rules; lfs is true for filter=lfs.
+     */
+    static parseAttributes(text, folder = '') {
+        const rules = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('[attr]')) return;
+
+            const [pattern, ...attributes] = trimmed.split(/\s+/);
+            const filter = attributes.filter(attribute => /^[-!]?filter(=|$)/.test(attribute)).pop();
+
+            // Negative patterns are not allowed in .gitattributes, and
+            // folder patterns (trailing slash) match no files
+            if (!filter || pattern.startsWith('!') || pattern.endsWith('/')) return;
+
+            rules.push({
+                regex: this.patternToRegExp(pattern),
+                folder,
+                lfs: filter === 'filter=lfs'
+            });
+        });
+
+        return rules;
+    }
+
+    /**
+     * Convert a .gitattributes pattern into a regex for paths relative to
+     * its folder, the way git matches them: without a slash it matches a
+     * file name at any depth, with one the whole path. * and ? don't match
+     * slashes, ** spans folders as a whole segment, [...] is a character
+     * class and a folder's name doesn't match the files inside it.
+     */
+    static patternToRegExp(pattern) {
+        const anchored = pattern.includes('/');
+        const glob = pattern.replace(/^\//, '');
+        let source = '';
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            const wholeSegment = (i === 0 || glob[i - 1] === '/') &&
+                (i + 2 === glob.length || glob[i + 2] === '/');
+
+            if (char === '*' && glob[i + 1] === '*' && wholeSegment) {
+                if (i + 2 === glob.length) {
+                    // A trailing "/**" matches everything inside
+                    source += '.*';
+                    i++;
+                } else {
+                    // "**/" matches any folders, or none
+                    source += '(?:.*/)?';
+                    i += 2;
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && this.findClassEnd(glob, i) !== -1) {
+                const end = this.findClassEnd(glob, i);
+                source += this.toCharClass(glob.substring(i + 1, end));
+                i = end;
+            } else if (char === '\\' && i + 1 < glob.length) {
+                source += this.escapeChar(glob[++i]);
+            } else {
+                source += this.escapeChar(char);
+            }
+        }
+
+        return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}$`);
+    }
+
+    /**
+     * Find the closing bracket of the character class opened at start, or
+     * -1 if it isn't closed (the bracket is then a plain character)
+     */
+    static findClassEnd(glob, start) {
+        let i = start + 1;
+        if (glob[i] === '!' || glob[i] === '^') i++;
+        // A leading ] is part of the class
+        if (glob[i] === ']') i++;
+
+        for (; i < glob.length; i++) {
+            if (glob[i] === '\\') {
+                i++;
+            } else if (glob[i] === ']') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Convert the inside of a [...] class into a regex class; ! or ^ negate
+     * it, and like * it never matches a slash
+     */
+    static toCharClass(body) {
+        const negated = body[0] === '!' || body[0] === '^';
+        const chars = (negated ? body.substring(1) : body)
+            .replace(/\\(.)|[[\]^\\]/g, (match, escaped) => this.escapeChar(escaped !== undefined ? escaped : match));
+        return negated ? `[^/${chars}]` : `[${chars}]`;
+    }
+
+    /**
+     * Escape a character to match itself in a regex
+     */
+    static escapeChar(char) {
+        return /\w/.test(char) ? char : '\\' + char;
+    }
+
+    /**
+     * Check if the rules store a path in LFS; the last matching rule wins
+     */
+    static isTracked(path, rules) {
+        let tracked = false;
+
+        rules.forEach(rule => {
+            if (rule.folder && !path.startsWith(rule.folder + '/')) return;
+
+            const relative = rule.folder ? path.substring(rule.folder.length + 1) : path;
+            if (rule.regex.test(relative)) {
+                tracked = rule.lfs;
+            }
+        });
+
+        return tracked;
+    }
+
+    /**
+     * Parse pointer file bytes into { oid, size }, or null if they aren't one
+     */
+    static parsePointer(bytes) {
+        if (bytes.length > MAX_POINTER_SIZE) return null;
+        return this.parsePointerText(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Parse pointer file text into { oid, size }, or null if it isn't one
+     */
+    static parsePointerText(text) {
+        if (text.length > MAX_POINTER_SIZE || !text.startsWith(POINTER_SPEC)) return null;
+
+        const oid = text.match(/^oid sha256:([0-9a-f]{64})$/m);
+        const size = text.match(/^size (\d+)$/m);
+        return oid && size ? { oid: oid[1], size: Number(size[1]) } : null;
+    }
+}
+
+export default Lfs;
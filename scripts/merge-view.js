@@ -0,0 +1,199 @@
+/**
+ * Merge View Module
+ * Monaco-based view for resolving pull conflicts hunk by hunk
+ */
+
+import { Diff } from './diff.js';
+
+export class MergeView {
+    constructor(modalElement) {
+        this.modal = modalElement;
+        this.editorContainer = modalElement.querySelector('.merge-editor-container');
+        this.fileLabel = modalElement.querySelector('.merge-file');
+        this.counterLabel = modalElement.querySelector('.merge-counter');
+        this.prevBtn = modalElement.querySelector('.merge-prev');
+        this.nextBtn = modalElement.querySelector('.merge-next');
+        this.applyBtn = modalElement.querySelector('.merge-apply');
+        this.skipBtn = modalElement.querySelector('.merge-skip');
+        this.choiceButtons = modalElement.querySelectorAll('[data-choice]');
+
+        this.editor = null;
+        this.decorations = [];
+        this.chunks = [];
+        this.choices = [];
+        this.regions = [];
+        this.currentConflict = 0;
+        this.resolvePromise = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.prevBtn.addEventListener('click', () => this.goToConflict(this.currentConflict - 1));
+        this.nextBtn.addEventListener('click', () => this.goToConflict(this.currentConflict + 1));
+        this.choiceButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.choose(btn.dataset.choice));
+        });
+        this.applyBtn.addEventListener('click', () => this.close(this.getResult()));
+        this.skipBtn.addEventListener('click', () => this.close(null));
+    }
+
+    /**
+     * Open the merge view for a file.
+     * Resolves with the merged content, or null if the file was skipped.
+     */
+    open(filePath, chunks, language = 'plaintext') {
+        this.chunks = chunks;
+        this.choices = chunks.filter(chunk => chunk.type === 'conflict').map(() => null);
+        this.currentConflict = 0;
+        this.fileLabel.textContent = filePath;
+
+        if (!this.editor) {
+            this.editor = monaco.editor.create(this.editorContainer, {
+                theme: 'vs-dark',
+                automaticLayout: true,
+                readOnly: true,
+                fontSize: 14,
+                lineNumbers: 'on',
+                minimap: {
+                    enabled: false
+                },
+                scrollBeyondLastLine: false,
+                wordWrap: 'on',
+                glyphMargin: false
+            });
+        }
+
+        const oldModel = this.editor.getModel();
+        this.editor.setModel(monaco.editor.createModel('', language));
+        if (oldModel) oldModel.dispose();
+
+        this.modal.classList.remove('hidden');
+        this.render();
+        this.goToConflict(0);
+
+        return new Promise(resolve => {
+            this.resolvePromise = resolve;
+        });
+    }
+
+    /**
+     * Close the view and settle the pending promise
+     */
+    close(result) {
+        this.modal.classList.add('hidden');
+
+        if (this.resolvePromise) {
+            const resolve = this.resolvePromise;
+            this.resolvePromise = null;
+            resolve(result);
+        }
+    }
+
+    /**
+     * Pick ours, theirs or both for the current conflict
+     */
+    choose(choice) {
+        if (this.choices.length === 0) return;
+
+        this.choices[this.currentConflict] = choice;
+        this.render();
+
+        // Move on to the next unresolved conflict
+        const next = this.choices.findIndex(c => c === null);
+        this.goToConflict(next === -1 ? this.currentConflict : next);
+    }
+
+    /**
+     * Reveal a conflict in the editor
+     */
+    goToConflict(index) {
+        if (this.regions.length === 0) return;
+
+        this.currentConflict = Math.max(0, Math.min(index, this.regions.length - 1));
+        const region = this.regions[this.currentConflict];
+        this.editor.revealLinesInCenter(region.startLine, region.endLine);
+        this.updateControls();
+    }
+
+    /**
+     * Rebuild the editor content and decorations from the current choices
+     */
+    render() {
+        const lines = [];
+        const decorations = [];
+        this.regions = [];
+        let conflictIndex = 0;
+
+        const addDecoration = (startLine, endLine, className) => {
+            if (endLine < startLine) return;
+            decorations.push({
+                range: new monaco.Range(startLine, 1, endLine, 1),
+                options: { isWholeLine: true, className }
+            });
+        };
+
+        this.chunks.forEach(chunk => {
+            if (chunk.type === 'stable') {
+                lines.push(...chunk.lines);
+                return;
+            }
+
+            const choice = this.choices[conflictIndex];
+            const startLine = lines.length + 1;
+
+            if (choice === null) {
+                lines.push('<<<<<<< local');
+                const oursStart = lines.length + 1;
+                lines.push(...chunk.ours);
+                addDecoration(oursStart, lines.length, 'merge-ours-line');
+                lines.push('=======');
+                const theirsStart = lines.length + 1;
+                lines.push(...chunk.theirs);
+                addDecoration(theirsStart, lines.length, 'merge-theirs-line');
+                lines.push('>>>>>>> remote');
+                addDecoration(startLine, startLine, 'merge-marker-line');
+                addDecoration(oursStart + chunk.ours.length, oursStart + chunk.ours.length, 'merge-marker-line');
+                addDecoration(lines.length, lines.length, 'merge-marker-line');
+            } else {
+                const resolved = Diff.resolveMerge([chunk], [choice]);
+                lines.push(...Diff.splitLines(resolved));
+                addDecoration(startLine, lines.length, 'merge-resolved-line');
+            }
+
+            this.regions.push({ startLine, endLine: Math.max(startLine, lines.length) });
+            conflictIndex++;
+        });
+
+        this.editor.getModel().setValue(lines.join('\n'));
+        this.decorations = this.editor.deltaDecorations(this.decorations, decorations);
+        this.updateControls();
+    }
+
+    /**
+     * Update counter and button state
+     */
+    updateControls() {
+        const total = this.choices.length;
+        const unresolved = this.choices.filter(c => c === null).length;
+
+        this.counterLabel.textContent = total === 0
+            ? 'No conflicts'
+            : `Conflict ${this.currentConflict + 1} of ${total} (${unresolved} unresolved)`;
+        this.prevBtn.disabled = this.currentConflict <= 0;
+        this.nextBtn.disabled = this.currentConflict >= total - 1;
+        this.applyBtn.disabled = unresolved > 0;
+    }
+
+    /**
+     * Get the merged content for the current choices
+     */
+    getResult() {
+        return Diff.resolveMerge(this.chunks, this.choices);
+    }
+}
+
+export default MergeView;
@@ -0,0 +1,201 @@
+/**
+ * Outline Panel Module
+ * The outline drawer listing the current file's symbols, and the
+ * breadcrumbs above the editor showing where the cursor is
+ */
+
+import { CSharpSymbols } from './csharp-symbols.js';
+
+// Short labels for symbol kinds, in the style of desktop editors' icons
+const KIND_ICONS = {
+    namespace: '{}',
+    class: 'C',
+    struct: 'S',
+    interface: 'I',
+    enum: 'E',
+    record: 'R',
+    delegate: 'D',
+    method: 'm',
+    constructor: 'c',
+    operator: 'o',
+    property: 'p',
+    indexer: 'p',
+    field: 'f',
+    constant: 'k',
+    event: 'e',
+    enumMember: 'v'
+};
+
+export class OutlinePanel {
+    constructor(drawerElement, breadcrumbsElement, onSelect) {
+        this.drawer = drawerElement;
+        this.breadcrumbs = breadcrumbsElement;
+        this.onSelect = onSelect;
+
+        this.filterInput = drawerElement.querySelector('.outline-filter');
+        this.list = drawerElement.querySelector('.outline-list');
+        this.closeBtn = drawerElement.querySelector('.outline-close');
+
+        this.symbols = [];
+        this.path = [];
+        this.enabled = false;
+
+        this.filterInput.addEventListener('input', () => this.renderList());
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Show the symbols of the current file. path is the symbols around the
+     * cursor, outermost first. enabled is false for files without symbols.
+     */
+    update(symbols, path, enabled = true) {
+        this.symbols = symbols;
+        this.path = path;
+        this.enabled = enabled;
+
+        this.renderBreadcrumbs();
+        if (this.isOpen()) {
+            this.renderList();
+        }
+    }
+
+    /**
+     * Open the drawer
+     */
+    open() {
+        this.drawer.classList.remove('hidden');
+        this.filterInput.value = '';
+        this.renderList();
+    }
+
+    /**
+     * Close the drawer
+     */
+    close() {
+        this.drawer.classList.add('hidden');
+    }
+
+    /**
+     * Open or close the drawer
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Check if the drawer is open
+     */
+    isOpen() {
+        return !this.drawer.classList.contains('hidden');
+    }
+
+    /**
+     * Render the breadcrumbs: Namespace › Class › Method
+     */
+    renderBreadcrumbs() {
+        this.breadcrumbs.innerHTML = '';
+        this.breadcrumbs.classList.toggle('hidden', !this.enabled || this.path.length === 0);
+
+        this.path.forEach((symbol, index) => {
+            if (index > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'breadcrumb-separator';
+                separator.textContent = '›';
+                this.breadcrumbs.appendChild(separator);
+            }
+
+            const crumb = document.createElement('span');
+            crumb.className = 'breadcrumb';
+            crumb.textContent = symbol.name;
+            crumb.addEventListener('click', () => this.onSelect(symbol));
+            this.breadcrumbs.appendChild(crumb);
+        });
+    }
+
+    /**
+     * Render the symbol list, indented by nesting. A filter lists the
+     * matching symbols without nesting.
+     */
+    renderList() {
+        this.list.innerHTML = '';
+
+        if (!this.enabled) {
+            this.renderEmpty('No outline for this file');
+            return;
+        }
+
+        const filter = this.filterInput.value.trim().toLowerCase();
+        const entries = CSharpSymbols.flatten(this.symbols)
+            .filter(entry => !filter || entry.symbol.name.toLowerCase().includes(filter));
+
+        if (entries.length === 0) {
+            this.renderEmpty(filter ? 'No matching symbols' : 'No symbols found');
+            return;
+        }
+
+        const active = this.path[this.path.length - 1];
+        entries.forEach(({ symbol, depth }) => {
+            const item = document.createElement('div');
+            item.className = 'outline-item';
+            item.style.paddingLeft = `${8 + (filter ? 0 : depth) * 14}px`;
+            if (symbol === active) {
+                item.classList.add('active');
+            }
+
+            const icon = document.createElement('span');
+            icon.className = `outline-icon outline-icon-${symbol.kind}`;
+            icon.textContent = KIND_ICONS[symbol.kind] || '?';
+
+            const name = document.createElement('span');
+            name.className = 'outline-name';
+            name.textContent = symbol.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'outline-detail';
+            detail.textContent = symbol.detail;
+
+            item.appendChild(icon);
+            item.appendChild(name);
+            item.appendChild(detail);
+
+            if (symbol.unityMessage) {
+                const badge = document.createElement('span');
+                badge.className = 'outline-badge';
+                badge.textContent = 'Unity';
+                badge.title = 'Called by Unity';
+                item.appendChild(badge);
+            }
+
+            item.addEventListener('click', () => this.onSelect(symbol));
+            this.list.appendChild(item);
+
+            if (symbol === active) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Show a message in place of the list
+     */
+    renderEmpty(message) {
+        const empty = document.createElement('div');
+        empty.className = 'pr-empty';
+        empty.textContent = message;
+        this.list.appendChild(empty);
+    }
+
+    /**
+     * Clear the breadcrumbs and close the drawer
+     */
+    clear() {
+        this.update([], [], false);
+        this.close();
+    }
+}
+
+export default OutlinePanel;
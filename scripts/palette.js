@@ -0,0 +1,210 @@
+/**
+ * Palette Module
+ * A searchable pick list shown over the IDE (quick open and the like).
+ * Works with touch as well as the keyboard.
+ */
+
+const MAX_ITEMS = 100;
+
+export class Palette {
+    constructor(element) {
+        this.element = element;
+        this.input = element.querySelector('.palette-input');
+        this.list = element.querySelector('.palette-list');
+
+        this.provider = null;
+        this.items = [];
+        this.selectedIndex = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Tapping outside the box closes the palette
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the palette. provider is
+     * { placeholder, getItems(query) -> items, onSelect(item) }, where items are
+     * { label, description, hint, labelPositions, descriptionPositions };
+     * the positions are indexes of characters to highlight.
+     */
+    open(provider, initialQuery = '') {
+        this.provider = provider;
+        this.input.placeholder = provider.placeholder || '';
+        this.input.value = initialQuery;
+        this.element.classList.remove('hidden');
+        this.update();
+        this.input.focus();
+    }
+
+    /**
+     * Close the palette
+     */
+    close() {
+        this.element.classList.add('hidden');
+        this.provider = null;
+        this.items = [];
+        this.list.innerHTML = '';
+    }
+
+    /**
+     * Check if the palette is open
+     */
+    isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Refresh the items for the current query
+     */
+    update() {
+        if (!this.provider) return;
+
+        this.items = this.provider.getItems(this.input.value).slice(0, MAX_ITEMS);
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    /**
+     * Handle keyboard navigation
+     */
+    handleKeyDown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.select(Math.min(this.selectedIndex + 1, this.items.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.select(Math.max(this.selectedIndex - 1, 0));
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.accept(this.items[this.selectedIndex]);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Move the selection
+     */
+    select(index) {
+        const rows = this.list.children;
+        if (rows[this.selectedIndex]) rows[this.selectedIndex].classList.remove('selected');
+
+        this.selectedIndex = index;
+        if (rows[index]) {
+            rows[index].classList.add('selected');
+            rows[index].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Pick an item and close the palette
+     */
+    accept(item) {
+        if (!item || !this.provider) return;
+
+        const provider = this.provider;
+        this.close();
+        provider.onSelect(item);
+    }
+
+    /**
+     * Render the items
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'palette-empty';
+            empty.textContent = 'No matches';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'palette-item';
+            if (index === this.selectedIndex) {
+                row.classList.add('selected');
+            }
+
+            const text = document.createElement('div');
+            text.className = 'palette-item-text';
+
+            const label = document.createElement('div');
+            label.className = 'palette-item-label';
+            this.appendHighlighted(label, item.label, item.labelPositions);
+            text.appendChild(label);
+
+            if (item.description) {
+                const description = document.createElement('div');
+                description.className = 'palette-item-description';
+                this.appendHighlighted(description, item.description, item.descriptionPositions);
+                text.appendChild(description);
+            }
+
+            row.appendChild(text);
+
+            if (item.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'palette-item-hint';
+                hint.textContent = item.hint;
+                row.appendChild(hint);
+            }
+
+            row.addEventListener('click', () => this.accept(item));
+            this.list.appendChild(row);
+        });
+    }
+
+    /**
+     * Append text with the characters at positions highlighted
+     */
+    appendHighlighted(container, text, positions = []) {
+        const marked = new Set(positions);
+        let run = '';
+        let runMarked = false;
+
+        const flush = () => {
+            if (!run) return;
+            if (runMarked) {
+                const mark = document.createElement('mark');
+                mark.textContent = run;
+                container.appendChild(mark);
+            } else {
+                container.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            if (marked.has(i) !== runMarked) {
+                flush();
+                runMarked = marked.has(i);
+            }
+            run += text[i];
+        }
+        flush();
+    }
+}
+
+export default Palette;
@@ -0,0 +1,330 @@
+/**
+ * Pull Request Panel Module
+ * Create, list and review pull requests for the current repository
+ */
+
+export class PullRequestPanel {
+    /**
+     * onCreated(pr) is called after a pull request is created from the
+     * current branch
+     */
+    constructor(modalElement, githubAPI, onCheckout, onCreated) {
+        this.modal = modalElement;
+        this.api = githubAPI;
+        this.onCheckout = onCheckout;
+        this.onCreated = onCreated;
+
+        this.listView = modalElement.querySelector('.pr-list-view');
+        this.createSection = modalElement.querySelector('.pr-create');
+        this.headLabel = modalElement.querySelector('.pr-head');
+        this.baseLabel = modalElement.querySelector('.pr-base');
+        this.titleInput = modalElement.querySelector('.pr-title');
+        this.bodyInput = modalElement.querySelector('.pr-body');
+        this.createBtn = modalElement.querySelector('.pr-create-btn');
+        this.list = modalElement.querySelector('.pr-list');
+
+        this.detailView = modalElement.querySelector('.pr-detail-view');
+        this.backBtn = modalElement.querySelector('.pr-back');
+        this.detailTitle = modalElement.querySelector('.pr-detail-title');
+        this.detailMeta = modalElement.querySelector('.pr-detail-meta');
+        this.checkoutBtn = modalElement.querySelector('.pr-checkout-btn');
+        this.filesContainer = modalElement.querySelector('.pr-files');
+
+        this.owner = null;
+        this.repo = null;
+        this.defaultBranch = null;
+        this.currentBranch = null;
+        this.currentPullRequest = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.createBtn.addEventListener('click', () => this.handleCreate());
+        this.backBtn.addEventListener('click', () => this.showList());
+        this.checkoutBtn.addEventListener('click', () => {
+            if (this.currentPullRequest && this.onCheckout) {
+                this.onCheckout(this.currentPullRequest);
+            }
+        });
+    }
+
+    /**
+     * Set repository info
+     */
+    setRepo(owner, repo, defaultBranch) {
+        this.owner = owner;
+        this.repo = repo;
+        this.defaultBranch = defaultBranch;
+    }
+
+    /**
+     * Open the panel on the list of open pull requests
+     */
+    async open(currentBranch) {
+        this.currentBranch = currentBranch;
+        this.modal.classList.remove('hidden');
+        await this.showList();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    /**
+     * Show the create form and the open pull requests
+     */
+    async showList() {
+        this.detailView.classList.add('hidden');
+        this.listView.classList.remove('hidden');
+        this.currentPullRequest = null;
+
+        this.headLabel.textContent = this.currentBranch;
+        this.baseLabel.textContent = this.defaultBranch;
+        this.createSection.classList.toggle('hidden', this.currentBranch === this.defaultBranch);
+        this.list.innerHTML = '<div class="pr-empty">Loading...</div>';
+
+        try {
+            const pullRequests = await this.api.listPullRequests(this.owner, this.repo);
+            this.renderList(pullRequests);
+        } catch (error) {
+            this.list.innerHTML = '';
+            this.list.appendChild(this.createMessage(`Failed to load pull requests: ${error.message}`));
+        }
+    }
+
+    /**
+     * Render the list of pull requests
+     */
+    renderList(pullRequests) {
+        this.list.innerHTML = '';
+
+        if (pullRequests.length === 0) {
+            this.list.appendChild(this.createMessage('No open pull requests'));
+            return;
+        }
+
+        // Only one open pull request per head and base is allowed
+        const hasOwn = pullRequests.some(pr =>
+            pr.head.ref === this.currentBranch && pr.base.ref === this.defaultBranch
+        );
+        if (hasOwn) {
+            this.createSection.classList.add('hidden');
+        }
+
+        pullRequests.forEach(pr => {
+            const item = document.createElement('div');
+            item.className = 'pr-item';
+
+            const title = document.createElement('div');
+            title.className = 'pr-item-title';
+            title.textContent = `#${pr.number} ${pr.title}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'pr-item-meta';
+            meta.textContent = `${pr.head.ref} → ${pr.base.ref} • ${pr.user.login}${pr.draft ? ' • draft' : ''}`;
+
+            item.appendChild(title);
+            item.appendChild(meta);
+            item.addEventListener('click', () => this.showDetail(pr.number));
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create a pull request from the current branch into the default branch
+     */
+    async handleCreate() {
+        const title = this.titleInput.value.trim();
+        if (!title) {
+            this.titleInput.focus();
+            return;
+        }
+
+        this.createBtn.disabled = true;
+
+        try {
+            const pr = await this.api.createPullRequest(
+                this.owner,
+                this.repo,
+                this.currentBranch,
+                this.defaultBranch,
+                title,
+                this.bodyInput.value.trim()
+            );
+
+            this.titleInput.value = '';
+            this.bodyInput.value = '';
+            if (this.onCreated) {
+                this.onCreated(pr);
+            }
+            await this.showDetail(pr.number);
+        } catch (error) {
+            this.list.prepend(this.createMessage(`Failed to create pull request: ${error.message}`));
+        } finally {
+            this.createBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show a pull request's files, diffs and review comments
+     */
+    async showDetail(number) {
+        this.listView.classList.add('hidden');
+        this.detailView.classList.remove('hidden');
+        this.detailTitle.textContent = `#${number}`;
+        this.detailMeta.textContent = '';
+        this.checkoutBtn.disabled = true;
+        this.filesContainer.innerHTML = '<div class="pr-empty">Loading...</div>';
+
+        try {
+            const [pr, files, comments] = await Promise.all([
+                this.api.getPullRequest(this.owner, this.repo, number),
+                this.api.getPullRequestFiles(this.owner, this.repo, number),
+                this.api.getReviewComments(this.owner, this.repo, number)
+            ]);
+
+            this.currentPullRequest = pr;
+            this.detailTitle.textContent = `#${pr.number} ${pr.title}`;
+            this.detailMeta.textContent =
+                `${pr.user.login} wants to merge ${pr.head.ref} into ${pr.base.ref} • ` +
+                `${pr.changed_files} file(s), +${pr.additions} −${pr.deletions}`;
+            this.checkoutBtn.disabled = false;
+            this.checkoutBtn.textContent = pr.head.ref === this.currentBranch ? 'Checked Out' : 'Check Out';
+
+            this.renderFiles(files, comments);
+        } catch (error) {
+            this.filesContainer.innerHTML = '';
+            this.filesContainer.appendChild(this.createMessage(`Failed to load pull request: ${error.message}`));
+        }
+    }
+
+    /**
+     * Render changed files; tapping one shows its diff and comments
+     */
+    renderFiles(files, comments) {
+        this.filesContainer.innerHTML = '';
+
+        files.forEach(file => {
+            const fileComments = comments.filter(comment => comment.path === file.filename);
+
+            const item = document.createElement('div');
+            item.className = 'pr-file';
+
+            const header = document.createElement('div');
+            header.className = 'pr-file-header';
+            header.textContent = `${PullRequestPanel.statusIcon(file.status)} ${file.filename}` +
+                ` +${file.additions} −${file.deletions}` +
+                (fileComments.length > 0 ? ` 💬 ${fileComments.length}` : '');
+
+            const body = document.createElement('div');
+            body.className = 'pr-file-body hidden';
+
+            header.addEventListener('click', () => {
+                if (!body.hasChildNodes()) {
+                    this.renderPatch(body, file, fileComments);
+                }
+                body.classList.toggle('hidden');
+            });
+
+            item.appendChild(header);
+            item.appendChild(body);
+            this.filesContainer.appendChild(item);
+        });
+    }
+
+    /**
+     * Render a file's unified diff with review comments below their lines
+     */
+    renderPatch(container, file, comments) {
+        if (!file.patch) {
+            container.appendChild(this.createMessage('No text diff (binary or too large)'));
+            return;
+        }
+
+        const pre = document.createElement('pre');
+        pre.className = 'pr-patch';
+        let newLine = 0;
+
+        file.patch.split('\n').forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+
+            const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+            if (hunk) {
+                line.className = 'pr-patch-hunk';
+                newLine = parseInt(hunk[1], 10);
+                pre.appendChild(line);
+                return;
+            }
+
+            if (text.startsWith('-')) {
+                line.className = 'pr-patch-del';
+                pre.appendChild(line);
+                return;
+            }
+
+            line.className = text.startsWith('+') ? 'pr-patch-add' : '';
+            pre.appendChild(line);
+
+            // Comments are anchored to lines of the new version
+            comments
+                .filter(comment => (comment.line || comment.original_line) === newLine && comment.side !== 'LEFT')
+                .forEach(comment => pre.appendChild(this.createComment(comment)));
+            newLine++;
+        });
+
+        container.appendChild(pre);
+
+        // Comments on removed lines or outdated diffs
+        const shown = new Set([...pre.querySelectorAll('.pr-comment')].map(el => el.dataset.id));
+        comments
+            .filter(comment => !shown.has(String(comment.id)))
+            .forEach(comment => container.appendChild(this.createComment(comment)));
+    }
+
+    /**
+     * Create a review comment element
+     */
+    createComment(comment) {
+        const el = document.createElement('div');
+        el.className = 'pr-comment';
+        el.dataset.id = comment.id;
+        el.textContent = `💬 ${comment.user.login} (line ${comment.line || comment.original_line}): ${comment.body}`;
+        return el;
+    }
+
+    /**
+     * Create a placeholder message element
+     */
+    createMessage(text) {
+        const el = document.createElement('div');
+        el.className = 'pr-empty';
+        el.textContent = text;
+        return el;
+    }
+
+    /**
+     * Icon for a changed file's status
+     */
+    static statusIcon(status) {
+        switch (status) {
+            case 'added':
+                return '➕';
+            case 'removed':
+                return '🗑️';
+            case 'renamed':
+                return '➡️';
+            default:
+                return '📝';
+        }
+    }
+}
+
+export default PullRequestPanel;
@@ -0,0 +1,312 @@
+/**
+ * Preview Module
+ * Shows files the editor can't: images with zoom and their pixel size,
+ * audio and video players, and a hex view of anything else. Git LFS
+ * pointers are recognized and their object's id and size shown.
+ */
+
+import { Lfs } from './lfs.js';
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp'
+};
+
+const AUDIO_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.flac': 'audio/flac'
+};
+
+const VIDEO_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime'
+};
+
+// Bytes shown per "Show More" in the hex view
+const HEX_PAGE_SIZE = 4096;
+const HEX_ROW_SIZE = 16;
+
+const ZOOM_STEPS = [0.125, 0.25, 0.5, 1, 2, 4, 8, 16];
+
+export class Preview {
+    /**
+     * formatBytes(count) formats a file size for display
+     */
+    constructor(modalElement, formatBytes) {
+        this.modal = modalElement;
+        this.formatBytes = formatBytes;
+
+        this.title = modalElement.querySelector('.preview-title');
+        this.info = modalElement.querySelector('.preview-info');
+        this.lfsInfo = modalElement.querySelector('.preview-lfs');
+        this.zoomBar = modalElement.querySelector('.preview-zoom');
+        this.zoomLabel = modalElement.querySelector('.preview-zoom-label');
+        this.stage = modalElement.querySelector('.preview-stage');
+        this.moreBtn = modalElement.querySelector('.preview-more');
+
+        this.objectUrl = null;
+        this.image = null;
+        // Zoom factor, or null to fit the image to the pane
+        this.zoom = null;
+        this.bytes = null;
+        this.hexOffset = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.zoomBar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-zoom]');
+            if (button) this.setZoom(button.dataset.zoom);
+        });
+        this.moreBtn.addEventListener('click', () => this.appendHex());
+
+        // Stop playback and free the file once the modal is closed
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.classList.contains('modal-close')) {
+                this.clear();
+            }
+        });
+    }
+
+    /**
+     * Get how a file is previewed: 'image', 'audio', 'video' or 'hex'
+     */
+    static getKind(filePath) {
+        const ext = Preview.getExtension(filePath);
+        if (IMAGE_TYPES[ext]) return 'image';
+        if (AUDIO_TYPES[ext]) return 'audio';
+        if (VIDEO_TYPES[ext]) return 'video';
+        return 'hex';
+    }
+
+    /**
+     * Get a file's lower-case extension, with the dot
+     */
+    static getExtension(filePath) {
+        const name = filePath.substring(filePath.lastIndexOf('/') + 1);
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? name.substring(dot).toLowerCase() : '';
+    }
+
+    /**
+     * Get the MIME type of a previewable file
+     */
+    static getMimeType(filePath) {
+        const ext = Preview.getExtension(filePath);
+        return IMAGE_TYPES[ext] || AUDIO_TYPES[ext] || VIDEO_TYPES[ext] || 'application/octet-stream';
+    }
+
+    /**
+     * Format bytes as hex dump rows: offset, hex bytes and printable ASCII
+     */
+    static formatHex(bytes, offset = 0) {
+        const rows = [];
+        for (let i = 0; i < bytes.length; i += HEX_ROW_SIZE) {
+            const row = bytes.subarray(i, i + HEX_ROW_SIZE);
+            const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+            const ascii = Array.from(row, byte => byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.').join('');
+            rows.push(`${(offset + i).toString(16).padStart(8, '0')}  ${hex.padEnd(HEX_ROW_SIZE * 3 - 1)}  ${ascii}`);
+        }
+        return rows.join('\n');
+    }
+
+    /**
+     * Open the preview of a file's bytes
+     */
+    show(filePath, bytes) {
+        this.clear();
+        this.bytes = bytes;
+
+        this.title.textContent = filePath.split('/').pop();
+        this.info.textContent = `${filePath} • ${this.formatBytes(bytes.length)}`;
+        this.modal.classList.remove('hidden');
+
+        const pointer = Lfs.parsePointer(bytes);
+        if (pointer) {
+            this.showLfsPointer(pointer);
+            return;
+        }
+
+        const kind = Preview.getKind(filePath);
+        if (kind === 'hex') {
+            this.appendHex();
+            return;
+        }
+
+        this.objectUrl = URL.createObjectURL(new Blob([bytes], { type: Preview.getMimeType(filePath) }));
+        if (kind === 'image') {
+            this.showImage();
+        } else {
+            this.showMedia(kind);
+        }
+    }
+
+    /**
+     * Show what an LFS pointer refers to. The object itself isn't in the
+     * repository's git data, so there is nothing more to preview.
+     */
+    showLfsPointer(pointer) {
+        this.lfsInfo.classList.remove('hidden');
+        this.lfsInfo.innerHTML = '';
+
+        const lines = [
+            'This file is a Git LFS pointer; the content is stored in LFS.',
+            `Object size: ${this.formatBytes(pointer.size)}`,
+            `Object id: sha256:${pointer.oid}`
+        ];
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            this.lfsInfo.appendChild(line);
+        });
+    }
+
+    /**
+     * Show an image, fitted to the pane at first, with its pixel size
+     */
+    showImage() {
+        const image = document.createElement('img');
+        image.className = 'preview-image';
+        image.alt = this.title.textContent;
+        image.addEventListener('load', () => {
+            this.info.textContent += ` • ${image.naturalWidth} × ${image.naturalHeight} px`;
+            this.zoomBar.classList.remove('hidden');
+            this.setZoom('fit');
+        });
+        image.addEventListener('error', () => this.showUnplayable('image'));
+        image.src = this.objectUrl;
+
+        this.image = image;
+        this.stage.appendChild(image);
+    }
+
+    /**
+     * Show an audio or video player
+     */
+    showMedia(kind) {
+        const media = document.createElement(kind);
+        media.className = `preview-${kind}`;
+        media.controls = true;
+        media.addEventListener('error', () => this.showUnplayable(kind));
+        media.addEventListener('loadedmetadata', () => {
+            const details = [`${media.duration.toFixed(1)} s`];
+            if (kind === 'video') details.push(`${media.videoWidth} × ${media.videoHeight} px`);
+            this.info.textContent += ` • ${details.join(' • ')}`;
+        });
+        media.src = this.objectUrl;
+        this.stage.appendChild(media);
+    }
+
+    /**
+     * Fall back to the hex view when the browser can't decode a file
+     */
+    showUnplayable(kind) {
+        this.stage.innerHTML = '';
+        this.zoomBar.classList.add('hidden');
+        this.image = null;
+
+        const note = document.createElement('p');
+        note.className = 'help-text';
+        note.textContent = `This browser can't show this ${kind}.`;
+        this.stage.appendChild(note);
+        this.appendHex();
+    }
+
+    /**
+     * Zoom the image: 'fit', 'in', 'out' or a factor
+     */
+    setZoom(zoom) {
+        if (!this.image) return;
+
+        const fitted = this.getFitZoom();
+        const current = this.zoom || fitted;
+        if (zoom === 'fit') {
+            this.zoom = null;
+        } else if (zoom === 'in') {
+            this.zoom = ZOOM_STEPS.find(step => step > current) || ZOOM_STEPS[ZOOM_STEPS.length - 1];
+        } else if (zoom === 'out') {
+            this.zoom = [...ZOOM_STEPS].reverse().find(step => step < current) || ZOOM_STEPS[0];
+        } else {
+            this.zoom = Number(zoom);
+        }
+
+        const scale = this.zoom || fitted;
+        this.image.style.width = `${Math.round(this.image.naturalWidth * scale)}px`;
+        this.image.classList.toggle('pixelated', scale > 1);
+        this.zoomLabel.textContent = `${Math.round(scale * 100)}%`;
+    }
+
+    /**
+     * Get the zoom that fits the image in the pane, never enlarging it
+     */
+    getFitZoom() {
+        const width = this.stage.clientWidth || this.image.naturalWidth;
+        return Math.min(1, width / Math.max(1, this.image.naturalWidth));
+    }
+
+    /**
+     * Add the next page of the hex view
+     */
+    appendHex() {
+        const page = this.bytes.subarray(this.hexOffset, this.hexOffset + HEX_PAGE_SIZE);
+        if (page.length > 0) {
+            const pre = document.createElement('pre');
+            pre.className = 'preview-hex';
+            pre.textContent = Preview.formatHex(page, this.hexOffset);
+            this.stage.appendChild(pre);
+        } else if (this.hexOffset === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'help-text';
+            empty.textContent = 'Empty file';
+            this.stage.appendChild(empty);
+        }
+
+        this.hexOffset += page.length;
+        this.moreBtn.classList.toggle('hidden', this.hexOffset >= this.bytes.length);
+    }
+
+    /**
+     * Close the preview
+     */
+    close() {
+        this.modal.classList.add('hidden');
+        this.clear();
+    }
+
+    /**
+     * Stop any playback and free the previewed file
+     */
+    clear() {
+        this.stage.querySelectorAll('audio, video').forEach(media => media.pause());
+        this.stage.innerHTML = '';
+        this.lfsInfo.classList.add('hidden');
+        this.zoomBar.classList.add('hidden');
+        this.moreBtn.classList.add('hidden');
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        this.image = null;
+        this.zoom = null;
+        this.bytes = null;
+        this.hexOffset = 0;
+    }
+}
+
+export default Preview;
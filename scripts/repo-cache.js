@@ -0,0 +1,384 @@
+/**
+ * Repository Cache Module
+ * Persists trees, blobs and branch heads in IndexedDB so the last-synced
+ * snapshot of a repository can be browsed and edited offline
+ */
+
+import { IDB, STORES } from './idb.js';
+
+// Stores of copies of GitHub data that are trimmed to a byte budget, least
+// recently used first. Trees of cached branch heads are kept, and unsaved
+// changes and queued commits are never evicted.
+const EVICTABLE_STORES = [STORES.BLOBS, STORES.TREES, STORES.SYMBOLS];
+const CACHE_BUDGET = 200 * 1024 * 1024;
+
+// Share of the browser's quota the cache may take, if that is less
+const CACHE_QUOTA_SHARE = 0.25;
+
+// How long after a write the cache is trimmed, so a burst of writes trims once
+const TRIM_DELAY = 5000;
+
+// Values read at once when sizing entries cached before sizes were tracked
+const SIZE_BATCH = 50;
+
+let trimTimer = null;
+
+export class RepoCache {
+    /**
+     * Get a cached blob ({ sha, size, content } with base64 content)
+     */
+    static async getBlob(sha) {
+        try {
+            const blob = (await IDB.get(STORES.BLOBS, sha)) || null;
+            if (blob) {
+                this.touch(STORES.BLOBS, [sha]);
+            }
+            return blob;
+        } catch (e) {
+            console.error('Failed to read cached blob:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Get several cached blobs at once, as a Map of SHA to blob
+     * (blobs that aren't cached are left out)
+     */
+    static async getBlobs(shas) {
+        if (shas.length === 0) return new Map();
+
+        try {
+            const blobs = await IDB.getMany(STORES.BLOBS, shas);
+            const found = new Map(
+                blobs.filter(blob => blob).map(blob => [blob.sha, blob])
+            );
+            this.touch(STORES.BLOBS, [...found.keys()]);
+            return found;
+        } catch (e) {
+            console.error('Failed to read cached blobs:', e);
+            return new Map();
+        }
+    }
+
+    /**
+     * Cache a blob. Blobs are immutable, so the SHA is all the key needs.
+     */
+    static async putBlob(sha, content, size = undefined) {
+        try {
+            await this.putEntries(STORES.BLOBS, [[sha, { sha, size, content }]]);
+            return true;
+        } catch (e) {
+            console.error('Failed to cache blob:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the cached symbols of several blobs, as a Map of SHA to symbol
+     * records (blobs that weren't parsed yet are left out)
+     */
+    static async getSymbols(shas) {
+        if (shas.length === 0) return new Map();
+
+        try {
+            const values = await IDB.getMany(STORES.SYMBOLS, shas);
+            const found = new Map();
+            values.forEach((symbols, index) => {
+                if (symbols) found.set(shas[index], symbols);
+            });
+            this.touch(STORES.SYMBOLS, [...found.keys()]);
+            return found;
+        } catch (e) {
+            console.error('Failed to read cached symbols:', e);
+            return new Map();
+        }
+    }
+
+    /**
+     * Cache the symbols of blobs, as [sha, symbols] entries
+     */
+    static async putSymbols(entries) {
+        try {
+            await this.putEntries(STORES.SYMBOLS, entries);
+            return true;
+        } catch (e) {
+            console.error('Failed to cache symbols:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Store [key, value] entries in an evictable store, recording their
+     * size and access time, and trim the cache soon after
+     */
+    static async putEntries(storeName, entries) {
+        const accessed = Date.now();
+
+        // Record entries first, so a value is never stored untracked
+        await IDB.putMany(STORES.CACHE_ENTRIES, entries.map(([key, value]) => [
+            `${storeName}/${key}`,
+            { store: storeName, key, size: this.getEntrySize(value), accessed }
+        ]));
+        await IDB.putMany(storeName, entries);
+        this.scheduleTrim();
+    }
+
+    /**
+     * Estimate how much space a cached value takes up
+     */
+    static getEntrySize(value) {
+        return typeof value.content === 'string' ? value.content.length : JSON.stringify(value).length;
+    }
+
+    /**
+     * Mark cached values as just used, so they are evicted last
+     */
+    static async touch(storeName, keys) {
+        if (keys.length === 0) return;
+
+        try {
+            const ids = keys.map(key => `${storeName}/${key}`);
+            const entries = await IDB.getMany(STORES.CACHE_ENTRIES, ids);
+            const accessed = Date.now();
+            const touched = [];
+            entries.forEach((entry, index) => {
+                if (entry) touched.push([ids[index], { ...entry, accessed }]);
+            });
+            if (touched.length > 0) {
+                await IDB.putMany(STORES.CACHE_ENTRIES, touched);
+            }
+        } catch (e) {
+            console.error('Failed to update cache access times:', e);
+        }
+    }
+
+    /**
+     * Trim the cache after TRIM_DELAY, unless a trim is already due
+     */
+    static scheduleTrim() {
+        if (trimTimer) return;
+
+        trimTimer = setTimeout(() => {
+            trimTimer = null;
+            this.trim();
+        }, TRIM_DELAY);
+    }
+
+    /**
+     * Evict the least recently used blobs, trees and symbols until the
+     * cache fits its byte budget
+     */
+    static async trim() {
+        try {
+            // Values are stored after their entries, so listing keys first
+            // means only values cached before tracking can lack one
+            const keysByStore = new Map();
+            for (const storeName of EVICTABLE_STORES) {
+                keysByStore.set(storeName, await IDB.getAllKeys(storeName));
+            }
+            const entries = await IDB.getAll(STORES.CACHE_ENTRIES);
+            entries.push(...await this.getUntrackedEntries(keysByStore, entries));
+
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+            const budget = await this.getBudget();
+            if (total <= budget) return;
+
+            // Offline snapshots start from the trees of cached branch heads
+            const refs = await IDB.getAll(STORES.REFS);
+            const headTrees = new Set(refs.map(ref => ref.treeSha));
+
+            const evicted = new Map(EVICTABLE_STORES.map(storeName => [storeName, []]));
+            const evictedIds = [];
+            entries.sort((a, b) => a.accessed - b.accessed);
+            for (const entry of entries) {
+                if (total <= budget) break;
+                if (!evicted.has(entry.store)) continue;
+                if (entry.store === STORES.TREES && headTrees.has(entry.key)) continue;
+
+                evicted.get(entry.store).push(entry.key);
+                evictedIds.push(`${entry.store}/${entry.key}`);
+                total -= entry.size;
+            }
+
+            // Values go first, so none is left behind untracked
+            for (const [storeName, keys] of evicted) {
+                if (keys.length > 0) {
+                    await IDB.deleteMany(storeName, keys);
+                }
+            }
+            await IDB.deleteMany(STORES.CACHE_ENTRIES, evictedIds);
+        } catch (e) {
+            console.error('Failed to trim the cache:', e);
+        }
+    }
+
+    /**
+     * Record entries for values cached before sizes and access times were
+     * recorded, as least recently used. keysByStore maps each evictable
+     * store to its keys.
+     */
+    static async getUntrackedEntries(keysByStore, entries) {
+        const tracked = new Set(entries.map(entry => `${entry.store}/${entry.key}`));
+        const untracked = [];
+
+        for (const [storeName, storeKeys] of keysByStore) {
+            const keys = storeKeys.filter(key => !tracked.has(`${storeName}/${key}`));
+
+            for (let i = 0; i < keys.length; i += SIZE_BATCH) {
+                const batch = keys.slice(i, i + SIZE_BATCH);
+                const values = await IDB.getMany(storeName, batch);
+                const batchEntries = batch.map((key, index) => [
+                    `${storeName}/${key}`,
+                    { store: storeName, key, size: values[index] ? this.getEntrySize(values[index]) : 0, accessed: 0 }
+                ]);
+                await IDB.putMany(STORES.CACHE_ENTRIES, batchEntries);
+                untracked.push(...batchEntries.map(([, entry]) => entry));
+            }
+        }
+
+        return untracked;
+    }
+
+    /**
+     * Get the cache's byte budget: CACHE_BUDGET, or less on browsers with a
+     * small quota
+     */
+    static async getBudget() {
+        try {
+            if (globalThis.navigator && navigator.storage && navigator.storage.estimate) {
+                const { quota } = await navigator.storage.estimate();
+                if (quota) {
+                    return Math.min(CACHE_BUDGET, quota * CACHE_QUOTA_SHARE);
+                }
+            }
+        } catch (e) {
+            console.error('Failed to estimate storage quota:', e);
+        }
+        return CACHE_BUDGET;
+    }
+
+    /**
+     * Get a cached recursive tree by its SHA
+     */
+    static async getTree(sha) {
+        try {
+            const tree = (await IDB.get(STORES.TREES, sha)) || null;
+            if (tree) {
+                this.touch(STORES.TREES, [sha]);
+            }
+            return tree;
+        } catch (e) {
+            console.error('Failed to read cached tree:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Cache a recursive tree by its SHA
+     */
+    static async putTree(tree) {
+        try {
+            await this.putEntries(STORES.TREES, [[tree.sha, tree]]);
+            return true;
+        } catch (e) {
+            console.error('Failed to cache tree:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the last-synced head of a branch ({ commitSha, treeSha, timestamp })
+     */
+    static async getRef(owner, repo, branch) {
+        try {
+            return (await IDB.get(STORES.REFS, `${owner}/${repo}/${branch}`)) || null;
+        } catch (e) {
+            console.error('Failed to read cached ref:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Remember the head of a branch
+     */
+    static async putRef(owner, repo, branch, commitSha, treeSha) {
+        try {
+            await IDB.put(STORES.REFS, { commitSha, treeSha, timestamp: Date.now() }, `${owner}/${repo}/${branch}`);
+            return true;
+        } catch (e) {
+            console.error('Failed to cache ref:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the cached tree of a branch's last-synced head, with its commit SHA
+     */
+    static async getBranchTree(owner, repo, branch) {
+        const ref = await this.getRef(owner, repo, branch);
+        if (!ref) return null;
+
+        const tree = await this.getTree(ref.treeSha);
+        if (!tree) return null;
+
+        return { ...tree, commitSha: ref.commitSha, syncedAt: ref.timestamp };
+    }
+
+    /**
+     * Get cached repository info ({ defaultBranch, branches })
+     */
+    static async getRepoInfo(owner, repo) {
+        try {
+            return (await IDB.get(STORES.REPOS, `${owner}/${repo}`)) || null;
+        } catch (e) {
+            console.error('Failed to read cached repo info:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Update cached repository info with the given fields
+     */
+    static async putRepoInfo(owner, repo, info) {
+        try {
+            const existing = await this.getRepoInfo(owner, repo);
+            await IDB.put(STORES.REPOS, { ...existing, ...info }, `${owner}/${repo}`);
+            return true;
+        } catch (e) {
+            console.error('Failed to cache repo info:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Queue a commit made while offline
+     * ({ owner, repo, branch, files, message, timestamp }). Resolves with its id.
+     */
+    static async enqueueCommit(commit) {
+        return IDB.put(STORES.COMMIT_QUEUE, { ...commit, timestamp: Date.now() });
+    }
+
+    /**
+     * Get queued commits for a repository, oldest first
+     */
+    static async getQueuedCommits(owner, repo) {
+        try {
+            const commits = await IDB.getAll(STORES.COMMIT_QUEUE);
+            return commits
+                .filter(commit => commit.owner === owner && commit.repo === repo)
+                .sort((a, b) => a.id - b.id);
+        } catch (e) {
+            console.error('Failed to read commit queue:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Remove a commit from the queue once it has been replayed
+     */
+    static async removeQueuedCommit(id) {
+        return IDB.delete(STORES.COMMIT_QUEUE, id);
+    }
+}
+
+export default RepoCache;
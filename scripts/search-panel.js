@@ -0,0 +1,361 @@
+/**
+ * Search Panel Module
+ * Search file contents across the repository and replace in files.
+ * Files are searched from local changes and the IndexedDB blob cache;
+ * GitHub code search finds further candidates that aren't cached yet.
+ */
+
+import { Search } from './search.js';
+import { RepoCache } from './repo-cache.js';
+import { Codec } from './codec.js';
+
+const MAX_PREVIEWS_PER_FILE = 100;
+const MAX_RENDERED_MATCHES = 1000;
+const MAX_FETCHED_FILES = 30;
+
+export class SearchPanel {
+    constructor(modalElement, githubAPI, onOpenMatch, onReplace) {
+        this.modal = modalElement;
+        this.api = githubAPI;
+        this.onOpenMatch = onOpenMatch;
+        this.onReplace = onReplace;
+
+        this.queryInput = modalElement.querySelector('.search-query');
+        this.replaceInput = modalElement.querySelector('.search-replace');
+        this.includeInput = modalElement.querySelector('.search-include');
+        this.excludeInput = modalElement.querySelector('.search-exclude');
+        this.optionButtons = modalElement.querySelectorAll('.search-option');
+        this.searchBtn = modalElement.querySelector('.search-btn');
+        this.replaceBtn = modalElement.querySelector('.search-replace-btn');
+        this.summary = modalElement.querySelector('.search-summary');
+        this.resultsContainer = modalElement.querySelector('.search-results');
+
+        this.owner = null;
+        this.repo = null;
+        this.files = [];
+        this.options = { caseSensitive: false, wholeWord: false, regex: false };
+        this.results = [];
+        this.searchId = 0;
+
+        // Decoded blob content by SHA, kept for repeated searches
+        this.texts = new Map();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.searchBtn.addEventListener('click', () => this.search());
+        this.replaceBtn.addEventListener('click', () => this.handleReplaceAll());
+
+        [this.queryInput, this.includeInput, this.excludeInput].forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.search();
+                }
+            });
+        });
+
+        this.optionButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const option = button.dataset.option;
+                this.options[option] = !this.options[option];
+                button.classList.toggle('active', this.options[option]);
+            });
+        });
+    }
+
+    /**
+     * Set repository info
+     */
+    setRepo(owner, repo) {
+        if (owner !== this.owner || repo !== this.repo) {
+            this.results = [];
+            this.texts.clear();
+            this.summary.textContent = '';
+            this.resultsContainer.innerHTML = '';
+        }
+
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    /**
+     * Open the panel. files are the branch's files as
+     * [{ path, sha, content }], with content for files changed locally.
+     */
+    open(files) {
+        this.files = files;
+        this.modal.classList.remove('hidden');
+        this.queryInput.focus();
+        this.queryInput.select();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    /**
+     * Search the repository's files for the query
+     */
+    async search() {
+        const query = this.queryInput.value;
+        if (!query) {
+            this.queryInput.focus();
+            return;
+        }
+
+        let matcher;
+        try {
+            matcher = Search.createMatcher(query, this.options);
+        } catch (error) {
+            this.summary.textContent = error.message;
+            return;
+        }
+
+        const searchId = ++this.searchId;
+        const includes = Search.parseGlobs(this.includeInput.value);
+        const excludes = Search.parseGlobs(this.excludeInput.value);
+        const candidates = this.files.filter(file =>
+            Search.matchesPath(file.path, includes, excludes) && !this.api.isBinaryFile(file.path)
+        );
+
+        this.searchBtn.disabled = true;
+        this.replaceBtn.disabled = true;
+        this.summary.textContent = 'Searching...';
+        this.resultsContainer.innerHTML = '';
+
+        try {
+            const { contents, uncached } = await this.loadContents(candidates);
+            const codeSearch = await this.fetchCodeSearchHits(query, uncached, contents);
+
+            // A newer search has started
+            if (searchId !== this.searchId) return;
+
+            // Replace All uses the search as it was run, whatever the options are now
+            this.matcher = matcher;
+            this.matcherIsRegex = this.options.regex;
+            this.contents = contents;
+            this.results = [];
+            contents.forEach((content, path) => {
+                const matches = Search.findMatches(content, matcher);
+                if (matches.length > 0) {
+                    this.results.push({
+                        path,
+                        total: matches.length,
+                        matches: matches.slice(0, MAX_PREVIEWS_PER_FILE)
+                    });
+                }
+            });
+            this.results.sort((a, b) => a.path.localeCompare(b.path));
+
+            this.renderSummary(uncached.length, codeSearch);
+            this.renderResults();
+        } catch (error) {
+            if (searchId === this.searchId) {
+                this.summary.textContent = `Search failed: ${error.message}`;
+            }
+        } finally {
+            if (searchId === this.searchId) {
+                this.searchBtn.disabled = false;
+                this.replaceBtn.disabled = this.results.length === 0;
+            }
+        }
+    }
+
+    /**
+     * Get the content of the files that can be searched locally: local
+     * changes and cached blobs. Returns { contents: Map of path to content,
+     * uncached: files whose content isn't available }.
+     */
+    async loadContents(files) {
+        const contents = new Map();
+        const missing = files.filter(file =>
+            file.content === undefined && file.sha && !this.texts.has(file.sha)
+        );
+
+        const blobs = await RepoCache.getBlobs([...new Set(missing.map(file => file.sha))]);
+        blobs.forEach((blob, sha) => {
+            if (!this.api.isFileTooLarge(blob.size)) {
+                this.texts.set(sha, Codec.decode(blob.content).text);
+            }
+        });
+
+        const uncached = [];
+        files.forEach(file => {
+            if (file.content !== undefined) {
+                contents.set(file.path, file.content);
+            } else if (file.sha && this.texts.has(file.sha)) {
+                contents.set(file.path, this.texts.get(file.sha));
+            } else if (file.sha && !blobs.has(file.sha)) {
+                uncached.push(file);
+            }
+        });
+
+        return { contents, uncached };
+    }
+
+    /**
+     * Ask GitHub code search which of the uncached files may match, and
+     * download those so they can be searched too. Code search has no
+     * regular expressions, so it is skipped in regex mode.
+     * Returns { used, error }.
+     */
+    async fetchCodeSearchHits(query, uncached, contents) {
+        if (this.options.regex || uncached.length === 0 || this.api.offline || !navigator.onLine) {
+            return { used: false, error: null };
+        }
+
+        try {
+            const byPath = new Map(uncached.map(file => [file.path, file]));
+            const hits = await this.api.searchCode(this.owner, this.repo, `"${query.replace(/"/g, '')}"`);
+            const toFetch = hits
+                .map(hit => byPath.get(hit.path))
+                .filter(file => file)
+                .slice(0, MAX_FETCHED_FILES);
+
+            // The branch's blob is fetched; code search only indexes the default branch
+            await Promise.all(toFetch.map(async file => {
+                const blob = await this.api.getBlob(this.owner, this.repo, file.sha);
+                if (!this.api.isFileTooLarge(blob.size)) {
+                    this.texts.set(file.sha, blob.decodedContent);
+                    contents.set(file.path, blob.decodedContent);
+                }
+            }));
+
+            return { used: true, error: null };
+        } catch (error) {
+            return { used: false, error };
+        }
+    }
+
+    /**
+     * Summarize the results and how files that weren't cached were handled
+     */
+    renderSummary(uncachedCount, codeSearch) {
+        const total = this.results.reduce((sum, result) => sum + result.total, 0);
+        const parts = [
+            total > 0
+                ? `${total} match(es) in ${this.results.length} file(s)`
+                : 'No matches'
+        ];
+
+        if (uncachedCount > 0 && codeSearch.used) {
+            parts.push(`${uncachedCount} file(s) not cached were checked with GitHub code search, ` +
+                'which only indexes the default branch');
+        } else if (uncachedCount > 0) {
+            parts.push(`${uncachedCount} file(s) not cached were skipped` +
+                (this.options.regex ? ' (GitHub code search has no regex support)' : ''));
+        }
+        if (codeSearch.error) {
+            parts.push(`GitHub code search failed: ${codeSearch.error.message}`);
+        }
+
+        this.summary.textContent = parts.join(' • ');
+    }
+
+    /**
+     * Render results grouped by file; tapping a line opens the match
+     */
+    renderResults() {
+        this.resultsContainer.innerHTML = '';
+        let rendered = 0;
+
+        for (const result of this.results) {
+            if (rendered >= MAX_RENDERED_MATCHES) {
+                const more = document.createElement('div');
+                more.className = 'pr-empty';
+                more.textContent = 'More results not shown; narrow the search to see them';
+                this.resultsContainer.appendChild(more);
+                break;
+            }
+
+            const group = document.createElement('div');
+            group.className = 'search-file';
+
+            const header = document.createElement('div');
+            header.className = 'search-file-header';
+            header.textContent = `${result.path} (${result.total})`;
+
+            const lines = document.createElement('div');
+            lines.className = 'search-file-matches';
+            header.addEventListener('click', () => lines.classList.toggle('hidden'));
+
+            result.matches.slice(0, MAX_RENDERED_MATCHES - rendered).forEach(match => {
+                lines.appendChild(this.createMatchLine(result.path, match));
+                rendered++;
+            });
+
+            group.appendChild(header);
+            group.appendChild(lines);
+            this.resultsContainer.appendChild(group);
+        }
+    }
+
+    /**
+     * Create a result line with the match highlighted
+     */
+    createMatchLine(path, match) {
+        const line = document.createElement('div');
+        line.className = 'search-match';
+
+        const number = document.createElement('span');
+        number.className = 'search-match-line';
+        number.textContent = match.line;
+
+        const mark = document.createElement('mark');
+        mark.textContent = match.preview.substring(match.previewColumn, match.previewColumn + match.length);
+
+        line.appendChild(number);
+        line.appendChild(document.createTextNode(match.preview.substring(0, match.previewColumn)));
+        line.appendChild(mark);
+        line.appendChild(document.createTextNode(match.preview.substring(match.previewColumn + match.length)));
+
+        line.addEventListener('click', () => {
+            this.close();
+            this.onOpenMatch(path, match.line, match.column, match.length);
+        });
+
+        return line;
+    }
+
+    /**
+     * Replace every match in the results and save them as local changes
+     */
+    async handleReplaceAll() {
+        if (this.results.length === 0) return;
+
+        const replacement = this.replaceInput.value;
+        const total = this.results.reduce((sum, result) => sum + result.total, 0);
+        if (!confirm(`Replace ${total} match(es) in ${this.results.length} file(s) with "${replacement}"? ` +
+            'The changes are saved locally, not committed.')) {
+            return;
+        }
+
+        const changes = this.results.map(result => ({
+            path: result.path,
+            content: Search.replaceAll(this.contents.get(result.path), this.matcher, replacement, this.matcherIsRegex).content
+        }));
+
+        try {
+            await this.onReplace(changes);
+        } catch (error) {
+            this.summary.textContent = `Replace failed: ${error.message}`;
+            return;
+        }
+
+        // Search again over the new content
+        changes.forEach(change => {
+            const file = this.files.find(item => item.path === change.path);
+            if (file) file.content = change.content;
+        });
+        await this.search();
+    }
+}
+
+export default SearchPanel;
@@ -0,0 +1,167 @@
+/**
+ * Search Module
+ * Matching, path globs and replacement for repository-wide content search.
+ * Matches are found line by line, so a pattern never spans lines.
+ */
+
+const MAX_PREVIEW_LENGTH = 200;
+
+export class Search {
+    /**
+     * Build the regular expression for a query.
+     * Options are { regex, caseSensitive, wholeWord }; throws a SyntaxError
+     * on an invalid regex.
+     */
+    static createMatcher(query, options = {}) {
+        let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (options.wholeWord) {
+            source = `\\b(?:${source})\\b`;
+        }
+
+        return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+    }
+
+    /**
+     * Turn a glob into a regular expression over repository paths.
+     * * and ? stay within a folder, ** crosses folders. A glob without a
+     * slash matches a file or folder name anywhere (*.cs, Library), and
+     * a folder matches everything inside it.
+     */
+    static globToRegExp(glob) {
+        const trimmed = glob.trim().replace(/^\/+|\/+$/g, '');
+        let source = '';
+
+        for (let i = 0; i < trimmed.length; i++) {
+            const char = trimmed[i];
+            if (char === '*' && trimmed[i + 1] === '*') {
+                // "**/" also matches no folder at all
+                if (trimmed[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        const prefix = trimmed.includes('/') ? '^' : '(?:^|/)';
+        return new RegExp(`${prefix}${source}(?:/.*)?$`);
+    }
+
+    /**
+     * Parse a comma-separated list of globs
+     */
+    static parseGlobs(text) {
+        return (text || '')
+            .split(',')
+            .map(glob => glob.trim())
+            .filter(glob => glob)
+            .map(glob => this.globToRegExp(glob));
+    }
+
+    /**
+     * Check a path against include and exclude globs (from parseGlobs).
+     * With no include globs every path is included.
+     */
+    static matchesPath(path, includes, excludes) {
+        if (includes.length > 0 && !includes.some(glob => glob.test(path))) {
+            return false;
+        }
+        return !excludes.some(glob => glob.test(path));
+    }
+
+    /**
+     * Find the matches in a file's content.
+     * Returns [{ line, column, length, preview, previewColumn }] with
+     * 1-based lines and columns; stops after maxMatches.
+     */
+    static findMatches(content, matcher, maxMatches = Infinity) {
+        const matches = [];
+        const lines = content.split('\n');
+
+        for (let i = 0; i < lines.length && matches.length < maxMatches; i++) {
+            const line = lines[i].replace(/\r$/, '');
+            matcher.lastIndex = 0;
+
+            let match;
+            while ((match = matcher.exec(line)) && matches.length < maxMatches) {
+                if (match[0].length === 0) {
+                    // Skip empty matches (e.g. "a*") so the loop moves on
+                    matcher.lastIndex++;
+                    continue;
+                }
+
+                // Keep the match visible in long lines
+                const start = Math.max(0, Math.min(match.index - 40, line.length - MAX_PREVIEW_LENGTH));
+                const preview = line.substring(start, start + MAX_PREVIEW_LENGTH);
+
+                matches.push({
+                    line: i + 1,
+                    column: match.index + 1,
+                    length: match[0].length,
+                    preview: preview.trimEnd(),
+                    previewColumn: match.index - start
+                });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Replace every match in a file's content. In regex mode the
+     * replacement can refer to groups ($1, $<name>, $&); otherwise it is literal.
+     * Returns { content, count }.
+     */
+    static replaceAll(content, matcher, replacement, regex = false) {
+        let count = 0;
+
+        const lines = content.split('\n').map(line => {
+            const carriageReturn = line.endsWith('\r') ? '\r' : '';
+            const body = carriageReturn ? line.slice(0, -1) : line;
+
+            matcher.lastIndex = 0;
+            return body.replace(matcher, (...args) => {
+                // Empty matches aren't found by findMatches, so leave them too
+                if (args[0].length === 0) return '';
+                count++;
+                return regex ? this.expandReplacement(replacement, args) : replacement;
+            }) + carriageReturn;
+        });
+
+        return { content: lines.join('\n'), count };
+    }
+
+    /**
+     * Expand $n, $<name>, $& and $$ in a replacement, given the arguments
+     * String.replace passes to a replacer function
+     */
+    static expandReplacement(replacement, args) {
+        const hasGroups = typeof args[args.length - 1] === 'object';
+        const groups = hasGroups ? args[args.length - 1] : null;
+        const captures = args.slice(1, hasGroups ? -3 : -2);
+
+        return replacement.replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (token, what, name) => {
+            if (what === '$') return '$';
+            if (what === '&') return args[0];
+            if (name !== undefined) {
+                return groups && groups[name] !== undefined ? groups[name] : token;
+            }
+
+            const index = parseInt(what, 10);
+            if (index >= 1 && index <= captures.length) {
+                return captures[index - 1] !== undefined ? captures[index - 1] : '';
+            }
+            return token;
+        });
+    }
+}
+
+export default Search;
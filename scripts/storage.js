@@ -1,8 +1,14 @@
 /**
  * Storage Module
- * Manages localStorage operations for the GitHub Mobile IDE
+ * Manages localStorage operations for the GitHub Mobile IDE.
+ * Unsaved changes are kept in IndexedDB, one record per file.
  */
 
+import { IDB, STORES } from './idb.js';
+import { Codec } from './codec.js';
+
+const MAX_RECENT_FILES = 50;
+
 const STORAGE_KEYS = {
     AUTH_TOKEN: 'github_ide_auth_token',
     CURRENT_REPO: 'github_ide_current_repo',
@@ -10,9 +16,23 @@ const STORAGE_KEYS = {
     UNSAVED_CHANGES: 'github_ide_unsaved_changes',
     LAST_BRANCH: 'github_ide_last_branch',
     USER_INFO: 'github_ide_user_info',
-    HIDDEN_PATHS: 'github_ide_hidden_paths'
+    HIDDEN_PATHS: 'github_ide_hidden_paths',
+    OPEN_TABS: 'github_ide_open_tabs',
+    RECENT_FILES: 'github_ide_recent_files',
+    TOOLBAR_KEYS: 'github_ide_toolbar_keys'
 };
 
+// In-memory copy of the unsaved changes store, keyed "owner/repo/path",
+// so reads stay synchronous
+let unsavedChanges = {};
+let useIndexedDB = false;
+let pendingWrites = Promise.resolve();
+let errorHandler = null;
+
+// Byte size of each unsaved record, measured once per record (records are
+// replaced, never changed in place, so a record's size never goes stale)
+const recordSizes = new WeakMap();
+
 export class Storage {
     /**
      * Save authentication token
@@ -153,79 +173,291 @@ export class Storage {
     }
 
     /**
-     * Get unsaved changes for a specific file
+     * Get recently opened files for a repository, most recent first
      */
-    static getUnsavedChanges(owner, repo, filePath) {
+    static getRecentFiles(owner, repo) {
         try {
-            const allChanges = localStorage.getItem(STORAGE_KEYS.UNSAVED_CHANGES);
-            const changesData = allChanges ? JSON.parse(allChanges) : {};
-            const fileKey = `${owner}/${repo}/${filePath}`;
-            return changesData[fileKey] || null;
+            const allRecent = localStorage.getItem(STORAGE_KEYS.RECENT_FILES);
+            const recentData = allRecent ? JSON.parse(allRecent) : {};
+            return recentData[`${owner}/${repo}`] || [];
         } catch (e) {
-            console.error('Failed to get unsaved changes:', e);
-            return null;
+            console.error('Failed to get recent files:', e);
+            return [];
         }
     }
 
     /**
-     * Save unsaved changes for a specific file
+     * Move a file to the front of the recently opened files
      */
-    static setUnsavedChanges(owner, repo, filePath, content) {
+    static addRecentFile(owner, repo, filePath) {
         try {
-            const allChanges = localStorage.getItem(STORAGE_KEYS.UNSAVED_CHANGES);
-            const changesData = allChanges ? JSON.parse(allChanges) : {};
-            const fileKey = `${owner}/${repo}/${filePath}`;
-            changesData[fileKey] = {
-                content,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(STORAGE_KEYS.UNSAVED_CHANGES, JSON.stringify(changesData));
+            const allRecent = localStorage.getItem(STORAGE_KEYS.RECENT_FILES);
+            const recentData = allRecent ? JSON.parse(allRecent) : {};
+            const repoKey = `${owner}/${repo}`;
+            const recent = (recentData[repoKey] || []).filter(path => path !== filePath);
+
+            recentData[repoKey] = [filePath, ...recent].slice(0, MAX_RECENT_FILES);
+            localStorage.setItem(STORAGE_KEYS.RECENT_FILES, JSON.stringify(recentData));
             return true;
         } catch (e) {
-            console.error('Failed to save unsaved changes:', e);
+            console.error('Failed to save recent file:', e);
             return false;
         }
     }
 
     /**
-     * Clear unsaved changes for a specific file
+     * Load unsaved changes from IndexedDB, moving over changes saved in
+     * localStorage by earlier versions. Call once before using the
+     * unsaved-changes methods; they read from an in-memory copy.
      */
-    static clearUnsavedChanges(owner, repo, filePath) {
+    static async init() {
         try {
-            const allChanges = localStorage.getItem(STORAGE_KEYS.UNSAVED_CHANGES);
-            const changesData = allChanges ? JSON.parse(allChanges) : {};
-            const fileKey = `${owner}/${repo}/${filePath}`;
-            delete changesData[fileKey];
-            localStorage.setItem(STORAGE_KEYS.UNSAVED_CHANGES, JSON.stringify(changesData));
-            return true;
+            const [keys, records] = await Promise.all([
+                IDB.getAllKeys(STORES.CHANGES),
+                IDB.getAll(STORES.CHANGES)
+            ]);
+
+            unsavedChanges = {};
+            keys.forEach((key, index) => {
+                unsavedChanges[key] = records[index];
+            });
+            useIndexedDB = true;
+
+            await this.migrateUnsavedChanges();
         } catch (e) {
-            console.error('Failed to clear unsaved changes:', e);
+            // Without IndexedDB (e.g. some private modes) keep the old localStorage store
+            console.error('Failed to open IndexedDB, keeping unsaved changes in localStorage:', e);
+            useIndexedDB = false;
+            try {
+                const allChanges = localStorage.getItem(STORAGE_KEYS.UNSAVED_CHANGES);
+                unsavedChanges = allChanges ? JSON.parse(allChanges) : {};
+            } catch (parseError) {
+                console.error('Failed to read unsaved changes:', parseError);
+                unsavedChanges = {};
+            }
+        }
+    }
+
+    /**
+     * One-time move of the old localStorage JSON blob into per-file records
+     */
+    static async migrateUnsavedChanges() {
+        const allChanges = localStorage.getItem(STORAGE_KEYS.UNSAVED_CHANGES);
+        if (!allChanges) return;
+
+        const legacy = JSON.parse(allChanges);
+
+        // Records already in IndexedDB are newer than the leftover blob
+        const entries = Object.entries(legacy).filter(([fileKey]) => !unsavedChanges[fileKey]);
+        await IDB.putMany(STORES.CHANGES, entries);
+
+        entries.forEach(([fileKey, record]) => {
+            unsavedChanges[fileKey] = record;
+        });
+        localStorage.removeItem(STORAGE_KEYS.UNSAVED_CHANGES);
+    }
+
+    /**
+     * Set a callback for errors saving unsaved changes, e.g. when storage is full.
+     * It receives an Error with quota set for quota errors.
+     */
+    static onError(callback) {
+        errorHandler = callback;
+    }
+
+    /**
+     * Wait for pending writes of unsaved changes
+     */
+    static flush() {
+        return pendingWrites;
+    }
+
+    /**
+     * Report a failed write of unsaved changes to the user
+     */
+    static reportWriteError(e, fileKey) {
+        console.error('Failed to save unsaved changes:', e);
+
+        const quota = e && (e.name === 'QuotaExceededError' || e.code === 22);
+        const filePath = fileKey.split('/').slice(2).join('/');
+        const error = new Error(quota
+            ? `Storage is full: changes to ${filePath} were not saved. Commit or discard changes to free up space.`
+            : `Failed to save changes to ${filePath}: ${e.message}`);
+        error.quota = quota;
+
+        if (errorHandler) {
+            errorHandler(error);
+        }
+    }
+
+    /**
+     * Update the record of one file (null removes it) in memory and persist it.
+     * Resolves to whether it was stored; failures are also reported through
+     * the error callback.
+     */
+    static writeUnsavedRecord(fileKey, record) {
+        if (record) {
+            unsavedChanges[fileKey] = record;
+        } else {
+            delete unsavedChanges[fileKey];
+        }
+
+        if (!useIndexedDB) {
+            try {
+                localStorage.setItem(STORAGE_KEYS.UNSAVED_CHANGES, JSON.stringify(unsavedChanges));
+                return Promise.resolve(true);
+            } catch (e) {
+                this.reportWriteError(e, fileKey);
+                return Promise.resolve(false);
+            }
+        }
+
+        // IndexedDB applies transactions in the order they were created
+        const write = (record
+            ? IDB.put(STORES.CHANGES, record, fileKey)
+            : IDB.delete(STORES.CHANGES, fileKey)
+        ).then(() => true, e => {
+            this.reportWriteError(e, fileKey);
             return false;
+        });
+        pendingWrites = write;
+
+        return write;
+    }
+
+    /**
+     * Get the stored size of an unsaved record in bytes. Uploads count as
+     * their base64 text, as that is what is stored.
+     */
+    static getRecordSize(record) {
+        let size = recordSizes.get(record);
+        if (size === undefined) {
+            const { content, base64, ...rest } = record;
+            size = JSON.stringify(rest).length +
+                (content ? new TextEncoder().encode(content).length : 0) +
+                (base64 ? base64.length : 0);
+            recordSizes.set(record, size);
+        }
+        return size;
+    }
+
+    /**
+     * Get unsaved changes for a specific file
+     */
+    static getUnsavedChanges(owner, repo, filePath) {
+        return unsavedChanges[`${owner}/${repo}/${filePath}`] || null;
+    }
+
+    /**
+     * Save unsaved changes for a specific file
+     * base is { sha, commit, mode }: the blob SHA and commit the edit started
+     * from, and the file's git mode. It is only recorded on the first save so
+     * later saves keep the original base.
+     */
+    static setUnsavedChanges(owner, repo, filePath, content, base = null) {
+        const fileKey = `${owner}/${repo}/${filePath}`;
+        const existing = unsavedChanges[fileKey];
+        const hasBase = existing && existing.baseCommit !== undefined;
+
+        const record = {
+            ...existing,
+            content,
+            timestamp: Date.now(),
+            baseSha: hasBase ? existing.baseSha : (base ? base.sha || null : null),
+            baseCommit: hasBase ? existing.baseCommit : (base ? base.commit || null : null)
+        };
+        if (!record.mode && base && base.mode) {
+            record.mode = base.mode;
+        }
+
+        // Edited text replaces an upload, keeping the upload's encoding
+        if (record.base64 !== undefined) {
+            record.format = Codec.decode(record.base64).format;
+            delete record.base64;
+            delete record.size;
+        }
+
+        return this.writeUnsavedRecord(fileKey, record);
+    }
+
+    /**
+     * Replace the base of unsaved changes for a specific file (after a pull
+     * merged upstream changes into it), optionally with new content
+     */
+    static rebaseUnsavedChanges(owner, repo, filePath, base, content = undefined) {
+        const fileKey = `${owner}/${repo}/${filePath}`;
+        const existing = unsavedChanges[fileKey];
+        if (!existing) return false;
+
+        const record = {
+            ...existing,
+            content: content !== undefined ? content : existing.content,
+            timestamp: content !== undefined ? Date.now() : existing.timestamp,
+            baseSha: base.sha || null,
+            baseCommit: base.commit || null
+        };
+        if (base.mode) {
+            record.mode = base.mode;
+        }
+
+        // Once based on a real remote blob the file is no longer a pending rename
+        if (base.sha) {
+            delete record.renamedFrom;
+            delete record.blobSha;
+        }
+
+        return this.writeUnsavedRecord(fileKey, record);
+    }
+
+    /**
+     * Save a pending change record (deletion, rename or upload) for a specific file
+     * Deletions are { deleted: true, baseSha, baseCommit }; renamed files are
+     * { renamedFrom, blobSha, baseSha, baseCommit } and may also carry content.
+     * Uploads are { base64, size, baseSha, baseCommit }. Renames and uploads
+     * over existing files also keep the file's git mode.
+     */
+    static setPendingChange(owner, repo, filePath, record) {
+        return this.writeUnsavedRecord(`${owner}/${repo}/${filePath}`, {
+            ...record,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Drop content edits for a specific file, keeping a pending rename if there is one
+     */
+    static clearUnsavedContent(owner, repo, filePath) {
+        const existing = this.getUnsavedChanges(owner, repo, filePath);
+        if (!existing || !existing.renamedFrom) {
+            return this.clearUnsavedChanges(owner, repo, filePath);
         }
+
+        const { content, ...record } = existing;
+        return this.setPendingChange(owner, repo, filePath, record);
+    }
+
+    /**
+     * Clear unsaved changes for a specific file
+     */
+    static clearUnsavedChanges(owner, repo, filePath) {
+        return this.writeUnsavedRecord(`${owner}/${repo}/${filePath}`, null);
     }
 
     /**
      * Get all files with unsaved changes for a repository
      */
     static getAllUnsavedChanges(owner, repo) {
-        try {
-            const allChanges = localStorage.getItem(STORAGE_KEYS.UNSAVED_CHANGES);
-            const changesData = allChanges ? JSON.parse(allChanges) : {};
-            const prefix = `${owner}/${repo}/`;
-            const repoChanges = {};
-
-            for (const [key, value] of Object.entries(changesData)) {
-                if (key.startsWith(prefix)) {
-                    const filePath = key.substring(prefix.length);
-                    repoChanges[filePath] = value;
-                }
-            }
+        const prefix = `${owner}/${repo}/`;
+        const repoChanges = {};
 
-            return repoChanges;
-        } catch (e) {
-            console.error('Failed to get all unsaved changes:', e);
-            return {};
+        for (const [key, value] of Object.entries(unsavedChanges)) {
+            if (key.startsWith(prefix)) {
+                const filePath = key.substring(prefix.length);
+                repoChanges[filePath] = value;
+            }
         }
+
+        return repoChanges;
     }
 
     /**
@@ -260,6 +492,43 @@ export class Storage {
         }
     }
 
+    /**
+     * Save the open editor tabs of a branch ({ files, active })
+     */
+    static setOpenTabs(owner, repo, branch, files, active) {
+        try {
+            const allTabs = localStorage.getItem(STORAGE_KEYS.OPEN_TABS);
+            const tabData = allTabs ? JSON.parse(allTabs) : {};
+            const branchKey = `${owner}/${repo}/${branch}`;
+
+            if (files.length > 0) {
+                tabData[branchKey] = { files, active };
+            } else {
+                delete tabData[branchKey];
+            }
+
+            localStorage.setItem(STORAGE_KEYS.OPEN_TABS, JSON.stringify(tabData));
+            return true;
+        } catch (e) {
+            console.error('Failed to save open tabs:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get the open editor tabs of a branch
+     */
+    static getOpenTabs(owner, repo, branch) {
+        try {
+            const allTabs = localStorage.getItem(STORAGE_KEYS.OPEN_TABS);
+            const tabData = allTabs ? JSON.parse(allTabs) : {};
+            return tabData[`${owner}/${repo}/${branch}`] || { files: [], active: null };
+        } catch (e) {
+            console.error('Failed to get open tabs:', e);
+            return { files: [], active: null };
+        }
+    }
+
     /**
      * Save user info
      */
@@ -294,6 +563,14 @@ export class Storage {
             Object.values(STORAGE_KEYS).forEach(key => {
                 localStorage.removeItem(key);
             });
+
+            // Queued commits and cached repository content belong to the
+            // account too, so the next one can neither push nor read them
+            unsavedChanges = {};
+            if (globalThis.indexedDB) {
+                pendingWrites = Promise.all(Object.values(STORES).map(store => IDB.clear(store)))
+                    .catch(e => console.error('Failed to clear stored data:', e));
+            }
             return true;
         } catch (e) {
             console.error('Failed to clear all data:', e);
@@ -302,21 +579,63 @@ export class Storage {
     }
 
     /**
-     * Get storage usage estimate
+     * Get storage usage: bytes of unsaved changes per repository ("owner/repo"),
+     * plus the browser's estimate of total usage and quota for the app
      */
-    static getStorageUsage() {
+    static async getStorageUsage() {
+        const repos = {};
+
+        for (const [key, value] of Object.entries(unsavedChanges)) {
+            const repoKey = key.split('/').slice(0, 2).join('/');
+            repos[repoKey] = (repos[repoKey] || 0) + this.getRecordSize(value);
+        }
+
+        let usage = null;
+        let quota = null;
         try {
-            let total = 0;
-            for (const key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    total += localStorage[key].length + key.length;
-                }
+            if (navigator.storage && navigator.storage.estimate) {
+                ({ usage, quota } = await navigator.storage.estimate());
             }
-            // Return size in KB
-            return (total / 1024).toFixed(2);
         } catch (e) {
-            console.error('Failed to get storage usage:', e);
-            return 0;
+            console.error('Failed to estimate storage usage:', e);
+        }
+
+        return { repos, usage, quota };
+    }
+
+    /**
+     * Get the keyboard toolbar keys customized for a profile, or null if
+     * they haven't been
+     */
+    static getToolbarKeys(profile) {
+        try {
+            const allKeys = localStorage.getItem(STORAGE_KEYS.TOOLBAR_KEYS);
+            const keyData = allKeys ? JSON.parse(allKeys) : {};
+            return keyData[profile] || null;
+        } catch (e) {
+            console.error('Failed to get toolbar keys:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Save the keyboard toolbar keys for a profile; null restores the defaults
+     */
+    static setToolbarKeys(profile, keys) {
+        try {
+            const allKeys = localStorage.getItem(STORAGE_KEYS.TOOLBAR_KEYS);
+            const keyData = allKeys ? JSON.parse(allKeys) : {};
+
+            if (keys) {
+                keyData[profile] = keys;
+            } else {
+                delete keyData[profile];
+            }
+            localStorage.setItem(STORAGE_KEYS.TOOLBAR_KEYS, JSON.stringify(keyData));
+            return true;
+        } catch (e) {
+            console.error('Failed to save toolbar keys:', e);
+            return false;
         }
     }
 
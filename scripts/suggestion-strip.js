@@ -0,0 +1,72 @@
+/**
+ * Suggestion Strip Module
+ * A row of completions above the keyboard toolbar, in place of the
+ * suggestion popup on touch screens. Tapping one accepts it.
+ */
+
+// Short labels for completion kinds, as in the outline
+const KIND_ICONS = {
+    keyword: 'k',
+    class: 'C',
+    struct: 'S',
+    interface: 'I',
+    enum: 'E',
+    record: 'R',
+    method: 'm',
+    property: 'p',
+    field: 'f',
+    constant: 'k',
+    event: 'e',
+    enumMember: 'v',
+    variable: 'x',
+    snippet: 'U'
+};
+
+export class SuggestionStrip {
+    constructor(element, onAccept) {
+        this.element = element;
+        this.onAccept = onAccept;
+        this.items = [];
+
+        // Keep the editor focused (and the on-screen keyboard up) while tapping
+        this.element.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+
+    /**
+     * Show completions, hiding the strip if there are none
+     */
+    render(items) {
+        this.items = items;
+        this.element.innerHTML = '';
+        this.element.classList.toggle('hidden', items.length === 0);
+
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.className = 'suggestion';
+            button.title = item.detail || item.label;
+
+            const icon = document.createElement('span');
+            icon.className = `suggestion-icon outline-icon-${item.kind}`;
+            icon.textContent = KIND_ICONS[item.kind] || '?';
+
+            const label = document.createElement('span');
+            label.textContent = item.label;
+
+            button.appendChild(icon);
+            button.appendChild(label);
+            button.addEventListener('click', () => this.onAccept(item));
+            this.element.appendChild(button);
+        });
+
+        this.element.scrollLeft = 0;
+    }
+
+    /**
+     * Hide the strip
+     */
+    clear() {
+        this.render([]);
+    }
+}
+
+export default SuggestionStrip;
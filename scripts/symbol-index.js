@@ -0,0 +1,291 @@
+/**
+ * Symbol Index Module
+ * Repository-wide index of C# declarations, built in a Web Worker
+ * (symbol-worker.js) from the branch's .cs files. Powers go to definition,
+ * find references and workspace symbol search.
+ */
+
+import { Fuzzy } from './fuzzy.js';
+import { RepoCache } from './repo-cache.js';
+import { Codec } from './codec.js';
+
+const MAX_CONCURRENT_FETCHES = 4;
+const MAX_SEARCH_RESULTS = 200;
+
+// Declarations that name a type, preferred when a name is both
+const TYPE_KINDS = new Set(['class', 'struct', 'interface', 'enum', 'record', 'delegate']);
+
+export class SymbolIndex {
+    constructor(githubAPI) {
+        this.api = githubAPI;
+        this.worker = null;
+        this.requests = new Map();
+        this.nextRequestId = 0;
+
+        this.owner = null;
+        this.repo = null;
+        // Indexed files by path: { path, sha, symbols }, symbols as CSharpSymbols.toRecords
+        this.files = new Map();
+        this.sources = [];
+        this.buildId = 0;
+        this.onProgress = null;
+    }
+
+    /**
+     * Set repository info
+     */
+    setRepo(owner, repo) {
+        if (owner !== this.owner || repo !== this.repo) {
+            this.buildId++;
+            this.files.clear();
+            this.sources = [];
+        }
+
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    /**
+     * Get the worker, starting it on first use
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./symbol-worker.js', import.meta.url), { type: 'module' });
+
+            this.worker.onmessage = (event) => {
+                const { id, result, error } = event.data;
+                const request = this.requests.get(id);
+                if (!request) return;
+
+                this.requests.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(result);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                const error = new Error(event.message || 'Symbol worker failed');
+                this.requests.forEach(request => request.reject(error));
+                this.requests.clear();
+            };
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * Send a request to the worker
+     */
+    request(type, data) {
+        const worker = this.getWorker();
+        const id = ++this.nextRequestId;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            worker.postMessage({ id, type, ...data });
+        });
+    }
+
+    /**
+     * Index the branch's C# files ({ path, sha, content }, content for files
+     * changed locally). Files whose blobs aren't cached are downloaded a few
+     * at a time while online. A newer build stops an older one.
+     * Resolves false if it was superseded.
+     */
+    async build(files) {
+        const buildId = ++this.buildId;
+        const sources = files.filter(file => file.path.toLowerCase().endsWith('.cs'));
+
+        try {
+            const { files: indexed, missing } = await this.request('index', { files: sources });
+            if (buildId !== this.buildId) return false;
+
+            this.sources = sources;
+            this.files = new Map(indexed.map(file => [file.path, file]));
+            this.reportProgress(sources.length);
+
+            if (missing.length > 0 && navigator.onLine && !this.api.offline) {
+                await this.fetchMissing(missing, buildId);
+            }
+
+            return buildId === this.buildId;
+        } catch (error) {
+            console.error('Failed to build symbol index:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download and index files whose blobs aren't cached yet
+     */
+    async fetchMissing(missing, buildId) {
+        const queue = [...missing];
+
+        const next = async () => {
+            while (queue.length > 0 && buildId === this.buildId) {
+                const file = queue.shift();
+                try {
+                    const blob = await this.api.getBlob(this.owner, this.repo, file.sha);
+                    if (this.api.isFileTooLarge(blob.size)) continue;
+
+                    const { files: indexed } = await this.request('index', {
+                        files: [{ ...file, content: blob.decodedContent, fromBlob: true }]
+                    });
+                    if (buildId !== this.buildId) return;
+
+                    indexed.forEach(entry => this.files.set(entry.path, entry));
+                    this.reportProgress(this.sources.length);
+                } catch (error) {
+                    console.error(`Failed to index ${file.path}:`, error);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: MAX_CONCURRENT_FETCHES }, () => next()));
+    }
+
+    /**
+     * Tell the progress listener how much of the branch is indexed
+     */
+    reportProgress(total) {
+        if (this.onProgress) {
+            this.onProgress(this.files.size, total);
+        }
+    }
+
+    /**
+     * Find the declarations of a name, as [{ path, symbol }]. Type
+     * declarations win over members with the same name. overrides is a Map
+     * of path to symbol records for files open in the editor.
+     */
+    findDeclarations(name, overrides = new Map()) {
+        const matches = [];
+
+        this.forEachSymbol(overrides, (path, symbol) => {
+            if (symbol.name === name && symbol.kind !== 'namespace') {
+                matches.push({ path, symbol });
+            }
+        });
+
+        const types = matches.filter(match => TYPE_KINDS.has(match.symbol.kind));
+        return types.length > 0 ? types : matches;
+    }
+
+    /**
+     * Fuzzy-search every declaration by name, as [{ path, symbol, positions }]
+     */
+    search(query, overrides = new Map()) {
+        const entries = [];
+        this.forEachSymbol(overrides, (path, symbol) => {
+            if (symbol.kind !== 'namespace') {
+                entries.push({ path, symbol });
+            }
+        });
+
+        // Types rank a little higher than members
+        const boost = (entry) => (TYPE_KINDS.has(entry.symbol.kind) ? 1 : 0);
+        return Fuzzy.filter(query, entries, entry => entry.symbol.name, boost)
+            .slice(0, MAX_SEARCH_RESULTS)
+            .map(({ item, positions }) => ({ ...item, positions }));
+    }
+
+    /**
+     * Get the records of every declared type (class, struct, interface,
+     * enum, record)
+     */
+    getTypes(overrides = new Map()) {
+        const types = [];
+        this.forEachSymbol(overrides, (path, symbol) => {
+            if (TYPE_KINDS.has(symbol.kind) && symbol.kind !== 'delegate') {
+                types.push(symbol);
+            }
+        });
+        return types;
+    }
+
+    /**
+     * Get the records of the members declared in types of a name (all the
+     * parts of a partial type)
+     */
+    getMembers(typeName, overrides = new Map()) {
+        const members = [];
+        this.forEachSymbol(overrides, (path, symbol) => {
+            const container = symbol.container;
+            if (container === typeName || container.endsWith(`.${typeName}`)) {
+                members.push(symbol);
+            }
+        });
+        return members;
+    }
+
+    /**
+     * Find where a name is used across the indexed files. contents is a
+     * Map of path to content for files open in the editor.
+     * Returns { locations: [{ path, range }], skipped }.
+     */
+    async findReferences(name, contents = new Map()) {
+        try {
+            const files = this.sources.map(file => (
+                contents.has(file.path) ? { path: file.path, sha: file.sha, content: contents.get(file.path) } : file
+            ));
+            // Open files that aren't in the tree yet
+            contents.forEach((content, path) => {
+                if (!this.sources.some(file => file.path === path)) {
+                    files.push({ path, sha: null, content });
+                }
+            });
+            return await this.request('references', { name, files });
+        } catch (error) {
+            console.error('Failed to find references:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the content of an indexed file from local changes or the blob
+     * cache (null if it isn't available)
+     */
+    async getContent(path) {
+        const file = this.sources.find(source => source.path === path);
+        if (!file) return null;
+        if (file.content !== undefined) return file.content;
+
+        const blob = file.sha ? await RepoCache.getBlob(file.sha) : null;
+        return blob ? Codec.decode(blob.content).text : null;
+    }
+
+    /**
+     * Call back with each indexed symbol, using overrides in place of the
+     * indexed symbols of those paths
+     */
+    forEachSymbol(overrides, callback) {
+        this.files.forEach((file, path) => {
+            if (!overrides.has(path)) {
+                file.symbols.forEach(symbol => callback(path, symbol));
+            }
+        });
+        overrides.forEach((symbols, path) => {
+            symbols.forEach(symbol => callback(path, symbol));
+        });
+    }
+
+    /**
+     * Forget the index and stop the worker
+     */
+    dispose() {
+        this.buildId++;
+        this.files.clear();
+        this.sources = [];
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.requests.forEach(request => request.reject(new Error('Symbol index closed')));
+        this.requests.clear();
+    }
+}
+
+export default SymbolIndex;
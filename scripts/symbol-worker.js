@@ -0,0 +1,112 @@
+/**
+ * Symbol Worker
+ * Parses the repository's C# files for the symbol index off the main
+ * thread. Symbols are cached in IndexedDB by blob SHA, so each version of
+ * a file is parsed once. Requests are { id, type, ... } and answered with
+ * { id, result } or { id, error }.
+ */
+
+import { CSharpSymbols } from './csharp-symbols.js';
+import { RepoCache } from './repo-cache.js';
+import { Codec } from './codec.js';
+
+self.onmessage = async (event) => {
+    const { id, type } = event.data;
+
+    try {
+        let result;
+        switch (type) {
+            case 'index':
+                result = await indexFiles(event.data.files);
+                break;
+            case 'references':
+                result = await findReferences(event.data.name, event.data.files);
+                break;
+            default:
+                throw new Error(`Unknown request: ${type}`);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+/**
+ * Get the symbols of files ({ path, sha, content, fromBlob }). content is
+ * left out for files to read from the blob cache; content with fromBlob set
+ * is the blob's own (just downloaded), otherwise it is a local change.
+ * Returns { files: [{ path, sha, symbols }], missing: [{ path, sha }] },
+ * where missing files' blobs aren't cached yet.
+ */
+async function indexFiles(files) {
+    const indexed = [];
+    const missing = [];
+    const fromCache = files.filter(file => file.content === undefined && file.sha);
+    const shas = [...new Set(fromCache.map(file => file.sha))];
+
+    const cachedSymbols = await RepoCache.getSymbols(shas);
+    const unparsed = shas.filter(sha => !cachedSymbols.has(sha));
+    const blobs = await RepoCache.getBlobs(unparsed);
+
+    // Parse each blob once, however many paths share it
+    const parsed = [];
+    blobs.forEach((blob, sha) => {
+        const symbols = CSharpSymbols.toRecords(CSharpSymbols.parse(Codec.decode(blob.content).text));
+        cachedSymbols.set(sha, symbols);
+        parsed.push([sha, symbols]);
+    });
+    files.filter(file => file.content !== undefined && file.fromBlob && file.sha).forEach(file => {
+        const symbols = CSharpSymbols.toRecords(CSharpSymbols.parse(file.content));
+        cachedSymbols.set(file.sha, symbols);
+        parsed.push([file.sha, symbols]);
+    });
+
+    if (parsed.length > 0) {
+        await RepoCache.putSymbols(parsed);
+    }
+
+    files.forEach(file => {
+        if (file.content !== undefined && !file.fromBlob) {
+            indexed.push({ path: file.path, sha: file.sha, symbols: CSharpSymbols.toRecords(CSharpSymbols.parse(file.content)) });
+        } else if (cachedSymbols.has(file.sha)) {
+            indexed.push({ path: file.path, sha: file.sha, symbols: cachedSymbols.get(file.sha) });
+        } else {
+            missing.push({ path: file.path, sha: file.sha });
+        }
+    });
+
+    return { files: indexed, missing };
+}
+
+/**
+ * Find where an identifier is used in files ({ path, sha, content }).
+ * Returns { locations: [{ path, range }], skipped } with the number of
+ * files whose content isn't cached.
+ */
+async function findReferences(name, files) {
+    const locations = [];
+    const fromCache = files.filter(file => file.content === undefined && file.sha);
+    const blobs = await RepoCache.getBlobs([...new Set(fromCache.map(file => file.sha))]);
+    let skipped = 0;
+
+    files.forEach(file => {
+        let content = file.content;
+        if (content === undefined) {
+            const blob = blobs.get(file.sha);
+            if (!blob) {
+                skipped++;
+                return;
+            }
+            content = Codec.decode(blob.content).text;
+        }
+
+        // Cheap check before tokenizing
+        if (!content.includes(name)) return;
+
+        CSharpSymbols.findIdentifiers(content, name).forEach(range => {
+            locations.push({ path: file.path, range });
+        });
+    });
+
+    return { locations, skipped };
+}
@@ -0,0 +1,174 @@
+/**
+ * Sync Panel Module
+ * Lists the commits between the current branch, its remote head and the
+ * default branch: new commits on the remote, commits queued offline, and
+ * the commits in which the branch and the default branch differ
+ */
+
+import { HistoryPanel } from './history-panel.js';
+
+export class SyncPanel {
+    /**
+     * onSelectCommit(sha) opens a commit, onPull() pulls the remote changes
+     */
+    constructor(modalElement, onSelectCommit, onPull) {
+        this.modal = modalElement;
+        this.onSelectCommit = onSelectCommit;
+        this.onPull = onPull;
+        this.container = modalElement.querySelector('.sync-sections');
+    }
+
+    /**
+     * Open the panel with a placeholder until render is called
+     */
+    open() {
+        this.container.innerHTML = '';
+        this.container.appendChild(this.createMessage('Loading...'));
+        this.modal.classList.remove('hidden');
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.modal.classList.add('hidden');
+    }
+
+    /**
+     * Show a message in place of the commits
+     */
+    showMessage(text) {
+        this.container.innerHTML = '';
+        this.container.appendChild(this.createMessage(text));
+    }
+
+    /**
+     * Render a divergence from GitOps.refreshDivergence and the branch's
+     * queued commits
+     */
+    render(divergence, queuedCommits) {
+        this.container.innerHTML = '';
+        const { branch, defaultBranch } = divergence;
+
+        if (divergence.remoteChanged) {
+            const section = this.createSection(`New on ${branch}`);
+            section.appendChild(this.createHelp(divergence.remoteRewritten
+                ? 'The branch was rewritten (force-pushed) since the files were loaded.'
+                : `${divergence.remoteAhead} commit(s) were pushed since the files were loaded.`));
+
+            const pullBtn = document.createElement('button');
+            pullBtn.className = 'btn btn-primary sync-pull';
+            pullBtn.textContent = 'Pull';
+            pullBtn.addEventListener('click', () => this.onPull());
+            section.appendChild(pullBtn);
+
+            this.appendCommits(section, divergence.remoteCommits, divergence.remoteAhead);
+        }
+
+        if (queuedCommits.length > 0) {
+            const section = this.createSection('Queued, not pushed yet');
+            queuedCommits.forEach(commit => {
+                const item = this.createItem(
+                    commit.message.split('\n')[0],
+                    `${commit.files.length} file(s) • queued while offline`
+                );
+                item.classList.add('sync-queued');
+                section.appendChild(item);
+            });
+        }
+
+        if (branch === defaultBranch) {
+            const section = this.createSection(defaultBranch);
+            section.appendChild(this.createHelp('This is the default branch.'));
+            return;
+        }
+
+        const outgoing = this.createSection(`Only on ${branch} (${divergence.ahead} ahead)`);
+        this.appendCommits(outgoing, divergence.outgoing, divergence.ahead);
+
+        const incoming = this.createSection(`Only on ${defaultBranch} (${divergence.behind} behind)`);
+        this.appendCommits(incoming, divergence.incoming, divergence.behind);
+    }
+
+    /**
+     * Add a section with a heading to the panel
+     */
+    createSection(title) {
+        const section = document.createElement('div');
+        section.className = 'sync-section';
+
+        const heading = document.createElement('h4');
+        heading.className = 'sync-title';
+        heading.textContent = title;
+
+        section.appendChild(heading);
+        this.container.appendChild(section);
+        return section;
+    }
+
+    /**
+     * Add commits (newest first) to a section, noting any the comparison
+     * left out
+     */
+    appendCommits(section, commits, total) {
+        if (total === 0) {
+            section.appendChild(this.createMessage('None'));
+            return;
+        }
+
+        commits.forEach(commit => {
+            const item = this.createItem(
+                commit.commit.message.split('\n')[0],
+                `${HistoryPanel.getAuthor(commit)} • ${HistoryPanel.formatDate(commit.commit.author.date)} • ${commit.sha.substring(0, 7)}`
+            );
+            item.addEventListener('click', () => this.onSelectCommit(commit.sha));
+            section.appendChild(item);
+        });
+
+        if (total > commits.length) {
+            section.appendChild(this.createMessage(`…and ${total - commits.length} more commit(s)`));
+        }
+    }
+
+    /**
+     * Create a list item with a title and a meta line
+     */
+    createItem(titleText, metaText) {
+        const item = document.createElement('div');
+        item.className = 'pr-item';
+
+        const title = document.createElement('div');
+        title.className = 'pr-item-title';
+        title.textContent = titleText;
+
+        const meta = document.createElement('div');
+        meta.className = 'pr-item-meta';
+        meta.textContent = metaText;
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        return item;
+    }
+
+    /**
+     * Create a line of help text
+     */
+    createHelp(text) {
+        const el = document.createElement('p');
+        el.className = 'help-text';
+        el.textContent = text;
+        return el;
+    }
+
+    /**
+     * Create a placeholder message element
+     */
+    createMessage(text) {
+        const el = document.createElement('div');
+        el.className = 'pr-empty';
+        el.textContent = text;
+        return el;
+    }
+}
+
+export default SyncPanel;
@@ -0,0 +1,303 @@
+/**
+ * Script Templates Module
+ * Unity C# script templates for new files. Templates use Unity's own
+ * placeholders, so a repo's Assets/ScriptTemplates work here as well.
+ */
+
+const REPO_TEMPLATES_FOLDER = 'Assets/ScriptTemplates/';
+
+const BUILTIN_TEMPLATES = [
+    {
+        id: 'monobehaviour',
+        name: 'MonoBehaviour',
+        extension: '.cs',
+        body: `using UnityEngine;
+
+#ROOTNAMESPACEBEGIN#
+public class #SCRIPTNAME# : MonoBehaviour
+{
+    private void Start()
+    {
+    }
+
+    private void Update()
+    {
+    }
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'scriptableobject',
+        name: 'ScriptableObject',
+        extension: '.cs',
+        body: `using UnityEngine;
+
+#ROOTNAMESPACEBEGIN#
+[CreateAssetMenu(fileName = "#SCRIPTNAME#", menuName = "#SCRIPTNAME_MENU#")]
+public class #SCRIPTNAME# : ScriptableObject
+{
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'editor',
+        name: 'Editor Script',
+        extension: '.cs',
+        body: `using UnityEditor;
+using UnityEngine;
+
+#ROOTNAMESPACEBEGIN#
+[CustomEditor(typeof(#SCRIPTNAME_TARGET#))]
+public class #SCRIPTNAME# : Editor
+{
+    public override void OnInspectorGUI()
+    {
+        base.OnInspectorGUI();
+    }
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'editorwindow',
+        name: 'EditorWindow',
+        extension: '.cs',
+        body: `using UnityEditor;
+using UnityEngine;
+
+#ROOTNAMESPACEBEGIN#
+public class #SCRIPTNAME# : EditorWindow
+{
+    [MenuItem("Window/#SCRIPTNAME_MENU#")]
+    public static void ShowWindow()
+    {
+        GetWindow<#SCRIPTNAME#>("#SCRIPTNAME_MENU#");
+    }
+
+    private void OnGUI()
+    {
+    }
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'class',
+        name: 'C# Class',
+        extension: '.cs',
+        body: `#ROOTNAMESPACEBEGIN#
+public class #SCRIPTNAME#
+{
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'interface',
+        name: 'C# Interface',
+        extension: '.cs',
+        body: `#ROOTNAMESPACEBEGIN#
+public interface #SCRIPTNAME#
+{
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'editmode-test',
+        name: 'EditMode Test',
+        extension: '.cs',
+        body: `using NUnit.Framework;
+
+#ROOTNAMESPACEBEGIN#
+public class #SCRIPTNAME#
+{
+    [Test]
+    public void #SCRIPTNAME#SimplePasses()
+    {
+    }
+}
+#ROOTNAMESPACEEND#
+`
+    },
+    {
+        id: 'playmode-test',
+        name: 'PlayMode Test',
+        extension: '.cs',
+        body: `using System.Collections;
+using NUnit.Framework;
+using UnityEngine.TestTools;
+
+#ROOTNAMESPACEBEGIN#
+public class #SCRIPTNAME#
+{
+    [UnityTest]
+    public IEnumerator #SCRIPTNAME#WithEnumeratorPasses()
+    {
+        yield return null;
+    }
+}
+#ROOTNAMESPACEEND#
+`
+    }
+];
+
+export class ScriptTemplates {
+    /**
+     * Get the built-in templates
+     */
+    static getBuiltinTemplates() {
+        return BUILTIN_TEMPLATES;
+    }
+
+    /**
+     * Find the repo's own templates among the tree's file paths.
+     * Like Unity, files in Assets/ScriptTemplates are named
+     * "<order>-<Menu__Name>-<DefaultName>.<ext>.txt".
+     * Returns [{ id, name, extension, defaultName, path }]; bodies are loaded separately.
+     */
+    static getRepoTemplates(allPaths) {
+        return allPaths
+            .filter(path => path.startsWith(REPO_TEMPLATES_FOLDER) && path.endsWith('.txt'))
+            .map(path => {
+                const fileName = path.substring(REPO_TEMPLATES_FOLDER.length, path.length - '.txt'.length);
+                const match = fileName.match(/^(\d+)-(.+)-([^-]+)$/);
+                const [, order, menuName, defaultFile] = match || [null, '0', fileName, fileName];
+                const dot = defaultFile.lastIndexOf('.');
+
+                return {
+                    id: `repo:${path}`,
+                    name: menuName.replace(/__/g, ' / '),
+                    extension: dot > 0 ? defaultFile.substring(dot) : '',
+                    defaultName: dot > 0 ? defaultFile.substring(0, dot) : defaultFile,
+                    order: parseInt(order, 10),
+                    path
+                };
+            })
+            .filter(template => !template.path.includes('/', REPO_TEMPLATES_FOLDER.length))
+            .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Turn a file or folder name into a PascalCase C# identifier
+     */
+    static toIdentifier(name) {
+        const identifier = name
+            .replace(/[^A-Za-z0-9_]+(.)?/g, (_, next) => (next ? next.toUpperCase() : ''))
+            .replace(/^(\d)/, '_$1');
+        return identifier
+            ? identifier.charAt(0).toUpperCase() + identifier.slice(1)
+            : 'NewScript';
+    }
+
+    /**
+     * Get the class name for a file path
+     */
+    static getClassName(filePath) {
+        const fileName = filePath.split('/').pop();
+        const dot = fileName.lastIndexOf('.');
+        return this.toIdentifier(dot > 0 ? fileName.substring(0, dot) : fileName);
+    }
+
+    /**
+     * Find the .asmdef that owns a file: the one in its folder or the nearest parent
+     */
+    static findAsmdef(filePath, allPaths) {
+        const asmdefs = allPaths.filter(path => path.endsWith('.asmdef'));
+        const parts = filePath.split('/');
+
+        for (let i = parts.length - 1; i > 0; i--) {
+            const folder = parts.slice(0, i).join('/') + '/';
+            const asmdef = asmdefs.find(path =>
+                path.startsWith(folder) && !path.includes('/', folder.length)
+            );
+            if (asmdef) return asmdef;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a namespace from the folders between a root folder and the file,
+     * e.g. Assets/Scripts/Player/Input.cs -> Scripts.Player
+     */
+    static namespaceFromPath(filePath, rootFolder = 'Assets') {
+        const prefix = rootFolder ? rootFolder + '/' : '';
+        const relative = filePath.startsWith(prefix) ? filePath.substring(prefix.length) : filePath;
+
+        return relative
+            .split('/')
+            .slice(0, -1)
+            .map(folder => this.toIdentifier(folder))
+            .join('.');
+    }
+
+    /**
+     * Infer the namespace for a new file: the owning .asmdef's rootNamespace
+     * (plus the folders below it), or the folder path under Assets.
+     * asmdefContent is the JSON text of findAsmdef's result, if any.
+     */
+    static inferNamespace(filePath, asmdefPath = null, asmdefContent = null) {
+        if (asmdefPath && asmdefContent) {
+            try {
+                const rootNamespace = (JSON.parse(asmdefContent).rootNamespace || '').trim();
+                if (rootNamespace) {
+                    const asmdefFolder = asmdefPath.substring(0, asmdefPath.lastIndexOf('/'));
+                    const subNamespace = this.namespaceFromPath(filePath, asmdefFolder);
+                    return subNamespace ? `${rootNamespace}.${subNamespace}` : rootNamespace;
+                }
+            } catch (e) {
+                console.error('Failed to parse asmdef:', e);
+            }
+        }
+
+        return this.namespaceFromPath(filePath);
+    }
+
+    /**
+     * Fill in a template body. The lines between #ROOTNAMESPACEBEGIN# and
+     * #ROOTNAMESPACEEND# are wrapped in the namespace, or left as they are
+     * without one.
+     */
+    static render(body, className, namespace = '') {
+        const lines = body.replace(/\r\n/g, '\n').split('\n');
+        const output = [];
+        let inNamespace = false;
+
+        lines.forEach(line => {
+            if (line.includes('#ROOTNAMESPACEBEGIN#')) {
+                inNamespace = true;
+                if (namespace) {
+                    const indent = line.match(/^\s*/)[0];
+                    output.push(`${indent}namespace ${namespace}`, `${indent}{`);
+                }
+                return;
+            }
+
+            if (line.includes('#ROOTNAMESPACEEND#')) {
+                inNamespace = false;
+                if (namespace) {
+                    output.push(line.replace('#ROOTNAMESPACEEND#', '}'));
+                }
+                return;
+            }
+
+            output.push(inNamespace && namespace && line.trim() ? `    ${line}` : line);
+        });
+
+        // Friendly names for menus, e.g. PlayerSettings -> Player Settings
+        const menuName = className.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+        const targetName = className.replace(/Editor$/, '') || className;
+
+        return output.join('\n')
+            .replace(/#SCRIPTNAME_MENU#/g, menuName)
+            .replace(/#SCRIPTNAME_TARGET#/g, targetName)
+            .replace(/#SCRIPTNAME_LOWER#/g, className.charAt(0).toLowerCase() + className.slice(1))
+            .replace(/#SCRIPTNAME#/g, className)
+            .replace(/#NOTRIM#/g, '');
+    }
+}
+
+export default ScriptTemplates;
@@ -0,0 +1,529 @@
+/**
+ * Unity API Module
+ * A bundled, offline subset of the Unity scripting API for completion:
+ * the messages Unity calls on MonoBehaviours and the most used
+ * UnityEngine types. Members are written as C# declarations
+ * ("static float Distance(Vector3 a, Vector3 b)"); enum members are bare names.
+ */
+
+// Messages Unity calls by name, with their signatures
+const MESSAGES = [
+    { signature: 'void Awake()', doc: 'Called when the script instance is being loaded, before Start.' },
+    { signature: 'void Start()', doc: 'Called before the first frame update, if the script is enabled.' },
+    { signature: 'void Update()', doc: 'Called every frame.' },
+    { signature: 'void FixedUpdate()', doc: 'Called every fixed framerate frame; use it for physics.' },
+    { signature: 'void LateUpdate()', doc: 'Called every frame after all Update functions have been called.' },
+    { signature: 'void OnEnable()', doc: 'Called when the object becomes enabled and active.' },
+    { signature: 'void OnDisable()', doc: 'Called when the behaviour becomes disabled.' },
+    { signature: 'void OnDestroy()', doc: 'Called when the MonoBehaviour will be destroyed.' },
+    { signature: 'void OnValidate()', doc: 'Editor only: called when the script is loaded or a value changes in the Inspector.' },
+    { signature: 'void Reset()', doc: 'Editor only: called when the component is added or reset.' },
+    { signature: 'void OnApplicationFocus(bool hasFocus)', doc: 'Called when the application gains or loses focus.' },
+    { signature: 'void OnApplicationPause(bool pauseStatus)', doc: 'Called when the application pauses or resumes.' },
+    { signature: 'void OnApplicationQuit()', doc: 'Called before the application quits.' },
+    { signature: 'void OnBecameVisible()', doc: 'Called when the renderer became visible by any camera.' },
+    { signature: 'void OnBecameInvisible()', doc: 'Called when the renderer is no longer visible by any camera.' },
+    { signature: 'void OnCollisionEnter(Collision collision)', doc: 'Called when this collider/rigidbody has begun touching another.' },
+    { signature: 'void OnCollisionStay(Collision collision)', doc: 'Called once per frame for every collider/rigidbody touching this one.' },
+    { signature: 'void OnCollisionExit(Collision collision)', doc: 'Called when this collider/rigidbody has stopped touching another.' },
+    { signature: 'void OnCollisionEnter2D(Collision2D collision)', doc: 'Called when an incoming 2D collider makes contact.' },
+    { signature: 'void OnCollisionStay2D(Collision2D collision)', doc: 'Called each frame a 2D collider is touching this one.' },
+    { signature: 'void OnCollisionExit2D(Collision2D collision)', doc: 'Called when a 2D collider stops touching this one.' },
+    { signature: 'void OnTriggerEnter(Collider other)', doc: 'Called when a Collider enters the trigger.' },
+    { signature: 'void OnTriggerStay(Collider other)', doc: 'Called once per physics update for every Collider touching the trigger.' },
+    { signature: 'void OnTriggerExit(Collider other)', doc: 'Called when a Collider has stopped touching the trigger.' },
+    { signature: 'void OnTriggerEnter2D(Collider2D other)', doc: 'Called when a 2D collider enters the trigger.' },
+    { signature: 'void OnTriggerStay2D(Collider2D other)', doc: 'Called each physics update a 2D collider is inside the trigger.' },
+    { signature: 'void OnTriggerExit2D(Collider2D other)', doc: 'Called when a 2D collider leaves the trigger.' },
+    { signature: 'void OnControllerColliderHit(ControllerColliderHit hit)', doc: 'Called when the CharacterController hits a collider while moving.' },
+    { signature: 'void OnJointBreak(float breakForce)', doc: 'Called when a joint attached to the same GameObject broke.' },
+    { signature: 'void OnParticleCollision(GameObject other)', doc: 'Called when a particle hits a collider.' },
+    { signature: 'void OnMouseDown()', doc: 'Called when the user presses the mouse button over the collider.' },
+    { signature: 'void OnMouseUp()', doc: 'Called when the user releases the mouse button.' },
+    { signature: 'void OnMouseUpAsButton()', doc: 'Called when the mouse is released over the collider it was pressed on.' },
+    { signature: 'void OnMouseEnter()', doc: 'Called when the mouse enters the collider.' },
+    { signature: 'void OnMouseExit()', doc: 'Called when the mouse is no longer over the collider.' },
+    { signature: 'void OnMouseOver()', doc: 'Called every frame while the mouse is over the collider.' },
+    { signature: 'void OnMouseDrag()', doc: 'Called when the user has clicked on a collider and is still holding down the mouse.' },
+    { signature: 'void OnGUI()', doc: 'Called for rendering and handling immediate mode GUI events.' },
+    { signature: 'void OnDrawGizmos()', doc: 'Draw gizmos that are always visible in the Scene view.' },
+    { signature: 'void OnDrawGizmosSelected()', doc: 'Draw gizmos when the object is selected.' },
+    { signature: 'void OnAnimatorMove()', doc: 'Callback for processing animation movements for modifying root motion.' },
+    { signature: 'void OnAnimatorIK(int layerIndex)', doc: 'Callback for setting up animation IK.' },
+    { signature: 'void OnRenderObject()', doc: 'Called after the camera has rendered the scene.' },
+    { signature: 'void OnWillRenderObject()', doc: 'Called for each camera if the object is visible.' },
+    { signature: 'void OnTransformChildrenChanged()', doc: 'Called when the list of children of the transform has changed.' },
+    { signature: 'void OnTransformParentChanged()', doc: 'Called when the parent of the transform has changed.' },
+    { signature: 'void OnRectTransformDimensionsChange()', doc: 'Called when the dimensions of a RectTransform change.' }
+];
+
+const COMPONENT_MEMBERS = [
+    'GameObject gameObject', 'Transform transform', 'string tag', 'string name',
+    'T GetComponent<T>()', 'T GetComponentInChildren<T>()', 'T GetComponentInParent<T>()',
+    'T[] GetComponents<T>()', 'T[] GetComponentsInChildren<T>()',
+    'bool TryGetComponent<T>(out T component)', 'bool CompareTag(string tag)',
+    'void SendMessage(string methodName)'
+];
+
+// Types by name: { kind, base, static (all members static), members }
+const TYPES = {
+    Object: {
+        kind: 'class',
+        members: [
+            'string name',
+            'static T Instantiate<T>(T original)',
+            'static T Instantiate<T>(T original, Vector3 position, Quaternion rotation)',
+            'static T Instantiate<T>(T original, Transform parent)',
+            'static void Destroy(Object obj, float t = 0.0F)',
+            'static void DontDestroyOnLoad(Object target)',
+            'static T FindObjectOfType<T>()',
+            'static T[] FindObjectsOfType<T>()'
+        ]
+    },
+    Component: { kind: 'class', base: 'Object', members: COMPONENT_MEMBERS },
+    Behaviour: { kind: 'class', base: 'Component', members: ['bool enabled', 'bool isActiveAndEnabled'] },
+    MonoBehaviour: {
+        kind: 'class',
+        base: 'Behaviour',
+        members: [
+            'Coroutine StartCoroutine(IEnumerator routine)', 'void StopCoroutine(Coroutine routine)',
+            'void StopAllCoroutines()', 'void Invoke(string methodName, float time)',
+            'void InvokeRepeating(string methodName, float time, float repeatRate)',
+            'void CancelInvoke()', 'bool IsInvoking(string methodName)',
+            'static void print(object message)'
+        ]
+    },
+    ScriptableObject: { kind: 'class', base: 'Object', members: ['static T CreateInstance<T>()'] },
+    GameObject: {
+        kind: 'class',
+        base: 'Object',
+        members: [
+            'Transform transform', 'bool activeSelf', 'bool activeInHierarchy', 'int layer', 'string tag',
+            'void SetActive(bool value)', 'T AddComponent<T>()', 'T GetComponent<T>()',
+            'T GetComponentInChildren<T>()', 'T GetComponentInParent<T>()', 'T[] GetComponents<T>()',
+            'bool TryGetComponent<T>(out T component)', 'bool CompareTag(string tag)',
+            'static GameObject Find(string name)', 'static GameObject FindWithTag(string tag)',
+            'static GameObject[] FindGameObjectsWithTag(string tag)',
+            'static GameObject CreatePrimitive(PrimitiveType type)'
+        ]
+    },
+    Transform: {
+        kind: 'class',
+        base: 'Component',
+        members: [
+            'Vector3 position', 'Vector3 localPosition', 'Quaternion rotation', 'Quaternion localRotation',
+            'Vector3 eulerAngles', 'Vector3 localEulerAngles', 'Vector3 localScale', 'Vector3 lossyScale',
+            'Vector3 forward', 'Vector3 right', 'Vector3 up', 'Transform parent', 'Transform root', 'int childCount',
+            'void Translate(Vector3 translation, Space relativeTo = Space.Self)',
+            'void Rotate(Vector3 eulers, Space relativeTo = Space.Self)',
+            'void RotateAround(Vector3 point, Vector3 axis, float angle)',
+            'void LookAt(Transform target)', 'void SetParent(Transform parent, bool worldPositionStays = true)',
+            'void SetPositionAndRotation(Vector3 position, Quaternion rotation)',
+            'Transform GetChild(int index)', 'Transform Find(string n)', 'void DetachChildren()',
+            'Vector3 TransformPoint(Vector3 position)', 'Vector3 InverseTransformPoint(Vector3 position)',
+            'Vector3 TransformDirection(Vector3 direction)', 'Vector3 InverseTransformDirection(Vector3 direction)',
+            'int GetSiblingIndex()', 'void SetSiblingIndex(int index)'
+        ]
+    },
+    Vector3: {
+        kind: 'struct',
+        members: [
+            'float x', 'float y', 'float z', 'float magnitude', 'float sqrMagnitude', 'Vector3 normalized',
+            'void Normalize()', 'void Set(float newX, float newY, float newZ)',
+            'static Vector3 zero', 'static Vector3 one', 'static Vector3 up', 'static Vector3 down',
+            'static Vector3 left', 'static Vector3 right', 'static Vector3 forward', 'static Vector3 back',
+            'static float Distance(Vector3 a, Vector3 b)', 'static float Dot(Vector3 lhs, Vector3 rhs)',
+            'static Vector3 Cross(Vector3 lhs, Vector3 rhs)', 'static float Angle(Vector3 from, Vector3 to)',
+            'static Vector3 Lerp(Vector3 a, Vector3 b, float t)', 'static Vector3 Slerp(Vector3 a, Vector3 b, float t)',
+            'static Vector3 MoveTowards(Vector3 current, Vector3 target, float maxDistanceDelta)',
+            'static Vector3 SmoothDamp(Vector3 current, Vector3 target, ref Vector3 currentVelocity, float smoothTime)',
+            'static Vector3 ClampMagnitude(Vector3 vector, float maxLength)',
+            'static Vector3 Normalize(Vector3 value)', 'static Vector3 Scale(Vector3 a, Vector3 b)',
+            'static Vector3 ProjectOnPlane(Vector3 vector, Vector3 planeNormal)',
+            'static Vector3 Reflect(Vector3 inDirection, Vector3 inNormal)'
+        ]
+    },
+    Vector2: {
+        kind: 'struct',
+        members: [
+            'float x', 'float y', 'float magnitude', 'float sqrMagnitude', 'Vector2 normalized',
+            'void Normalize()', 'void Set(float newX, float newY)',
+            'static Vector2 zero', 'static Vector2 one', 'static Vector2 up', 'static Vector2 down',
+            'static Vector2 left', 'static Vector2 right',
+            'static float Distance(Vector2 a, Vector2 b)', 'static float Dot(Vector2 lhs, Vector2 rhs)',
+            'static float Angle(Vector2 from, Vector2 to)', 'static Vector2 Lerp(Vector2 a, Vector2 b, float t)',
+            'static Vector2 MoveTowards(Vector2 current, Vector2 target, float maxDistanceDelta)',
+            'static Vector2 Perpendicular(Vector2 inDirection)'
+        ]
+    },
+    Quaternion: {
+        kind: 'struct',
+        members: [
+            'Vector3 eulerAngles', 'float x', 'float y', 'float z', 'float w', 'Quaternion normalized',
+            'static Quaternion identity',
+            'static Quaternion Euler(float x, float y, float z)',
+            'static Quaternion AngleAxis(float angle, Vector3 axis)',
+            'static Quaternion LookRotation(Vector3 forward, Vector3 upwards = Vector3.up)',
+            'static Quaternion FromToRotation(Vector3 fromDirection, Vector3 toDirection)',
+            'static Quaternion Lerp(Quaternion a, Quaternion b, float t)',
+            'static Quaternion Slerp(Quaternion a, Quaternion b, float t)',
+            'static Quaternion RotateTowards(Quaternion from, Quaternion to, float maxDegreesDelta)',
+            'static Quaternion Inverse(Quaternion rotation)', 'static float Angle(Quaternion a, Quaternion b)'
+        ]
+    },
+    Mathf: {
+        kind: 'struct',
+        static: true,
+        members: [
+            'float PI', 'float Infinity', 'float Epsilon', 'float Deg2Rad', 'float Rad2Deg',
+            'float Abs(float f)', 'float Sign(float f)', 'float Min(float a, float b)', 'float Max(float a, float b)',
+            'float Clamp(float value, float min, float max)', 'float Clamp01(float value)',
+            'float Lerp(float a, float b, float t)', 'float LerpAngle(float a, float b, float t)',
+            'float InverseLerp(float a, float b, float value)', 'float MoveTowards(float current, float target, float maxDelta)',
+            'float SmoothDamp(float current, float target, ref float currentVelocity, float smoothTime)',
+            'float Sqrt(float f)', 'float Pow(float f, float p)', 'float Sin(float f)', 'float Cos(float f)',
+            'float Tan(float f)', 'float Atan2(float y, float x)', 'float Floor(float f)', 'int FloorToInt(float f)',
+            'float Ceil(float f)', 'int CeilToInt(float f)', 'float Round(float f)', 'int RoundToInt(float f)',
+            'bool Approximately(float a, float b)', 'float PingPong(float t, float length)',
+            'float Repeat(float t, float length)', 'float PerlinNoise(float x, float y)'
+        ]
+    },
+    Time: {
+        kind: 'class',
+        static: true,
+        members: [
+            'float deltaTime', 'float fixedDeltaTime', 'float time', 'float timeScale',
+            'float unscaledDeltaTime', 'float unscaledTime', 'float realtimeSinceStartup', 'int frameCount'
+        ]
+    },
+    Input: {
+        kind: 'class',
+        static: true,
+        members: [
+            'bool GetKey(KeyCode key)', 'bool GetKeyDown(KeyCode key)', 'bool GetKeyUp(KeyCode key)',
+            'bool GetButton(string buttonName)', 'bool GetButtonDown(string buttonName)', 'bool GetButtonUp(string buttonName)',
+            'float GetAxis(string axisName)', 'float GetAxisRaw(string axisName)',
+            'bool GetMouseButton(int button)', 'bool GetMouseButtonDown(int button)', 'bool GetMouseButtonUp(int button)',
+            'Vector3 mousePosition', 'int touchCount', 'Touch GetTouch(int index)', 'bool anyKey', 'bool anyKeyDown'
+        ]
+    },
+    Debug: {
+        kind: 'class',
+        static: true,
+        members: [
+            'void Log(object message)', 'void LogWarning(object message)', 'void LogError(object message)',
+            'void LogException(Exception exception)', 'void DrawLine(Vector3 start, Vector3 end, Color color)',
+            'void DrawRay(Vector3 start, Vector3 dir, Color color)', 'void Assert(bool condition)', 'void Break()'
+        ]
+    },
+    Rigidbody: {
+        kind: 'class',
+        base: 'Component',
+        members: [
+            'Vector3 velocity', 'Vector3 angularVelocity', 'float mass', 'float drag', 'float angularDrag',
+            'bool useGravity', 'bool isKinematic', 'RigidbodyConstraints constraints',
+            'void AddForce(Vector3 force, ForceMode mode = ForceMode.Force)',
+            'void AddTorque(Vector3 torque, ForceMode mode = ForceMode.Force)',
+            'void AddExplosionForce(float explosionForce, Vector3 explosionPosition, float explosionRadius)',
+            'void MovePosition(Vector3 position)', 'void MoveRotation(Quaternion rot)', 'void Sleep()', 'void WakeUp()'
+        ]
+    },
+    Rigidbody2D: {
+        kind: 'class',
+        base: 'Component',
+        members: [
+            'Vector2 velocity', 'float angularVelocity', 'float mass', 'float gravityScale', 'bool isKinematic',
+            'void AddForce(Vector2 force, ForceMode2D mode = ForceMode2D.Force)',
+            'void AddTorque(float torque, ForceMode2D mode = ForceMode2D.Force)',
+            'void MovePosition(Vector2 position)', 'void MoveRotation(float angle)'
+        ]
+    },
+    Collider: {
+        kind: 'class',
+        base: 'Component',
+        members: ['bool enabled', 'bool isTrigger', 'Bounds bounds', 'Rigidbody attachedRigidbody', 'Vector3 ClosestPoint(Vector3 position)']
+    },
+    Collider2D: {
+        kind: 'class',
+        base: 'Component',
+        members: ['bool enabled', 'bool isTrigger', 'Bounds bounds', 'Rigidbody2D attachedRigidbody', 'Vector2 ClosestPoint(Vector2 position)']
+    },
+    Collision: {
+        kind: 'class',
+        members: [
+            'GameObject gameObject', 'Transform transform', 'Collider collider', 'Rigidbody rigidbody',
+            'Vector3 relativeVelocity', 'Vector3 impulse', 'int contactCount', 'ContactPoint GetContact(int index)'
+        ]
+    },
+    Collision2D: {
+        kind: 'class',
+        members: [
+            'GameObject gameObject', 'Transform transform', 'Collider2D collider', 'Rigidbody2D rigidbody',
+            'Vector2 relativeVelocity', 'int contactCount', 'ContactPoint2D GetContact(int index)'
+        ]
+    },
+    Physics: {
+        kind: 'class',
+        static: true,
+        members: [
+            'Vector3 gravity',
+            'bool Raycast(Vector3 origin, Vector3 direction, out RaycastHit hitInfo, float maxDistance)',
+            'RaycastHit[] RaycastAll(Ray ray, float maxDistance)',
+            'bool SphereCast(Vector3 origin, float radius, Vector3 direction, out RaycastHit hitInfo, float maxDistance)',
+            'Collider[] OverlapSphere(Vector3 position, float radius)', 'bool Linecast(Vector3 start, Vector3 end)',
+            'bool CheckSphere(Vector3 position, float radius)'
+        ]
+    },
+    Physics2D: {
+        kind: 'class',
+        static: true,
+        members: [
+            'Vector2 gravity', 'RaycastHit2D Raycast(Vector2 origin, Vector2 direction, float distance)',
+            'Collider2D OverlapCircle(Vector2 point, float radius)', 'Collider2D[] OverlapCircleAll(Vector2 point, float radius)'
+        ]
+    },
+    RaycastHit: {
+        kind: 'struct',
+        members: ['Vector3 point', 'Vector3 normal', 'float distance', 'Collider collider', 'Transform transform', 'Rigidbody rigidbody']
+    },
+    Ray: { kind: 'struct', members: ['Vector3 origin', 'Vector3 direction', 'Vector3 GetPoint(float distance)'] },
+    Random: {
+        kind: 'class',
+        static: true,
+        members: [
+            'float Range(float minInclusive, float maxInclusive)', 'int Range(int minInclusive, int maxExclusive)',
+            'float value', 'Vector3 insideUnitSphere', 'Vector2 insideUnitCircle', 'Vector3 onUnitSphere',
+            'Quaternion rotation', 'void InitState(int seed)'
+        ]
+    },
+    Color: {
+        kind: 'struct',
+        members: [
+            'float r', 'float g', 'float b', 'float a',
+            'static Color red', 'static Color green', 'static Color blue', 'static Color white', 'static Color black',
+            'static Color yellow', 'static Color cyan', 'static Color magenta', 'static Color gray', 'static Color clear',
+            'static Color Lerp(Color a, Color b, float t)'
+        ]
+    },
+    Camera: {
+        kind: 'class',
+        base: 'Behaviour',
+        members: [
+            'static Camera main', 'float fieldOfView', 'float orthographicSize', 'Color backgroundColor',
+            'Vector3 ScreenToWorldPoint(Vector3 position)', 'Vector3 WorldToScreenPoint(Vector3 position)',
+            'Ray ScreenPointToRay(Vector3 pos)'
+        ]
+    },
+    Animator: {
+        kind: 'class',
+        base: 'Behaviour',
+        members: [
+            'float speed', 'bool applyRootMotion', 'void SetBool(string name, bool value)',
+            'void SetFloat(string name, float value)', 'void SetInteger(string name, int value)',
+            'void SetTrigger(string name)', 'void ResetTrigger(string name)', 'bool GetBool(string name)',
+            'float GetFloat(string name)', 'int GetInteger(string name)', 'void Play(string stateName)'
+        ]
+    },
+    AudioSource: {
+        kind: 'class',
+        base: 'Behaviour',
+        members: [
+            'AudioClip clip', 'float volume', 'float pitch', 'bool loop', 'bool isPlaying',
+            'void Play()', 'void Stop()', 'void Pause()', 'void PlayOneShot(AudioClip clip)', 'void PlayDelayed(float delay)'
+        ]
+    },
+    Application: {
+        kind: 'class',
+        static: true,
+        members: [
+            'int targetFrameRate', 'bool isPlaying', 'RuntimePlatform platform', 'string persistentDataPath',
+            'string dataPath', 'void Quit()', 'void OpenURL(string url)'
+        ]
+    },
+    Resources: {
+        kind: 'class',
+        static: true,
+        members: ['T Load<T>(string path)', 'T[] LoadAll<T>(string path)', 'AsyncOperation UnloadUnusedAssets()']
+    },
+    SceneManager: {
+        kind: 'class',
+        static: true,
+        members: [
+            'void LoadScene(string sceneName)', 'AsyncOperation LoadSceneAsync(string sceneName)',
+            'Scene GetActiveScene()', 'int sceneCount'
+        ]
+    },
+    PlayerPrefs: {
+        kind: 'class',
+        static: true,
+        members: [
+            'void SetInt(string key, int value)', 'int GetInt(string key, int defaultValue = 0)',
+            'void SetFloat(string key, float value)', 'float GetFloat(string key, float defaultValue = 0.0F)',
+            'void SetString(string key, string value)', 'string GetString(string key, string defaultValue = "")',
+            'bool HasKey(string key)', 'void DeleteKey(string key)', 'void Save()'
+        ]
+    },
+    List: {
+        kind: 'class',
+        members: [
+            'int Count', 'void Add(T item)', 'bool Remove(T item)', 'void RemoveAt(int index)', 'void Clear()',
+            'bool Contains(T item)', 'int IndexOf(T item)', 'void Insert(int index, T item)', 'void Sort()', 'T[] ToArray()'
+        ]
+    },
+    Dictionary: {
+        kind: 'class',
+        members: [
+            'int Count', 'KeyCollection Keys', 'ValueCollection Values', 'void Add(TKey key, TValue value)',
+            'bool TryGetValue(TKey key, out TValue value)', 'bool ContainsKey(TKey key)', 'bool Remove(TKey key)', 'void Clear()'
+        ]
+    },
+    KeyCode: {
+        kind: 'enum',
+        members: [
+            'Space', 'Return', 'Escape', 'Tab', 'Backspace', 'LeftShift', 'LeftControl', 'LeftAlt',
+            'UpArrow', 'DownArrow', 'LeftArrow', 'RightArrow', 'W', 'A', 'S', 'D', 'E', 'Q', 'R', 'F',
+            'Alpha1', 'Alpha2', 'Alpha3', 'Mouse0', 'Mouse1'
+        ]
+    },
+    ForceMode: { kind: 'enum', members: ['Force', 'Acceleration', 'Impulse', 'VelocityChange'] },
+    ForceMode2D: { kind: 'enum', members: ['Force', 'Impulse'] },
+    Space: { kind: 'enum', members: ['World', 'Self'] },
+    PrimitiveType: { kind: 'enum', members: ['Sphere', 'Capsule', 'Cylinder', 'Cube', 'Plane', 'Quad'] },
+    RigidbodyConstraints: {
+        kind: 'enum',
+        members: ['None', 'FreezePositionX', 'FreezePositionY', 'FreezePositionZ', 'FreezeRotation', 'FreezePosition', 'FreezeAll']
+    },
+    IEnumerator: { kind: 'interface', members: [] },
+    Coroutine: { kind: 'class', members: [] },
+    WaitForSeconds: { kind: 'class', members: [] },
+    WaitForEndOfFrame: { kind: 'class', members: [] },
+    WaitForFixedUpdate: { kind: 'class', members: [] },
+    WaitUntil: { kind: 'class', members: [] },
+    AudioClip: { kind: 'class', base: 'Object', members: ['float length'] },
+    Sprite: { kind: 'class', base: 'Object', members: [] },
+    Material: { kind: 'class', base: 'Object', members: ['Color color'] },
+    LayerMask: { kind: 'struct', members: ['int value', 'static int GetMask(params string[] layerNames)', 'static int NameToLayer(string layerName)'] }
+};
+
+// Attributes used on Unity scripts, offered as types
+const ATTRIBUTES = [
+    'SerializeField', 'HideInInspector', 'Header', 'Tooltip', 'Range', 'Space', 'TextArea',
+    'RequireComponent', 'CreateAssetMenu', 'DisallowMultipleComponent', 'ExecuteAlways', 'ContextMenu'
+];
+
+// Base types whose scripts receive Unity messages
+const MESSAGE_RECEIVERS = new Set(['MonoBehaviour', 'StateMachineBehaviour', 'NetworkBehaviour']);
+
+const MEMBER_PATTERN = /^(static\s+)?(.+?)\s+(\w+)(<[\w, ]+>)?(?:\((.*)\))?$/;
+
+let parsedTypes = null;
+
+export class UnityApi {
+    /**
+     * Get the Unity messages as [{ name, signature, parameters, doc }]
+     */
+    static getMessages() {
+        return MESSAGES.map(message => {
+            const member = this.parseMember(message.signature, false);
+            return { ...member, doc: message.doc };
+        });
+    }
+
+    /**
+     * Get a type by name: { name, kind, base, members } with members as
+     * parseMember returns them; null if it isn't bundled
+     */
+    static getType(name) {
+        return this.getTypes().get(name) || null;
+    }
+
+    /**
+     * Get every bundled type, parsed once, as a Map of name to type
+     */
+    static getTypes() {
+        if (!parsedTypes) {
+            parsedTypes = new Map();
+            Object.entries(TYPES).forEach(([name, type]) => {
+                parsedTypes.set(name, {
+                    name,
+                    kind: type.kind,
+                    base: type.base || null,
+                    members: type.members.map(spec => (
+                        type.kind === 'enum'
+                            ? { name: spec, kind: 'enumMember', type: name, isStatic: true, signature: `${name}.${spec}` }
+                            : this.parseMember(spec, !!type.static)
+                    ))
+                });
+            });
+        }
+        return parsedTypes;
+    }
+
+    /**
+     * Get the attribute names
+     */
+    static getAttributes() {
+        return ATTRIBUTES;
+    }
+
+    /**
+     * Get the members of a type and its bundled base types. static picks
+     * static members (Type.Member) or instance members (value.Member).
+     */
+    static getMembers(typeName, isStatic) {
+        const members = [];
+        const seen = new Set();
+
+        for (let type = this.getType(typeName); type; type = type.base ? this.getType(type.base) : null) {
+            type.members.forEach(member => {
+                const key = `${member.name}(${member.parameters || ''})`;
+                if (member.isStatic === isStatic && !seen.has(key)) {
+                    seen.add(key);
+                    members.push(member);
+                }
+            });
+        }
+
+        return members;
+    }
+
+    /**
+     * Check if a bundled type is a UnityEngine.Object (so scripts deriving
+     * from it inherit GetComponent, Instantiate and the like)
+     */
+    static isUnityObject(typeName) {
+        for (let type = this.getType(typeName); type; type = type.base ? this.getType(type.base) : null) {
+            if (type.name === 'Object') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check if scripts deriving from a base type receive Unity messages
+     */
+    static receivesMessages(typeName) {
+        return MESSAGE_RECEIVERS.has(typeName);
+    }
+
+    /**
+     * Parse a member declaration such as
+     * "static float Distance(Vector3 a, Vector3 b)" into
+     * { name, kind, type, generic, parameters, isStatic, signature }
+     */
+    static parseMember(spec, allStatic) {
+        const match = spec.match(MEMBER_PATTERN);
+        const [, staticKeyword, type, name, generic = '', parameters] = match;
+
+        return {
+            name,
+            kind: parameters === undefined ? 'property' : 'method',
+            type,
+            generic,
+            parameters,
+            isStatic: allStatic || !!staticKeyword,
+            signature: spec.replace(/^static\s+/, '')
+        };
+    }
+}
+
+export default UnityApi;
@@ -0,0 +1,160 @@
+/**
+ * Unity Meta Module
+ * Generates Unity .meta files and checks assets and .meta files stay paired
+ */
+
+const META_EXTENSION = '.meta';
+
+// Importers Unity assigns to text assets; everything else gets DefaultImporter
+const TEXT_EXTENSIONS = ['.txt', '.json', '.xml', '.html', '.htm', '.md', '.csv', '.yaml', '.bytes', '.fnt'];
+
+export class UnityMeta {
+    /**
+     * Check if a path is a .meta file
+     */
+    static isMetaPath(path) {
+        return path.endsWith(META_EXTENSION);
+    }
+
+    /**
+     * Get the .meta path for an asset
+     */
+    static getMetaPath(assetPath) {
+        return assetPath + META_EXTENSION;
+    }
+
+    /**
+     * Get the asset path a .meta file belongs to
+     */
+    static getAssetPath(metaPath) {
+        return metaPath.slice(0, -META_EXTENSION.length);
+    }
+
+    /**
+     * Check if Unity expects a .meta file for an asset path.
+     * Only files and folders under Assets/ get one; Unity skips names that
+     * start with a dot or end with a tilde, and anything inside them.
+     */
+    static needsMeta(assetPath) {
+        if (!assetPath.startsWith('Assets/') || this.isMetaPath(assetPath)) {
+            return false;
+        }
+
+        return !assetPath.split('/').some(part =>
+            part === '' || part.startsWith('.') || part.endsWith('~')
+        );
+    }
+
+    /**
+     * Generate a random GUID in Unity's format (32 lowercase hex digits)
+     */
+    static generateGuid() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Build the content of a .meta file for a new asset
+     */
+    static createMeta(assetPath, isFolder = false) {
+        const lines = ['fileFormatVersion: 2', `guid: ${this.generateGuid()}`];
+        const ext = assetPath.substring(assetPath.lastIndexOf('.')).toLowerCase();
+
+        if (isFolder) {
+            lines.push('folderAsset: yes', 'DefaultImporter:', '  externalObjects: {}');
+        } else if (ext === '.cs') {
+            lines.push(
+                'MonoImporter:',
+                '  externalObjects: {}',
+                '  serializedVersion: 2',
+                '  defaultReferences: []',
+                '  executionOrder: 0',
+                '  icon: {instanceID: 0}'
+            );
+        } else if (TEXT_EXTENSIONS.includes(ext)) {
+            lines.push('TextScriptImporter:', '  externalObjects: {}');
+        } else {
+            lines.push('DefaultImporter:', '  externalObjects: {}');
+        }
+
+        lines.push('  userData: ', '  assetBundleName: ', '  assetBundleVariant: ', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Get the .meta files to create along with a new file: its own and
+     * those of any folders it creates. existingPaths are the files already
+     * in the tree. Returns [{ path, content }].
+     */
+    static getMetaFilesForNewFile(filePath, existingPaths) {
+        const folders = new Set();
+        existingPaths.forEach(path => {
+            const parts = path.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                folders.add(parts.slice(0, i).join('/'));
+            }
+        });
+
+        const metaFiles = [];
+        const parts = filePath.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const folder = parts.slice(0, i).join('/');
+            if (!folders.has(folder) && this.needsMeta(folder)) {
+                metaFiles.push({ path: this.getMetaPath(folder), content: this.createMeta(folder, true) });
+            }
+        }
+
+        if (this.needsMeta(filePath)) {
+            metaFiles.push({ path: this.getMetaPath(filePath), content: this.createMeta(filePath) });
+        }
+
+        return metaFiles;
+    }
+
+    /**
+     * Find assets missing a .meta file and .meta files without an asset,
+     * among the changed paths (including deleted ones). allPaths are the
+     * files in the tree with pending changes applied.
+     * Returns [{ type: 'missing' | 'orphaned', assetPath, metaPath }].
+     */
+    static findProblems(changedPaths, allPaths) {
+        const files = new Set(allPaths);
+        const folders = new Set();
+        allPaths.forEach(path => {
+            const parts = path.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                folders.add(parts.slice(0, i).join('/'));
+            }
+        });
+
+        const exists = path => files.has(path) || folders.has(path);
+        const problems = new Map();
+
+        const check = (assetPath) => {
+            const metaPath = this.getMetaPath(assetPath);
+            if (problems.has(metaPath)) return;
+
+            if (exists(assetPath) && !files.has(metaPath) && this.needsMeta(assetPath)) {
+                problems.set(metaPath, { type: 'missing', assetPath, metaPath });
+            } else if (!exists(assetPath) && files.has(metaPath)) {
+                problems.set(metaPath, { type: 'orphaned', assetPath, metaPath });
+            }
+        };
+
+        changedPaths.forEach(path => {
+            const assetPath = this.isMetaPath(path) ? this.getAssetPath(path) : path;
+            check(assetPath);
+
+            // Changes can create or empty out folders along the way
+            const parts = assetPath.split('/');
+            for (let i = parts.length - 1; i > 0; i--) {
+                check(parts.slice(0, i).join('/'));
+            }
+        });
+
+        return [...problems.values()];
+    }
+}
+
+export default UnityMeta;
@@ -0,0 +1,135 @@
+/**
+ * Zip Module
+ * Reads the files out of a .zip archive, inflating them with the
+ * browser's DecompressionStream. Stored and deflated entries are
+ * supported; encrypted and Zip64 archives are not.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Folders and files some archivers add that aren't part of the content
+const JUNK_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+export class Zip {
+    /**
+     * Check if bytes are a zip archive
+     */
+    static isZip(bytes) {
+        return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === LOCAL_SIGNATURE;
+    }
+
+    /**
+     * Extract an archive's files as [{ path, bytes }], leaving out folders
+     */
+    static async extract(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocd = this.findEndOfCentralDirectory(view);
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error('Zip64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+        const files = [];
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+                throw new Error('The zip archive is damaged');
+            }
+
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/') || JUNK_PATTERN.test(name)) continue;
+
+            const path = this.normalizePath(name);
+            if (flags & 0x1) {
+                throw new Error(`${path} is encrypted`);
+            }
+
+            const data = this.getEntryData(view, bytes, localOffset, compressedSize);
+            if (method === METHOD_STORED) {
+                files.push({ path, bytes: data.slice() });
+            } else if (method === METHOD_DEFLATED) {
+                files.push({ path, bytes: await this.inflate(data) });
+            } else {
+                throw new Error(`${path} uses an unsupported compression method (${method})`);
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Find the end of central directory record, which ends the archive
+     * apart from an optional comment
+     */
+    static findEndOfCentralDirectory(view) {
+        const last = view.byteLength - EOCD_SIZE;
+        const first = Math.max(0, last - MAX_COMMENT_SIZE);
+
+        for (let offset = last; offset >= first; offset--) {
+            if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+                return offset;
+            }
+        }
+        throw new Error('Not a zip archive');
+    }
+
+    /**
+     * Get an entry's compressed bytes, found after its local header
+     */
+    static getEntryData(view, bytes, localOffset, compressedSize) {
+        if (localOffset + 30 > view.byteLength || view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error('The zip archive is damaged');
+        }
+
+        const nameLength = view.getUint16(localOffset + 26, true);
+        const extraLength = view.getUint16(localOffset + 28, true);
+        const start = localOffset + 30 + nameLength + extraLength;
+        return bytes.subarray(start, start + compressedSize);
+    }
+
+    /**
+     * Turn an entry name into a relative path, refusing ones that would
+     * leave the folder it is extracted to
+     */
+    static normalizePath(name) {
+        const parts = name.replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+        if (parts.length === 0 || parts.includes('..')) {
+            throw new Error(`The zip archive contains an unsafe path: ${name}`);
+        }
+        return parts.join('/');
+    }
+
+    /**
+     * Inflate raw deflate data
+     */
+    static async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot unpack zip files');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+export default Zip;